@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Convert CDC's bmi-age-2022.csv (BMI-for-age LMS parameters with the extended
+// sigma and P95 columns) into src/data/cdcBmiForAge.js.
+//
+// Usage: node scripts/import-cdc-bmi-table.js path/to/bmi-age-2022.csv
+
+const fs = require('fs');
+const path = require('path');
+
+const REQUIRED_COLUMNS = ['sex', 'agemos', 'l', 'm', 's', 'sigma', 'p95'];
+const OUTPUT = path.join(__dirname, '..', 'src', 'data', 'cdcBmiForAge.js');
+
+function parseCsv(text) {
+  const [headerLine, ...lines] = text.trim().split(/\r?\n/);
+  const header = headerLine.split(',').map(h => h.trim().replace(/"/g, '').toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Missing columns: ${missing.join(', ')}`);
+  }
+
+  const table = { male: [], female: [] };
+  for (const line of lines) {
+    const cells = line.split(',').map(c => c.trim().replace(/"/g, ''));
+    const row = Object.fromEntries(header.map((name, i) => [name, cells[i]]));
+    const sex = row.sex === '1' ? 'male' : row.sex === '2' ? 'female' : null;
+    if (!sex) continue;
+    const values = ['agemos', 'l', 'm', 's', 'sigma', 'p95'].map(name => Number(row[name]));
+    if (values.some(Number.isNaN)) {
+      throw new Error(`Non-numeric row: ${line}`);
+    }
+    table[sex].push(values);
+  }
+
+  for (const sex of Object.keys(table)) {
+    table[sex].sort((a, b) => a[0] - b[0]);
+    if (table[sex].length === 0) {
+      throw new Error(`No rows for ${sex}`);
+    }
+  }
+  return table;
+}
+
+function render(table) {
+  const rows = sex => table[sex].map(row => `    [${row.join(', ')}]`).join(',\n');
+  const template = fs.readFileSync(OUTPUT, 'utf8');
+  const body = `export const CDC_BMI_FOR_AGE = {\n  male: [\n${rows('male')}\n  ],\n  female: [\n${rows('female')}\n  ]\n};\n`;
+  return template.replace(/export const CDC_BMI_FOR_AGE = \{[\s\S]*$/, body);
+}
+
+const input = process.argv[2];
+if (!input) {
+  console.error('Usage: node scripts/import-cdc-bmi-table.js path/to/bmi-age-2022.csv');
+  process.exit(1);
+}
+
+const table = parseCsv(fs.readFileSync(input, 'utf8'));
+fs.writeFileSync(OUTPUT, render(table));
+console.log(`Wrote ${table.male.length} male and ${table.female.length} female rows to ${OUTPUT}`);
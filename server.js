@@ -2,6 +2,8 @@
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
+const fs = require('fs/promises');
+const path = require('path');
 require('dotenv').config();
 
 const app = express();
@@ -41,6 +43,30 @@ app.get('/api/coverage', async (req, res) => {
   }
 });
 
+// Serve the data files in `dir` whose names match `pattern` as { files: [{ name, text }] }
+const serveFiles = (dir, pattern, label) => async (req, res) => {
+  try {
+    const names = (await fs.readdir(dir)).filter(name => pattern.test(name)).sort();
+    const files = await Promise.all(names.map(async name => ({
+      name,
+      text: await fs.readFile(path.join(dir, name), 'utf8')
+    })));
+    res.json({ files });
+  } catch (error) {
+    if (error.code === 'ENOENT') return res.json({ files: [] });
+    console.error(`${label} directory error:`, error.message);
+    res.status(500).json({ error: `Failed to read ${label.toLowerCase()} files` });
+  }
+};
+
+// Payer policy files (JSON/YAML), validated and loaded by src/utils/policyLoader.js
+const POLICY_DIR = process.env.POLICY_DIR || path.join(__dirname, 'policies');
+app.get('/api/policies', serveFiles(POLICY_DIR, /\.(json|ya?ml)$/i, 'Policy'));
+
+// Da Vinci US Drug Formulary exports (Bundle JSON or NDJSON), imported by src/utils/formularyImporter.js
+const FORMULARY_DIR = process.env.FORMULARY_DIR || path.join(__dirname, 'formularies');
+app.get('/api/formularies', serveFiles(FORMULARY_DIR, /\.(json|ndjson)$/i, 'Formulary'));
+
 app.listen(PORT, () => {
   console.log(`Backend server running on port ${PORT}`);
 });
@@ -8,20 +8,44 @@ import PatientSidebar from './components/PatientSidebar';
 import PatientChart from './components/PatientChart';
 import TherapyModal from './components/TherapyModal';
 import EpicCallback from './components/EpicCallback';
-import { isEpicLaunch, initiateEpicAuth } from './utils/epicAuth';
+import PlanConfirmation from './components/PlanConfirmation';
+import { isEpicLaunch, initiateEpicAuth, getEpicFhirUser } from './utils/epicAuth';
 import { fetchCompletePatientData } from './utils/patientDataFetcher';
+import { fetchPolicyDocuments, formatPolicyError } from './utils/policyLoader';
+import { fetchFormulary, formatFormularyReport } from './utils/formularyImporter';
+import { resolvePlan, confirmPlan } from './utils/planResolver';
 import './App.css';
 
 // Convert Epic patient data to app format
 const convertEpicToAppFormat = (epicData) => {
   if (!epicData) return null;
+
+  const planResolution = resolvePlan(epicData.coverage);
   
   return {
     id: epicData.demographics.id,
     name: epicData.demographics.name,
     age: epicData.demographics.age,
-    insurance: epicData.coverage?.[0]?.payor || 'Unknown',
+    gender: epicData.demographics.gender,
+    insurance: planResolution.plan || epicData.coverage?.[0]?.payor?.[0]?.display || 'Unknown',
+    planResolution,
     diagnosis: epicData.conditions.map(c => c.display),
+    // Raw FHIR resources for the coded criteria evaluators
+    demographics: epicData.demographics,
+    conditions: epicData.conditions,
+    familyMemberHistory: epicData.familyMemberHistory || [],
+    observations: epicData.labs,
+    medicationRequests: epicData.medications,
+    medicationStatements: epicData.medicationStatements || [],
+    medicationDispenses: epicData.medicationDispenses || [],
+    allergyIntolerances: epicData.allergyIntolerances || [],
+    encounters: epicData.encounters || [],
+    procedures: epicData.procedures || [],
+    carePlans: epicData.carePlans || [],
+    serviceRequests: epicData.serviceRequests || [],
+    prescriber: epicData.prescriber || null,
+    // Provenance for criterion evidence
+    source: 'epic',
     allergies: [], // TODO: Add if needed
     vitals: {
       height: epicData.calculatedValues?.height || { value: 65, units: 'in' },
@@ -74,6 +98,10 @@ function AppContent() {
   // PA form state
   const [paFormOpen, setPaFormOpen] = useState(false);
   const [paFormSubmitted, setPaFormSubmitted] = useState(false);
+  // Plans staff confirmed for coverage that matched several plans or none, by patient id
+  const [planConfirmations, setPlanConfirmations] = useState({});
+  // Bumped when policy files are loaded into drugCoverage, to re-render with them
+  const [, setPolicyRevision] = useState(0);
   const [paFormData, setPaFormData] = useState({
     paReason: '',
     therapyDuration: '',
@@ -85,13 +113,25 @@ function AppContent() {
     pediatricPercentile: '',
     maintenanceDose: '',
     bmiReduction: '',
-    docUpload: ''
+    docUpload: '',
+    quantity: '',
+    daysSupply: ''
   });
 
+  const withConfirmedPlan = (patient) => {
+    const confirmation = patient && planConfirmations[patient.id];
+    return confirmation ? { ...patient, insurance: confirmation.plan, planResolution: confirmation } : patient;
+  };
+
+  const handleConfirmPlan = (plan) => {
+    const confirmation = confirmPlan(selectedPatient.planResolution, plan, { confirmedBy: getEpicFhirUser() });
+    setPlanConfirmations(prev => ({ ...prev, [selectedPatient.id]: confirmation }));
+  };
+
   // Converted patient for app components
-  const selectedPatient = devMode 
+  const selectedPatient = withConfirmedPlan(devMode 
     ? (selectedPatientId ? patients.find(p => p.id === selectedPatientId) : null)
-    : (epicPatientData ? convertEpicToAppFormat(epicPatientData) : null);
+    : (epicPatientData ? convertEpicToAppFormat(epicPatientData) : null));
 
   // Store patient globally for TherapyModal and PAForm to access
   useEffect(() => {
@@ -164,6 +204,33 @@ function AppContent() {
     }
   }, [location.pathname, epicPatientData]);
 
+  // Payer policy files from the backend replace the built-in plans they name;
+  // files that fail validation are reported and left out. Formulary exports are
+  // applied on top, and the coverage they change is logged.
+  useEffect(() => {
+    const policyUrl = process.env.REACT_APP_POLICY_URL;
+    const formularyUrl = process.env.REACT_APP_FORMULARY_URL;
+    if (!policyUrl && !formularyUrl) return;
+
+    const loadPolicies = !policyUrl ? Promise.resolve() : fetchPolicyDocuments(policyUrl)
+      .then(({ loaded, errors }) => {
+        errors.forEach(error => console.error('❌ Policy file rejected:', formatPolicyError(error)));
+        if (loaded.length === 0) return;
+        console.log('📋 Payer policies loaded:', loaded);
+        setPolicyRevision(revision => revision + 1);
+      })
+      .catch(error => console.error('❌ Error loading payer policies:', error.message));
+
+    loadPolicies
+      .then(() => formularyUrl && fetchFormulary(formularyUrl))
+      .then(report => {
+        if (!report) return;
+        formatFormularyReport(report).forEach(line => console.log('📋 Formulary:', line));
+        setPolicyRevision(revision => revision + 1);
+      })
+      .catch(error => console.error('❌ Error importing formularies:', error.message));
+  }, []);
+
   const loadEpicPatientData = async (patientId) => {
     try {
       console.log('📡 Fetching patient data from Epic...');
@@ -298,6 +365,12 @@ function AppContent() {
                         <span className="label" style={{ fontWeight: '500', color: '#6c757d', fontSize: '0.875rem' }}>Insurance:</span>
                         <span className="value" style={{ color: '#212529', fontWeight: '500', fontSize: '0.875rem' }}>{selectedPatient.insurance}</span>
                       </div>
+                      <PlanConfirmation
+                        key={selectedPatient.id}
+                        resolution={selectedPatient.planResolution}
+                        plans={Object.keys(drugCoverage)}
+                        onConfirm={handleConfirmPlan}
+                      />
                     </div>
                   </section>
 
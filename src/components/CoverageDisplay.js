@@ -1,27 +1,61 @@
 import React, { useState, useEffect } from 'react';
-import { getCriteriaForMedication } from '../utils/coverageLogic';
+import { getCriteriaForMedication, getIndicationPolicy, getPolicyVersions, describePolicyVersion } from '../utils/coverageLogic';
+import { INDICATIONS } from '../data/drugRegistry';
 import { evaluateCriteria } from '../utils/criteriaEvaluator';
 import { normalizeStatus, CriteriaStatus } from '../constants';
+import { EVIDENCE_SOURCE_LABELS } from '../utils/evidence';
+import { getChartAsOf } from '../utils/asOfDate';
+import { solveForApproval } from '../utils/approvalSolver';
+import { buildMissingDataQuestionnaire, applyQuestionnaireResponse } from '../utils/missingDataQuestionnaire';
+import MissingDataQuestionnaire from './MissingDataQuestionnaire';
 import './CoverageDisplay.css';
 
-const CoverageDisplay = ({ patientData, medication, dose }) => {
+// Share of criteria met; also scores the projected results of each approval step
+const scoreLikelihood = results => {
+  const metCount = Object.values(results).filter(
+    r => normalizeStatus(r.status) === CriteriaStatus.MET
+  ).length;
+  const totalCount = Object.keys(results).length;
+  return totalCount > 0 ? Math.round((metCount / totalCount) * 100) : 0;
+};
+
+const CoverageDisplay = ({ patientData, medication, dose, asOf, indication }) => {
   const [evaluationResults, setEvaluationResults] = useState({});
   const [approvalLikelihood, setApprovalLikelihood] = useState(0);
+  const [approvalPlan, setApprovalPlan] = useState(null);
+  // Payer policy version applied, or { missing: date } when none was in effect
+  const [policyVersion, setPolicyVersion] = useState(null);
+  const [questionnaire, setQuestionnaire] = useState(null);
+  // The chart with answers from the missing-data questionnaire merged in
+  const [enteredData, setEnteredData] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
+  useEffect(() => {
+    setEnteredData(null);
+  }, [patientData]);
+
   useEffect(() => {
     const evaluatePatient = async () => {
       setIsLoading(true);
       
       try {
-        const criteria = getCriteriaForMedication(medication, dose);
         const results = {};
+        // For appeals: the chart as it stood on the as-of date
+        const chart = getChartAsOf(enteredData || patientData, asOf);
+        const criteria = getCriteriaForMedication(medication, dose, { plan: chart.insurance, indication, asOf });
+
+        // The plan's policy version in effect on the date of service, for the indication
+        const dateOfService = asOf || new Date().toISOString().slice(0, 10);
+        const plan = chart.insurance;
+        const policy = describePolicyVersion(getIndicationPolicy(plan, medication, indication, dateOfService));
+        setPolicyVersion(policy || (getPolicyVersions(plan, medication).length > 0 ? { missing: dateOfService } : null));
         
         // Evaluate each criterion
         for (const [criterionName, criterionConfig] of Object.entries(criteria)) {
-          const result = evaluateCriteria(criterionName, patientData, {
+          const result = evaluateCriteria(criterionName, chart, {
             medication,
             dose,
+            policy,
             ...criterionConfig
           });
           
@@ -32,14 +66,18 @@ const CoverageDisplay = ({ patientData, medication, dose }) => {
         }
 
         setEvaluationResults(results);
-        
-        // Calculate approval likelihood
-        const metCount = Object.values(results).filter(
-          r => normalizeStatus(r.status) === CriteriaStatus.MET
-        ).length;
-        const totalCount = Object.keys(results).length;
-        const likelihood = Math.round((metCount / totalCount) * 100);
-        setApprovalLikelihood(likelihood);
+        setApprovalLikelihood(scoreLikelihood(results));
+
+        // What it would take to clear the required criteria that aren't met
+        setApprovalPlan(solveForApproval(chart, criteria, {
+          medication,
+          dose,
+          results,
+          likelihood: scoreLikelihood
+        }));
+
+        // Ask for whatever the evaluators couldn't find
+        setQuestionnaire(buildMissingDataQuestionnaire(chart, results, criteria, { medication }));
 
       } catch (err) {
         console.error('Evaluation error:', err);
@@ -51,7 +89,11 @@ const CoverageDisplay = ({ patientData, medication, dose }) => {
     if (patientData && medication) {
       evaluatePatient();
     }
-  }, [patientData, medication, dose]);
+  }, [patientData, enteredData, medication, dose, asOf, indication]);
+
+  const handleQuestionnaireSubmit = (response) => {
+    setEnteredData(applyQuestionnaireResponse(enteredData || patientData, questionnaire, response));
+  };
 
   // Get status badge
   const getStatusBadge = (status, required) => {
@@ -74,6 +116,10 @@ const CoverageDisplay = ({ patientData, medication, dose }) => {
         className = 'status-badge-partial';
         text = 'Partial';
         break;
+      case CriteriaStatus.NEEDS_ATTESTATION:
+        className = 'status-badge-partial';
+        text = 'Needs Attestation';
+        break;
       default:
         className = 'status-badge-na';
         text = 'N/A';
@@ -97,6 +143,7 @@ const CoverageDisplay = ({ patientData, medication, dose }) => {
       case CriteriaStatus.NOT_MET:
         return 'X';
       case CriteriaStatus.PARTIAL:
+      case CriteriaStatus.NEEDS_ATTESTATION:
         return '!';
       default:
         return '—';
@@ -111,10 +158,25 @@ const CoverageDisplay = ({ patientData, medication, dose }) => {
       doseProgression: 'Dose Progression',
       maintenance: 'Maintenance Phase',
       weightLoss: 'Weight Loss',
+      weightMaintained: 'Weight Maintained',
       documentation: 'Clinical Documentation',
-      comorbidity: 'Comorbidity'
+      comorbidity: 'Comorbidity',
+      contraindications: 'Contraindications',
+      stepTherapy: 'Step Therapy',
+      labValue: 'Lab Requirement',
+      cvdRisk: 'Cardiovascular Risk',
+      lifestyleModification: 'Lifestyle Modification',
+      priorTherapies: 'Prior Therapies',
+      prescriberQualification: 'Prescriber Qualification',
+      quantityLimit: 'Quantity Limit',
+      indication: 'Indication',
+      diagnosis: 'Diagnosis',
+      efficacy: 'Treatment Response'
     };
-    return nameMap[name] || name;
+    // A policy's second criterion of a type is keyed `type#2`
+    const [type, index] = name.split('#');
+    const label = nameMap[type] || type;
+    return index ? `${label} (${index})` : label;
   };
 
   if (isLoading) {
@@ -140,7 +202,18 @@ const CoverageDisplay = ({ patientData, medication, dose }) => {
         <div className="medication-info">
           <span>{medication}</span>
           <span className="dose">{dose}</span>
+          {asOf && <span className="as-of">As of {asOf}</span>}
         </div>
+        {policyVersion && (
+          <div className="policy-version">
+            {policyVersion.missing
+              ? `No payer policy for ${medication} was in effect on ${policyVersion.missing}`
+              : `${policyVersion.plan} policy ${policyVersion.version}` +
+                `${policyVersion.indication ? ` for ${INDICATIONS[policyVersion.indication].toLowerCase()}` : ''}` +
+                ` (effective ${policyVersion.effectiveDate}` +
+                `${policyVersion.terminationDate ? ` to ${policyVersion.terminationDate}` : ''})`}
+          </div>
+        )}
       </div>
 
       <div className={`approval-section ${getLikelihoodClass()}`}>
@@ -161,7 +234,8 @@ const CoverageDisplay = ({ patientData, medication, dose }) => {
             statusClass += ' status-met';
           } else if (normalizedStatus === CriteriaStatus.NOT_MET) {
             statusClass += ' status-not-met';
-          } else if (normalizedStatus === CriteriaStatus.PARTIAL) {
+          } else if (normalizedStatus === CriteriaStatus.PARTIAL ||
+                     normalizedStatus === CriteriaStatus.NEEDS_ATTESTATION) {
             statusClass += ' status-partial';
           }
 
@@ -177,15 +251,63 @@ const CoverageDisplay = ({ patientData, medication, dose }) => {
               <div className="criterion-status">
                 <span>{normalizedStatus === CriteriaStatus.MET ? 'Met' : 
                        normalizedStatus === CriteriaStatus.NOT_MET ? 'Not Met' :
-                       normalizedStatus === CriteriaStatus.PARTIAL ? 'Partial' : 'N/A'}</span>
+                       normalizedStatus === CriteriaStatus.PARTIAL ? 'Partial' :
+                       normalizedStatus === CriteriaStatus.NEEDS_ATTESTATION ? 'Needs Attestation' : 'N/A'}</span>
               </div>
               <div className="criterion-details">
                 {result.details || result.reason}
               </div>
+              {result.evidence?.length > 0 && (
+                <ul className="criterion-evidence">
+                  {result.evidence.map((item, index) => (
+                    <li key={`${item.reference || item.display}-${index}`} id={`evidence-${criterion}-${index}`}>
+                      {item.display}
+                      {item.date && <span> · {String(item.date).slice(0, 10)}</span>}
+                      {item.reference && <span> · {item.reference}</span>}
+                      <span className="evidence-source">{EVIDENCE_SOURCE_LABELS[item.source] || item.source}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           );
         })}
       </div>
+
+      {approvalPlan && (approvalPlan.steps.length > 0 || approvalPlan.unresolved.length > 0) && (
+        <div className="recommendations-section">
+          <h4>Path to Approval</h4>
+          <div className="recommendations-list">
+            {approvalPlan.steps.map((step, index) => (
+              <div key={`${step.criterion}-${index}`} className="recommendation-item priority-high">
+                <div className="recommendation-header">
+                  <span className="recommendation-priority">Step {index + 1}</span>
+                  <span className="recommendation-action">{step.action}</span>
+                </div>
+                <div className="recommendation-details">
+                  Clears {step.resolves.map(formatCriterionName).join(', ')} · projected likelihood {step.projectedLikelihood}%
+                </div>
+              </div>
+            ))}
+            {approvalPlan.unresolved.map(item => (
+              <div key={item.criterion} className="recommendation-item">
+                <div className="recommendation-header">
+                  <span className="recommendation-priority">Not fixable</span>
+                  <span className="recommendation-action">{formatCriterionName(item.criterion)}</span>
+                </div>
+                <div className="recommendation-details">{item.details}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {questionnaire && (
+        <div className="recommendations-section">
+          <h4>Missing Information</h4>
+          <MissingDataQuestionnaire questionnaire={questionnaire} onSubmit={handleQuestionnaireSubmit} />
+        </div>
+      )}
     </div>
   );
 };
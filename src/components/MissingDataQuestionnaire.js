@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+
+const VALUE_KEYS = {
+  decimal: 'valueDecimal',
+  integer: 'valueInteger',
+  date: 'valueDate',
+  boolean: 'valueBoolean',
+  string: 'valueString',
+  choice: 'valueCoding'
+};
+
+// linkId -> form value, seeded from each question's `initial`
+const initialValues = (items = [], values = {}) => {
+  for (const item of items) {
+    if (item.type === 'group') {
+      initialValues(item.item, values);
+    } else if (item.initial?.length) {
+      const value = item.initial[0][VALUE_KEYS[item.type]];
+      values[item.linkId] = item.type === 'choice' ? item.initial.map(i => i.valueCoding.code) : value;
+    }
+  }
+  return values;
+};
+
+const toAnswers = (item, value) => {
+  if (value === undefined || value === null || value === '') return [];
+  switch (item.type) {
+    case 'decimal':
+      return Number.isFinite(Number(value)) ? [{ valueDecimal: Number(value) }] : [];
+    case 'integer':
+      return Number.isFinite(Number(value)) ? [{ valueInteger: Math.round(Number(value)) }] : [];
+    case 'choice':
+      return item.answerOption
+        .filter(option => value.includes(option.valueCoding.code))
+        .map(option => ({ valueCoding: option.valueCoding }));
+    default:
+      return [{ [VALUE_KEYS[item.type]]: value }];
+  }
+};
+
+const toResponseItems = (items = [], values) => items
+  .map(item => {
+    if (item.type === 'group') {
+      const children = toResponseItems(item.item, values);
+      return children.length > 0 ? { linkId: item.linkId, text: item.text, item: children } : null;
+    }
+    const answer = toAnswers(item, values[item.linkId]);
+    return answer.length > 0 ? { linkId: item.linkId, text: item.text, answer } : null;
+  })
+  .filter(Boolean);
+
+/**
+ * Renders a Questionnaire from buildMissingDataQuestionnaire() and hands the
+ * completed QuestionnaireResponse to onSubmit.
+ */
+const MissingDataQuestionnaire = ({ questionnaire, onSubmit }) => {
+  const [values, setValues] = useState(() => initialValues(questionnaire.item));
+
+  useEffect(() => {
+    setValues(initialValues(questionnaire.item));
+  }, [questionnaire]);
+
+  const setValue = (linkId, value) => setValues(current => ({ ...current, [linkId]: value }));
+
+  const toggleChoice = (linkId, code) => setValues(current => {
+    const selected = current[linkId] || [];
+    return {
+      ...current,
+      [linkId]: selected.includes(code) ? selected.filter(c => c !== code) : [...selected, code]
+    };
+  });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSubmit({
+      resourceType: 'QuestionnaireResponse',
+      id: `${questionnaire.id}-${Date.now()}`,
+      questionnaire: `Questionnaire/${questionnaire.id}`,
+      status: 'completed',
+      authored: new Date().toISOString(),
+      item: toResponseItems(questionnaire.item, values)
+    });
+  };
+
+  const renderInput = (item) => {
+    const value = values[item.linkId];
+    switch (item.type) {
+      case 'boolean':
+        return (
+          <select
+            value={value === undefined ? '' : String(value)}
+            onChange={e => setValue(item.linkId, e.target.value === '' ? undefined : e.target.value === 'true')}
+          >
+            <option value="">—</option>
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+          </select>
+        );
+      case 'choice':
+        return (
+          <div className="questionnaire-options">
+            {item.answerOption.map(({ valueCoding }) => (
+              <label key={valueCoding.code}>
+                <input
+                  type="checkbox"
+                  checked={(value || []).includes(valueCoding.code)}
+                  onChange={() => toggleChoice(item.linkId, valueCoding.code)}
+                />
+                {valueCoding.display} ({valueCoding.code})
+              </label>
+            ))}
+          </div>
+        );
+      case 'decimal':
+      case 'integer':
+        return (
+          <input
+            type="number"
+            step={item.type === 'decimal' ? 'any' : 1}
+            value={value ?? ''}
+            onChange={e => setValue(item.linkId, e.target.value)}
+          />
+        );
+      default:
+        return (
+          <input
+            type={item.type === 'date' ? 'date' : 'text'}
+            value={value ?? ''}
+            onChange={e => setValue(item.linkId, e.target.value)}
+          />
+        );
+    }
+  };
+
+  const renderItem = (item) => {
+    if (item.type === 'group') {
+      return (
+        <fieldset key={item.linkId} className="questionnaire-group">
+          <legend>{item.text}</legend>
+          {item.item.map(renderItem)}
+        </fieldset>
+      );
+    }
+    return (
+      <label key={item.linkId} className="questionnaire-item">
+        <span>{item.text}{item.required && ' *'}</span>
+        {renderInput(item)}
+      </label>
+    );
+  };
+
+  return (
+    <form className="questionnaire-form" onSubmit={handleSubmit}>
+      {questionnaire.item.map(renderItem)}
+      <button type="submit" className="questionnaire-submit">Re-evaluate with these answers</button>
+    </form>
+  );
+};
+
+export default MissingDataQuestionnaire;
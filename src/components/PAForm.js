@@ -1,10 +1,17 @@
 import React from "react";
 import { getCriteriaForMedication } from "../utils/coverageLogic";
+import { evaluateCriteria } from "../utils/criteriaEvaluator";
+import { formatEvidence } from "../utils/evidence";
+import { getChartAsOf } from "../utils/asOfDate";
+import { calculateQuantity } from "../utils/daysSupply";
+import { CriteriaStatus } from "../constants";
 
 export default function PAForm({
   drugName,
   selectedDose,
+  indication,
   drugCoverage,
+  asOf,
   paFormOpen,
   setPaFormOpen,
   setPaFormSubmitted,
@@ -15,9 +22,14 @@ export default function PAForm({
   
   if (!paFormOpen) return null;
 
-  const criteria = getCriteriaForMedication(drugName, selectedDose);
+  // The fill requested: entered, or what the dose needs over the plan's limit period
+  const criteria = getCriteriaForMedication(drugName, selectedDose, { plan: patient?.insurance, indication, asOf });
+  const suggestedFill = calculateQuantity(drugName, selectedDose, criteria?.quantityLimit?.quantityLimit.days || 28);
+  const quantity = paFormData.quantity || suggestedFill?.quantity || '';
+  const daysSupply = paFormData.daysSupply || suggestedFill?.daysSupply || '';
   const applicableCriteria = Object.entries(criteria || {}).map(([name, config]) => ({
     ...config,
+    ...(config.type === 'quantityLimit' && { quantity, daysSupply }),
     name,
     type: config.type || 'general'
   }));
@@ -27,6 +39,19 @@ export default function PAForm({
   const showMaintenance = criteriaTypes.has("maintenance");
   const showWeightLoss = criteriaTypes.has("weightLoss");
   const showWeightMaintained = criteriaTypes.has("weightMaintained");
+
+  // Evidence behind each criterion, submitted with the request for payer review
+  // (as of the appeal date, when one is set)
+  const chart = getChartAsOf(patient, asOf);
+  const results = chart
+    ? applicableCriteria.map(criterion => ({
+      criterion,
+      result: evaluateCriteria(criterion.name, chart, { medication: drugName, dose: selectedDose, ...criterion })
+    }))
+    : [];
+  const supportingEvidence = results.flatMap(({ criterion, result }) =>
+    result.evidence.map(item => ({ ...item, criterion: criterion.name })));
+  const quantityLimit = results.find(({ criterion }) => criterion.type === 'quantityLimit')?.result;
   
   // Helper to update paFormData
   const updateFormData = (field, value) => {
@@ -43,7 +68,7 @@ export default function PAForm({
         >
           X
         </button>
-        <form onSubmit={e => {e.preventDefault(); setPaFormOpen(false); setPaFormSubmitted(true);}}>
+        <form onSubmit={e => {e.preventDefault(); updateFormData('evidence', supportingEvidence); setPaFormOpen(false); setPaFormSubmitted(true);}}>
           <div className="mb-3">
             <label className="block font-semibold mb-1">Patient Name</label>
             <input className="border p-2 rounded w-full" value={patient?.name || ""} disabled />
@@ -64,6 +89,23 @@ export default function PAForm({
             <label className="block font-semibold mb-1">Insurance</label>
             <input className="border p-2 rounded w-full" value={patient?.insurance || ""} disabled />
           </div>
+          {suggestedFill && (
+            <div className="mb-3 flex gap-2">
+              <div className="flex-1">
+                <label className="block font-semibold mb-1">Quantity ({suggestedFill.unit}s)</label>
+                <input type="number" className="border p-2 rounded w-full" value={quantity} onChange={e => updateFormData('quantity', e.target.value)} min="1" />
+              </div>
+              <div className="flex-1">
+                <label className="block font-semibold mb-1">Days supply</label>
+                <input type="number" className="border p-2 rounded w-full" value={daysSupply} onChange={e => updateFormData('daysSupply', e.target.value)} min="1" />
+              </div>
+            </div>
+          )}
+          {quantityLimit?.status === CriteriaStatus.NOT_MET && (
+            <div className="mb-3 p-2 bg-yellow-100 border border-yellow-400 rounded text-sm text-yellow-900">
+              {quantityLimit.details}
+            </div>
+          )}
           {/* Show PA criteria if drug has criteria */}
           {applicableCriteria.length > 0 && (
             <>
@@ -127,6 +169,18 @@ export default function PAForm({
               </div>
             </>
           )}
+          {supportingEvidence.length > 0 && (
+            <div className="mb-3">
+              <label className="block font-semibold mb-1">Supporting evidence</label>
+              <ul className="text-sm list-disc ml-5">
+                {supportingEvidence.map((item, index) => (
+                  <li key={`${item.criterion}-${index}`}>
+                    {formatEvidence(item)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
           <div className="mb-3">
             <label className="block font-semibold mb-1">Attach documentation (simulated)</label>
             <input type="text" className="border p-2 rounded w-full" value={paFormData.docUpload} onChange={e => updateFormData('docUpload', e.target.value)} placeholder="e.g. Chart note, PDF, etc." />
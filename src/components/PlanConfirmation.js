@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import { PlanResolutionStatus } from '../utils/planResolver';
+
+// Lets staff pick the plan when the patient's Coverage matched several plans or none
+const PlanConfirmation = ({ resolution, plans, onConfirm }) => {
+  const [plan, setPlan] = useState(resolution?.candidates?.[0]?.plan || '');
+
+  if (!resolution || ![PlanResolutionStatus.AMBIGUOUS, PlanResolutionStatus.UNRESOLVED].includes(resolution.status)) {
+    return null;
+  }
+
+  const ambiguous = resolution.status === PlanResolutionStatus.AMBIGUOUS;
+  const options = ambiguous ? resolution.candidates.map(c => c.plan) : plans;
+  const payor = resolution.identifiers.flatMap(ids => ids.payorNames)[0];
+
+  return (
+    <div className="plan-confirmation" style={{ padding: '0.5rem 0', fontSize: '0.8125rem', color: '#856404' }}>
+      <div style={{ marginBottom: '0.375rem' }}>
+        {ambiguous
+          ? `Coverage matches ${options.length} plans — confirm which applies`
+          : `No policy matched ${payor || 'this coverage'} — select the plan`}
+      </div>
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <select value={plan} onChange={e => setPlan(e.target.value)} style={{ flex: 1, fontSize: '0.8125rem' }}>
+          <option value="" disabled>Select plan…</option>
+          {options.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button type="button" disabled={!plan} onClick={() => onConfirm(plan)} style={{ fontSize: '0.8125rem' }}>
+          Confirm
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PlanConfirmation;
@@ -1,7 +1,28 @@
 import React, { useState, useMemo, useEffect } from "react";
 import CoverageDisplay from "./CoverageDisplay";
 import PAForm from "./PAForm";
-import { getCriteriaForMedication } from "../utils/coverageLogic";
+import { getCriteriaForMedication, getIndicationPolicy, inferIndication } from "../utils/coverageLogic";
+import { INDICATIONS } from "../data/drugRegistry";
+
+// FDA-labeled for weight management (indications come from the drug registry)
+const isWeightManagementDrug = drug => drug.indications?.includes("chronicWeightManagement");
+
+// Labeled for diabetes only; prescribing for weight loss is off-label
+const isGlp1DiabetesDrug = drug => drug.class?.startsWith("GLP-1") && drug.indications?.includes("type2Diabetes");
+
+// Labeled indications ranked for the patient, plus off-label weight management
+// for GLP-1 diabetes drugs
+const getIndicationOptions = (drug, inferred) => {
+  const options = inferred?.candidates || [];
+  if (!isGlp1DiabetesDrug(drug) || isWeightManagementDrug(drug)) return options;
+  return [...options, {
+    indication: "chronicWeightManagement",
+    label: INDICATIONS.chronicWeightManagement,
+    offLabel: true,
+    supported: false,
+    diagnoses: []
+  }];
+};
 
 // Import directly - no PatientContext needed since we pass patient as prop
 function TherapyModalContent({
@@ -15,6 +36,8 @@ function TherapyModalContent({
   setSelectedDose,
   selectedIndication,
   setSelectedIndication,
+  asOfDate,
+  setAsOfDate,
   therapySubmitted,
   setTherapySubmitted,
   paFormOpen,
@@ -27,6 +50,8 @@ function TherapyModalContent({
   patient,
   filteredDrugs,
   selectedDrug,
+  indicationOptions,
+  inferredIndication,
   coverage,
   coverageError
 }) {
@@ -83,64 +108,46 @@ function TherapyModalContent({
             </ul>
           )}
 
-          {/* Indication selection for drugs with multiple uses */}
-          {selectedDrugId && selectedDrug && (
+          {/* Indication: the drug's labeled uses, with coverage on the patient's plan */}
+          {selectedDrugId && selectedDrug && indicationOptions.length > 0 && (
             <div className="mb-4">
               <label className="block font-semibold mb-2">Indication / Reason for Prescription:</label>
               <div className="space-y-2">
-                {/* Check if this is a dual-indication drug */}
-                {(selectedDrug.name === "Ozempic" || selectedDrug.name === "Mounjaro") && (
-                  <>
-                    <label className="flex items-center p-3 border-2 border-gray-300 rounded-lg cursor-pointer hover:border-blue-500 hover:bg-blue-50 transition">
-                      <input
-                        type="radio"
-                        name="indication"
-                        value="diabetes"
-                        checked={selectedIndication === "diabetes"}
-                        onChange={e => setSelectedIndication(e.target.value)}
-                        className="mr-3 w-5 h-5"
-                      />
-                      <div className="flex-1">
-                        <div className="font-bold text-gray-900">Type 2 Diabetes Mellitus</div>
-                        <div className="text-sm text-gray-600">Primary indication - Glycemic control</div>
+                {indicationOptions.map(option => (
+                  <label
+                    key={option.indication}
+                    className={`flex items-center p-3 border-2 rounded-lg cursor-pointer hover:border-blue-500 hover:bg-blue-50 transition ${selectedIndication === option.indication ? "border-blue-500 bg-blue-50" : "border-gray-300"}`}
+                  >
+                    <input
+                      type="radio"
+                      name="indication"
+                      value={option.indication}
+                      checked={selectedIndication === option.indication}
+                      onChange={e => setSelectedIndication(e.target.value)}
+                      className="mr-3 w-5 h-5"
+                    />
+                    <div className="flex-1">
+                      <div className="font-bold text-gray-900">
+                        {option.label}
+                        {option.indication === inferredIndication && (
+                          <span className="ml-2 px-2 py-1 bg-green-100 text-green-800 rounded text-xs">Most favorable</span>
+                        )}
                       </div>
-                    </label>
-                    <label className="flex items-center p-3 border-2 border-gray-300 rounded-lg cursor-pointer hover:border-blue-500 hover:bg-blue-50 transition">
-                      <input
-                        type="radio"
-                        name="indication"
-                        value="weight_loss"
-                        checked={selectedIndication === "weight_loss"}
-                        onChange={e => setSelectedIndication(e.target.value)}
-                        className="mr-3 w-5 h-5"
-                      />
-                      <div className="flex-1">
-                        <div className="font-bold text-gray-900">Chronic Weight Management</div>
-                        <div className="text-sm text-gray-600">Off-label use - May not be covered</div>
+                      <div className="text-sm text-gray-600">
+                        {option.offLabel
+                          ? "Off-label use - May not be covered"
+                          : option.covered
+                            ? `Covered${option.tier ? ` - ${option.tier}` : ""}${option.paRequired ? ", PA required" : ""}`
+                            : "Not covered for this use"}
                       </div>
-                    </label>
-                  </>
-                )}
-                
-                {/* Weight-loss only drugs */}
-                {(selectedDrug.name === "Wegovy" || selectedDrug.name === "Zepbound" || selectedDrug.name === "Saxenda") && (
-                  <div className="p-3 border-2 border-blue-500 rounded-lg bg-blue-50">
-                    <div className="flex items-start">
-                      <input
-                        type="radio"
-                        name="indication"
-                        value="weight_loss"
-                        checked={true}
-                        readOnly
-                        className="mr-3 mt-1 w-5 h-5"
-                      />
-                      <div className="flex-1">
-                        <div className="font-bold text-gray-900">Chronic Weight Management</div>
-                        <div className="text-sm text-gray-600">FDA-approved indication for obesity</div>
+                      <div className="text-sm text-gray-600">
+                        {option.diagnoses.length > 0
+                          ? `Documented: ${option.diagnoses.join(", ")}`
+                          : option.supported ? "Supported by chart" : "Not documented in chart"}
                       </div>
                     </div>
-                  </div>
-                )}
+                  </label>
+                ))}
               </div>
             </div>
           )}
@@ -173,6 +180,17 @@ function TherapyModalContent({
           {/* Coverage display */}
           {selectedDrugId && patient && (
             <>
+              <div className="mb-4">
+                <label className="block font-semibold mb-2" htmlFor="as-of-date">Evaluate as of (appeals):</label>
+                <input
+                  id="as-of-date"
+                  type="date"
+                  className="border p-2 rounded w-full"
+                  value={asOfDate}
+                  max={new Date().toISOString().slice(0, 10)}
+                  onChange={e => setAsOfDate(e.target.value)}
+                />
+              </div>
               {coverageError && (
                 <div className="bg-red-100 p-3 rounded border border-red-300 text-red-800 mb-4">
                   {coverageError}
@@ -183,6 +201,8 @@ function TherapyModalContent({
                 patientData={patient}
                 medication={selectedDrug?.name}
                 dose={selectedDose}
+                asOf={asOfDate || undefined}
+                indication={selectedIndication || undefined}
               />
               {/* PA Button logic: only show after dose is selected and PA is required */}
               {selectedDose && coverage && coverage.paRequired && !therapySubmitted && !paFormOpen && !paFormSubmitted && (
@@ -197,7 +217,9 @@ function TherapyModalContent({
               <PAForm
                 drugName={selectedDrug?.name}
                 selectedDose={selectedDose}
+                indication={selectedIndication || undefined}
                 drugCoverage={drugCoverage}
+                asOf={asOfDate || undefined}
                 paFormOpen={paFormOpen}
                 setPaFormOpen={setPaFormOpen}
                 setPaFormSubmitted={setPaFormSubmitted}
@@ -232,7 +254,9 @@ function TherapyModalContent({
                   pediatricPercentile: "",
                   maintenanceDose: "",
                   bmiReduction: "",
-                  docUpload: ""
+                  docUpload: "",
+                  quantity: "",
+                  daysSupply: ""
                 });
               }}
             >
@@ -275,6 +299,7 @@ export default function TherapyModal({
   const patient = window.__selectedPatient || null;
   const [coverageError, setCoverageError] = useState(null);
   const [selectedIndication, setSelectedIndication] = useState("");
+  const [asOfDate, setAsOfDate] = useState("");
   
   const filteredDrugs = allDrugs.filter(drug =>
     drug.name.toLowerCase().includes(drugSearch.toLowerCase()) ||
@@ -282,16 +307,21 @@ export default function TherapyModal({
   );
 
   const selectedDrug = allDrugs.find(d => d.id === selectedDrugId);
-  
-  // Auto-set indication for weight-loss only drugs
+
+  // The most favorable covered indication the patient's diagnoses support
+  const inferred = useMemo(
+    () => (selectedDrug ? inferIndication(patient, selectedDrug.name, { asOf: asOfDate || undefined }) : null),
+    [patient, selectedDrug, asOfDate]
+  );
+  const indicationOptions = selectedDrug ? getIndicationOptions(selectedDrug, inferred) : [];
+
+  // Preselect it when a drug is picked; a drug with one labeled use gets that one
   useEffect(() => {
-    if (selectedDrug && (selectedDrug.name === "Wegovy" || selectedDrug.name === "Zepbound" || selectedDrug.name === "Saxenda")) {
-      setSelectedIndication("weight_loss");
-    } else if (selectedDrug && selectedIndication === "") {
-      // Reset indication when switching drugs
-      setSelectedIndication("");
-    }
-  }, [selectedDrug, selectedIndication]);
+    if (!selectedDrug || selectedIndication !== "") return;
+    const only = selectedDrug.indications?.length === 1 ? selectedDrug.indications[0] : "";
+    const preselected = inferred?.indication || only;
+    if (preselected) setSelectedIndication(preselected);
+  }, [selectedDrug, selectedIndication, inferred]);
   
   const coverage = useMemo(() => {
     if (!patient || !selectedDrug) {
@@ -301,18 +331,21 @@ export default function TherapyModal({
     
     try {
       // Get criteria for the medication - simplified coverage check
-      const criteria = getCriteriaForMedication(selectedDrug.name, selectedDose);
+      const options = { plan: patient.insurance, indication: selectedIndication || undefined };
+      const criteria = getCriteriaForMedication(selectedDrug.name, selectedDose, options);
       if (!criteria || Object.keys(criteria).length === 0) {
         setCoverageError(`Coverage criteria not found for ${selectedDrug.name}`);
         return null;
       }
       setCoverageError(null);
-      return { paRequired: true, criteria }; // Return simplified coverage object
+      // The plan's policy for the chosen indication, where it has one
+      const policy = getIndicationPolicy(patient.insurance, selectedDrug.name, selectedIndication)?.policy;
+      return { paRequired: policy?.paRequired ?? true, doseSchedule: policy?.doseSchedule, criteria };
     } catch (error) {
       setCoverageError(`Error checking coverage: ${error.message}`);
       return null;
     }
-  }, [patient, selectedDrug, selectedDose, drugCoverage]);
+  }, [patient, selectedDrug, selectedDose, selectedIndication, drugCoverage]);
   
   // Close modal on Escape key
   useEffect(() => {
@@ -342,6 +375,8 @@ export default function TherapyModal({
       setSelectedDose={setSelectedDose}
       selectedIndication={selectedIndication}
       setSelectedIndication={setSelectedIndication}
+      asOfDate={asOfDate}
+      setAsOfDate={setAsOfDate}
       therapySubmitted={therapySubmitted}
       setTherapySubmitted={setTherapySubmitted}
       paFormOpen={paFormOpen}
@@ -354,6 +389,8 @@ export default function TherapyModal({
       patient={patient}
       filteredDrugs={filteredDrugs}
       selectedDrug={selectedDrug}
+      indicationOptions={indicationOptions}
+      inferredIndication={inferred?.indication}
       coverage={coverage}
       coverageError={coverageError}
     />
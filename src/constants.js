@@ -5,7 +5,11 @@ export const CriteriaStatus = {
   MET: 'MET',
   NOT_MET: 'NOT_MET',
   NOT_APPLICABLE: 'NOT_APPLICABLE',
-  WARNING: 'WARNING'
+  WARNING: 'WARNING',
+  PARTIAL: 'PARTIAL',
+  // Chart data can't settle the criterion; the prescriber must attest to it
+  NEEDS_ATTESTATION: 'NEEDS_ATTESTATION',
+  ERROR: 'ERROR'
 };
 
 /**
@@ -21,11 +25,17 @@ export function normalizeStatus(input) {
   const NOT_MET = new Set(['fail', 'no', 'not_met', 'denied', 'false']);
   const NOT_APPLICABLE = new Set(['not_applicable', 'n/a', 'na']);
   const WARNING = new Set(['warning', 'warn']);
+  const PARTIAL = new Set(['partial', 'partially_met']);
+  const NEEDS_ATTESTATION = new Set(['needs_attestation', 'attestation_required']);
+  const ERROR = new Set(['error']);
 
   if (MET.has(s)) return CriteriaStatus.MET;
   if (NOT_MET.has(s)) return CriteriaStatus.NOT_MET;
   if (NOT_APPLICABLE.has(s)) return CriteriaStatus.NOT_APPLICABLE;
   if (WARNING.has(s)) return CriteriaStatus.WARNING;
+  if (PARTIAL.has(s)) return CriteriaStatus.PARTIAL;
+  if (NEEDS_ATTESTATION.has(s)) return CriteriaStatus.NEEDS_ATTESTATION;
+  if (ERROR.has(s)) return CriteriaStatus.ERROR;
 
   // default for unknown/invalid values per tests
   return CriteriaStatus.NOT_MET;
@@ -0,0 +1,17 @@
+// CDC BMI-for-age reference for ages 2-20 years (24-240.5 months), including the
+// 2022 extended BMI-for-age parameters used above the 95th percentile.
+//
+// Each row is [agemos, L, M, S, sigma, P95], one per half month of age, as published
+// in CDC's bmi-age-2022.csv. Regenerate this file from the CSV with:
+//
+//   node scripts/import-cdc-bmi-table.js path/to/bmi-age-2022.csv
+//
+// Until the rows are imported, percentiles fall back to the value documented in the
+// chart (LOINC 59576-9) or the clinical notes, and pediatric BMI results say so.
+
+export const CDC_BMI_SOURCE = 'CDC BMI-for-age growth charts with extended percentiles (bmi-age-2022.csv)';
+
+export const CDC_BMI_FOR_AGE = {
+  male: [],
+  female: []
+};
@@ -1,8 +1,51 @@
 // Real-world PA criteria for major insurance plans
 // Based on 2024-2025 formulary requirements
 
+import { getDoseSchedule } from "./drugRegistry";
+
+// Date this snapshot took effect. A plan/drug entry may override it with its
+// own effectiveDate and terminationDate (ISO dates) and name itself with `version`.
+//
+// Each plan/drug entry is the policy currently in effect. When a payer changes
+// criteria, the entry is updated and the superseded policy is kept in its
+// `previousVersions`, listing what differed and when it applied:
+//
+//   previousVersions: [
+//     { version: "2024.1", effectiveDate: "2024-01-01", paCriteria: [...] }
+//   ]
+//
+// Evaluations use the version in effect on the date of service (see
+// getPolicyVersions() in coverageLogic.js) and record which one they applied.
+export const POLICY_EFFECTIVE_DATE = "2024-01-01";
+
+// Each plan's `dataFreshness` sets how recent the evidence behind a criterion must
+// be, by kind of datum: weight, bmi, bloodPressure, a lab key from LAB_VALUE_SETS
+// (a1c, egfr, ...) or `labs` for any other lab. `maxAgeDays` is the oldest value
+// accepted; `inPerson` requires the measurement to come from an in-person visit.
+// See dataFreshness.js.
+//
+// A drug's `quantityLimits` states the plan's quantity limit as written
+// ("4 pens per 28 days", "1 box per month"). Give `quantityLimit:
+// { quantity, unit, days }` where the wording doesn't parse. Requests over the
+// limit fail the quantityLimit criterion (see quantityLimitEvaluator.js).
+//
+// A drug covered differently by indication lists `indications`, keyed as
+// INDICATIONS in drugRegistry.js, each restating only what differs for that use;
+// the rest of the entry is the policy for any other use (see getIndicationPolicy()
+// in coverageLogic.js):
+//
+//   indications: {
+//     cardiovascularRiskReduction: { covered: true, paCriteria: [...] }
+//   }
 export const drugCoverage = {
   "CVS Health (Aetna)": {
+    dataFreshness: {
+      weight: { maxAgeDays: 30 },
+      bmi: { maxAgeDays: 30, inPerson: true },
+      a1c: { maxAgeDays: 90 },
+      labs: { maxAgeDays: 180 }
+    },
+
     "Wegovy": {
       covered: true,
       tier: "Tier 3 - Non-Preferred Brand",
@@ -12,13 +55,7 @@ export const drugCoverage = {
       preferred: false,
       preferredAlternative: "Consider lifestyle modification first",
       
-      doseSchedule: [
-        { value: "0.25 mg", phase: "starting", duration: "Month 1" },
-        { value: "0.5 mg", phase: "titration", duration: "Month 2" },
-        { value: "1 mg", phase: "titration", duration: "Month 3" },
-        { value: "1.7 mg", phase: "titration", duration: "Month 4" },
-        { value: "2.4 mg", phase: "maintenance", duration: "Month 5+" }
-      ],
+      doseSchedule: getDoseSchedule("Wegovy"),
       
       paCriteria: [
         { 
@@ -30,6 +67,12 @@ export const drugCoverage = {
         { 
           rule: "BMI ≥30 kg/m², OR BMI ≥27 kg/m² with at least one weight-related comorbidity (Type 2 Diabetes, Hypertension, Dyslipidemia, Obstructive Sleep Apnea, Cardiovascular Disease)", 
           type: "bmi",
+          logic: {
+            any: [
+              { fact: "bmi", op: ">=", value: 30 },
+              { all: [{ fact: "bmi", op: ">=", value: 27 }, { fact: "comorbidityCount", op: ">=", value: 1 }] }
+            ]
+          },
           critical: true
         },
         { 
@@ -47,11 +90,14 @@ export const drugCoverage = {
         { 
           rule: "No contraindications: pregnancy, planning pregnancy, breastfeeding, personal/family history of medullary thyroid carcinoma (MTC), Multiple Endocrine Neoplasia syndrome type 2 (MEN 2), pancreatitis", 
           type: "contraindications",
+          exclusions: ["pregnancy", "breastfeeding", "mtc", "men2", "pancreatitis"],
           critical: true
         },
         { 
           rule: "Prescriber is an obesity specialist, endocrinologist, or provider experienced in weight management", 
-          type: "prescriberQualification"
+          type: "prescriberQualification",
+          acceptedSpecialties: ["obesityMedicine", "endocrinology"],
+          experienceAttestation: true
         },
         { 
           rule: "For CONTINUATION (doses >0.5 mg): Patient achieved ≥5% weight loss from baseline within first 12-16 weeks at maximum tolerated dose", 
@@ -93,12 +139,7 @@ export const drugCoverage = {
       stepTherapy: true,
       preferred: true,
       
-      doseSchedule: [
-        { value: "0.25 mg", phase: "starting", duration: "Month 1" },
-        { value: "0.5 mg", phase: "maintenance", duration: "Month 2+" },
-        { value: "1 mg", phase: "maintenance", duration: "If needed" },
-        { value: "2 mg", phase: "maintenance", duration: "If needed" }
-      ],
+      doseSchedule: getDoseSchedule("Ozempic"),
       
       paCriteria: [
         { 
@@ -129,11 +170,13 @@ export const drugCoverage = {
         },
         { 
           rule: "Documented cardiovascular disease (CVD) OR high cardiovascular risk (10-year ASCVD risk ≥10%) for CV indication", 
-          type: "cvdRisk"
+          type: "cvdRisk",
+          minRisk: 10
         },
         { 
           rule: "No contraindications: personal/family history of medullary thyroid carcinoma, MEN 2, pancreatitis, severe gastroparesis", 
           type: "contraindications",
+          exclusions: ["mtc", "men2", "pancreatitis", "gastroparesis"],
           critical: true
         },
         { 
@@ -168,14 +211,7 @@ export const drugCoverage = {
       stepTherapy: true,
       preferred: true,
       
-      doseSchedule: [
-        { value: "2.5 mg", phase: "starting", duration: "Month 1" },
-        { value: "5 mg", phase: "titration", duration: "Month 2" },
-        { value: "7.5 mg", phase: "maintenance", duration: "Month 3+" },
-        { value: "10 mg", phase: "maintenance", duration: "If needed" },
-        { value: "12.5 mg", phase: "maintenance", duration: "If needed" },
-        { value: "15 mg", phase: "maintenance", duration: "Max dose" }
-      ],
+      doseSchedule: getDoseSchedule("Mounjaro"),
       
       paCriteria: [
         { 
@@ -207,6 +243,7 @@ export const drugCoverage = {
         { 
           rule: "No contraindications: personal/family history of medullary thyroid carcinoma, MEN 2, history of pancreatitis", 
           type: "contraindications",
+          exclusions: ["mtc", "men2", "pancreatitis"],
           critical: true
         },
         { 
@@ -246,6 +283,13 @@ export const drugCoverage = {
   },
   
   "UnitedHealthcare PPO": {
+    dataFreshness: {
+      weight: { maxAgeDays: 60 },
+      bmi: { maxAgeDays: 60, inPerson: true },
+      a1c: { maxAgeDays: 90 },
+      labs: { maxAgeDays: 180 }
+    },
+
     "Wegovy": {
       covered: true,
       tier: "Tier 4 - Specialty",
@@ -254,24 +298,36 @@ export const drugCoverage = {
       stepTherapy: false,
       preferred: false,
       
-      doseSchedule: [
-        { value: "0.25 mg", phase: "starting", duration: "Month 1" },
-        { value: "0.5 mg", phase: "titration", duration: "Month 2" },
-        { value: "1 mg", phase: "titration", duration: "Month 3" },
-        { value: "1.7 mg", phase: "titration", duration: "Month 4" },
-        { value: "2.4 mg", phase: "maintenance", duration: "Month 5+" }
-      ],
+      doseSchedule: getDoseSchedule("Wegovy"),
       
       paCriteria: [
         { 
           rule: "Patient is 18 years or older (12+ for pediatric indication)", 
           type: "age", 
           minAge: 18,
+          pediatricMinAge: 12,
           critical: true
         },
         { 
           rule: "BMI ≥30 kg/m² (adults) OR BMI ≥27 kg/m² with ≥1 weight-related comorbidity OR BMI ≥95th percentile for age/sex (pediatric)", 
           type: "bmi",
+          logic: {
+            any: [
+              {
+                all: [
+                  { fact: "age", op: ">=", value: 18 },
+                  {
+                    any: [
+                      { fact: "bmi", op: ">=", value: 30 },
+                      { all: [{ fact: "bmi", op: ">=", value: 27 }, { fact: "comorbidityCount", op: ">=", value: 1 }] }
+                    ]
+                  }
+                ]
+              },
+              { all: [{ fact: "age", op: "<", value: 18 }, { fact: "bmiPercentile", op: ">=", value: 95 }] }
+            ]
+          },
+          pediatric: { minPercentile: 95 },
           critical: true
         },
         { 
@@ -285,16 +341,20 @@ export const drugCoverage = {
           rule: "Trial of at least 2 other weight loss medications OR documented contraindication/intolerance to alternatives (Phentermine, Contrave, Orlistat)", 
           type: "priorTherapies",
           minTrials: 2,
+          strategies: ["medication"],
           critical: true
         },
         { 
           rule: "Prescriber must be Board Certified in Endocrinology, Bariatrics, or Internal Medicine with documented obesity management experience", 
           type: "prescriberQualification",
+          acceptedSpecialties: ["endocrinology", "obesityMedicine"],
+          attestationSpecialties: ["internalMedicine"],
           critical: true
         },
         { 
           rule: "No contraindications: pregnancy, breastfeeding, MTC history, MEN 2, severe GI disease, diabetic retinopathy complications", 
           type: "contraindications",
+          exclusions: ["pregnancy", "breastfeeding", "mtc", "men2", "gastroparesis"],
           critical: true
         },
         { 
@@ -335,12 +395,7 @@ export const drugCoverage = {
       preferred: false,
       preferredAlternative: "Trulicity, Victoza",
       
-      doseSchedule: [
-        { value: "0.25 mg", phase: "starting", duration: "Month 1" },
-        { value: "0.5 mg", phase: "maintenance", duration: "Month 2+" },
-        { value: "1 mg", phase: "maintenance", duration: "If needed" },
-        { value: "2 mg", phase: "maintenance", duration: "Max dose" }
-      ],
+      doseSchedule: getDoseSchedule("Ozempic"),
       
       paCriteria: [
         { 
@@ -360,6 +415,7 @@ export const drugCoverage = {
           type: "labValue",
           labName: "A1C",
           minValue: 8.0,
+          maxAgeDays: 90,
           critical: true
         },
         { 
@@ -385,6 +441,7 @@ export const drugCoverage = {
         { 
           rule: "No contraindications: MTC, MEN 2, severe renal impairment (eGFR <30), pancreatitis", 
           type: "contraindications",
+          exclusions: ["mtc", "men2", "renalImpairment", "pancreatitis"],
           critical: true
         },
         { 
@@ -416,14 +473,7 @@ export const drugCoverage = {
       stepTherapy: true,
       preferred: false,
       
-      doseSchedule: [
-        { value: "2.5 mg", phase: "starting", duration: "Month 1" },
-        { value: "5 mg", phase: "titration", duration: "Month 2" },
-        { value: "7.5 mg", phase: "maintenance", duration: "Month 3+" },
-        { value: "10 mg", phase: "maintenance", duration: "If needed" },
-        { value: "12.5 mg", phase: "maintenance", duration: "If needed" },
-        { value: "15 mg", phase: "maintenance", duration: "Max dose" }
-      ],
+      doseSchedule: getDoseSchedule("Mounjaro"),
       
       paCriteria: [
         { 
@@ -443,6 +493,7 @@ export const drugCoverage = {
           type: "labValue",
           labName: "A1C",
           minValue: 8.0,
+          maxAgeDays: 90,
           critical: true
         },
         { 
@@ -462,6 +513,7 @@ export const drugCoverage = {
         { 
           rule: "No contraindications: MTC, MEN 2, pancreatitis history, severe GI disease", 
           type: "contraindications",
+          exclusions: ["mtc", "men2", "pancreatitis", "gastroparesis"],
           critical: true
         },
         { 
@@ -494,14 +546,7 @@ export const drugCoverage = {
       stepTherapy: false,
       preferred: false,
       
-      doseSchedule: [
-        { value: "2.5 mg", phase: "starting", duration: "Month 1" },
-        { value: "5 mg", phase: "titration", duration: "Month 2" },
-        { value: "7.5 mg", phase: "titration", duration: "Month 3" },
-        { value: "10 mg", phase: "maintenance", duration: "Month 4+" },
-        { value: "12.5 mg", phase: "maintenance", duration: "If needed" },
-        { value: "15 mg", phase: "maintenance", duration: "Max dose" }
-      ],
+      doseSchedule: getDoseSchedule("Zepbound"),
       
       paCriteria: [
         { 
@@ -513,6 +558,12 @@ export const drugCoverage = {
         { 
           rule: "BMI ≥30 kg/m² OR BMI ≥27 kg/m² with weight-related comorbidity", 
           type: "bmi",
+          logic: {
+            any: [
+              { fact: "bmi", op: ">=", value: 30 },
+              { all: [{ fact: "bmi", op: ">=", value: 27 }, { fact: "comorbidityCount", op: ">=", value: 1 }] }
+            ]
+          },
           critical: true
         },
         { 
@@ -530,11 +581,13 @@ export const drugCoverage = {
         { 
           rule: "Prescriber specialization in obesity/endocrinology", 
           type: "prescriberQualification",
+          acceptedSpecialties: ["obesityMedicine", "endocrinology"],
           critical: true
         },
         { 
           rule: "No contraindications: pregnancy, MTC, MEN 2, pancreatitis", 
           type: "contraindications",
+          exclusions: ["pregnancy", "mtc", "men2", "pancreatitis"],
           critical: true
         },
         { 
@@ -563,6 +616,13 @@ export const drugCoverage = {
   },
   
   "Medicare Part D": {
+    dataFreshness: {
+      weight: { maxAgeDays: 90 },
+      bmi: { maxAgeDays: 90 },
+      a1c: { maxAgeDays: 90 },
+      labs: { maxAgeDays: 365 }
+    },
+
     "Wegovy": {
       covered: false,
       tier: "Not Covered",
@@ -570,7 +630,48 @@ export const drugCoverage = {
       paRequired: false,
       stepTherapy: false,
       preferred: false,
-      note: "NOT COVERED - Medicare Part D explicitly excludes weight loss medications per federal law. Patient must pay out-of-pocket (~$1,300-1,500/month) or use manufacturer assistance."
+      indications: {
+        cardiovascularRiskReduction: {
+          covered: true,
+          tier: "Tier 3 - Non-Preferred Brand",
+          copay: "$47-100",
+          paRequired: true,
+          doseSchedule: getDoseSchedule("Wegovy"),
+          paCriteria: [
+            {
+              rule: "Established cardiovascular disease: prior myocardial infarction, stroke, or symptomatic peripheral artery disease",
+              type: "indication",
+              indication: "cardiovascularRiskReduction",
+              critical: true
+            },
+            {
+              rule: "BMI ≥27 kg/m²",
+              type: "bmi",
+              logic: { fact: "bmi", op: ">=", value: 27 },
+              critical: true
+            },
+            {
+              rule: "No contraindications: MTC, MEN 2",
+              type: "contraindications",
+              exclusions: ["mtc", "men2"],
+              critical: true
+            },
+            {
+              rule: "Documentation of the cardiovascular diagnosis and current BMI",
+              type: "documentation",
+              critical: true
+            }
+          ],
+          evaluationRules: {
+            starting: ["indication", "bmi", "contraindications", "documentation"],
+            maintenance: ["indication", "contraindications", "documentation"]
+          },
+          reauthorizationRequired: "Annual",
+          quantityLimits: "4 pens per 28 days",
+          note: "Covered to reduce the risk of major adverse cardiovascular events in adults with established cardiovascular disease and obesity or overweight. Weight loss alone is still excluded."
+        }
+      },
+      note: "NOT COVERED for weight loss - Medicare Part D explicitly excludes weight loss medications per federal law. Covered for cardiovascular risk reduction (see indications). Patient must pay out-of-pocket (~$1,300-1,500/month) or use manufacturer assistance."
     },
     
     "Ozempic": {
@@ -581,12 +682,7 @@ export const drugCoverage = {
       stepTherapy: true,
       preferred: true,
       
-      doseSchedule: [
-        { value: "0.25 mg", phase: "starting", duration: "Month 1" },
-        { value: "0.5 mg", phase: "maintenance", duration: "Month 2+" },
-        { value: "1 mg", phase: "maintenance", duration: "If needed" },
-        { value: "2 mg", phase: "maintenance", duration: "Max dose" }
-      ],
+      doseSchedule: getDoseSchedule("Ozempic"),
       
       paCriteria: [
         { 
@@ -624,6 +720,7 @@ export const drugCoverage = {
         { 
           rule: "No contraindications: eGFR <30, MTC, MEN 2", 
           type: "contraindications",
+          exclusions: ["renalImpairment", "mtc", "men2"],
           critical: true
         },
         { 
@@ -655,14 +752,7 @@ export const drugCoverage = {
       preferred: false,
       preferredAlternative: "Ozempic, Trulicity",
       
-      doseSchedule: [
-        { value: "2.5 mg", phase: "starting", duration: "Month 1" },
-        { value: "5 mg", phase: "titration", duration: "Month 2" },
-        { value: "7.5 mg", phase: "maintenance", duration: "Month 3+" },
-        { value: "10 mg", phase: "maintenance", duration: "If needed" },
-        { value: "12.5 mg", phase: "maintenance", duration: "If needed" },
-        { value: "15 mg", phase: "maintenance", duration: "Max dose" }
-      ],
+      doseSchedule: getDoseSchedule("Mounjaro"),
       
       paCriteria: [
         { 
@@ -676,6 +766,7 @@ export const drugCoverage = {
           type: "labValue",
           labName: "A1C",
           minValue: 8.0,
+          maxAgeDays: 90,
           critical: true
         },
         { 
@@ -701,6 +792,7 @@ export const drugCoverage = {
         { 
           rule: "No contraindications: eGFR <30, pancreatitis, MTC, MEN 2", 
           type: "contraindications",
+          exclusions: ["renalImpairment", "pancreatitis", "mtc", "men2"],
           critical: true
         },
         { 
@@ -731,11 +823,60 @@ export const drugCoverage = {
       paRequired: false,
       stepTherapy: false,
       preferred: false,
-      note: "NOT COVERED - Indicated for weight loss only. Medicare Part D does not cover weight loss medications. Patient must pay out-of-pocket."
+      indications: {
+        obstructiveSleepApnea: {
+          covered: true,
+          tier: "Tier 3 - Non-Preferred Brand",
+          copay: "$47-100",
+          paRequired: true,
+          doseSchedule: getDoseSchedule("Zepbound"),
+          paCriteria: [
+            {
+              rule: "Moderate to severe obstructive sleep apnea (AHI ≥15 events/hour) on polysomnography or a home sleep apnea test",
+              type: "indication",
+              indication: "obstructiveSleepApnea",
+              minAhi: 15,
+              critical: true
+            },
+            {
+              rule: "BMI ≥30 kg/m²",
+              type: "bmi",
+              logic: { fact: "bmi", op: ">=", value: 30 },
+              critical: true
+            },
+            {
+              rule: "No contraindications: MTC, MEN 2",
+              type: "contraindications",
+              exclusions: ["mtc", "men2"],
+              critical: true
+            },
+            {
+              rule: "Sleep study report and current BMI documented",
+              type: "documentation",
+              critical: true
+            }
+          ],
+          evaluationRules: {
+            starting: ["indication", "bmi", "contraindications", "documentation"],
+            maintenance: ["indication", "contraindications", "documentation"]
+          },
+          reauthorizationRequired: "Annual",
+          quantityLimits: "4 pens per 28 days",
+          note: "Covered for moderate to severe obstructive sleep apnea in adults with obesity. Weight loss alone is still excluded."
+        }
+      },
+      note: "NOT COVERED for weight loss - Covered for obstructive sleep apnea (see indications). Medicare Part D does not cover weight loss medications. Patient must pay out-of-pocket."
     }
   },
   
   "UnitedHealthcare Medicare Advantage": {
+    dataFreshness: {
+      weight: { maxAgeDays: 90 },
+      bmi: { maxAgeDays: 90, inPerson: true },
+      a1c: { maxAgeDays: 120 },
+      labs: { maxAgeDays: 365 }
+    },
+
     "Wegovy": {
       covered: false,
       tier: "Not Covered",
@@ -743,7 +884,48 @@ export const drugCoverage = {
       paRequired: false,
       stepTherapy: false,
       preferred: false,
-      note: "NOT COVERED - Weight loss medications excluded from Medicare coverage by federal law. Some MA plans MAY cover as supplemental benefit - check specific plan."
+      indications: {
+        cardiovascularRiskReduction: {
+          covered: true,
+          tier: "Tier 4 - Non-Preferred Specialty",
+          copay: "$100 or 33% coinsurance",
+          paRequired: true,
+          doseSchedule: getDoseSchedule("Wegovy"),
+          paCriteria: [
+            {
+              rule: "Established cardiovascular disease: prior myocardial infarction, stroke, or symptomatic peripheral artery disease",
+              type: "indication",
+              indication: "cardiovascularRiskReduction",
+              critical: true
+            },
+            {
+              rule: "BMI ≥27 kg/m²",
+              type: "bmi",
+              logic: { fact: "bmi", op: ">=", value: 27 },
+              critical: true
+            },
+            {
+              rule: "No contraindications: MTC, MEN 2",
+              type: "contraindications",
+              exclusions: ["mtc", "men2"],
+              critical: true
+            },
+            {
+              rule: "Documentation of the cardiovascular diagnosis and current BMI",
+              type: "documentation",
+              critical: true
+            }
+          ],
+          evaluationRules: {
+            starting: ["indication", "bmi", "contraindications", "documentation"],
+            maintenance: ["indication", "contraindications", "documentation"]
+          },
+          reauthorizationRequired: "Annual",
+          quantityLimits: "4 pens per 28 days",
+          note: "Covered to reduce the risk of major adverse cardiovascular events in adults with established cardiovascular disease and obesity or overweight. Weight loss alone is still excluded."
+        }
+      },
+      note: "NOT COVERED for weight loss - Weight loss medications excluded from Medicare coverage by federal law. Covered for cardiovascular risk reduction (see indications). Some MA plans MAY cover as supplemental benefit - check specific plan."
     },
     
     "Ozempic": {
@@ -754,12 +936,7 @@ export const drugCoverage = {
       stepTherapy: true,
       preferred: true,
       
-      doseSchedule: [
-        { value: "0.25 mg", phase: "starting", duration: "Month 1" },
-        { value: "0.5 mg", phase: "maintenance", duration: "Month 2+" },
-        { value: "1 mg", phase: "maintenance", duration: "If needed" },
-        { value: "2 mg", phase: "maintenance", duration: "Max dose" }
-      ],
+      doseSchedule: getDoseSchedule("Ozempic"),
       
       paCriteria: [
         { 
@@ -777,6 +954,7 @@ export const drugCoverage = {
           type: "labValue",
           labName: "A1C",
           minValue: 8.0,
+          maxAgeDays: 90,
           critical: true
         },
         { 
@@ -800,6 +978,7 @@ export const drugCoverage = {
         { 
           rule: "No contraindications: eGFR <30, gastroparesis, MTC, MEN 2", 
           type: "contraindications",
+          exclusions: ["renalImpairment", "gastroparesis", "mtc", "men2"],
           critical: true
         },
         { 
@@ -832,14 +1011,7 @@ export const drugCoverage = {
       preferred: false,
       preferredAlternative: "Ozempic",
       
-      doseSchedule: [
-        { value: "2.5 mg", phase: "starting", duration: "Month 1" },
-        { value: "5 mg", phase: "titration", duration: "Month 2" },
-        { value: "7.5 mg", phase: "maintenance", duration: "Month 3+" },
-        { value: "10 mg", phase: "maintenance", duration: "If needed" },
-        { value: "12.5 mg", phase: "maintenance", duration: "If needed" },
-        { value: "15 mg", phase: "maintenance", duration: "Max dose" }
-      ],
+      doseSchedule: getDoseSchedule("Mounjaro"),
       
       paCriteria: [
         { 
@@ -853,6 +1025,7 @@ export const drugCoverage = {
           type: "labValue",
           labName: "A1C",
           minValue: 8.0,
+          maxAgeDays: 90,
           critical: true
         },
         { 
@@ -879,6 +1052,7 @@ export const drugCoverage = {
         { 
           rule: "No contraindications: severe renal impairment, pancreatitis, MTC", 
           type: "contraindications",
+          exclusions: ["renalImpairment", "pancreatitis", "mtc"],
           critical: true
         },
         { 
@@ -910,7 +1084,49 @@ export const drugCoverage = {
       paRequired: false,
       stepTherapy: false,
       preferred: false,
-      note: "NOT COVERED - Weight loss indication not covered by Medicare. Patient pays out-of-pocket (~$1,000+/month)."
+      indications: {
+        obstructiveSleepApnea: {
+          covered: true,
+          tier: "Tier 4 - Non-Preferred Specialty",
+          copay: "$100 or 33% coinsurance",
+          paRequired: true,
+          doseSchedule: getDoseSchedule("Zepbound"),
+          paCriteria: [
+            {
+              rule: "Moderate to severe obstructive sleep apnea (AHI ≥15 events/hour) on polysomnography or a home sleep apnea test",
+              type: "indication",
+              indication: "obstructiveSleepApnea",
+              minAhi: 15,
+              critical: true
+            },
+            {
+              rule: "BMI ≥30 kg/m²",
+              type: "bmi",
+              logic: { fact: "bmi", op: ">=", value: 30 },
+              critical: true
+            },
+            {
+              rule: "No contraindications: MTC, MEN 2",
+              type: "contraindications",
+              exclusions: ["mtc", "men2"],
+              critical: true
+            },
+            {
+              rule: "Sleep study report and current BMI documented",
+              type: "documentation",
+              critical: true
+            }
+          ],
+          evaluationRules: {
+            starting: ["indication", "bmi", "contraindications", "documentation"],
+            maintenance: ["indication", "contraindications", "documentation"]
+          },
+          reauthorizationRequired: "Annual",
+          quantityLimits: "4 pens per 28 days",
+          note: "Covered for moderate to severe obstructive sleep apnea in adults with obesity. Weight loss alone is still excluded."
+        }
+      },
+      note: "NOT COVERED for weight loss - Covered for obstructive sleep apnea (see indications). Patient pays out-of-pocket (~$1,000+/month)."
     }
   }
 };
\ No newline at end of file
@@ -0,0 +1,389 @@
+// Drug facts: the one place for codes, strengths, dose schedules and FDA-labeled
+// indications. Plan policies (drugCoverage.js), the drug picker and the dose
+// evaluators all read from here.
+//
+// RxCUIs are RxNorm ingredient (IN) concepts; each strength can carry its SCD
+// (clinical drug) and SBD (branded drug) RxCUIs as `scd` and `sbd`. NDCs are the
+// FDA NDC Directory package codes as printed (labeler-product-package).
+
+export const INDICATIONS = {
+  type2Diabetes: 'Type 2 diabetes mellitus',
+  chronicWeightManagement: 'Chronic weight management',
+  cardiovascularRiskReduction: 'Cardiovascular risk reduction',
+  obstructiveSleepApnea: 'Obstructive sleep apnea with obesity',
+  chronicKidneyDisease: 'Chronic kidney disease',
+  heartFailure: 'Heart failure'
+};
+
+/**
+ * Active ingredients. `restart` is the lapse after which a patient re-titrates
+ * from the product's first step (see titrationGaps.js).
+ */
+export const INGREDIENTS = {
+  semaglutide: {
+    label: 'Semaglutide',
+    rxcui: '1991302',
+    restart: { maxGapDays: 14, rule: 'more than 2 consecutive weeks of doses missed' }
+  },
+  tirzepatide: {
+    label: 'Tirzepatide',
+    rxcui: '2601723',
+    restart: { maxGapDays: 21, rule: '3 or more consecutive weekly doses missed' }
+  },
+  liraglutide: {
+    label: 'Liraglutide',
+    rxcui: '475968',
+    restart: { maxGapDays: 3, rule: 'more than 3 days since the last daily dose' }
+  },
+  dulaglutide: { label: 'Dulaglutide', rxcui: '1551291', restart: null },
+  empagliflozin: { label: 'Empagliflozin', rxcui: '1545653', restart: null },
+  dapagliflozin: { label: 'Dapagliflozin', rxcui: '1488564', restart: null },
+  bupropion: { label: 'Bupropion', rxcui: '42347', restart: null },
+  naltrexone: { label: 'Naltrexone', rxcui: '7243', restart: null },
+  phentermine: { label: 'Phentermine', rxcui: '8152', restart: null },
+  topiramate: { label: 'Topiramate', rxcui: '38404', restart: null }
+};
+
+/**
+ * Products keyed by id. `doseSchedule` is the labeled titration, in order; its
+ * first step is the starting dose and its last the maximum.
+ *
+ * `packaging` is what a fill is counted in: the `unit` dispensed (pen, tablet,
+ * capsule) and how many come in the smallest package. Multi-dose pens give the
+ * drug each pen holds as `mgPerUnit`, on the product or, where the pen differs by
+ * strength, on the strength. See daysSupply.js.
+ */
+export const DRUG_REGISTRY = {
+  wegovy: {
+    name: 'Wegovy',
+    ingredients: ['semaglutide'],
+    class: 'GLP-1',
+    route: 'subcutaneous',
+    frequency: 'weekly',
+    indications: ['chronicWeightManagement', 'cardiovascularRiskReduction'],
+    packaging: { unit: 'pen', perPackage: 4 }, // single-dose pens
+    strengths: [
+      { dose: '0.25 mg', ndc: ['0169-4525-14'] },
+      { dose: '0.5 mg', ndc: ['0169-4505-14'] },
+      { dose: '1 mg', ndc: ['0169-4501-14'] },
+      { dose: '1.7 mg', ndc: ['0169-4517-14'] },
+      { dose: '2.4 mg', ndc: ['0169-4524-14'] }
+    ],
+    doseSchedule: [
+      { value: '0.25 mg', phase: 'starting', duration: 'Month 1' },
+      { value: '0.5 mg', phase: 'titration', duration: 'Month 2' },
+      { value: '1 mg', phase: 'titration', duration: 'Month 3' },
+      { value: '1.7 mg', phase: 'titration', duration: 'Month 4' },
+      { value: '2.4 mg', phase: 'maintenance', duration: 'Month 5+' }
+    ]
+  },
+  ozempic: {
+    name: 'Ozempic',
+    ingredients: ['semaglutide'],
+    class: 'GLP-1',
+    route: 'subcutaneous',
+    frequency: 'weekly',
+    indications: ['type2Diabetes', 'cardiovascularRiskReduction', 'chronicKidneyDisease'],
+    packaging: { unit: 'pen', perPackage: 1 }, // multi-dose pen; mg per pen by strength
+    strengths: [
+      { dose: '0.25 mg', ndc: ['0169-4132-12'], mgPerUnit: 2 },
+      { dose: '0.5 mg', ndc: ['0169-4132-12'], mgPerUnit: 2 },
+      { dose: '1 mg', ndc: ['0169-4130-13'], mgPerUnit: 4 },
+      { dose: '2 mg', ndc: ['0169-4772-12'], mgPerUnit: 8 }
+    ],
+    doseSchedule: [
+      { value: '0.25 mg', phase: 'starting', duration: 'Month 1' },
+      { value: '0.5 mg', phase: 'maintenance', duration: 'Month 2+' },
+      { value: '1 mg', phase: 'maintenance', duration: 'If needed' },
+      { value: '2 mg', phase: 'maintenance', duration: 'Max dose' }
+    ]
+  },
+  rybelsus: {
+    name: 'Rybelsus',
+    ingredients: ['semaglutide'],
+    class: 'GLP-1',
+    route: 'oral',
+    frequency: 'daily',
+    indications: ['type2Diabetes'],
+    packaging: { unit: 'tablet', perPackage: 30 },
+    strengths: [
+      { dose: '3 mg', ndc: ['0169-4303-30'] },
+      { dose: '7 mg', ndc: ['0169-4307-30'] },
+      { dose: '14 mg', ndc: ['0169-4314-30'] }
+    ],
+    doseSchedule: [
+      { value: '3 mg', phase: 'starting', duration: 'Month 1' },
+      { value: '7 mg', phase: 'maintenance', duration: 'Month 2+' },
+      { value: '14 mg', phase: 'maintenance', duration: 'Max dose' }
+    ]
+  },
+  mounjaro: {
+    name: 'Mounjaro',
+    ingredients: ['tirzepatide'],
+    class: 'GLP-1/GIP',
+    route: 'subcutaneous',
+    frequency: 'weekly',
+    indications: ['type2Diabetes'],
+    packaging: { unit: 'pen', perPackage: 4 }, // single-dose pens
+    strengths: [
+      { dose: '2.5 mg', ndc: ['0002-1506-80'] },
+      { dose: '5 mg', ndc: ['0002-1495-80'] },
+      { dose: '7.5 mg', ndc: ['0002-1484-80'] },
+      { dose: '10 mg', ndc: ['0002-1471-80'] },
+      { dose: '12.5 mg', ndc: ['0002-1460-80'] },
+      { dose: '15 mg', ndc: ['0002-1457-80'] }
+    ],
+    doseSchedule: [
+      { value: '2.5 mg', phase: 'starting', duration: 'Month 1' },
+      { value: '5 mg', phase: 'titration', duration: 'Month 2' },
+      { value: '7.5 mg', phase: 'maintenance', duration: 'Month 3+' },
+      { value: '10 mg', phase: 'maintenance', duration: 'If needed' },
+      { value: '12.5 mg', phase: 'maintenance', duration: 'If needed' },
+      { value: '15 mg', phase: 'maintenance', duration: 'Max dose' }
+    ]
+  },
+  zepbound: {
+    name: 'Zepbound',
+    ingredients: ['tirzepatide'],
+    class: 'GLP-1/GIP',
+    route: 'subcutaneous',
+    frequency: 'weekly',
+    indications: ['chronicWeightManagement', 'obstructiveSleepApnea'],
+    packaging: { unit: 'pen', perPackage: 4 }, // single-dose pens
+    strengths: [
+      { dose: '2.5 mg', ndc: ['0002-2506-80'] },
+      { dose: '5 mg', ndc: ['0002-2495-80'] },
+      { dose: '7.5 mg', ndc: ['0002-2484-80'] },
+      { dose: '10 mg', ndc: ['0002-2471-80'] },
+      { dose: '12.5 mg', ndc: ['0002-2460-80'] },
+      { dose: '15 mg', ndc: ['0002-2457-80'] }
+    ],
+    doseSchedule: [
+      { value: '2.5 mg', phase: 'starting', duration: 'Month 1' },
+      { value: '5 mg', phase: 'titration', duration: 'Month 2' },
+      { value: '7.5 mg', phase: 'titration', duration: 'Month 3' },
+      { value: '10 mg', phase: 'maintenance', duration: 'Month 4+' },
+      { value: '12.5 mg', phase: 'maintenance', duration: 'If needed' },
+      { value: '15 mg', phase: 'maintenance', duration: 'Max dose' }
+    ]
+  },
+  saxenda: {
+    name: 'Saxenda',
+    ingredients: ['liraglutide'],
+    class: 'GLP-1',
+    route: 'subcutaneous',
+    frequency: 'daily',
+    indications: ['chronicWeightManagement'],
+    packaging: { unit: 'pen', perPackage: 5, mgPerUnit: 18 }, // 18 mg/3 mL multi-dose pens
+    // One multi-dose pen delivers every strength
+    strengths: ['0.6 mg', '1.2 mg', '1.8 mg', '2.4 mg', '3 mg'].map(dose => ({ dose, ndc: ['0169-2800-15'] })),
+    doseSchedule: [
+      { value: '0.6 mg', phase: 'starting', duration: 'Week 1' },
+      { value: '1.2 mg', phase: 'titration', duration: 'Week 2' },
+      { value: '1.8 mg', phase: 'titration', duration: 'Week 3' },
+      { value: '2.4 mg', phase: 'titration', duration: 'Week 4' },
+      { value: '3 mg', phase: 'maintenance', duration: 'Week 5+' }
+    ]
+  },
+  victoza: {
+    name: 'Victoza',
+    ingredients: ['liraglutide'],
+    class: 'GLP-1',
+    route: 'subcutaneous',
+    frequency: 'daily',
+    indications: ['type2Diabetes', 'cardiovascularRiskReduction'],
+    packaging: { unit: 'pen', perPackage: 2, mgPerUnit: 18 }, // 18 mg/3 mL multi-dose pens, 2-pen carton
+    strengths: ['0.6 mg', '1.2 mg', '1.8 mg'].map(dose => ({ dose, ndc: ['0169-4060-12', '0169-4060-13'] })),
+    doseSchedule: [
+      { value: '0.6 mg', phase: 'starting', duration: 'Week 1' },
+      { value: '1.2 mg', phase: 'maintenance', duration: 'Week 2+' },
+      { value: '1.8 mg', phase: 'maintenance', duration: 'Max dose' }
+    ]
+  },
+  trulicity: {
+    name: 'Trulicity',
+    ingredients: ['dulaglutide'],
+    class: 'GLP-1',
+    route: 'subcutaneous',
+    frequency: 'weekly',
+    indications: ['type2Diabetes', 'cardiovascularRiskReduction'],
+    packaging: { unit: 'pen', perPackage: 4 }, // single-dose pens
+    strengths: [
+      { dose: '0.75 mg', ndc: ['0002-1433-80'] },
+      { dose: '1.5 mg', ndc: ['0002-1434-80'] },
+      { dose: '3 mg', ndc: ['0002-2236-80'] },
+      { dose: '4.5 mg', ndc: ['0002-3182-80'] }
+    ],
+    doseSchedule: [
+      { value: '0.75 mg', phase: 'starting', duration: 'Month 1' },
+      { value: '1.5 mg', phase: 'maintenance', duration: 'Month 2+' },
+      { value: '3 mg', phase: 'maintenance', duration: 'If needed' },
+      { value: '4.5 mg', phase: 'maintenance', duration: 'Max dose' }
+    ]
+  },
+  jardiance: {
+    name: 'Jardiance',
+    ingredients: ['empagliflozin'],
+    class: 'SGLT2',
+    route: 'oral',
+    frequency: 'daily',
+    indications: ['type2Diabetes', 'cardiovascularRiskReduction', 'heartFailure', 'chronicKidneyDisease'],
+    packaging: { unit: 'tablet', perPackage: 30 },
+    strengths: [
+      { dose: '10 mg', ndc: ['0597-0152-30'] },
+      { dose: '25 mg', ndc: ['0597-0153-30'] }
+    ],
+    doseSchedule: [
+      { value: '10 mg', phase: 'starting', duration: 'Month 1+' },
+      { value: '25 mg', phase: 'maintenance', duration: 'If needed' }
+    ]
+  },
+  farxiga: {
+    name: 'Farxiga',
+    ingredients: ['dapagliflozin'],
+    class: 'SGLT2',
+    route: 'oral',
+    frequency: 'daily',
+    indications: ['type2Diabetes', 'heartFailure', 'chronicKidneyDisease'],
+    packaging: { unit: 'tablet', perPackage: 30 },
+    strengths: [
+      { dose: '5 mg', ndc: ['0310-6205-30'] },
+      { dose: '10 mg', ndc: ['0310-6210-30'] }
+    ],
+    doseSchedule: [
+      { value: '5 mg', phase: 'starting', duration: 'Month 1+' },
+      { value: '10 mg', phase: 'maintenance', duration: 'If needed' }
+    ]
+  },
+  contrave: {
+    name: 'Contrave',
+    ingredients: ['bupropion', 'naltrexone'],
+    class: 'Combination',
+    route: 'oral',
+    frequency: 'daily',
+    indications: ['chronicWeightManagement'],
+    packaging: { unit: 'tablet', perPackage: 120 },
+    strengths: [{ dose: '8 mg/90 mg', ndc: [] }],
+    doseSchedule: [
+      { value: '1 tablet daily', phase: 'starting', duration: 'Week 1' },
+      { value: '1 tablet twice daily', phase: 'titration', duration: 'Week 2' },
+      { value: '2 tablets AM, 1 tablet PM', phase: 'titration', duration: 'Week 3' },
+      { value: '2 tablets twice daily', phase: 'maintenance', duration: 'Week 4+' }
+    ]
+  },
+  qsymia: {
+    name: 'Qsymia',
+    ingredients: ['phentermine', 'topiramate'],
+    class: 'Combination',
+    route: 'oral',
+    frequency: 'daily',
+    indications: ['chronicWeightManagement'],
+    packaging: { unit: 'capsule', perPackage: 30 },
+    strengths: [
+      { dose: '3.75 mg/23 mg', ndc: [] },
+      { dose: '7.5 mg/46 mg', ndc: [] },
+      { dose: '11.25 mg/69 mg', ndc: [] },
+      { dose: '15 mg/92 mg', ndc: [] }
+    ],
+    doseSchedule: [
+      { value: '3.75 mg/23 mg', phase: 'starting', duration: 'Days 1-14' },
+      { value: '7.5 mg/46 mg', phase: 'maintenance', duration: 'Day 15+' },
+      { value: '11.25 mg/69 mg', phase: 'titration', duration: 'If needed' },
+      { value: '15 mg/92 mg', phase: 'maintenance', duration: 'Max dose' }
+    ]
+  }
+};
+
+/**
+ * A product by id or brand name ('wegovy', 'Wegovy'), as
+ * { id, name, generic, ...registry entry }, or null
+ */
+export function getDrug(nameOrId) {
+  const key = String(nameOrId || '').trim().toLowerCase();
+  const id = DRUG_REGISTRY[key] ? key : Object.keys(DRUG_REGISTRY).find(k => DRUG_REGISTRY[k].name.toLowerCase() === key);
+  return id ? describe(id) : null;
+}
+
+/**
+ * Every product, in registry order
+ */
+export function listDrugs() {
+  return Object.keys(DRUG_REGISTRY).map(describe);
+}
+
+/**
+ * Products containing an ingredient ('semaglutide' -> Wegovy, Ozempic, Rybelsus)
+ */
+export function getDrugsByIngredient(ingredient) {
+  const key = String(ingredient || '').toLowerCase();
+  return listDrugs().filter(drug => drug.ingredients.includes(key));
+}
+
+/**
+ * The product and strength a code identifies: an NDC in any of the 10-digit
+ * hyphenated layouts or 11-digit form, or an SCD/SBD RxCUI. Returns
+ * { drug, strength } or null. Ingredient RxCUIs name several products; use
+ * getDrugsByIngredient() for those.
+ */
+export function findDrugByCode(code) {
+  const ndc = normalizeNdc(code);
+  for (const drug of listDrugs()) {
+    for (const strength of drug.strengths) {
+      if ((ndc && strength.ndc.some(c => normalizeNdc(c) === ndc)) ||
+          String(code) === strength.scd || String(code) === strength.sbd) {
+        return { drug, strength };
+      }
+    }
+  }
+  return null;
+}
+
+export function getDoseSchedule(nameOrId) {
+  return getDrug(nameOrId)?.doseSchedule || null;
+}
+
+export function getDoses(nameOrId) {
+  return getDoseSchedule(nameOrId)?.map(step => step.value) || [];
+}
+
+/**
+ * The titration phase ('starting', 'titration' or 'maintenance') a dose belongs
+ * to in the drug's schedule, or null when the dose isn't on it
+ */
+export function getDosePhase(nameOrId, dose) {
+  return getDoseSchedule(nameOrId)?.find(step => step.value === dose)?.phase || null;
+}
+
+export function getStartingDose(nameOrId) {
+  return getDoses(nameOrId)[0] || null;
+}
+
+export function getMaxDose(nameOrId) {
+  const doses = getDoses(nameOrId);
+  return doses[doses.length - 1] || null;
+}
+
+/**
+ * An NDC as 11 digits (5-4-2), or null. Hyphenated 10-digit codes (4-4-2, 5-3-2,
+ * 5-4-1) are padded in the short segment; unhyphenated ones must already be 11.
+ */
+export function normalizeNdc(code) {
+  const text = String(code ?? '').trim();
+  const parts = text.split('-');
+  if (parts.length === 3 && parts.every(part => /^\d+$/.test(part))) {
+    const [labeler, product, pkg] = parts;
+    if (labeler.length > 5 || product.length > 4 || pkg.length > 2) return null;
+    return labeler.padStart(5, '0') + product.padStart(4, '0') + pkg.padStart(2, '0');
+  }
+  return /^\d{11}$/.test(text) ? text : null;
+}
+
+function describe(id) {
+  const drug = DRUG_REGISTRY[id];
+  return {
+    id,
+    ...drug,
+    generic: drug.ingredients.join('/'),
+    displayName: `${drug.name} (${drug.ingredients.join('/')})`
+  };
+}
@@ -1,9 +1,14 @@
+import { getDrug } from "./drugRegistry";
+
+// Name, generic and starting-strength NDC from the drug registry
+const product = id => {
+  const drug = getDrug(id);
+  return { id, name: drug.name, generic: drug.generic, ndc: drug.strengths[0].ndc[0] };
+};
+
 export const glp1Drugs = [
   {
-    id: "ozempic",
-    name: "Ozempic",
-    generic: "semaglutide",
-    ndc: "0169-4133-12",
+    ...product("ozempic"),
     coverageRules: [
       {
         insurance: "Medicare",
@@ -35,10 +40,7 @@ export const glp1Drugs = [
     ]
   },
   {
-    id: "trulicity",
-    name: "Trulicity",
-    generic: "dulaglutide",
-    ndc: "0002-1433-80",
+    ...product("trulicity"),
     coverageRules: [
       {
         insurance: "Medicare",
@@ -62,10 +64,7 @@ export const glp1Drugs = [
     ]
   },
   {
-    id: "mounjaro",
-    name: "Mounjaro",
-    generic: "tirzepatide",
-    ndc: "0002-1496-80",
+    ...product("mounjaro"),
     coverageRules: [
       {
         insurance: "Medicare",
@@ -89,10 +88,7 @@ export const glp1Drugs = [
     ]
   },
   {
-    id: "wegovy",
-    name: "Wegovy",
-    generic: "semaglutide",
-    ndc: "0169-4517-01",
+    ...product("wegovy"),
     coverageRules: [
       {
         insurance: "Medicare",
@@ -11,7 +11,8 @@ export const patients = [
     vitals: {
       height: { value: 160, units: "cm" },
       weight: { value: 82, units: "kg" },
-      bmi: 32.0
+      bmi: 32.0,
+      bloodPressure: { systolic: 138, diastolic: 82, date: "2024-10-01" }
     },
     labs: {
       a1c: { value: 8.2, units: "%", date: "2024-09-15" },
@@ -53,6 +54,7 @@ export const patients = [
     ],
     clinicalNotes: {
       hasWeightProgram: true,
+      smokingStatus: "never",
       baselineWeight: { value: 82, units: "kg", date: "2024-07-01" },
       currentWeight: { value: 82, units: "kg", date: "2024-10-01" },
       weightLossPercentage: 0,
@@ -89,7 +91,8 @@ export const patients = [
     vitals: {
       height: { value: 173, units: "cm" },
       weight: { value: 87, units: "kg" },
-      bmi: 29.0
+      bmi: 29.0,
+      bloodPressure: { systolic: 142, diastolic: 88, date: "2024-09-20" }
     },
     labs: {
       a1c: { value: 7.0, units: "%", date: "2024-09-20" },
@@ -124,6 +127,7 @@ export const patients = [
     ],
     clinicalNotes: {
       hasWeightProgram: true,
+      smokingStatus: "former",
       contraindications: {
         pregnancy: false,
         breastfeeding: false,
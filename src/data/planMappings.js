@@ -0,0 +1,59 @@
+// How FHIR Coverage resources map to the plans in drugCoverage.js.
+// See resolvePlan() in utils/planResolver.js.
+//
+// A mapping matches a Coverage when every identifier it lists matches:
+//
+//   payorIds   identifiers on Coverage.payor (e.g. the payer's EDI ID)
+//   payorNames words in the payor's display name (case-insensitive)
+//   types      codes in Coverage.type (Source of Payment Typology)
+//   classes    Coverage.class values by class type: group, plan, rxbin, rxpcn, rxgroup
+//
+// The mappings listing the most identifiers win. When mappings for different plans
+// tie, the Coverage is ambiguous and staff confirm the plan; confirmed coverages are
+// added here so they resolve directly next time. Add BIN/PCN/group rows from your
+// payer contracts with registerPlanMapping().
+
+// Source of Payment Typology (PHDSC), used by Coverage.type
+export const PAYER_TYPE_SYSTEM = 'urn:oid:2.16.840.1.113883.3.221.5';
+export const COVERAGE_CLASS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/coverage-class';
+
+export const PLAN_MAPPINGS = [
+  {
+    plan: 'CVS Health (Aetna)',
+    payorIds: ['60054'],
+    note: 'Aetna payer ID'
+  },
+  {
+    plan: 'CVS Health (Aetna)',
+    payorNames: ['aetna']
+  },
+  {
+    plan: 'UnitedHealthcare PPO',
+    payorIds: ['87726'],
+    note: 'UnitedHealthcare payer ID'
+  },
+  {
+    plan: 'UnitedHealthcare PPO',
+    payorNames: ['unitedhealthcare']
+  },
+  {
+    plan: 'UnitedHealthcare Medicare Advantage',
+    payorIds: ['87726'],
+    types: ['11', '111', '112'],
+    note: 'UnitedHealthcare coverage typed as Medicare managed care'
+  },
+  {
+    plan: 'UnitedHealthcare Medicare Advantage',
+    payorNames: ['unitedhealthcare'],
+    types: ['11', '111', '112']
+  },
+  {
+    plan: 'Medicare Part D',
+    types: ['122'],
+    note: 'Medicare drug benefit'
+  },
+  {
+    plan: 'Medicare Part D',
+    payorNames: ['medicare part d']
+  }
+];
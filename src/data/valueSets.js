@@ -0,0 +1,451 @@
+// Coded value sets used by the criteria evaluators
+// Codes are matched by prefix so that ICD-10 subcodes (e.g. K85.90) fall under their category.
+
+import { INGREDIENTS, getDrugsByIngredient } from './drugRegistry';
+
+export const CodeSystems = {
+  ICD10: 'http://hl7.org/fhir/sid/icd-10-cm',
+  SNOMED: 'http://snomed.info/sct',
+  LOINC: 'http://loinc.org',
+  CPT: 'http://www.ama-assn.org/go/cpt',
+  HCPCS: 'urn:oid:2.16.840.1.113883.6.285',
+  NUCC: 'http://nucc.org/provider-taxonomy'
+};
+
+/**
+ * Contraindications screened before starting a GLP-1 / GIP agonist.
+ * `familyHistory` marks the ones that also count when a relative has them;
+ * `currentState` the ones that no longer apply once resolved.
+ * `keywords` is the fallback for free-text diagnoses without a code.
+ */
+export const CONTRAINDICATION_VALUE_SETS = {
+  mtc: {
+    label: 'Medullary thyroid carcinoma',
+    familyHistory: true,
+    codes: [
+      { system: CodeSystems.SNOMED, code: '255032005' }
+    ],
+    keywords: ['medullary thyroid', 'medullary carcinoma of thyroid']
+  },
+  men2: {
+    label: 'Multiple Endocrine Neoplasia type 2',
+    familyHistory: true,
+    codes: [
+      { system: CodeSystems.ICD10, code: 'E31.22' },
+      { system: CodeSystems.ICD10, code: 'E31.23' }
+    ],
+    keywords: ['multiple endocrine neoplasia type 2', 'multiple endocrine neoplasia, type 2', 'men 2', 'men2', 'sipple']
+  },
+  pancreatitis: {
+    label: 'Pancreatitis',
+    codes: [
+      { system: CodeSystems.ICD10, code: 'K85' },
+      { system: CodeSystems.ICD10, code: 'K86.0' },
+      { system: CodeSystems.ICD10, code: 'K86.1' },
+      { system: CodeSystems.SNOMED, code: '75694006' }
+    ],
+    keywords: ['pancreatitis']
+  },
+  pregnancy: {
+    label: 'Pregnancy',
+    currentState: true,
+    codes: [
+      { system: CodeSystems.ICD10, code: 'Z33.1' },
+      { system: CodeSystems.ICD10, code: 'Z34' },
+      { system: CodeSystems.SNOMED, code: '77386006' }
+    ],
+    keywords: ['pregnant', 'pregnancy']
+  },
+  breastfeeding: {
+    label: 'Breastfeeding',
+    currentState: true,
+    codes: [
+      { system: CodeSystems.ICD10, code: 'Z39.1' },
+      { system: CodeSystems.SNOMED, code: '413712001' }
+    ],
+    keywords: ['breastfeeding', 'breast-feeding', 'lactating']
+  },
+  gastroparesis: {
+    label: 'Severe gastroparesis',
+    codes: [
+      { system: CodeSystems.ICD10, code: 'K31.84' }
+    ],
+    keywords: ['gastroparesis']
+  },
+  renalImpairment: {
+    label: 'Severe renal impairment (eGFR <30)',
+    codes: [
+      { system: CodeSystems.ICD10, code: 'N18.4' },
+      { system: CodeSystems.ICD10, code: 'N18.5' },
+      { system: CodeSystems.ICD10, code: 'N18.6' }
+    ],
+    keywords: ['end stage renal', 'ckd stage 4', 'ckd stage 5']
+  }
+};
+
+// Observation codes and answers used for pregnancy / lactation screening
+export const PREGNANCY_STATUS = {
+  loinc: '82810-3',
+  pregnant: ['77386006'],
+  notPregnant: ['60001007']
+};
+
+export const BREASTFEEDING_STATUS = {
+  loinc: '63895-7',
+  yes: ['LA33-6'],
+  no: ['LA32-8']
+};
+
+export const EGFR_LOINC_CODES = ['33914-3', '62238-1', '98979-8'];
+
+/**
+ * Medication classes referenced by step-therapy criteria, matched against
+ * ingredient and brand names. Keys are lower-case class ids.
+ */
+export const MEDICATION_CLASSES = {
+  metformin: {
+    label: 'Metformin',
+    names: ['metformin', 'glucophage', 'glumetza', 'fortamet', 'riomet']
+  },
+  sulfonylurea: {
+    label: 'Sulfonylurea',
+    names: ['glipizide', 'glyburide', 'glimepiride', 'glucotrol', 'amaryl', 'glynase']
+  },
+  dpp4: {
+    label: 'DPP-4 inhibitor',
+    names: ['sitagliptin', 'linagliptin', 'saxagliptin', 'alogliptin', 'januvia', 'tradjenta', 'onglyza', 'nesina']
+  },
+  sglt2: {
+    label: 'SGLT2 inhibitor',
+    names: ['empagliflozin', 'dapagliflozin', 'canagliflozin', 'ertugliflozin', 'jardiance', 'farxiga', 'invokana', 'steglatro']
+  },
+  tzd: {
+    label: 'Thiazolidinedione',
+    names: ['pioglitazone', 'rosiglitazone', 'actos', 'avandia']
+  },
+  antihypertensive: {
+    label: 'Antihypertensive',
+    names: [
+      'lisinopril', 'enalapril', 'ramipril', 'benazepril', 'quinapril',
+      'losartan', 'valsartan', 'irbesartan', 'olmesartan', 'telmisartan', 'candesartan',
+      'amlodipine', 'nifedipine', 'diltiazem', 'verapamil',
+      'hydrochlorothiazide', 'chlorthalidone', 'indapamide',
+      'metoprolol', 'carvedilol', 'atenolol', 'bisoprolol', 'labetalol',
+      'spironolactone', 'clonidine', 'hydralazine'
+    ]
+  },
+  statin: {
+    label: 'Statin',
+    names: ['atorvastatin', 'rosuvastatin', 'simvastatin', 'pravastatin', 'lovastatin', 'pitavastatin', 'fluvastatin']
+  }
+};
+
+/**
+ * GLP-1 ingredients and the products that share them, from the drug registry.
+ * Products with the same ingredient and route are dosed mg for mg, so time at a
+ * strength on one counts toward titration on another. `schedule` is each
+ * product's titration steps. `restart` is the lapse after which the patient
+ * re-titrates from the product's first step.
+ */
+export const GLP1_INGREDIENTS = Object.fromEntries(
+  ['semaglutide', 'tirzepatide', 'liraglutide', 'dulaglutide'].map(ingredient => [ingredient, {
+    label: INGREDIENTS[ingredient].label,
+    restart: INGREDIENTS[ingredient].restart,
+    products: Object.fromEntries(getDrugsByIngredient(ingredient).map(drug => [
+      drug.id,
+      { route: drug.route, schedule: drug.doseSchedule.map(step => step.value) }
+    ]))
+  }])
+);
+
+// Criterion labels in drugCoverage.js that stand for a group of classes
+export const MEDICATION_CLASS_ALIASES = {
+  'other diabetes med': ['sulfonylurea', 'dpp4', 'sglt2', 'tzd'],
+  'oral agent': ['sulfonylurea', 'dpp4', 'sglt2', 'tzd']
+};
+
+/**
+ * Lab tests referenced by `labValue` criteria. `unit` is the unit thresholds are
+ * written in; `conversions` turn other reported units into it (value * factor + offset).
+ * `keys` are the matching entries of the app's `labs` object.
+ */
+export const LAB_VALUE_SETS = {
+  a1c: {
+    label: 'Hemoglobin A1c',
+    aliases: ['a1c', 'hba1c', 'hemoglobin a1c'],
+    loinc: ['4548-4', '17856-6', '59261-8', '4549-2'],
+    keys: ['a1c', 'hba1c'],
+    unit: '%',
+    // IFCC to NGSP master equation
+    conversions: { 'mmol/mol': { factor: 0.09148, offset: 2.152 } }
+  },
+  creatinine: {
+    label: 'Serum creatinine',
+    aliases: ['creatinine', 'scr', 'serum creatinine'],
+    loinc: ['2160-0', '38483-4', '14682-9'],
+    keys: ['creatinine', 'scr'],
+    unit: 'mg/dL',
+    conversions: { 'umol/L': { factor: 1 / 88.42, offset: 0 } }
+  },
+  egfr: {
+    label: 'eGFR',
+    aliases: ['egfr', 'gfr'],
+    loinc: EGFR_LOINC_CODES,
+    keys: ['egfr'],
+    unit: 'mL/min/1.73m2',
+    conversions: {}
+  },
+  totalCholesterol: {
+    label: 'Total cholesterol',
+    aliases: ['total cholesterol', 'cholesterol', 'tc'],
+    loinc: ['2093-3'],
+    keys: ['cholesterol', 'totalCholesterol'],
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': { factor: 38.67, offset: 0 } }
+  },
+  hdl: {
+    label: 'HDL cholesterol',
+    aliases: ['hdl', 'hdl cholesterol', 'hdl-c'],
+    loinc: ['2085-9'],
+    keys: ['hdl'],
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': { factor: 38.67, offset: 0 } }
+  },
+  ldl: {
+    label: 'LDL cholesterol',
+    aliases: ['ldl', 'ldl cholesterol', 'ldl-c'],
+    loinc: ['13457-7', '18262-6', '2089-1'],
+    keys: ['ldl'],
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': { factor: 38.67, offset: 0 } }
+  },
+  glucose: {
+    label: 'Fasting glucose',
+    aliases: ['glucose', 'fasting glucose', 'fpg'],
+    loinc: ['1558-6', '2345-7'],
+    keys: ['glucose', 'fastingGlucose'],
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': { factor: 18.016, offset: 0 } }
+  }
+};
+
+// Cardiovascular risk inputs (cvdRisk criterion)
+export const SYSTOLIC_BP_LOINC = '8480-6';
+export const BP_PANEL_LOINC = ['85354-9', '55284-4'];
+
+export const SMOKING_STATUS = {
+  loinc: ['72166-2'],
+  current: ['449868002', '428041000124106', '77176002', '428071000124103', '428061000124105', '65568007'],
+  notCurrent: ['8517006', '266919005', '266927001']
+};
+
+// US Core race extension, OMB category used to pick the Pooled Cohort Equation
+export const US_CORE_RACE_URL = 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-race';
+export const OMB_BLACK = '2054-5';
+
+export const DIABETES_VALUE_SET = {
+  label: 'Diabetes mellitus',
+  codes: [
+    { system: CodeSystems.ICD10, code: 'E10' },
+    { system: CodeSystems.ICD10, code: 'E11' },
+    { system: CodeSystems.ICD10, code: 'E13' },
+    { system: CodeSystems.SNOMED, code: '44054006' },
+    { system: CodeSystems.SNOMED, code: '46635009' },
+    { system: CodeSystems.SNOMED, code: '73211009' }
+  ],
+  keywords: ['diabetes mellitus', 'type 2 diabetes', 'type 1 diabetes', 't2dm', 't1dm']
+};
+
+// Established atherosclerotic cardiovascular disease; satisfies cvdRisk without a risk score
+export const ASCVD_VALUE_SET = {
+  label: 'Atherosclerotic cardiovascular disease',
+  codes: [
+    { system: CodeSystems.ICD10, code: 'I20' },
+    { system: CodeSystems.ICD10, code: 'I21' },
+    { system: CodeSystems.ICD10, code: 'I22' },
+    { system: CodeSystems.ICD10, code: 'I25' },
+    { system: CodeSystems.ICD10, code: 'I63' },
+    { system: CodeSystems.ICD10, code: 'I65' },
+    { system: CodeSystems.ICD10, code: 'I70.2' },
+    { system: CodeSystems.ICD10, code: 'Z95.1' },
+    { system: CodeSystems.ICD10, code: 'Z95.5' },
+    { system: CodeSystems.SNOMED, code: '22298006' },
+    { system: CodeSystems.SNOMED, code: '53741008' },
+    { system: CodeSystems.SNOMED, code: '230690007' },
+    { system: CodeSystems.SNOMED, code: '399211009' }
+  ],
+  keywords: [
+    'myocardial infarction', 'coronary artery disease', 'coronary heart disease', 'angina',
+    'stroke', 'peripheral artery disease', 'peripheral arterial disease', 'cabg', 'coronary stent'
+  ]
+};
+
+/**
+ * Conventional weight-management strategies, used to classify Encounters, Procedures,
+ * CarePlans and referrals. Order matters: the first strategy that matches wins, so a
+ * "comprehensive lifestyle program with diet and exercise" is counted as behavioral.
+ */
+export const WEIGHT_MANAGEMENT_STRATEGIES = {
+  behavioral: {
+    label: 'Intensive behavioral therapy',
+    codes: [
+      { system: CodeSystems.HCPCS, code: 'G0447' },
+      { system: CodeSystems.HCPCS, code: 'G0473' }
+    ],
+    keywords: [
+      'intensive behavioral', 'behavioral therapy', 'behavioral counseling', 'behavioural',
+      'lifestyle intervention', 'lifestyle modification', 'lifestyle program',
+      'weight management program', 'weight loss program', 'diabetes prevention program'
+    ]
+  },
+  diet: {
+    label: 'Diet modification',
+    codes: [
+      { system: CodeSystems.CPT, code: '97802' },
+      { system: CodeSystems.CPT, code: '97803' },
+      { system: CodeSystems.CPT, code: '97804' },
+      { system: CodeSystems.ICD10, code: 'Z71.3' }
+    ],
+    keywords: ['diet', 'nutrition', 'dietitian', 'calorie', 'meal replacement']
+  },
+  exercise: {
+    label: 'Exercise program',
+    codes: [
+      { system: CodeSystems.ICD10, code: 'Z71.82' }
+    ],
+    keywords: ['exercise', 'physical activity', 'fitness']
+  },
+  medication: {
+    label: 'Anti-obesity medication',
+    codes: [],
+    keywords: ['phentermine', 'orlistat', 'xenical', 'contrave', 'naltrexone/bupropion', 'qsymia', 'adipex', 'lomaira']
+  }
+};
+
+/**
+ * Prescriber specialties named in prescriberQualification criteria, as NUCC
+ * Health Care Provider Taxonomy codes. Payers list the keys they accept.
+ */
+export const PRESCRIBER_SPECIALTIES = {
+  obesityMedicine: {
+    label: 'Obesity Medicine',
+    codes: [
+      { system: CodeSystems.NUCC, code: '207QB0002X' },
+      { system: CodeSystems.NUCC, code: '207RB0002X' },
+      { system: CodeSystems.NUCC, code: '2080B0002X' },
+      { system: CodeSystems.NUCC, code: '2083B0002X' }
+    ],
+    keywords: ['obesity medicine', 'bariatric', 'weight management']
+  },
+  endocrinology: {
+    label: 'Endocrinology',
+    codes: [
+      { system: CodeSystems.NUCC, code: '207RE0101X' },
+      { system: CodeSystems.NUCC, code: '2080P0205X' }
+    ],
+    keywords: ['endocrinology', 'endocrinologist']
+  },
+  internalMedicine: {
+    label: 'Internal Medicine',
+    codes: [
+      { system: CodeSystems.NUCC, code: '207R00000X' }
+    ],
+    keywords: ['internal medicine']
+  },
+  familyMedicine: {
+    label: 'Family Medicine',
+    codes: [
+      { system: CodeSystems.NUCC, code: '207Q00000X' }
+    ],
+    keywords: ['family medicine', 'family practice']
+  }
+};
+
+// Body measurement Observations
+export const VITAL_SIGN_LOINC = {
+  bmi: '39156-5',
+  weight: '29463-7',
+  height: '8302-2',
+  bmiPercentile: '59576-9' // BMI percentile per age and sex
+};
+
+// Weight-related comorbidities accepted alongside BMI 27-29.9
+export const WEIGHT_RELATED_COMORBIDITIES = {
+  label: 'Weight-related comorbidity',
+  codes: [
+    { system: CodeSystems.ICD10, code: 'E11' },
+    { system: CodeSystems.ICD10, code: 'I10' },
+    { system: CodeSystems.ICD10, code: 'E78' },
+    { system: CodeSystems.ICD10, code: 'G47.33' },
+    { system: CodeSystems.ICD10, code: 'I25' },
+    { system: CodeSystems.ICD10, code: 'M16' },
+    { system: CodeSystems.ICD10, code: 'M17' }
+  ],
+  keywords: ['diabetes', 'hypertension', 'dyslipidemia', 'hyperlipidemia', 'sleep apnea', 'cardiovascular disease', 'coronary artery disease', 'osteoarthritis']
+};
+
+/**
+ * Diagnoses that support each FDA-labeled indication (keys of INDICATIONS in
+ * drugRegistry.js), for the indication criterion and for inferring the indication
+ * from the chart. Overweight and obesity are also supported by a recorded BMI.
+ */
+export const INDICATION_VALUE_SETS = {
+  type2Diabetes: {
+    label: 'Type 2 diabetes mellitus',
+    codes: [
+      { system: CodeSystems.ICD10, code: 'E11' },
+      { system: CodeSystems.SNOMED, code: '44054006' }
+    ],
+    keywords: ['type 2 diabetes', 'type ii diabetes', 't2dm']
+  },
+  chronicWeightManagement: {
+    label: 'Overweight or obesity',
+    codes: [
+      { system: CodeSystems.ICD10, code: 'E66' },
+      { system: CodeSystems.ICD10, code: 'Z68.27' },
+      { system: CodeSystems.ICD10, code: 'Z68.28' },
+      { system: CodeSystems.ICD10, code: 'Z68.29' },
+      { system: CodeSystems.ICD10, code: 'Z68.3' },
+      { system: CodeSystems.ICD10, code: 'Z68.4' },
+      { system: CodeSystems.SNOMED, code: '414916001' },
+      { system: CodeSystems.SNOMED, code: '238131007' }
+    ],
+    keywords: ['obesity', 'overweight']
+  },
+  cardiovascularRiskReduction: ASCVD_VALUE_SET,
+  obstructiveSleepApnea: {
+    label: 'Obstructive sleep apnea',
+    codes: [
+      { system: CodeSystems.ICD10, code: 'G47.33' },
+      { system: CodeSystems.SNOMED, code: '78275009' }
+    ],
+    keywords: ['obstructive sleep apnea']
+  },
+  chronicKidneyDisease: {
+    label: 'Chronic kidney disease',
+    codes: [
+      { system: CodeSystems.ICD10, code: 'N18' },
+      { system: CodeSystems.SNOMED, code: '709044004' }
+    ],
+    keywords: ['chronic kidney disease', 'ckd']
+  },
+  heartFailure: {
+    label: 'Heart failure',
+    codes: [
+      { system: CodeSystems.ICD10, code: 'I50' },
+      { system: CodeSystems.SNOMED, code: '84114007' }
+    ],
+    keywords: ['heart failure']
+  }
+};
+
+// Apnea-hypopnea index from a sleep study, in events per hour. Sleep labs report it
+// under local codes, so Observations are matched on their name; `keys` are the
+// app's `labs` entries.
+export const AHI_VALUE_SET = {
+  label: 'Apnea-hypopnea index',
+  codes: [],
+  keywords: ['apnea-hypopnea index', 'apnea hypopnea index'],
+  keys: ['ahi'],
+  unit: 'events/h'
+};
@@ -0,0 +1,88 @@
+import { solveForApproval, evaluateAllCriteria } from '../approvalSolver';
+import { CriteriaStatus } from '../../constants';
+
+const a1c = (id, value, date) => ({
+  resourceType: 'Observation',
+  id,
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: '4548-4' }], text: 'Hemoglobin A1c' },
+  valueQuantity: { value, unit: '%' },
+  effectiveDateTime: date
+});
+
+const criteria = {
+  age: { required: true, type: 'age', minAge: 18 },
+  labValue: { required: true, type: 'labValue', labName: 'A1C', comparator: '>=', threshold: 7, maxAgeDays: 90 },
+  comorbidity: { required: true, type: 'comorbidity' },
+  maintenance: { required: false, type: 'maintenance' }
+};
+
+describe('approval solver', () => {
+  test('plans the changes that clear every required NOT_MET criterion, highest yield first', () => {
+    const patientData = {
+      asOf: '2024-06-01',
+      age: 52,
+      observations: [a1c('a1', 6.4, '2024-05-01')],
+      conditions: []
+    };
+    const plan = solveForApproval(patientData, criteria, { medication: 'Ozempic', dose: '0.25 mg' });
+
+    expect(plan.complete).toBe(true);
+    expect(plan.steps.map(s => s.criterion).sort()).toEqual(['comorbidity', 'labValue']);
+    expect(plan.steps.find(s => s.criterion === 'labValue').action)
+      .toBe('Document Hemoglobin A1c ≥ 7% within 90 days');
+    expect(plan.steps[0].projectedLikelihood).toBeGreaterThan(plan.likelihood);
+    expect(plan.steps[1].projectedLikelihood).toBeGreaterThanOrEqual(plan.steps[0].projectedLikelihood);
+    // The chart itself is untouched
+    expect(patientData.observations).toHaveLength(1);
+  });
+
+  test('reports criteria that documentation cannot clear', () => {
+    const plan = solveForApproval(
+      { asOf: '2024-06-01', age: 15, conditions: [] },
+      { age: criteria.age, comorbidity: criteria.comorbidity },
+      { medication: 'Wegovy', dose: '0.25 mg' }
+    );
+    expect(plan.complete).toBe(false);
+    expect(plan.unresolved).toEqual([{ criterion: 'age', details: 'Patient age 15 is below minimum 18 required' }]);
+    expect(plan.steps).toHaveLength(1);
+  });
+
+  test('proposes the remaining weeks at the maximum dose', () => {
+    const patientData = {
+      asOf: '2024-06-01',
+      therapyHistory: [{
+        drug: 'Wegovy',
+        status: 'active',
+        doses: [{ value: '2.4 mg', startDate: '2024-04-06', endDate: null }]
+      }]
+    };
+    const maintenance = { maintenance: { required: true, type: 'maintenance' } };
+    expect(evaluateAllCriteria(patientData, maintenance, { medication: 'Wegovy' }).maintenance.status)
+      .toBe(CriteriaStatus.PARTIAL);
+
+    // A required criterion that is only PARTIAL doesn't block, so nothing to do
+    expect(solveForApproval(patientData, maintenance, { medication: 'Wegovy', dose: '2.4 mg' }).steps).toEqual([]);
+
+    const plan = solveForApproval({ ...patientData, therapyHistory: [] }, maintenance, { medication: 'Wegovy', dose: '2.4 mg' });
+    expect(plan.steps[0].action).toBe('Record 12 more weeks at 2.4 mg');
+  });
+
+  test('asks for the restart dose after a lapse', () => {
+    const patientData = {
+      asOf: '2024-06-01',
+      therapyHistory: [{
+        drug: 'Wegovy',
+        status: 'stopped',
+        doses: [{ value: '1 mg', startDate: '2024-01-01', endDate: '2024-04-01' }]
+      }]
+    };
+    const plan = solveForApproval(
+      patientData,
+      { doseProgression: { required: true, type: 'doseProgression' } },
+      { medication: 'Wegovy', dose: '1.7 mg' }
+    );
+    expect(plan.steps).toMatchObject([{ action: 'Request the restart dose of 0.25 mg', dose: '0.25 mg' }]);
+    expect(plan.complete).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+import { getChartAsOf } from '../asOfDate';
+import { getEvaluationTime } from '../fhirHelpers';
+import { evaluateLabValue } from '../labValueEvaluator';
+import { evaluateStepTherapy } from '../stepTherapyEvaluator';
+import { getPolicyInEffect } from '../coverageLogic';
+import { evaluateCoverage, __setCacheManager, __resetCacheManager } from '../coverageEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const a1c = (id, value, date) => ({
+  resourceType: 'Observation',
+  id,
+  code: { coding: [{ system: 'http://loinc.org', code: '4548-4' }] },
+  valueQuantity: { value, unit: '%' },
+  effectiveDateTime: date
+});
+
+describe('as-of date evaluation', () => {
+  test('reduces the chart to what was recorded by the as-of date', () => {
+    const patient = {
+      age: 50,
+      observations: [a1c('old', 8.2, '2024-03-01'), a1c('new', 6.4, '2025-02-01')],
+      labs: { egfr: { value: 85, date: '2025-01-15' } },
+      medicationHistory: [
+        { medication: 'metformin', startDate: '2023-06-01', endDate: '2024-09-01' },
+        { medication: 'semaglutide', startDate: '2024-10-01' }
+      ]
+    };
+
+    const snapshot = getChartAsOf(patient, '2024-05-01');
+
+    expect(snapshot.asOf).toBe('2024-05-01T23:59:59.999Z');
+    expect(snapshot.observations.map(o => o.id)).toEqual(['old']);
+    expect(snapshot.labs).toEqual({});
+    expect(snapshot.medicationHistory).toEqual([
+      { medication: 'metformin', startDate: '2023-06-01', endDate: null, status: 'active' }
+    ]);
+    expect(snapshot.age).toBeLessThan(50);
+    // With a birth date on file, the recorded age is recomputed for the as-of date
+    const epicChart = { age: 19, demographics: { birthDate: '2007-06-01' } };
+    expect(getChartAsOf(epicChart, '2024-01-01').age).toBe(16);
+    expect(getChartAsOf(epicChart, '2024-06-01').age).toBe(17);
+    // Without one, it is rolled back from the chart's own evaluation time
+    expect(getChartAsOf({ age: 50, asOf: '2025-06-01' }, '2023-05-01').age).toBe(48);
+    expect(getChartAsOf(getChartAsOf({ age: 50, asOf: '2025-06-01' }, '2024-05-01'), '2023-05-01').age).toBe(48);
+    expect(getChartAsOf(patient, undefined)).toBe(patient);
+    expect(() => getChartAsOf(patient, 'last spring')).toThrow('Invalid as-of date');
+  });
+
+  test('drops undated vitals and note values, which are the current ones', () => {
+    const patient = {
+      vitals: { weight: { value: 96, units: 'kg' }, bmi: 31.2, bloodPressure: { systolic: 130, diastolic: 80, date: '2024-02-01' } },
+      clinicalNotes: {
+        weightLossPercentage: 6,
+        currentWeight: { value: 96, units: 'kg', date: '2025-01-10' },
+        baselineWeight: { value: 102, units: 'kg', date: '2024-01-05' },
+        contraindications: { pregnancy: false }
+      }
+    };
+
+    const snapshot = getChartAsOf(patient, '2024-05-01');
+
+    expect(Object.keys(snapshot.vitals)).toEqual(['bloodPressure']);
+    expect(snapshot.clinicalNotes).toEqual({
+      baselineWeight: patient.clinicalNotes.baselineWeight,
+      contraindications: { pregnancy: false }
+    });
+  });
+
+  test('measures lab recency from the as-of date instead of today', () => {
+    const patient = { observations: [a1c('a1c', 8.4, '2024-03-01')] };
+    const config = { labName: 'A1C', comparator: '>=', threshold: 8, maxAgeDays: 90 };
+
+    const today = evaluateLabValue(patient, config);
+    const atRequest = evaluateLabValue(getChartAsOf(patient, '2024-04-15'), config);
+
+    expect(today.status).toBe(CriteriaStatus.PARTIAL);
+    expect(atRequest.status).toBe(CriteriaStatus.MET);
+    expect(atRequest.ageDays).toBe(45);
+  });
+
+  test('counts open-ended therapy only up to the as-of date', () => {
+    const patient = { medicationHistory: [{ medication: 'metformin 1000 mg', startDate: '2024-01-01' }] };
+    const config = { requiredMedication: 'Metformin', minDuration: 3 };
+
+    expect(evaluateStepTherapy(patient, config).status).toBe(CriteriaStatus.MET);
+    expect(evaluateStepTherapy(getChartAsOf(patient, '2024-02-15'), config).status).toBe(CriteriaStatus.PARTIAL);
+    expect(getEvaluationTime(getChartAsOf(patient, '2024-02-15'))).toBe(Date.parse('2024-02-15T23:59:59.999Z'));
+  });
+
+  test('selects the payer policy in effect on the date', () => {
+    const coverage = {
+      'Example Plan': {
+        Wegovy: { effectiveDate: '2024-07-01', terminationDate: '2025-06-30', paCriteria: [] }
+      }
+    };
+
+    expect(getPolicyInEffect('Example Plan', 'Wegovy', '2024-06-30', coverage)).toBeNull();
+    expect(getPolicyInEffect('Example Plan', 'Wegovy', '2024-07-01', coverage)).toMatchObject({
+      effectiveDate: '2024-07-01',
+      terminationDate: '2025-06-30'
+    });
+    expect(getPolicyInEffect('Example Plan', 'Wegovy', '2025-07-01', coverage)).toBeNull();
+    expect(getPolicyInEffect('CVS Health (Aetna)', 'Wegovy', '2024-06-01')).toMatchObject({ effectiveDate: '2024-01-01' });
+  });
+
+  test('evaluateCoverage records the as-of date it reproduced', async () => {
+    const cache = { get: jest.fn().mockResolvedValue(null), set: jest.fn().mockResolvedValue(true) };
+    __setCacheManager(cache);
+
+    const result = await evaluateCoverage('as-of-patient', { name: 'Wegovy' }, '0.25 mg', { asOf: '2024-06-01' });
+
+    expect(result.metadata.asOf).toBe('2024-06-01T23:59:59.999Z');
+    expect(cache.get).toHaveBeenCalledWith('evaluations', expect.objectContaining({ asOf: '2024-06-01' }));
+    __resetCacheManager();
+  });
+});
@@ -0,0 +1,198 @@
+import { evaluateContraindications } from '../contraindicationEvaluator';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const condition = (id, code, display, system = 'http://hl7.org/fhir/sid/icd-10-cm') => ({
+  resourceType: 'Condition',
+  id,
+  code: { coding: [{ system, code, display }], text: display },
+  clinicalStatus: { coding: [{ code: 'active' }] },
+  recordedDate: '2024-03-01'
+});
+
+const basePatient = {
+  gender: 'male',
+  age: 50,
+  conditions: [condition('c1', 'E11.9', 'Type 2 diabetes mellitus')],
+  familyMemberHistory: [
+    {
+      resourceType: 'FamilyMemberHistory',
+      id: 'fmh1',
+      status: 'completed',
+      relationship: { text: 'Father' },
+      condition: [{ code: { text: 'Coronary artery disease' } }]
+    }
+  ],
+  observations: []
+};
+
+describe('contraindicationEvaluator', () => {
+  test('returns MET when the problem list and family history are clear', () => {
+    const result = evaluateContraindications(basePatient, {
+      exclusions: ['mtc', 'men2', 'pancreatitis', 'pregnancy']
+    });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.findings).toHaveLength(0);
+  });
+
+  test('returns NOT_MET and cites the Condition for pancreatitis', () => {
+    const patient = {
+      ...basePatient,
+      conditions: [...basePatient.conditions, condition('c2', 'K85.90', 'Acute pancreatitis')]
+    };
+
+    const result = evaluateContraindications(patient, { exclusions: ['pancreatitis'] });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.evidence[0]).toMatchObject({
+      resourceType: 'Condition',
+      id: 'c2',
+      contraindication: 'pancreatitis'
+    });
+  });
+
+  test('flags family history of MTC from FamilyMemberHistory', () => {
+    const patient = {
+      ...basePatient,
+      familyMemberHistory: [
+        {
+          resourceType: 'FamilyMemberHistory',
+          id: 'fmh2',
+          relationship: { text: 'Mother' },
+          condition: [{ code: { text: 'Medullary thyroid carcinoma' } }]
+        }
+      ]
+    };
+
+    const result = evaluateContraindications(patient, { exclusions: ['mtc'] });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.findings[0]).toMatchObject({ resourceType: 'FamilyMemberHistory', id: 'fmh2' });
+    expect(result.findings[0].display).toContain('Mother');
+  });
+
+  test('flags pregnancy from a pregnancy-status Observation', () => {
+    const patient = {
+      ...basePatient,
+      gender: 'female',
+      age: 30,
+      observations: [
+        {
+          resourceType: 'Observation',
+          id: 'preg1',
+          code: { coding: [{ system: 'http://loinc.org', code: '82810-3' }] },
+          valueCodeableConcept: { coding: [{ system: 'http://snomed.info/sct', code: '77386006', display: 'Pregnant' }] },
+          effectiveDateTime: '2024-10-01'
+        }
+      ]
+    };
+
+    const result = evaluateContraindications(patient, { exclusions: ['pregnancy'] });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.findings[0]).toMatchObject({ resourceType: 'Observation', id: 'preg1' });
+  });
+
+  test('needs attestation when pregnancy status is unknown for a woman of reproductive age', () => {
+    const patient = { ...basePatient, gender: 'female', age: 30 };
+
+    const result = evaluateContraindications(patient, { exclusions: ['pregnancy', 'breastfeeding'] });
+
+    expect(result.status).toBe(CriteriaStatus.NEEDS_ATTESTATION);
+    expect(result.unresolved.map(u => u.contraindication)).toEqual(['pregnancy', 'breastfeeding']);
+  });
+
+  test('needs attestation when family history has not been recorded', () => {
+    const patient = { ...basePatient, familyMemberHistory: [] };
+
+    const result = evaluateContraindications(patient, { exclusions: ['mtc'] });
+
+    expect(result.status).toBe(CriteriaStatus.NEEDS_ATTESTATION);
+    expect(result.unresolved[0].reason).toBe('family history not documented');
+  });
+
+  test('accepts clinicalNotes attestations from the mock patient data', () => {
+    const patient = {
+      gender: 'female',
+      age: 44,
+      diagnosis: ['Generalized Anxiety Disorder'],
+      clinicalNotes: {
+        contraindications: {
+          pregnancy: false,
+          breastfeeding: false,
+          mtcHistory: false,
+          men2: false,
+          pancreatitis: false,
+          familyMtcHistory: false
+        }
+      }
+    };
+
+    const result = evaluateContraindications(patient);
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.evidence.every(e => e.source === 'attestation')).toBe(true);
+  });
+
+  test('ignores a resolved pregnancy and free text that rules a contraindication out', () => {
+    const resolved = { ...condition('c2', 'Z34.90', 'Supervision of normal pregnancy'), clinicalStatus: { coding: [{ code: 'resolved' }] } };
+    const patient = {
+      ...basePatient,
+      asOf: '2024-09-15',
+      gender: 'female',
+      age: 30,
+      conditions: [...basePatient.conditions, resolved],
+      observations: [{
+        resourceType: 'Observation',
+        id: 'preg1',
+        code: { coding: [{ system: 'http://loinc.org', code: '82810-3' }] },
+        valueCodeableConcept: { coding: [{ system: 'http://snomed.info/sct', code: '60001007' }] },
+        effectiveDateTime: '2024-09-01'
+      }]
+    };
+    expect(evaluateContraindications(patient, { exclusions: ['pregnancy'] }).status).toBe(CriteriaStatus.MET);
+
+    const negated = { gender: 'male', age: 50, diagnosis: ['No history of pancreatitis', 'Hypertension'] };
+    expect(evaluateContraindications(negated, { exclusions: ['pancreatitis'] }).status).toBe(CriteriaStatus.MET);
+    const documented = { ...negated, diagnosis: ['Acute pancreatitis, 2019'] };
+    expect(evaluateContraindications(documented, { exclusions: ['pancreatitis'] }).status).toBe(CriteriaStatus.NOT_MET);
+  });
+
+  test('needs attestation when the last "not pregnant" status is not recent', () => {
+    const patient = {
+      ...basePatient,
+      asOf: '2024-09-15',
+      gender: 'female',
+      age: 30,
+      observations: [{
+        resourceType: 'Observation',
+        id: 'preg-old',
+        code: { coding: [{ system: 'http://loinc.org', code: '82810-3' }] },
+        valueCodeableConcept: { coding: [{ system: 'http://snomed.info/sct', code: '60001007' }] },
+        effectiveDateTime: '2021-05-01'
+      }]
+    };
+
+    const result = evaluateContraindications(patient, { exclusions: ['pregnancy'] });
+
+    expect(result.status).toBe(CriteriaStatus.NEEDS_ATTESTATION);
+    expect(result.unresolved[0].reason).toBe('status from 2021-05-01 is older than 30 days');
+  });
+
+  test('treats eGFR below 30 as severe renal impairment', () => {
+    const patient = { ...basePatient, labs: { egfr: { value: 24, units: 'mL/min/1.73m²', date: '2024-09-01' } } };
+
+    const result = evaluateContraindications(patient, { exclusions: ['renalImpairment'] });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.displayValue).toContain('renal');
+  });
+
+  test('is dispatched by evaluateCriteria', () => {
+    const result = evaluateCriteria('contraindications', basePatient, { exclusions: ['pancreatitis'] });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.reason).toBe('Contraindications');
+  });
+});
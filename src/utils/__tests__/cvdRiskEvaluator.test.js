@@ -0,0 +1,114 @@
+import { calculatePooledCohortRisk, calculatePreventRisk, evaluateCvdRisk } from '../cvdRiskEvaluator';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { patients } from '../../data/patients';
+import { CriteriaStatus } from '../../constants';
+
+// Reference profile from the 2013 ACC/AHA risk assessment guideline
+const reference = {
+  age: 55,
+  totalCholesterol: 213,
+  hdl: 50,
+  systolicBP: 120,
+  onBPTreatment: false,
+  smoker: false,
+  diabetes: false
+};
+
+describe('cvdRiskEvaluator', () => {
+  test('reproduces the published Pooled Cohort Equation examples', () => {
+    expect(calculatePooledCohortRisk({ ...reference, sex: 'female', race: 'white' })).toBeCloseTo(2.1, 1);
+    expect(calculatePooledCohortRisk({ ...reference, sex: 'female', race: 'black' })).toBeCloseTo(3.0, 1);
+    expect(calculatePooledCohortRisk({ ...reference, sex: 'male', race: 'white' })).toBeCloseTo(5.3, 0);
+    expect(calculatePooledCohortRisk({ ...reference, sex: 'male', race: 'black' })).toBeCloseTo(6.1, 1);
+  });
+
+  test('PREVENT risk rises with risk factors', () => {
+    const low = calculatePreventRisk({ ...reference, sex: 'female', egfr: 90, onStatin: false });
+    const high = calculatePreventRisk({
+      ...reference,
+      sex: 'female',
+      egfr: 45,
+      onStatin: false,
+      systolicBP: 160,
+      onBPTreatment: true,
+      diabetes: true,
+      smoker: true
+    });
+
+    expect(low).toBeGreaterThan(0);
+    expect(high).toBeGreaterThan(low * 3);
+  });
+
+  test('computes risk from the chart and returns MET above the threshold', () => {
+    const result = evaluateCvdRisk(patients[0], { minRisk: 10 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.model).toBe('PCE');
+    expect(result.risk).toBeGreaterThanOrEqual(10);
+    expect(result.inputs).toMatchObject({ sex: 'female', diabetes: true, onBPTreatment: true, smoker: false });
+    expect(result.assumptions).toContain('race not documented; white equations used');
+  });
+
+  test('reads coded FHIR inputs', () => {
+    const patient = {
+      birthDate: '1971-01-01',
+      age: 50,
+      gender: 'male',
+      conditions: [{ id: 'c1', code: { coding: [{ system: 'http://hl7.org/fhir/sid/icd-10-cm', code: 'I10' }] } }],
+      medications: [],
+      observations: [
+        { id: 'tc', status: 'final', code: { coding: [{ code: '2093-3' }] }, valueQuantity: { value: 5.0, code: 'mmol/L' }, effectiveDateTime: '2024-05-01' },
+        { id: 'hdl', status: 'final', code: { coding: [{ code: '2085-9' }] }, valueQuantity: { value: 1.2, code: 'mmol/L' }, effectiveDateTime: '2024-05-01' },
+        {
+          id: 'bp',
+          status: 'final',
+          code: { coding: [{ code: '85354-9' }] },
+          component: [{ code: { coding: [{ code: '8480-6' }] }, valueQuantity: { value: 130 } }],
+          effectiveDateTime: '2024-05-01'
+        },
+        {
+          id: 'smoke',
+          status: 'final',
+          code: { coding: [{ code: '72166-2' }] },
+          valueCodeableConcept: { coding: [{ code: '449868002', display: 'Smokes tobacco daily' }] },
+          effectiveDateTime: '2024-05-01'
+        }
+      ]
+    };
+
+    const result = evaluateCvdRisk(patient);
+
+    expect(result.inputs.totalCholesterol).toBeCloseTo(193.4, 0);
+    expect(result.inputs).toMatchObject({ systolicBP: 130, smoker: true, diabetes: false, onBPTreatment: false });
+    expect(result.evidence.map(e => e.id)).toEqual(expect.arrayContaining(['tc', 'hdl', 'bp', 'smoke']));
+    expect(typeof result.risk).toBe('number');
+  });
+
+  test('lists missing inputs instead of guessing', () => {
+    const result = evaluateCvdRisk({ age: 60, gender: 'male', diagnosis: ['Obesity'], labs: {} });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.risk).toBeNull();
+    expect(result.missingInputs).toEqual([
+      'total cholesterol',
+      'HDL cholesterol',
+      'systolic blood pressure',
+      'smoking status',
+      'antihypertensive treatment'
+    ]);
+  });
+
+  test('documented ASCVD satisfies the criterion without a score', () => {
+    const result = evaluateCriteria('cvdRisk', { age: 60, diagnosis: ['Coronary artery disease'] }, {});
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.displayValue).toBe('Established ASCVD');
+  });
+
+  test('PREVENT requires eGFR and statin status', () => {
+    const result = evaluateCvdRisk({ ...patients[0], labs: { ...patients[0].labs, egfr: undefined } }, { model: 'PREVENT' });
+
+    expect(result.model).toBe('PREVENT');
+    expect(result.missingInputs).toEqual(['eGFR']);
+  });
+});
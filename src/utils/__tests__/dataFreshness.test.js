@@ -0,0 +1,106 @@
+import { getDataFreshnessRules, getFreshnessRule } from '../dataFreshness';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const observation = (id, code, value, unit, date, encounter) => ({
+  resourceType: 'Observation',
+  id,
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code }] },
+  valueQuantity: { value, unit },
+  effectiveDateTime: date,
+  ...(encounter ? { encounter: { reference: `Encounter/${encounter}` } } : {})
+});
+
+const encounters = [
+  { resourceType: 'Encounter', id: 'office', class: { code: 'AMB' } },
+  { resourceType: 'Encounter', id: 'video', class: { code: 'VR' } }
+];
+
+describe('data freshness', () => {
+  test('plans configure rules by kind, with a fallback for other labs', () => {
+    const rules = getDataFreshnessRules('CVS Health (Aetna)');
+    expect(rules.weight).toEqual({ maxAgeDays: 30 });
+    expect(getFreshnessRule(rules, 'a1c')).toEqual({ maxAgeDays: 90 });
+    expect(getFreshnessRule(rules, 'egfr')).toBe(rules.labs);
+    expect(getFreshnessRule(rules, 'height')).toBeNull();
+    expect(getDataFreshnessRules('Unknown plan')).toBeNull();
+  });
+
+  test('an old lab that meets the threshold is PARTIAL with its refresh date', () => {
+    const patientData = {
+      asOf: '2024-12-01',
+      insurance: 'CVS Health (Aetna)',
+      observations: [observation('a1c', '4548-4', 8.1, '%', '2024-08-01')]
+    };
+    const result = evaluateCriteria('labValue', patientData, { labName: 'A1C', comparator: '>=', threshold: 7 });
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.refreshBy).toBe('2024-10-30');
+    expect(result.stale).toMatchObject([{ kind: 'a1c', ageDays: 122, maxAgeDays: 90, reason: 'expired' }]);
+    expect(result.details).toContain('CVS Health (Aetna) accepts up to 90 days (refresh was due 2024-10-30)');
+
+    const fresh = evaluateCriteria('labValue', { ...patientData, asOf: '2024-09-01' }, {
+      labName: 'A1C', comparator: '>=', threshold: 7
+    });
+    expect(fresh.status).toBe(CriteriaStatus.MET);
+    expect(fresh.refreshBy).toBe('2024-10-30');
+  });
+
+  test('BMI must come from an in-person visit', () => {
+    const patientData = {
+      asOf: '2024-06-10',
+      age: 40,
+      insurance: 'CVS Health (Aetna)',
+      encounters,
+      observations: [observation('bmi', '39156-5', 33, 'kg/m2', '2024-06-01', 'video')]
+    };
+    const remote = evaluateCriteria('bmi', patientData, { minimum: 30 });
+    expect(remote.status).toBe(CriteriaStatus.PARTIAL);
+    expect(remote.stale[0].reason).toBe('notInPerson');
+
+    patientData.observations[0].encounter.reference = 'Encounter/office';
+    expect(evaluateCriteria('bmi', patientData, { minimum: 30 }).status).toBe(CriteriaStatus.MET);
+
+    // Without a plan there is nothing to enforce
+    expect(evaluateCriteria('bmi', { ...patientData, insurance: undefined, encounters: [] }, { minimum: 30 }).status)
+      .toBe(CriteriaStatus.MET);
+  });
+
+  test('only the latest weight is held to the rule, and undated values are stale', () => {
+    const rules = { weight: { maxAgeDays: 30 } };
+    const patientData = {
+      asOf: '2024-06-10',
+      clinicalNotes: { baselineWeight: { value: 110, unit: 'kg', date: '2023-12-01' } },
+      observations: [
+        observation('w1', '29463-7', 110, 'kg', '2024-01-01'),
+        observation('w2', '29463-7', 100, 'kg', '2024-06-01')
+      ]
+    };
+    const result = evaluateCriteria('weightLoss', patientData, { threshold: 5, dataFreshness: rules });
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.stale).toEqual([]);
+
+    const undated = evaluateCriteria('bmi', { age: 40, vitals: { bmi: 31 } }, {
+      minimum: 30,
+      dataFreshness: { bmi: { maxAgeDays: 30 } }
+    });
+    expect(undated.status).toBe(CriteriaStatus.PARTIAL);
+    expect(undated.details).toContain('is undated; the plan requires one from the last 30 days');
+  });
+
+  test('holds lab facts in policy logic rules to the plan rules', () => {
+    const patientData = {
+      asOf: '2024-09-01',
+      insurance: 'CVS Health (Aetna)',
+      observations: [observation('a1c', '4548-4', 8.1, '%', '2024-03-01')]
+    };
+    const logic = { fact: 'a1c', op: '>=', value: 7 };
+
+    const result = evaluateCriteria('labValue', patientData, { logic });
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.stale).toMatchObject([{ kind: 'a1c', date: '2024-03-01', ageDays: 184, maxAgeDays: 90 }]);
+
+    const recent = { ...patientData, observations: [observation('a1c', '4548-4', 8.1, '%', '2024-08-01')] };
+    expect(evaluateCriteria('labValue', recent, { logic }).status).toBe(CriteriaStatus.MET);
+  });
+});
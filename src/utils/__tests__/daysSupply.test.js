@@ -0,0 +1,40 @@
+import { calculateQuantity, calculateDaysSupply } from '../daysSupply';
+import { parseQuantityLimit, evaluateQuantityLimit } from '../quantityLimitEvaluator';
+import { getCriteriaForMedication } from '../coverageLogic';
+import { CriteriaStatus } from '../../constants';
+
+describe('days supply and quantity limits', () => {
+  test('works out quantities from pen strength, packaging and dose', () => {
+    expect(calculateQuantity('Wegovy', '2.4 mg', 28)).toEqual({ quantity: 4, unit: 'pen', packages: 1, daysSupply: 28 });
+    // Multi-dose pens: an 18 mg Saxenda pen holds six 3 mg doses
+    expect(calculateQuantity('Saxenda', '3 mg', 30)).toEqual({ quantity: 5, unit: 'pen', packages: 1, daysSupply: 30 });
+    expect(calculateDaysSupply('Ozempic', '1 mg', 1)).toBe(28);
+    expect(calculateDaysSupply('Wegovy', '2.4 mg', 2, 'boxes')).toBe(56);
+    expect(calculateQuantity('Contrave', '2 tablets twice daily', 30)).toMatchObject({ quantity: 120, packages: 1 });
+  });
+
+  test('parses written quantity limits', () => {
+    expect(parseQuantityLimit('4 pens per 28 days')).toEqual({ quantity: 4, unit: 'pen', days: 28 });
+    expect(parseQuantityLimit('1 box per month')).toEqual({ quantity: 1, unit: 'package', days: 30 });
+    expect(parseQuantityLimit('Limited to FDA-approved dosing')).toBeNull();
+  });
+
+  test('flags fills over the plan limit or short of the days claimed', () => {
+    const patient = { insurance: 'UnitedHealthcare PPO' };
+    const config = { medication: 'Wegovy', dose: '2.4 mg' };
+
+    const withinLimit = evaluateQuantityLimit(patient, config);
+    expect(withinLimit).toMatchObject({ status: CriteriaStatus.MET, displayValue: '4 pens for 28 days' });
+    expect(evaluateQuantityLimit(patient, { ...config, quantity: 8, daysSupply: 28 }).details)
+      .toBe('8 pens for 28 days exceeds the plan limit of 4 pens per 28 days');
+    expect(evaluateQuantityLimit(patient, { ...config, quantity: 4, daysSupply: 56 }).status).toBe(CriteriaStatus.NOT_MET);
+    expect(evaluateQuantityLimit(patient, { ...config, quantityLimit: { quantity: 1, unit: 'box', days: 30 }, quantity: 4, daysSupply: 28 }).status)
+      .toBe(CriteriaStatus.MET);
+    expect(evaluateQuantityLimit({ insurance: 'CVS Health (Aetna)' }, config).status).toBe(CriteriaStatus.NOT_APPLICABLE);
+
+    // Only a plan with a limit adds the criterion
+    expect(getCriteriaForMedication('Wegovy', '2.4 mg', { plan: 'UnitedHealthcare PPO' }).quantityLimit)
+      .toMatchObject({ type: 'quantityLimit', quantityLimit: { quantity: 4, unit: 'pen', days: 28 } });
+    expect(getCriteriaForMedication('Wegovy', '2.4 mg').quantityLimit).toBeUndefined();
+  });
+});
@@ -0,0 +1,84 @@
+import {
+  getIngredient,
+  toEquivalentDose,
+  extractEquivalentHistory,
+  getCreditedDose
+} from '../doseEquivalence';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const switchedFromOzempic = {
+  asOf: '2024-09-01',
+  therapyHistory: [
+    {
+      drug: 'Ozempic',
+      status: 'stopped',
+      doses: [
+        { value: '0.25 mg', startDate: '2024-01-01', endDate: '2024-02-01' },
+        { value: '0.5 mg', startDate: '2024-02-01', endDate: '2024-03-01' },
+        { value: '1 mg', startDate: '2024-03-01', endDate: '2024-06-01' }
+      ]
+    },
+    {
+      drug: 'Wegovy',
+      status: 'active',
+      doses: [{ value: '1.7 mg', startDate: '2024-06-01', endDate: null }]
+    }
+  ]
+};
+
+describe('dose equivalence', () => {
+  test('maps products to their ingredient and strengths to the target schedule', () => {
+    expect(getIngredient('Mounjaro 5 mg')).toMatchObject({ ingredient: 'tirzepatide', product: 'mounjaro' });
+    expect(getIngredient('Metformin')).toBeNull();
+    expect(toEquivalentDose('1 mg', 'Wegovy')).toBe('1 mg');
+    expect(toEquivalentDose('2 mg', 'Wegovy')).toBe('1.7 mg');
+    expect(toEquivalentDose('7.5 mg', 'Zepbound')).toBe('7.5 mg');
+  });
+
+  test('history for Wegovy includes Ozempic but not oral semaglutide', () => {
+    const patientData = {
+      ...switchedFromOzempic,
+      medications: [{ name: 'Rybelsus (semaglutide) tablet', dose: '14 mg', startDate: '2023-06-01', endDate: '2023-12-01' }]
+    };
+    const history = extractEquivalentHistory(patientData, 'Wegovy');
+    expect(history.map(e => e.medication)).toEqual(['Ozempic', 'Ozempic', 'Ozempic', 'Wegovy']);
+    expect(history[2]).toMatchObject({ equivalentDose: '1 mg', sibling: true });
+    expect(getCreditedDose(patientData, 'Wegovy').dose).toBe('1.7 mg');
+  });
+
+  test('titration on Mounjaro is credited toward a Zepbound dose increase', () => {
+    const patientData = {
+      asOf: '2024-04-10',
+      therapyHistory: [{
+        drug: 'Mounjaro',
+        status: 'stopped',
+        doses: [
+          { value: '2.5 mg', startDate: '2024-01-01', endDate: '2024-02-01' },
+          { value: '5 mg', startDate: '2024-02-01', endDate: '2024-04-01' }
+        ]
+      }]
+    };
+    const result = evaluateCriteria('doseProgression', patientData, { medication: 'Zepbound', dose: '7.5 mg' });
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.details).toContain('credits');
+    expect(result.details).toContain('on Mounjaro');
+
+    const tooHigh = evaluateCriteria('doseProgression', patientData, { medication: 'Zepbound', dose: '10 mg' });
+    expect(tooHigh.status).toBe(CriteriaStatus.NOT_MET);
+    expect(tooHigh.details).toContain('7.5 mg');
+  });
+
+  test('weeks at maximum dose on a sibling product count toward maintenance', () => {
+    const patientData = {
+      asOf: '2024-07-01',
+      therapyHistory: [{
+        drug: 'Mounjaro',
+        status: 'active',
+        doses: [{ value: '15 mg', startDate: '2024-01-01', endDate: null }]
+      }]
+    };
+    const result = evaluateCriteria('maintenance', patientData, { medication: 'Zepbound' });
+    expect(result.status).toBe(CriteriaStatus.MET);
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  getDrug,
+  getDrugsByIngredient,
+  findDrugByCode,
+  getMaxDose,
+  normalizeNdc
+} from '../../data/drugRegistry';
+import { allDrugs } from '../../data/allDrugs';
+import { drugCoverage } from '../../data/drugCoverage';
+import { GLP1_INGREDIENTS } from '../../data/valueSets';
+import { MEDICATION_DATABASE } from '../coverageLogic';
+import { extractMedicationHistory } from '../fhirHelpers';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+describe('drug registry', () => {
+  test('looks products up by name, ingredient and package code', () => {
+    expect(getDrug('Wegovy')).toMatchObject({ id: 'wegovy', generic: 'semaglutide', class: 'GLP-1' });
+    expect(getDrug('trulicity').doseSchedule[0].value).toBe('0.75 mg');
+    expect(getDrug('Metformin')).toBeNull();
+    expect(getDrugsByIngredient('tirzepatide').map(d => d.name)).toEqual(['Mounjaro', 'Zepbound']);
+    expect(getMaxDose('Ozempic')).toBe('2 mg');
+
+    expect(normalizeNdc('0169-4517-14')).toBe('00169451714');
+    expect(normalizeNdc('0169451714')).toBeNull();
+    expect(findDrugByCode('00002-1495-80')).toMatchObject({ drug: { name: 'Mounjaro' }, strength: { dose: '5 mg' } });
+    expect(findDrugByCode('00002249580').drug.name).toBe('Zepbound');
+  });
+
+  test('every other drug table agrees with the registry', () => {
+    for (const drug of allDrugs) {
+      expect(drug.doses).toEqual(getDrug(drug.id).doseSchedule.map(step => step.value));
+    }
+    for (const [name, profile] of Object.entries(MEDICATION_DATABASE)) {
+      expect(profile.doses).toEqual(getDrug(name).doseSchedule.map(step => step.value));
+    }
+    for (const plan of Object.values(drugCoverage)) {
+      for (const [name, policy] of Object.entries(plan)) {
+        if (policy.doseSchedule) expect(policy.doseSchedule).toEqual(getDrug(name).doseSchedule);
+      }
+    }
+    expect(GLP1_INGREDIENTS.semaglutide.products.wegovy.schedule).toEqual(['0.25 mg', '0.5 mg', '1 mg', '1.7 mg', '2.4 mg']);
+  });
+
+  test('names medication resources coded only by NDC', () => {
+    const history = extractMedicationHistory({
+      medicationRequests: [{
+        resourceType: 'MedicationRequest',
+        id: 'rx1',
+        status: 'active',
+        authoredOn: '2024-01-01',
+        medicationCodeableConcept: { coding: [{ system: 'http://hl7.org/fhir/sid/ndc', code: '0169-4524-14' }] }
+      }]
+    }, 'Wegovy');
+    expect(history).toMatchObject([{ medication: 'Wegovy 2.4 mg', code: '0169-4524-14' }]);
+  });
+
+  test('recognizes the starting dose of any registry drug', () => {
+    const progression = (medication, dose) => evaluateCriteria('doseProgression', { medications: [] }, { medication, dose });
+
+    expect(progression('Trulicity', '0.75 mg')).toMatchObject({ status: CriteriaStatus.MET, details: 'Starting at appropriate initial dose' });
+    expect(progression('Saxenda', '0.6mg').details).toBe('Starting at appropriate initial dose');
+    // 0.25 mg is only Wegovy's and Ozempic's first step
+    expect(progression('Zepbound', '0.25 mg').details).not.toBe('Starting at appropriate initial dose');
+  });
+});
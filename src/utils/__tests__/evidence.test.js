@@ -0,0 +1,78 @@
+import { normalizeEvidence, withProvenance, formatEvidence, EvidenceSource } from '../evidence';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const weight = (id, value, date) => ({
+  resourceType: 'Observation',
+  id,
+  code: { coding: [{ system: 'http://loinc.org', code: '29463-7', display: 'Body weight' }] },
+  valueQuantity: { value, unit: 'kg' },
+  effectiveDateTime: date
+});
+
+describe('evidence provenance', () => {
+  test('maps how a value was captured to the source system', () => {
+    const epicPatient = { source: 'epic' };
+
+    const fromEpic = normalizeEvidence({ resourceType: 'Observation', id: 'obs-1', display: 'BMI: 34', source: 'fhir' }, epicPatient);
+    const fromMock = normalizeEvidence({ resourceType: null, id: null, display: 'Allergy: sulfa', source: 'chart' }, {});
+    const attested = normalizeEvidence({ display: 'Prescriber attestation', source: 'attestation' }, epicPatient);
+
+    expect(fromEpic).toMatchObject({
+      source: EvidenceSource.EPIC,
+      capturedAs: 'fhir',
+      reference: 'Observation/obs-1'
+    });
+    // The FHIR endpoint needs the session's token, so it isn't offered as a link
+    expect(fromEpic.url).toBeUndefined();
+    expect(fromMock.source).toBe(EvidenceSource.MOCK);
+    expect(attested.source).toBe(EvidenceSource.MANUAL);
+  });
+
+  test('withProvenance is idempotent and removes duplicates', () => {
+    const item = { resourceType: 'Condition', id: 'c1', display: 'Hypertension', source: 'fhir' };
+    const once = withProvenance({ status: CriteriaStatus.MET, evidence: [item, item] }, {});
+
+    expect(once.evidence).toHaveLength(1);
+    expect(withProvenance(once, {}).evidence).toEqual(once.evidence);
+    expect(formatEvidence(once.evidence[0])).toBe('Hypertension · Condition/c1 · Mock data');
+  });
+
+  test('age and BMI results cite the values they used', () => {
+    const patient = {
+      source: 'epic',
+      demographics: { id: 'pat-1', birthDate: '1970-03-01' },
+      observations: [{
+        resourceType: 'Observation',
+        id: 'bmi-1',
+        code: { coding: [{ system: 'http://loinc.org', code: '39156-5' }] },
+        valueQuantity: { value: 33.1, unit: 'kg/m2' },
+        effectiveDateTime: '2024-05-01'
+      }]
+    };
+
+    const age = evaluateCriteria('age', patient, { min: 18 });
+    const bmi = evaluateCriteria('bmi', patient, { minimum: 30 });
+
+    expect(age.evidence[0]).toMatchObject({ reference: 'Patient/pat-1', date: '1970-03-01', source: 'epic' });
+    expect(bmi.status).toBe(CriteriaStatus.MET);
+    expect(bmi.evidence[0]).toMatchObject({ reference: 'Observation/bmi-1', value: 33.1, unit: 'kg/m2', date: '2024-05-01' });
+  });
+
+  test('weight loss cites the baseline and current weights', () => {
+    const now = Date.now();
+    const iso = days => new Date(now - days * 86400000).toISOString().slice(0, 10);
+    const patient = { observations: [weight('w-base', 110, iso(84)), weight('w-now', 100, iso(2))] };
+
+    const result = evaluateCriteria('weightLoss', patient, { threshold: 5 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.evidence.map(e => e.reference)).toEqual(['Observation/w-base', 'Observation/w-now']);
+    expect(result.evidence.every(e => e.source === EvidenceSource.MOCK)).toBe(true);
+  });
+
+  test('every result carries an evidence array, even when nothing was found', () => {
+    expect(evaluateCriteria('age', {}, {}).evidence).toEqual([]);
+    expect(evaluateCriteria('notACriterion', {}, {}).evidence).toEqual([]);
+  });
+});
@@ -0,0 +1,130 @@
+import { readFormularyFiles, importFormulary, registerFormulary, formatFormularyReport } from '../formularyImporter';
+import { drugCoverage } from '../../data/drugCoverage';
+
+const USDF = 'http://hl7.org/fhir/us/davinci-drug-formulary/StructureDefinition/';
+
+const formularyDrug = (id, code) => ({
+  resourceType: 'MedicationKnowledge',
+  id,
+  code: code.system ? { coding: [code] } : { text: code.text }
+});
+
+const formularyItem = (id, drugId, { status = 'active', tier, pa = false, st = false, ql } = {}) => ({
+  resourceType: 'Basic',
+  id,
+  code: { coding: [{ system: 'http://hl7.org/fhir/us/davinci-drug-formulary/CodeSystem/usdf-InsuranceItemTypeCS', code: 'formulary-item' }] },
+  subject: { reference: `MedicationKnowledge/${drugId}` },
+  extension: [
+    { url: `${USDF}usdf-FormularyReference-extension`, valueReference: { reference: 'InsurancePlan/uhc-ppo-formulary' } },
+    { url: `${USDF}usdf-AvailabilityStatus-extension`, valueCode: status },
+    tier && { url: `${USDF}usdf-DrugTierID-extension`, valueCodeableConcept: { coding: [{ code: tier }] } },
+    { url: `${USDF}usdf-PriorAuthorization-extension`, valueBoolean: pa },
+    { url: `${USDF}usdf-StepTherapyLimit-extension`, valueBoolean: st },
+    { url: `${USDF}usdf-QuantityLimit-extension`, valueBoolean: Boolean(ql) },
+    typeof ql === 'string' && { url: `${USDF}usdf-QuantityLimitDetail-extension`, extension: [{ url: 'Description', valueString: ql }] },
+    Array.isArray(ql) && { url: `${USDF}usdf-QuantityLimitDetail-extension`, extension: ql }
+  ].filter(Boolean)
+});
+
+const bundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: { resourceType: 'InsurancePlan', id: 'uhc-ppo-formulary', name: 'UHC PPO Formulary 2025' } },
+    { resource: formularyDrug('wegovy-2-4', { system: 'http://hl7.org/fhir/sid/ndc', code: '0169-4524-14' }) },
+    { resource: formularyDrug('zepbound-5', { system: 'http://hl7.org/fhir/sid/ndc', code: '00002249580' }) },
+    { resource: formularyDrug('saxenda', { text: 'liraglutide 6 MG/ML Pen Injector [Saxenda]' }) },
+    { resource: formularyDrug('metformin', { text: 'metformin hydrochloride 500 MG Oral Tablet' }) },
+    { resource: formularyItem('i1', 'wegovy-2-4', { tier: 'specialty', pa: true, st: true, ql: '4 pens per 28 days' }) },
+    { resource: formularyItem('i2', 'zepbound-5', { status: 'inactive' }) },
+    { resource: formularyItem('i3', 'saxenda', { tier: 'non-preferred-brand', pa: true }) },
+    { resource: formularyItem('i4', 'metformin', { tier: 'generic' }) }
+  ]
+};
+
+const files = [{ name: 'uhc.json', text: JSON.stringify(bundle) }];
+const plans = { 'UHC PPO Formulary 2025': 'UnitedHealthcare PPO' };
+
+describe('formulary importer', () => {
+  test('maps formulary items onto the plan and keeps its criteria', () => {
+    const { coverage } = importFormulary(readFormularyFiles(files), { plans });
+    const plan = coverage['UnitedHealthcare PPO'];
+
+    // Same tier as "Tier 4 - Specialty": the existing label is kept
+    expect(plan.Wegovy).toMatchObject({ covered: true, tier: 'Tier 4 - Specialty', paRequired: true, stepTherapy: true, quantityLimits: '4 pens per 28 days' });
+    expect(plan.Wegovy.quantityLimit).toEqual({ quantity: 4, unit: 'pen', days: 28 });
+    expect(plan.Wegovy.paCriteria).toBe(drugCoverage['UnitedHealthcare PPO'].Wegovy.paCriteria);
+    expect(plan.Zepbound).toMatchObject({ covered: false, tier: 'Not Covered', paRequired: false });
+    expect(plan.Zepbound.quantityLimits).toBeUndefined();
+    expect(plan.Saxenda).toMatchObject({ covered: true, tier: 'Non-Preferred Brand', paRequired: true, stepTherapy: false });
+    expect(plan.Saxenda.doseSchedule[0].value).toBe('0.6 mg');
+    expect(plan.dataFreshness).toBe(drugCoverage['UnitedHealthcare PPO'].dataFreshness);
+  });
+
+  test('reports drugs whose coverage changed, drugs not listed and what it could not match', () => {
+    const { report } = importFormulary(readFormularyFiles(files), { plans });
+
+    expect(report.changes.map(c => [c.drug, c.status, c.changes.map(change => change.field)])).toEqual([
+      ['Wegovy', 'changed', ['stepTherapy']],
+      ['Zepbound', 'changed', ['covered', 'tier', 'paRequired', 'quantityLimits']],
+      ['Saxenda', 'added', ['covered', 'tier', 'paRequired', 'stepTherapy']]
+    ]);
+    expect(report.notListed.map(n => n.drug)).toEqual(['Ozempic', 'Mounjaro']);
+    expect(report.unmatched).toEqual([
+      { plan: 'UnitedHealthcare PPO', drug: 'metformin hydrochloride 500 MG Oral Tablet', reason: 'Not in the drug registry' }
+    ]);
+    expect(formatFormularyReport(report)[0]).toBe('UnitedHealthcare PPO — Wegovy: stepTherapy false → true');
+  });
+
+  test('reads structured quantity limits and reports ones it cannot check', () => {
+    const resources = [
+      ...[0, 2, 3].map(i => bundle.entry[i].resource),
+      formularyItem('i2', 'zepbound-5', { tier: 'specialty', ql: [{ url: 'MaximumDaily', valueQuantity: { value: 0.25, unit: 'pens' } }] }),
+      formularyItem('i3', 'saxenda', { tier: 'specialty', ql: true })
+    ];
+    const { coverage, report } = importFormulary(resources, { plans });
+
+    expect(coverage['UnitedHealthcare PPO'].Zepbound.quantityLimit).toEqual({ quantity: 0.25, unit: 'pen', days: 1 });
+    expect(coverage['UnitedHealthcare PPO'].Saxenda.quantityLimit).toBeUndefined();
+    expect(report.unparsedLimits).toEqual([
+      { plan: 'UnitedHealthcare PPO', drug: 'Saxenda', quantityLimits: 'Quantity limit applies' }
+    ]);
+    expect(formatFormularyReport(report)).toContain(
+      'UnitedHealthcare PPO — Saxenda: quantity limit "Quantity limit applies" not understood; not checked'
+    );
+  });
+
+  test('reads STU1 formulary drugs from NDJSON and applies them in place', () => {
+    const stu1Drug = (id, text, planId, tier) => JSON.stringify({
+      resourceType: 'MedicationKnowledge',
+      id,
+      code: { text },
+      extension: [
+        { url: `${USDF}usdf-PlanID-extension`, valueString: planId },
+        { url: `${USDF}usdf-DrugTierID-extension`, valueCodeableConcept: { coding: [{ code: tier, display: tier === 'preferred-brand' ? 'Tier 2 - Preferred Brand' : undefined }] } },
+        { url: `${USDF}usdf-PriorAuthorization-extension`, valueBoolean: true }
+      ]
+    });
+    const ndjson = [
+      stu1Drug('m1', 'Ozempic 1 MG/DOSE', 'S1234-001', 'preferred-brand'),
+      stu1Drug('m2', 'Wegovy', 'H9999-002', 'brand')
+    ].join('\n');
+
+    const coverage = { 'CVS Health (Aetna)': { ...drugCoverage['CVS Health (Aetna)'] } };
+    const report = registerFormulary([{ name: 'aetna.ndjson', text: ndjson }, { name: 'notes.txt', text: 'x' }], {
+      coverage,
+      plans: { 'S1234-001': 'CVS Health (Aetna)' }
+    });
+
+    expect(coverage['CVS Health (Aetna)'].Ozempic).toMatchObject({ tier: 'Tier 2 - Preferred Brand', paRequired: true });
+    // Unchanged except the step therapy the formulary doesn't flag
+    expect(report.changes).toEqual([{
+      plan: 'CVS Health (Aetna)',
+      drug: 'Ozempic',
+      status: 'changed',
+      changes: [{ field: 'stepTherapy', before: true, after: false }]
+    }]);
+    expect(report.unmatched).toEqual([{ formulary: 'H9999-002', reason: 'No plan matches this formulary' }]);
+    expect(() => readFormularyFiles([{ name: 'bad.ndjson', text: '{' }])).toThrow(/^bad\.ndjson: /);
+  });
+});
@@ -0,0 +1,97 @@
+import { evaluateIndication, evaluateDiagnosis } from '../indicationEvaluator';
+import { getIndicationPolicy, inferIndication, getCriteriaForMedication, describePolicyVersion } from '../coverageLogic';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const ICD10 = 'http://hl7.org/fhir/sid/icd-10-cm';
+const condition = (id, code, display) => ({ id, code: { coding: [{ system: ICD10, code, display }], text: display } });
+const ahi = (value, date) => ({
+  resourceType: 'Observation',
+  id: `ahi-${value}`,
+  status: 'final',
+  code: { text: 'Apnea-hypopnea index' },
+  valueQuantity: { value, unit: '/h' },
+  effectiveDateTime: date
+});
+
+const cardiacPatient = {
+  asOf: '2025-03-01',
+  insurance: 'Medicare Part D',
+  vitals: { bmi: 29 },
+  conditions: [condition('c1', 'I25.2', 'Old myocardial infarction'), condition('c2', 'E66.3', 'Overweight')]
+};
+const sleepApneaPatient = {
+  asOf: '2025-03-01',
+  insurance: 'Medicare Part D',
+  vitals: { bmi: 36 },
+  conditions: [condition('c3', 'G47.33', 'Obstructive sleep apnea')],
+  observations: [ahi(9, '2023-05-01'), ahi(24, '2025-01-15')]
+};
+
+describe('indication-specific coverage', () => {
+  test('the indication criterion checks diagnoses and, for OSA, the sleep study AHI', () => {
+    expect(evaluateIndication(cardiacPatient, { indication: 'cardiovascularRiskReduction' })).toMatchObject({
+      status: CriteriaStatus.MET,
+      displayValue: 'Old myocardial infarction'
+    });
+    expect(evaluateIndication(cardiacPatient, { indication: 'obstructiveSleepApnea' }).status).toBe(CriteriaStatus.NOT_MET);
+
+    const osa = evaluateIndication(sleepApneaPatient, { indication: 'obstructiveSleepApnea', minAhi: 15 });
+    expect(osa).toMatchObject({ status: CriteriaStatus.MET, displayValue: 'AHI 24' });
+    expect(osa.evidence.map(e => e.id)).toEqual(['c3', 'ahi-24']);
+    expect(evaluateIndication({ ...sleepApneaPatient, observations: [] }, { indication: 'obstructiveSleepApnea', minAhi: 15 }).details)
+      .toBe('Obstructive sleep apnea documented, but no sleep study AHI on file (requires ≥15 events/h)');
+    // Policies name the diagnosis they require
+    const diabetic = { conditions: [condition('c4', 'E11.9', 'Type 2 diabetes mellitus')] };
+    expect(evaluateDiagnosis(diabetic, { requiredDiagnosis: 'Type 2 Diabetes' })).toMatchObject({
+      status: CriteriaStatus.MET,
+      displayValue: 'Type 2 diabetes mellitus'
+    });
+    expect(evaluateDiagnosis(cardiacPatient, { requiredDiagnosis: 'Type 2 Diabetes' }).status).toBe(CriteriaStatus.NOT_MET);
+    // Weight management is also supported by BMI alone
+    expect(evaluateIndication({ vitals: { bmi: 31 } }, { indication: 'chronicWeightManagement' }).status).toBe(CriteriaStatus.MET);
+  });
+
+  test('plans cover a drug differently by indication', () => {
+    expect(getIndicationPolicy('Medicare Part D', 'Wegovy', 'chronicWeightManagement').policy.covered).toBe(false);
+    const cardiovascular = getIndicationPolicy('Medicare Part D', 'Wegovy', 'cardiovascularRiskReduction');
+    expect(cardiovascular).toMatchObject({ indication: 'cardiovascularRiskReduction', policy: { covered: true, paRequired: true } });
+    expect(cardiovascular.policy.indications).toBeUndefined();
+    expect(describePolicyVersion(cardiovascular).indication).toBe('cardiovascularRiskReduction');
+
+    const criteria = getCriteriaForMedication('Zepbound', '2.5 mg', { plan: 'Medicare Part D', indication: 'obstructiveSleepApnea' });
+    expect(criteria.indication).toMatchObject({ type: 'indication', indication: 'obstructiveSleepApnea', minAhi: 15 });
+
+    // The indication's policy replaces the weight-management criteria
+    const cardiovascularCriteria = getCriteriaForMedication('Wegovy', '0.25 mg', {
+      plan: 'Medicare Part D',
+      indication: 'cardiovascularRiskReduction',
+      asOf: cardiacPatient.asOf
+    });
+    expect(Object.keys(cardiovascularCriteria)).toEqual(['indication', 'bmi', 'contraindications', 'documentation', 'quantityLimit']);
+    const results = Object.entries(cardiovascularCriteria).map(([name, config]) =>
+      evaluateCriteria(name, cardiacPatient, { medication: 'Wegovy', dose: '0.25 mg', ...config })
+    );
+    expect(results[0]).toMatchObject({ status: CriteriaStatus.MET, displayValue: 'Old myocardial infarction' });
+    expect(results[1].details).toContain('BMI 29 kg/m² ≥ 27 kg/m²');
+    expect(results.map(r => r.status)).not.toContain(CriteriaStatus.NOT_MET);
+    // Plans without an indication-specific policy add no indication criterion
+    expect(getCriteriaForMedication('Zepbound', '2.5 mg', { plan: 'UnitedHealthcare PPO', indication: 'obstructiveSleepApnea' }).indication)
+      .toBeUndefined();
+  });
+
+  test('infers the most favorable covered indication from the diagnoses', () => {
+    const wegovy = inferIndication(cardiacPatient, 'Wegovy');
+    expect(wegovy.indication).toBe('cardiovascularRiskReduction');
+    expect(wegovy.candidates.map(c => [c.indication, c.supported, c.covered])).toEqual([
+      ['cardiovascularRiskReduction', true, true],
+      ['chronicWeightManagement', true, false]
+    ]);
+
+    expect(inferIndication(sleepApneaPatient, 'Zepbound').indication).toBe('obstructiveSleepApnea');
+    // Off Medicare, weight management ranks first for the same chart
+    expect(inferIndication({ ...sleepApneaPatient, insurance: 'UnitedHealthcare PPO' }, 'Zepbound').indication)
+      .toBe('chronicWeightManagement');
+    expect(inferIndication({ insurance: 'Medicare Part D', conditions: [] }, 'Wegovy').indication).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+import { evaluateLabValue } from '../labValueEvaluator';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const observation = (id, code, value, unit, date) => ({
+  resourceType: 'Observation',
+  id,
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code }] },
+  valueQuantity: { value, unit, code: unit },
+  effectiveDateTime: date
+});
+
+describe('labValueEvaluator', () => {
+  test('returns MET when the latest A1C meets the threshold', () => {
+    const patient = {
+      observations: [
+        observation('a1c-old', '4548-4', 6.5, '%', daysAgo(200)),
+        observation('a1c-new', '4548-4', 8.4, '%', daysAgo(20))
+      ]
+    };
+
+    const result = evaluateLabValue(patient, { labName: 'A1C', comparator: '>=', threshold: 8.0, maxAgeDays: 90 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.value).toBe(8.4);
+    expect(result.evidence[0]).toMatchObject({ resourceType: 'Observation', id: 'a1c-new' });
+  });
+
+  test('converts IFCC A1C (mmol/mol) to percent', () => {
+    const patient = { observations: [observation('a1c', '4548-4', 64, 'mmol/mol', daysAgo(10))] };
+
+    const result = evaluateLabValue(patient, { labName: 'A1C', minValue: 8.0 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.value).toBeCloseTo(8.0, 1);
+    expect(result.originalUnit).toBe('mmol/mol');
+    expect(result.details).toContain('reported 64 mmol/mol');
+  });
+
+  test('converts creatinine from µmol/L and applies a maximum comparator', () => {
+    const patient = { observations: [observation('scr', '2160-0', 97, 'µmol/L', daysAgo(5))] };
+
+    const result = evaluateLabValue(patient, { labName: 'creatinine', comparator: '<=', threshold: 1.5 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.value).toBeCloseTo(1.1, 1);
+  });
+
+  test('accepts a threshold written in another unit', () => {
+    const patient = { labs: { a1c: { value: 7.2, units: '%', date: daysAgo(5) } } };
+
+    const result = evaluateLabValue(patient, { labName: 'A1C', comparator: '>=', threshold: 53, unit: 'mmol/mol' });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.evidence[0].source).toBe('chart');
+  });
+
+  test('flags a qualifying result that is too old as PARTIAL', () => {
+    const patient = { labs: { a1c: { value: 8.5, units: '%', date: daysAgo(120) } } };
+
+    const result = evaluateLabValue(patient, { labName: 'A1C', minValue: 8.0, maxAgeDays: 90 });
+
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.outdated).toBe(true);
+    expect(result.details).toContain('120 days old');
+  });
+
+  test('returns NOT_MET below threshold and ignores unsupported units', () => {
+    const patient = {
+      observations: [
+        observation('a1c', '4548-4', 6.8, '%', daysAgo(10)),
+        observation('odd', '4548-4', 40, 'mg/dL', daysAgo(2))
+      ]
+    };
+
+    const result = evaluateLabValue(patient, { labName: 'A1C', minValue: 7.0 });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.value).toBe(6.8);
+    expect(result.rejected.map(r => r.id)).toEqual(['odd']);
+  });
+
+  test('accepts an explicit LOINC code set and is dispatched from evaluateCriteria', () => {
+    const patient = { observations: [observation('a1c', '17856-6', 7.5, '%', daysAgo(10))] };
+
+    const result = evaluateCriteria('labValue', patient, { loincCodes: ['17856-6'], minValue: 7.0 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.unit).toBe('%');
+  });
+
+  test('returns NOT_MET when no result is on file', () => {
+    const result = evaluateLabValue({ labs: {} }, { labName: 'A1C', minValue: 7.0 });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.details).toBe('No Hemoglobin A1c result on file (requires Hemoglobin A1c >= 7%)');
+  });
+
+  test('efficacy compares the last result before therapy with the latest since', () => {
+    const patient = {
+      asOf: '2024-09-01',
+      medications: [{ name: 'Ozempic', dose: '0.25 mg', startDate: '2024-03-01' }],
+      labs: { a1c: { value: 7.1, date: '2024-08-15' } },
+      observations: [observation('a1c-base', '4548-4', 8.2, '%', '2024-02-20')]
+    };
+
+    const result = evaluateCriteria('efficacy', patient, { medication: 'Ozempic' });
+    expect(result).toMatchObject({ status: CriteriaStatus.MET, displayValue: '8.2% → 7.1%' });
+    expect(result.evidence.map(e => e.date)).toEqual(['2024-02-20', '2024-08-15']);
+    expect(evaluateCriteria('efficacy', patient, { medication: 'Ozempic', minReduction: 1.5 }).status).toBe(CriteriaStatus.NOT_MET);
+    expect(evaluateCriteria('efficacy', { ...patient, observations: [] }, { medication: 'Ozempic' }).details)
+      .toBe('No baseline Hemoglobin A1c to compare against');
+  });
+});
@@ -0,0 +1,115 @@
+import {
+  buildMissingDataQuestionnaire,
+  extractResponseData,
+  applyQuestionnaireResponse
+} from '../missingDataQuestionnaire';
+import { evaluateAllCriteria } from '../approvalSolver';
+import { CriteriaStatus } from '../../constants';
+
+const weight = {
+  resourceType: 'Observation',
+  id: 'w1',
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: '29463-7' }] },
+  valueQuantity: { value: 220, unit: 'lb' },
+  effectiveDateTime: '2024-05-20'
+};
+
+const criteria = {
+  bmi: { required: true, type: 'bmi', minimum: 30 },
+  labValue: { required: true, type: 'labValue', labName: 'A1C', comparator: '>=', threshold: 7 },
+  contraindications: { required: true, type: 'contraindications' }
+};
+
+const flatten = items => items.flatMap(item => [item, ...flatten(item.item || [])]);
+
+const answer = (linkId, value) => ({ linkId, answer: [value] });
+
+describe('missing data questionnaire', () => {
+  const patientData = { asOf: '2024-06-01', age: 45, observations: [weight], conditions: [] };
+
+  test('asks only for what the criteria are missing, pre-filled from the chart', () => {
+    const results = evaluateAllCriteria(patientData, criteria, { medication: 'Wegovy' });
+    const questionnaire = buildMissingDataQuestionnaire(patientData, results, criteria, { medication: 'Wegovy' });
+
+    expect(questionnaire.resourceType).toBe('Questionnaire');
+    expect(questionnaire.item.map(group => group.linkId)).toEqual(['bmi', 'labValue', 'contraindications']);
+
+    const items = new Map(flatten(questionnaire.item).map(item => [item.linkId, item]));
+    expect(items.get('bmi/observation/29463-7').initial).toEqual([{ valueDecimal: 99.8 }]);
+    expect(items.get('bmi/observation/29463-7/date').initial).toEqual([{ valueDate: '2024-05-20' }]);
+    expect(items.get('bmi/observation/8302-2').initial).toBeUndefined();
+    expect(items.get('labValue/observation/4548-4')).toMatchObject({
+      type: 'decimal',
+      code: [{ system: 'http://loinc.org', code: '4548-4' }],
+      extension: expect.arrayContaining([expect.objectContaining({ valueCoding: expect.objectContaining({ code: '%' }) })])
+    });
+    expect(items.get('contraindications/clinicalNotes/contraindications.mtcHistory').type).toBe('boolean');
+  });
+
+  test('converts the response into Observations and attestations the evaluators accept', () => {
+    const results = evaluateAllCriteria(patientData, criteria, { medication: 'Wegovy' });
+    const questionnaire = buildMissingDataQuestionnaire(patientData, results, criteria);
+    const attestations = flatten(questionnaire.item)
+      .filter(item => item.linkId.startsWith('contraindications/clinicalNotes/'))
+      .map(item => answer(item.linkId, { valueBoolean: false }));
+    const response = {
+      resourceType: 'QuestionnaireResponse',
+      id: 'qr1',
+      status: 'completed',
+      authored: '2024-06-01T10:00:00Z',
+      item: [
+        { linkId: 'bmi', item: [
+          answer('bmi/observation/29463-7', { valueDecimal: 99.8 }),
+          answer('bmi/observation/29463-7/date', { valueDate: '2024-05-20' }),
+          answer('bmi/observation/8302-2', { valueDecimal: 170 })
+        ] },
+        { linkId: 'labValue', item: [answer('labValue/observation/4548-4', { valueDecimal: 7.4 })] },
+        { linkId: 'contraindications', item: attestations }
+      ]
+    };
+
+    const extracted = extractResponseData(questionnaire, response);
+    expect(extracted.observations.find(obs => obs.code.coding[0].code === '8302-2')).toMatchObject({
+      valueQuantity: { value: 170, unit: 'cm' },
+      effectiveDateTime: '2024-06-01',
+      derivedFrom: [{ reference: 'QuestionnaireResponse/qr1' }]
+    });
+    expect(extracted.clinicalNotes.contraindications.mtcHistory).toBe(false);
+
+    const chart = applyQuestionnaireResponse(patientData, questionnaire, response);
+    const updated = evaluateAllCriteria(chart, criteria, { medication: 'Wegovy' });
+    expect(updated.bmi.status).toBe(CriteriaStatus.MET);
+    expect(updated.labValue.status).toBe(CriteriaStatus.MET);
+    expect(updated.contraindications.status).toBe(CriteriaStatus.MET);
+    expect(buildMissingDataQuestionnaire(chart, updated, criteria)).toBeNull();
+  });
+
+  test('records comorbidities and step-therapy trials', () => {
+    const chart = { asOf: '2024-06-01', diagnosis: ['Obesity'] };
+    const stepCriteria = {
+      comorbidity: { required: true, type: 'comorbidity' },
+      stepTherapy: { required: true, type: 'stepTherapy', requiredMedication: 'Metformin' }
+    };
+    const results = evaluateAllCriteria(chart, stepCriteria, { medication: 'Ozempic' });
+    const questionnaire = buildMissingDataQuestionnaire(chart, results, stepCriteria);
+    const response = {
+      resourceType: 'QuestionnaireResponse',
+      authored: '2024-06-01',
+      item: [
+        answer('comorbidity/condition', { valueCoding: { system: 'http://hl7.org/fhir/sid/icd-10-cm', code: 'I10', display: 'Essential hypertension' } }),
+        answer('stepTherapy/medication/Metformin/startDate', { valueDate: '2024-04-01' }),
+        answer('stepTherapy/medication/Metformin/endDate', { valueDate: '2024-04-20' }),
+        answer('stepTherapy/medication/Metformin/intolerance', { valueBoolean: true })
+      ]
+    };
+
+    const updated = applyQuestionnaireResponse(chart, questionnaire, response);
+    expect(updated.diagnosis).toEqual(['Obesity', 'Essential hypertension']);
+    expect(updated.medications).toMatchObject([{ name: 'Metformin', statusReason: 'Stopped due to intolerance' }]);
+
+    const rescored = evaluateAllCriteria(updated, stepCriteria, { medication: 'Ozempic' });
+    expect(rescored.comorbidity.status).toBe(CriteriaStatus.MET);
+    expect(rescored.stepTherapy.status).toBe(CriteriaStatus.MET);
+  });
+});
@@ -0,0 +1,90 @@
+import { calculateBmiPercentile, evaluatePediatricBMI } from '../pediatricBmi';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { drugCoverage } from '../../data/drugCoverage';
+import { CriteriaStatus } from '../../constants';
+
+// Synthetic reference rows (not CDC values): [agemos, L, M, S, sigma, P95]
+jest.mock('../../data/cdcBmiForAge', () => ({
+  CDC_BMI_FOR_AGE: {
+    male: [
+      [174, -2, 19.5, 0.13, 4.5, 26.5],
+      [174.5, -2, 19.5, 0.13, 4.5, 26.5],
+      [180, -2, 20, 0.13, 5, 27],
+      [180.5, -2, 20, 0.13, 5, 27]
+    ],
+    female: []
+  }
+}));
+
+const reference = {
+  male: [[180, -2, 20, 0.13, 5, 27], [181, -1.8, 20.2, 0.13, 5, 27.4]]
+};
+
+const bmiPercentileObs = value => ({
+  resourceType: 'Observation',
+  id: 'pct-1',
+  code: { coding: [{ system: 'http://loinc.org', code: '59576-9' }] },
+  valueQuantity: { value, unit: '%' },
+  effectiveDateTime: '2025-01-10'
+});
+
+describe('pediatric BMI percentile', () => {
+  test('uses the LMS z-score below the 95th percentile', () => {
+    expect(calculateBmiPercentile(20, 180, 'male', reference)).toMatchObject({ percentile: 50, zScore: 0, weightClass: 'healthy' });
+    expect(calculateBmiPercentile(27, 180, 'male', reference).percentile).toBeCloseTo(95, 0);
+  });
+
+  test('switches to the extended method and severe-obesity classes above the 95th', () => {
+    const oneSigmaAbove = calculateBmiPercentile(32, 180, 'male', reference);
+    const class2 = calculateBmiPercentile(27 * 1.2, 180, 'male', reference);
+    const class3 = calculateBmiPercentile(27 * 1.4, 180, 'male', reference);
+
+    expect(oneSigmaAbove).toMatchObject({ extended: true, percentile: 98.4, weightClass: 'obesityClass1' });
+    expect(class2.weightClass).toBe('obesityClass2');
+    expect(class3.weightClass).toBe('obesityClass3');
+    expect(class3.percentOfP95).toBe(140);
+  });
+
+  test('interpolates between rows and rejects ages outside 2-20 years', () => {
+    expect(calculateBmiPercentile(20.1, 180.5, 'male', reference).percentile).toBeCloseTo(50, 0);
+    expect(calculateBmiPercentile(20, 12, 'male', reference)).toBeNull();
+    expect(calculateBmiPercentile(20, 180, 'female', reference)).toBeNull();
+  });
+
+  test('applies the pediatric path automatically for patients under 18', () => {
+    const adolescent = { age: 14, gender: 'male', vitals: { bmi: 28 } };
+    const slimmer = { age: 14, gender: 'male', vitals: { bmi: 24 } };
+
+    const result = evaluateCriteria('bmi', adolescent, { minimum: 30 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.pediatric).toBe(true);
+    expect(result.details).toContain('BMI-for-age percentile');
+    expect(evaluateCriteria('bmi', slimmer, { minimum: 27 }).status).toBe(CriteriaStatus.NOT_MET);
+  });
+
+  test('falls back to a documented percentile when there is no reference data', () => {
+    const patient = { age: 15, gender: 'female', vitals: { bmi: 31 }, observations: [bmiPercentileObs(97)] };
+
+    const result = evaluatePediatricBMI(patient);
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.method).toBe('documented');
+    expect(result.evidence[0]).toMatchObject({ resourceType: 'Observation', id: 'pct-1' });
+    expect(result.details).toContain('CDC BMI-for-age reference not loaded for female patients, so the documented percentile is used');
+    const undocumented = evaluatePediatricBMI({ age: 15, gender: 'female', vitals: { bmi: 31 } });
+    expect(undocumented.status).toBe(CriteriaStatus.PARTIAL);
+    expect(undocumented.details).toContain('CDC BMI-for-age reference not loaded for female patients');
+  });
+
+  test('UnitedHealthcare Wegovy criteria admit adolescents at the 95th percentile', () => {
+    const criteria = drugCoverage['UnitedHealthcare PPO'].Wegovy.paCriteria;
+    const age = criteria.find(c => c.type === 'age');
+    const bmi = criteria.find(c => c.type === 'bmi');
+    const adolescent = { age: 13, gender: 'female', vitals: { bmi: 29 }, observations: [bmiPercentileObs(96)] };
+
+    expect(evaluateCriteria(age.type, adolescent, age).status).toBe(CriteriaStatus.MET);
+    expect(evaluateCriteria(bmi.type, adolescent, bmi).status).toBe(CriteriaStatus.MET);
+    expect(evaluateCriteria(bmi.type, { age: 40, vitals: { bmi: 29 }, diagnosis: [] }, bmi).status).toBe(CriteriaStatus.NOT_MET);
+  });
+});
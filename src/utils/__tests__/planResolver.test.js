@@ -0,0 +1,69 @@
+import { resolvePlan, confirmPlan, extractCoverageIdentifiers, PlanResolutionStatus } from '../planResolver';
+import { PLAN_MAPPINGS, PAYER_TYPE_SYSTEM, COVERAGE_CLASS_SYSTEM } from '../../data/planMappings';
+
+const coverage = ({ payorId, payor, type, classes = {}, status = 'active' }) => ({
+  resourceType: 'Coverage',
+  id: 'cov1',
+  status,
+  type: type && { coding: [{ system: PAYER_TYPE_SYSTEM, code: type }] },
+  payor: [{ display: payor, identifier: payorId && { value: payorId } }],
+  class: Object.entries(classes).map(([code, value]) => ({
+    type: { coding: [{ system: COVERAGE_CLASS_SYSTEM, code }] },
+    value
+  }))
+});
+
+describe('plan resolver', () => {
+  test('resolves payor identifiers and coverage type to the most specific plan', () => {
+    const advantage = resolvePlan(coverage({ payorId: '87726', payor: 'UHC', type: '112', classes: { rxbin: '610097', rxid: 'M1' } }));
+    expect(advantage).toMatchObject({ status: PlanResolutionStatus.RESOLVED, plan: 'UnitedHealthcare Medicare Advantage' });
+    expect(advantage.candidates.map(c => [c.plan, c.matchedOn])).toEqual([
+      ['UnitedHealthcare Medicare Advantage', ['payorId', 'type']],
+      ['UnitedHealthcare PPO', ['payorId']]
+    ]);
+    // Member-level classes aren't plan identifiers
+    expect(advantage.identifiers[0].classes).toEqual({ rxbin: '610097' });
+
+    expect(resolvePlan(coverage({ payorId: '60054', payor: 'Aetna Inc.' })).plan).toBe('CVS Health (Aetna)');
+    expect(resolvePlan(coverage({ payor: 'Medicare Part D' })).plan).toBe('Medicare Part D');
+    expect(resolvePlan(coverage({ payorId: '60054', status: 'cancelled' })).status).toBe(PlanResolutionStatus.UNRESOLVED);
+  });
+
+  test('reports ambiguity when plans tie and matches on coverage class values', () => {
+    const mappings = [
+      ...PLAN_MAPPINGS,
+      { plan: 'Medicare Part D', classes: { rxbin: '610011', rxpcn: 'MEDDADV' } },
+      { plan: 'Medicare Part D', classes: { rxbin: '610011' } },
+      { plan: 'UnitedHealthcare PPO', classes: { rxbin: '610011' } }
+    ];
+
+    const partD = resolvePlan(coverage({ payor: 'OptumRx', classes: { rxbin: '610011', rxpcn: 'MEDDADV' } }), { mappings });
+    expect(partD).toMatchObject({ status: PlanResolutionStatus.RESOLVED, plan: 'Medicare Part D' });
+
+    const ambiguous = resolvePlan(coverage({ payor: 'OptumRx', classes: { rxbin: '610011', rxpcn: '9999' } }), { mappings });
+    expect(ambiguous.status).toBe(PlanResolutionStatus.AMBIGUOUS);
+    expect(ambiguous.plan).toBeNull();
+    expect(ambiguous.candidates.map(c => [c.plan, c.matchedOn])).toEqual([
+      ['Medicare Part D', ['rxbin']],
+      ['UnitedHealthcare PPO', ['rxbin']]
+    ]);
+  });
+
+  test('staff confirmation settles the plan for that coverage from then on', () => {
+    const mappings = [...PLAN_MAPPINGS];
+    const blueCross = coverage({ payorId: '00590', payor: 'Blue Cross', classes: { group: 'G-100' } });
+    const resolution = resolvePlan(blueCross, { mappings });
+    expect(resolution.status).toBe(PlanResolutionStatus.UNRESOLVED);
+
+    const confirmed = confirmPlan(resolution, 'UnitedHealthcare PPO', { confirmedBy: 'Practitioner/1', mappings });
+    expect(confirmed).toMatchObject({ status: PlanResolutionStatus.CONFIRMED, plan: 'UnitedHealthcare PPO', confirmedBy: 'Practitioner/1' });
+    expect(resolvePlan(blueCross, { mappings }).plan).toBe('UnitedHealthcare PPO');
+    // A different group under the same payor still needs confirming
+    expect(resolvePlan(coverage({ payorId: '00590', payor: 'Blue Cross', classes: { group: 'G-200' } }), { mappings }).status)
+      .toBe(PlanResolutionStatus.UNRESOLVED);
+    expect(PLAN_MAPPINGS).toHaveLength(mappings.length - 1);
+
+    expect(() => confirmPlan(resolution, 'Blue Cross PPO', { mappings })).toThrow('Unknown plan: Blue Cross PPO');
+    expect(extractCoverageIdentifiers(null)).toMatchObject({ payorIds: [], classes: {} });
+  });
+});
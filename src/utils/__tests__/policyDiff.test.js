@@ -0,0 +1,93 @@
+import { diffPolicies, analyzePolicyImpact } from '../policyDiff';
+import { getPolicyVersions } from '../coverageLogic';
+
+const a1c = (id, value, date) => ({
+  resourceType: 'Observation',
+  id,
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: '4548-4' }], text: 'Hemoglobin A1c' },
+  valueQuantity: { value, unit: '%' },
+  effectiveDateTime: date
+});
+
+const coverage = {
+  'Example Plan': {
+    Ozempic: {
+      version: '2025.1',
+      effectiveDate: '2025-01-01',
+      tier: 'Tier 3',
+      copay: '$100',
+      doseSchedule: [{ value: '0.25 mg', phase: 'starting' }, { value: '0.5 mg', phase: 'titration' }, { value: '2 mg', phase: 'maintenance' }],
+      paCriteria: [
+        { type: 'age', minAge: 18, critical: true },
+        { type: 'labValue', labName: 'A1C', comparator: '>=', threshold: 7.5, critical: true },
+        { type: 'documentation' }
+      ],
+      previousVersions: [{
+        version: '2024.1',
+        effectiveDate: '2024-01-01',
+        tier: 'Tier 2',
+        doseSchedule: [{ value: '0.25 mg', phase: 'starting' }, { value: '0.5 mg', phase: 'maintenance' }, { value: '1 mg', phase: 'maintenance' }],
+        paCriteria: [
+          { type: 'age', minAge: 18, critical: true },
+          { type: 'labValue', labName: 'A1C', comparator: '>=', threshold: 6.5, critical: true },
+          { type: 'stepTherapy', requiredMedication: 'Metformin', minDuration: 3 }
+        ]
+      }]
+    }
+  }
+};
+
+const [previous, current] = getPolicyVersions('Example Plan', 'Ozempic', coverage).map(v => v.policy);
+
+describe('policy diff', () => {
+  test('diffs criteria, dose schedules, tiers and copays between versions', () => {
+    const diff = diffPolicies(previous, current);
+
+    expect(diff.changed).toBe(true);
+    expect(diff.criteria.added.map(c => c.key)).toEqual(['documentation']);
+    expect(diff.criteria.removed.map(c => c.key)).toEqual(['stepTherapy']);
+    expect(diff.criteria.changed).toEqual([{
+      key: 'labValue',
+      before: previous.paCriteria[1],
+      after: current.paCriteria[1],
+      fields: ['threshold']
+    }]);
+    expect(diff.doseSchedule.added.map(s => s.key)).toEqual(['2 mg']);
+    expect(diff.doseSchedule.removed.map(s => s.key)).toEqual(['1 mg']);
+    expect(diff.doseSchedule.changed).toMatchObject([{ key: '0.5 mg', fields: ['phase'] }]);
+    expect(diff.tier).toEqual({ before: 'Tier 2', after: 'Tier 3' });
+    // Superseded versions inherit the copay they don't restate
+    expect(diff.copay).toBeNull();
+    expect(diffPolicies(current, current).changed).toBe(false);
+  });
+
+  test('lists the patients on the plan whose outcome changed, lost approvals first', () => {
+    const chart = (id, value, insurance = 'Example Plan') => ({
+      id,
+      name: `Patient ${id}`,
+      insurance,
+      age: 50,
+      observations: [a1c(`${id}-a1c`, value, '2025-02-01')]
+    });
+    const patients = [chart('p1', 8.1), chart('p2', 7.0), chart('p3', 7.0, 'Other Plan'), chart('p4', 6.0)];
+
+    const impact = analyzePolicyImpact(
+      patients,
+      { plan: 'Example Plan', drug: 'Ozempic', before: previous, after: current },
+      { asOf: '2025-03-01', dose: '0.25 mg' }
+    );
+
+    expect(impact.evaluated).toBe(3);
+    expect(impact.affected[0]).toMatchObject({
+      patientId: 'p2',
+      lostApproval: true,
+      before: { approvable: true, criticalNotMet: [] },
+      after: { approvable: false, criticalNotMet: ['labValue'] }
+    });
+    expect(impact.affected[0].after.likelihood).toBeLessThan(impact.affected[0].before.likelihood);
+    expect(impact.affected.map(a => a.patientId)).not.toContain('p3');
+    // p4 fails the A1C threshold under both versions
+    expect(impact.affected.filter(a => a.lostApproval).map(a => a.patientId)).toEqual(['p2']);
+  });
+});
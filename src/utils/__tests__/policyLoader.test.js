@@ -0,0 +1,117 @@
+import { loadPolicyDocuments, registerPolicyDocuments, formatPolicyError } from '../policyLoader';
+import { getPolicyInEffect } from '../coverageLogic';
+import { validateRule } from '../ruleEngine';
+import { getCriterionTypes } from '../criteriaEvaluator';
+import { drugCoverage } from '../../data/drugCoverage';
+
+const exampleYaml = `
+plan: Example Plan
+dataFreshness:
+  bmi: { maxAgeDays: 365 }
+drugs:
+  Wegovy:
+    covered: true
+    paRequired: true
+    effectiveDate: 2024-07-01
+    paCriteria:
+      - { type: bmi, rule: BMI >= 30 }
+    evaluationRules:
+      maintenance: [weightLoss]
+    previousVersions:
+      - effectiveDate: 2024-01-01
+        paCriteria: [{ type: bmi, rule: BMI >= 27 }]
+`;
+
+describe('policy loader', () => {
+  test('loads a valid YAML policy into drugCoverage shape', () => {
+    const coverage = {};
+    const { loaded, errors } = registerPolicyDocuments([{ name: 'example.yaml', text: exampleYaml }], coverage);
+
+    expect(errors).toEqual([]);
+    expect(loaded).toEqual(['example.yaml']);
+    expect(coverage['Example Plan'].dataFreshness).toEqual({ bmi: { maxAgeDays: 365 } });
+    // Dates stay strings, and the registry fills in the dose schedule
+    expect(coverage['Example Plan'].Wegovy.effectiveDate).toBe('2024-07-01');
+    expect(coverage['Example Plan'].Wegovy.doseSchedule[4].value).toBe('2.4 mg');
+    expect(getPolicyInEffect('Example Plan', 'Wegovy', '2024-03-01', coverage).policy.paCriteria[0].rule).toBe('BMI >= 27');
+  });
+
+  test('rejects unknown criterion types, evaluationRules phases and duplicate doses', () => {
+    const policy = {
+      plan: 'Broken Plan',
+      drugs: {
+        Ozempic: {
+          covered: true,
+          paCriteria: [{ type: 'bmi' }, { type: 'a1cLevel' }],
+          evaluationRules: { renewal: ['labValue'] },
+          doseSchedule: [{ value: '0.5 mg' }, { value: '1 mg' }, { value: '0.5  MG' }]
+        }
+      }
+    };
+    const { coverage, loaded, errors } = loadPolicyDocuments([{ name: 'broken.json', text: JSON.stringify(policy) }]);
+
+    expect(loaded).toEqual([]);
+    expect(coverage).toEqual({});
+    expect(errors.map(e => e.path)).toEqual([
+      'drugs.Ozempic.paCriteria[1].type',
+      'drugs.Ozempic.evaluationRules.renewal',
+      'drugs.Ozempic.doseSchedule[2].value'
+    ]);
+    expect(formatPolicyError(errors[0])).toMatch(/^broken\.json: drugs\.Ozempic\.paCriteria\[1\]\.type: unknown criterion type "a1cLevel"; expected one of: age, bmi/);
+    expect(errors[1].message).toMatch(/^unknown evaluationRules phase "renewal"/);
+    expect(errors[2].message).toBe('duplicate dose "0.5  MG"');
+  });
+
+  test('checks the facts, operators and criterion types in logic rules', () => {
+    const yamlWithBadLogic = `
+plan: Rule Plan
+drugs:
+  Wegovy:
+    covered: true
+    paCriteria:
+      - type: bmi
+        logic:
+          any:
+            - { fact: bmiz, op: ">=", value: 30 }
+            - all: [{ fact: bmi, op: "=>", value: 27 }, { criterion: notARealType }]
+            - not: { fact: age, criterion: age }
+`;
+    const { loaded, errors } = loadPolicyDocuments([{ name: 'rules.yaml', text: yamlWithBadLogic }]);
+
+    expect(loaded).toEqual([]);
+    const logic = 'drugs.Wegovy.paCriteria[0].logic.any';
+    expect(errors.map(e => e.path)).toEqual([
+      `${logic}[0].fact`,
+      `${logic}[1].all[0].op`,
+      `${logic}[1].all[1].criterion`,
+      `${logic}[2].not`
+    ]);
+    expect(errors[0].message).toMatch(/^unknown fact "bmiz"; expected one of: age, sex, bmi/);
+    expect(errors[1].message).toMatch(/^unknown operator "=>"/);
+    expect(errors[2].message).toMatch(/^unknown criterion type "notARealType"/);
+    expect(errors[3].message).toBe('must have only one of: fact, criterion');
+
+    // The rules in the built-in policies all pass
+    const builtInRules = Object.values(drugCoverage)
+      .flatMap(plan => Object.values(plan))
+      .flatMap(policy => (Array.isArray(policy.paCriteria) ? policy.paCriteria : []))
+      .filter(criterion => criterion.logic);
+    expect(builtInRules.length).toBeGreaterThan(0);
+    expect(builtInRules.flatMap(criterion => validateRule(criterion.logic, getCriterionTypes()))).toEqual([]);
+  });
+
+  test('reports unparseable files and plans defined twice without loading them', () => {
+    const { loaded, errors } = loadPolicyDocuments([
+      { name: 'b.yaml', text: exampleYaml },
+      { name: 'a.yaml', text: exampleYaml },
+      { name: 'c.json', text: '{ "plan": ' },
+      { name: 'README.md', text: '# notes' }
+    ]);
+
+    expect(loaded).toEqual(['a.yaml']);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toEqual({ file: 'b.yaml', path: 'plan', message: '"Example Plan" is already defined in a.yaml' });
+    expect(errors[1]).toMatchObject({ file: 'c.json', path: '' });
+    expect(errors[1].message).toMatch(/^Could not parse: /);
+  });
+});
@@ -0,0 +1,71 @@
+import { getPolicyVersions, getPolicyInEffect, describePolicyVersion, getPolicyCriteria, getCriteriaForMedication } from '../coverageLogic';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const coverage = {
+  'Example Plan': {
+    Wegovy: {
+      version: '2024.2',
+      effectiveDate: '2024-07-01',
+      tier: 'Tier 3',
+      paCriteria: [{ type: 'bmi', minimum: 30 }],
+      previousVersions: [
+        { version: '2024.1', effectiveDate: '2024-01-01', paCriteria: [{ type: 'bmi', minimum: 27 }] }
+      ]
+    }
+  }
+};
+
+describe('policy versions', () => {
+  test('lists versions oldest first, each ending when the next takes effect', () => {
+    const versions = getPolicyVersions('Example Plan', 'Wegovy', coverage);
+    expect(versions.map(v => [v.version, v.effectiveDate, v.terminationDate])).toEqual([
+      ['2024.1', '2024-01-01', '2024-06-30'],
+      ['2024.2', '2024-07-01', null]
+    ]);
+    // Superseded versions inherit what they don't restate
+    expect(versions[0].policy.tier).toBe('Tier 3');
+    expect(versions[0].policy.previousVersions).toBeUndefined();
+    expect(getPolicyVersions('Example Plan', 'Ozempic', coverage)).toEqual([]);
+  });
+
+  test('picks the version in effect on the date of service', () => {
+    expect(getPolicyInEffect('Example Plan', 'Wegovy', '2024-06-30', coverage).policy.paCriteria[0].minimum).toBe(27);
+    expect(getPolicyInEffect('Example Plan', 'Wegovy', '2024-07-01', coverage).policy.paCriteria[0].minimum).toBe(30);
+    expect(getPolicyInEffect('Example Plan', 'Wegovy', '2023-12-31', coverage)).toBeNull();
+    expect(getPolicyInEffect('CVS Health (Aetna)', 'Wegovy', '2024-06-01')).toMatchObject({ version: '2024-01-01' });
+  });
+
+  test('evaluations record the version they applied', () => {
+    const policy = describePolicyVersion(getPolicyInEffect('Example Plan', 'Wegovy', '2024-03-01', coverage));
+    expect(policy).toEqual({
+      plan: 'Example Plan',
+      drug: 'Wegovy',
+      version: '2024.1',
+      effectiveDate: '2024-01-01',
+      terminationDate: '2024-06-30'
+    });
+
+    const result = evaluateCriteria('age', { asOf: '2024-03-01', age: 40 }, { minAge: 18, policy });
+    expect(result.policy).toBe(policy);
+    expect(evaluateCriteria('age', { age: 40 }, { minAge: 18 }).policy).toBeUndefined();
+  });
+
+  test('criteria come from the version in effect', () => {
+    const patient = { asOf: '2024-08-01', vitals: { bmi: 28 } };
+    const evaluateBmi = asOf => {
+      const { bmi } = getPolicyCriteria(getPolicyInEffect('Example Plan', 'Wegovy', asOf, coverage).policy);
+      return evaluateCriteria('bmi', patient, bmi).status;
+    };
+    expect(evaluateBmi('2024-03-01')).toBe(CriteriaStatus.MET);
+    expect(evaluateBmi('2024-08-01')).toBe(CriteriaStatus.NOT_MET);
+
+    // Critical criteria are required; a dose keeps those its phase lists in evaluationRules
+    const starting = getCriteriaForMedication('Ozempic', '0.25 mg', { plan: 'CVS Health (Aetna)', asOf: '2024-06-01' });
+    expect(starting.diagnosis).toMatchObject({ type: 'diagnosis', requiredDiagnosis: 'Type 2 Diabetes', required: true });
+    expect(starting.documentation.required).toBe(false);
+    expect(Object.keys(getCriteriaForMedication('Ozempic', '1 mg', { plan: 'CVS Health (Aetna)', asOf: '2024-06-01' })))
+      .toEqual(['diagnosis', 'age', 'contraindications', 'efficacy', 'documentation', 'doseProgression']);
+  });
+
+});
@@ -0,0 +1,90 @@
+import { evaluatePrescriberQualification, extractPrescriberSpecialties } from '../prescriberEvaluator';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { getCriteriaForMedication } from '../coverageLogic';
+import { CriteriaStatus } from '../../constants';
+
+const NUCC = 'http://nucc.org/provider-taxonomy';
+
+const prescriberWith = (code, display) => ({
+  reference: 'Practitioner/dr1',
+  practitioner: { resourceType: 'Practitioner', id: 'dr1' },
+  practitionerRoles: [{
+    resourceType: 'PractitionerRole',
+    id: 'role1',
+    active: true,
+    specialty: [{ coding: [{ system: NUCC, code, display }] }]
+  }]
+});
+
+describe('prescriberEvaluator', () => {
+  test('returns MET for an accepted NUCC specialty', () => {
+    const patient = { prescriber: prescriberWith('207RE0101X', 'Endocrinology, Diabetes & Metabolism') };
+
+    const result = evaluatePrescriberQualification(patient, { acceptedSpecialties: ['endocrinology'] });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.specialties[0]).toMatchObject({ key: 'endocrinology', code: '207RE0101X' });
+    expect(result.evidence[0]).toMatchObject({ resourceType: 'PractitionerRole', id: 'role1' });
+  });
+
+  test('reads Practitioner.qualification codes', () => {
+    const patient = {
+      prescriber: {
+        practitioner: {
+          id: 'dr2',
+          qualification: [{ code: { coding: [{ system: NUCC, code: '207QB0002X', display: 'Obesity Medicine' }] } }]
+        },
+        practitionerRoles: []
+      }
+    };
+
+    expect(extractPrescriberSpecialties(patient).specialties.map(s => s.key)).toEqual(['obesityMedicine']);
+  });
+
+  test('asks for attestation when the specialty qualifies only with experience', () => {
+    const patient = { prescriber: prescriberWith('207R00000X', 'Internal Medicine') };
+    const config = { acceptedSpecialties: ['endocrinology'], attestationSpecialties: ['internalMedicine'] };
+
+    expect(evaluatePrescriberQualification(patient, config).status).toBe(CriteriaStatus.NEEDS_ATTESTATION);
+
+    const attested = evaluatePrescriberQualification(
+      { ...patient, clinicalNotes: { prescriberQualification: { experienceInWeightManagement: true } } },
+      config
+    );
+    expect(attested.status).toBe(CriteriaStatus.MET);
+    expect(attested.evidence.map(e => e.source)).toEqual(['fhir', 'manual']);
+  });
+
+  test('returns NOT_MET for a specialty the payer does not accept', () => {
+    const patient = { prescriber: prescriberWith('207Q00000X', 'Family Medicine') };
+
+    const result = evaluatePrescriberQualification(patient, { acceptedSpecialties: ['endocrinology', 'obesityMedicine'] });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.details).toContain('Family Medicine is not accepted');
+  });
+
+  test('offers an attestation path when no specialty is on file', () => {
+    const patient = { prescriber: { practitioner: { id: 'dr3' }, practitionerRoles: [] } };
+
+    const result = evaluateCriteria('prescriberQualification', patient, { acceptedSpecialties: ['endocrinology'] });
+
+    expect(result.status).toBe(CriteriaStatus.NEEDS_ATTESTATION);
+    expect(result.details).toContain('no specialty on file');
+  });
+
+  test('accepts a manually documented specialty when the prescriber is unknown', () => {
+    const patient = { clinicalNotes: { prescriberQualification: { qualified: true, specialty: 'Endocrinology' } } };
+
+    const result = evaluatePrescriberQualification(patient, { acceptedSpecialties: ['endocrinology'] });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.evidence[0].source).toBe('manual');
+  });
+
+  test('is required to start Wegovy but not to continue it', () => {
+    expect(getCriteriaForMedication('Wegovy', '0.25 mg').prescriberQualification)
+      .toMatchObject({ required: true, acceptedSpecialties: ['obesityMedicine', 'endocrinology'] });
+    expect(getCriteriaForMedication('Wegovy', '1 mg').prescriberQualification).toBeUndefined();
+  });
+});
@@ -0,0 +1,97 @@
+import { normalizeQuantity, normalizeUnitKey, UnitConversionError } from '../quantity';
+import { calculateBMI, getBMIMeasurement } from '../fhirHelpers';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { convertUnit } from '../labValueEvaluator';
+import { LAB_VALUE_SETS } from '../../data/valueSets';
+import { mapObservations } from '../epicMapper';
+import { CriteriaStatus } from '../../constants';
+
+const observation = (id, code, valueQuantity, date = '2024-05-01') => ({
+  resourceType: 'Observation',
+  id,
+  code: { coding: [{ system: 'http://loinc.org', code }] },
+  valueQuantity,
+  effectiveDateTime: date
+});
+
+describe('normalizeQuantity', () => {
+  test('converts UCUM weight and height units and keeps the reported value', () => {
+    const weight = normalizeQuantity({ value: 220, unit: 'lb', code: '[lb_av]' }, 'bodyWeight');
+    expect(weight.value).toBeCloseTo(99.79, 2);
+    expect(weight).toMatchObject({ unit: 'kg', originalValue: 220, originalUnit: '[lb_av]', converted: true });
+
+    expect(normalizeQuantity({ value: 85000, code: 'g' }, 'bodyWeight').value).toBeCloseTo(85, 5);
+    expect(normalizeQuantity({ value: 70, code: '[in_i]' }, 'bodyHeight').value).toBeCloseTo(177.8, 5);
+    expect(normalizeQuantity({ value: 1.75, units: 'm' }, 'bodyHeight').value).toBeCloseTo(175, 5);
+  });
+
+  test('assumes the canonical unit when none is given', () => {
+    expect(normalizeQuantity(95, 'bodyWeight')).toMatchObject({ value: 95, unit: 'kg', assumedUnit: true });
+  });
+
+  test('rejects incompatible units with a clear error', () => {
+    expect(() => normalizeQuantity({ value: 180, unit: 'cm' }, 'bodyWeight'))
+      .toThrow('Body weight reported in cm, which is a length unit');
+    expect(() => normalizeQuantity({ value: 14, unit: '[stone_av]' }, 'bodyWeight'))
+      .toThrow(UnitConversionError);
+  });
+
+  test('unwraps UCUM annotations and normalizes lab units', () => {
+    expect(normalizeUnitKey('mL/min/{1.73_m2}')).toBe(normalizeUnitKey('mL/min/1.73m²'));
+    expect(convertUnit(53, 'mmol/mol', LAB_VALUE_SETS.a1c)).toBeCloseTo(7.0, 1);
+    expect(convertUnit(5, 'mg', LAB_VALUE_SETS.a1c)).toBeNull();
+  });
+});
+
+describe('vitals normalization', () => {
+  test('computes BMI from pounds and inches and records the reported values', () => {
+    const patientData = {
+      observations: [
+        observation('w1', '29463-7', { value: 220, unit: 'lb', code: '[lb_av]' }),
+        observation('h1', '8302-2', { value: 70, unit: 'in', code: '[in_i]' })
+      ]
+    };
+    expect(calculateBMI(patientData)).toBeCloseTo(31.6, 1);
+    const [weight] = getBMIMeasurement(patientData).evidence;
+    expect(weight).toMatchObject({ value: 220, unit: 'lb', normalizedUnit: 'kg' });
+  });
+
+  test('reports a weight recorded in a length unit instead of computing BMI', () => {
+    const patientData = {
+      age: 40,
+      observations: [
+        observation('w1', '29463-7', { value: 180, unit: 'cm' }),
+        observation('h1', '8302-2', { value: 175, unit: 'cm' })
+      ]
+    };
+    expect(calculateBMI(patientData)).toBeNull();
+    const result = evaluateCriteria('bmi', patientData, { minimum: 30 });
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.details).toContain('Body weight reported in cm');
+  });
+
+  test('weight loss math uses kg across mixed units', () => {
+    const patientData = {
+      asOf: '2024-04-01T12:00:00Z',
+      observations: [
+        observation('w1', '29463-7', { value: 220.46, code: '[lb_av]' }, '2024-01-01'),
+        observation('w2', '29463-7', { value: 90, code: 'kg' }, '2024-04-01')
+      ]
+    };
+    const result = evaluateCriteria('weightLoss', patientData, { threshold: 5 });
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.details).toContain('10% weight loss');
+  });
+
+  test('Epic observations carry normalized and reported values', () => {
+    const [weight, bad] = mapObservations({
+      entry: [
+        { resource: observation('w1', '29463-7', { value: 220, unit: 'lb', code: '[lb_av]' }) },
+        { resource: observation('w2', '29463-7', { value: 5, unit: 'mg/dL' }) }
+      ]
+    });
+    expect(weight.value).toBeCloseTo(99.79, 2);
+    expect(weight).toMatchObject({ unit: 'kg', originalValue: 220, originalUnit: 'lb' });
+    expect(bad.unitError).toContain('Body weight reported in unsupported unit mg/dL');
+  });
+});
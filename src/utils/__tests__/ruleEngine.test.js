@@ -0,0 +1,102 @@
+import { evaluateRule, registerFact } from '../ruleEngine';
+import { evaluateCriteria, registerCriterionEvaluator } from '../criteriaEvaluator';
+import { drugCoverage } from '../../data/drugCoverage';
+import { CriteriaStatus } from '../../constants';
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const bmiOrComorbidity = {
+  any: [
+    { fact: 'bmi', op: '>=', value: 30 },
+    { all: [{ fact: 'bmi', op: '>=', value: 27 }, { fact: 'comorbidityCount', op: '>=', value: 1 }] }
+  ]
+};
+
+describe('ruleEngine', () => {
+  test('evaluates any/all over named facts', () => {
+    const withComorbidity = evaluateRule(bmiOrComorbidity, { vitals: { bmi: 28 }, diagnosis: ['Hypertension'] });
+    const without = evaluateRule(bmiOrComorbidity, { vitals: { bmi: 28 }, diagnosis: [] });
+
+    expect(withComorbidity.status).toBe(CriteriaStatus.MET);
+    expect(withComorbidity.details).toBe('BMI 28 kg/m² ≥ 27 kg/m²; Weight-related comorbidities 1 ≥ 1');
+    expect(without.status).toBe(CriteriaStatus.NOT_MET);
+  });
+
+  test('treats missing facts as unknown rather than false', () => {
+    const result = evaluateRule(bmiOrComorbidity, { diagnosis: ['Hypertension'] });
+
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.details).toContain('BMI not documented');
+  });
+
+  test('supports not, contains and exists', () => {
+    const patient = { diagnosis: ['Type 2 Diabetes'], medications: [{ name: 'Metformin' }] };
+    const rule = {
+      all: [
+        { fact: 'diagnoses', op: 'contains', value: 'diabetes' },
+        { fact: 'activeMedications', op: 'exists' },
+        { not: { fact: 'diagnoses', op: 'contains', value: 'pancreatitis' } }
+      ]
+    };
+
+    expect(evaluateRule(rule, patient).status).toBe(CriteriaStatus.MET);
+  });
+
+  test('applies time windows to dated facts', () => {
+    const rule = { fact: 'a1c', op: '>=', value: 8, within: { days: 90 } };
+
+    const recent = evaluateRule(rule, { labs: { a1c: { value: 8.4, units: '%', date: daysAgo(30) } } });
+    const stale = evaluateRule(rule, { labs: { a1c: { value: 8.4, units: '%', date: daysAgo(200) } } });
+
+    expect(recent.status).toBe(CriteriaStatus.MET);
+    expect(stale.status).toBe(CriteriaStatus.PARTIAL);
+    expect(stale.details).toContain('must be within 90 days');
+  });
+
+  test('delegates criterion leaves to the registered evaluators', () => {
+    const result = evaluateCriteria('cvIndication', { age: 60, diagnosis: ['Coronary artery disease'] }, {
+      logic: { any: [{ criterion: { type: 'cvdRisk', minRisk: 10 } }, { fact: 'bmi', op: '>=', value: 40 }] }
+    });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.reason).toBe('cvIndication');
+    expect(result.evidence.length).toBeGreaterThan(0);
+  });
+
+  test('accepts custom facts and criterion evaluators without touching the engine', () => {
+    registerFact('waistCircumference', 'Waist circumference', p => p.waist ? { value: p.waist, unit: 'cm' } : null);
+    registerCriterionEvaluator('waist', (p, config) =>
+      evaluateRule({ fact: 'waistCircumference', op: '>=', value: config.min }, p, { reason: 'Waist' })
+    );
+
+    expect(evaluateCriteria('waist', { waist: 104 }, { min: 102 }).status).toBe(CriteriaStatus.MET);
+  });
+
+  test('evaluates the payer BMI rules in drugCoverage.js', () => {
+    const criterion = drugCoverage['CVS Health (Aetna)'].Wegovy.paCriteria.find(c => c.type === 'bmi');
+    const result = evaluateCriteria(criterion.type, { vitals: { bmi: 27.5 }, diagnosis: ['Dyslipidemia'] }, criterion);
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+  });
+
+  test('reports malformed rules as evaluation errors', () => {
+    const result = evaluateCriteria('bad', { age: 40 }, { logic: { fact: 'unknownFact', op: '>=', value: 1 } });
+
+    expect(result.status).toBe(CriteriaStatus.ERROR);
+    expect(result.reason).toContain('Unknown fact: unknownFact');
+  });
+
+  test('built-in BMI criterion reports value and comorbidity', () => {
+    const result = evaluateCriteria('bmi', { vitals: { bmi: 28 }, diagnosis: [] }, { minimum: 27, requireComorbidity: true });
+
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.details).toBe('BMI 28 requires comorbidity documentation');
+    expect(result.value).toBe(28);
+    expect(result.hasComorbidity).toBe(false);
+
+    expect(evaluateCriteria('bmi', { vitals: { bmi: 26 }, diagnosis: [] }, { minimum: 27, requireComorbidity: true }).status)
+      .toBe(CriteriaStatus.NOT_MET);
+    expect(evaluateCriteria('bmi', { vitals: { bmi: 28 }, diagnosis: ['Hypertension'] }, { minimum: 27, requireComorbidity: true }).status)
+      .toBe(CriteriaStatus.MET);
+  });
+});
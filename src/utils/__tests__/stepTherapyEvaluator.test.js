@@ -0,0 +1,163 @@
+import { evaluateStepTherapy } from '../stepTherapyEvaluator';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const statement = (id, name, start, end, statusReason) => ({
+  resourceType: 'MedicationStatement',
+  id,
+  status: end ? 'stopped' : 'active',
+  medicationCodeableConcept: { text: name },
+  effectivePeriod: { start, end },
+  ...(statusReason ? { statusReason: [{ text: statusReason }] } : {})
+});
+
+describe('stepTherapyEvaluator', () => {
+  test('returns MET when metformin was taken for at least 3 months', () => {
+    const patient = {
+      medicationStatements: [statement('ms1', 'Metformin 500 MG Oral Tablet', '2024-01-01', '2024-05-01')]
+    };
+
+    const result = evaluateStepTherapy(patient, { requiredMedication: 'Metformin', minDuration: 3 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.trials[0].agents[0]).toMatchObject({
+      agent: 'metformin',
+      startDate: '2024-01-01',
+      endDate: '2024-05-01'
+    });
+    expect(result.evidence[0]).toMatchObject({ resourceType: 'MedicationStatement', id: 'ms1' });
+  });
+
+  test('returns PARTIAL when the trial is shorter than required', () => {
+    const patient = {
+      medicationStatements: [statement('ms1', 'Metformin', '2024-01-01', '2024-02-15')]
+    };
+
+    const result = evaluateStepTherapy(patient, { requiredMedication: 'Metformin', minDuration: 3 });
+
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.trials[0].agents[0].months).toBeLessThan(3);
+    expect(result.details).toContain('2024-01-01 to 2024-02-15');
+  });
+
+  test('merges overlapping requests instead of double-counting them', () => {
+    const patient = {
+      medicationRequests: [
+        {
+          resourceType: 'MedicationRequest',
+          id: 'mr1',
+          status: 'completed',
+          medicationCodeableConcept: { text: 'Metformin 500 MG' },
+          dispenseRequest: { validityPeriod: { start: '2024-01-01', end: '2024-03-01' } }
+        },
+        {
+          resourceType: 'MedicationRequest',
+          id: 'mr2',
+          status: 'completed',
+          medicationCodeableConcept: { text: 'Metformin 1000 MG' },
+          dispenseRequest: { validityPeriod: { start: '2024-02-01', end: '2024-04-01' } }
+        }
+      ]
+    };
+
+    const result = evaluateStepTherapy(patient, { requiredMedication: 'Metformin', minDuration: 3 });
+
+    expect(result.trials[0].agents[0].months).toBeCloseTo(3, 0);
+    expect(result.trials[0].agents[0].startDate).toBe('2024-01-01');
+  });
+
+  test('ends requests with their supply, not with the last edit to the record', () => {
+    const request = (id, status, authoredOn, dispenseRequest) => ({
+      resourceType: 'MedicationRequest',
+      id,
+      status,
+      authoredOn,
+      meta: { lastUpdated: '2024-12-01T00:00:00Z' },
+      medicationCodeableConcept: { text: 'Metformin 500 MG' },
+      ...(dispenseRequest ? { dispenseRequest } : {})
+    });
+    const config = { requiredMedication: 'Metformin', minDuration: 3 };
+
+    // 30 days with 2 refills runs to 2024-04-30
+    const supplied = { asOf: '2024-12-01', medicationRequests: [request('mr1', 'completed', '2024-01-31', {
+      expectedSupplyDuration: { value: 30, unit: 'days', code: 'd' },
+      numberOfRepeatsAllowed: 2
+    })] };
+    expect(evaluateStepTherapy(supplied, config).trials[0].agents[0]).toMatchObject({ startDate: '2024-01-31', endDate: '2024-04-30', months: 3 });
+
+    // No validity period or supply: the trial's end isn't known, so it credits no time
+    const undated = evaluateStepTherapy({ asOf: '2024-12-01', medicationRequests: [request('mr1', 'stopped', '2024-01-31')] }, config);
+    expect(undated.status).toBe(CriteriaStatus.PARTIAL);
+    expect(undated.details).toContain('metformin 0 months (2024-01-31 to end not documented)');
+
+    // An active request with a one-fill supply is not still running ten months later
+    const active = { asOf: '2024-12-01', medicationRequests: [request('mr1', 'active', '2024-01-31', {
+      expectedSupplyDuration: { value: 30, unit: 'days', code: 'd' }
+    })] };
+    expect(evaluateStepTherapy(active, config).trials[0].agents[0]).toMatchObject({ endDate: '2024-03-01', months: 1 });
+  });
+
+  test('accepts documented intolerance as an exception', () => {
+    const patient = {
+      medicationStatements: [
+        statement('ms1', 'Metformin', '2024-01-01', '2024-01-20', 'GI intolerance')
+      ]
+    };
+
+    const result = evaluateStepTherapy(patient, { requiredMedication: 'Metformin', minDuration: 3 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.details).toContain('intolerance documented');
+  });
+
+  test('accepts an AllergyIntolerance resource without any trial', () => {
+    const patient = {
+      allergyIntolerances: [
+        { resourceType: 'AllergyIntolerance', id: 'ai1', type: 'intolerance', code: { text: 'Metformin' } }
+      ]
+    };
+
+    const result = evaluateStepTherapy(patient, { requiredMedication: 'Metformin' });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.evidence).toContainEqual(expect.objectContaining({ resourceType: 'AllergyIntolerance', id: 'ai1' }));
+  });
+
+  test('resolves drug classes and requires every listed medication', () => {
+    const patient = {
+      medications: [
+        { name: 'Metformin', dose: '1000 mg', startDate: '2023-06-01', status: 'active' },
+        { name: 'Glipizide', dose: '10 mg', startDate: '2024-01-15', endDate: '2024-03-01', status: 'stopped' }
+      ]
+    };
+
+    const result = evaluateStepTherapy(patient, {
+      requiredMedications: ['Metformin', 'Sulfonylurea'],
+      minDuration: 3
+    });
+
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.trials.map(t => t.satisfied)).toEqual([true, false]);
+  });
+
+  test('counts distinct agents for minTrials', () => {
+    const patient = {
+      medications: [
+        { name: 'Empagliflozin', startDate: '2023-01-01', endDate: '2023-06-01' },
+        { name: 'Sitagliptin', startDate: '2023-06-01', endDate: '2023-12-01' }
+      ]
+    };
+
+    const result = evaluateStepTherapy(patient, { minTrials: 2, minDuration: 3 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.trials[0].agents.map(a => a.agent)).toEqual(['empagliflozin', 'sitagliptin']);
+  });
+
+  test('returns NOT_MET when no trial is documented', () => {
+    const result = evaluateCriteria('stepTherapy', { medications: [] }, { requiredMedication: 'Metformin' });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.details).toBe('Metformin: no trial documented');
+  });
+});
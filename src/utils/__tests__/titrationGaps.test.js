@@ -0,0 +1,121 @@
+import { findTherapyGaps, getRestartRequirement, getRecommendedStartDose } from '../titrationGaps';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const wegovy = (doses, extra = {}) => ({ drug: 'Wegovy', status: 'active', doses, ...extra });
+
+const dispense = (id, date, daysSupply = 28, text = 'Wegovy 1 mg/0.5 mL pen') => ({
+  resourceType: 'MedicationDispense',
+  id,
+  status: 'completed',
+  medicationCodeableConcept: { text },
+  whenHandedOver: date,
+  daysSupply: { value: daysSupply, unit: 'days' }
+});
+
+describe('titration gaps', () => {
+  test('finds lapses between dose segments', () => {
+    const patientData = {
+      asOf: '2024-08-01',
+      therapyHistory: [wegovy([
+        { value: '0.25 mg', startDate: '2024-01-01', endDate: '2024-02-01' },
+        { value: '0.5 mg', startDate: '2024-03-15', endDate: null }
+      ])]
+    };
+    expect(findTherapyGaps(patientData, 'Wegovy')).toEqual([
+      { start: '2024-02-01', end: '2024-03-15', days: 43, ongoing: false, source: 'doses' }
+    ]);
+  });
+
+  test('fills take precedence over open-ended dose segments', () => {
+    const patientData = {
+      asOf: '2024-06-15',
+      therapyHistory: [wegovy([{ value: '1 mg', startDate: '2024-01-01', endDate: null }])],
+      medicationDispenses: [dispense('d1', '2024-01-01'), dispense('d2', '2024-01-29'), dispense('d3', '2024-02-26')]
+    };
+    const restart = getRestartRequirement(patientData, 'Wegovy');
+    expect(restart.mustRestart).toBe(true);
+    expect(restart.gap).toMatchObject({ start: '2024-03-25', ongoing: true, source: 'fills' });
+    expect(getRecommendedStartDose(patientData, 'Wegovy')).toBe('0.25 mg');
+  });
+
+  test('explains the restart dose after an ongoing lapse', () => {
+    const patientData = {
+      asOf: '2024-06-01',
+      therapyHistory: [wegovy([
+        { value: '0.25 mg', startDate: '2024-01-01', endDate: '2024-02-01' },
+        { value: '0.5 mg', startDate: '2024-02-01', endDate: '2024-04-01' }
+      ], { status: 'stopped' })]
+    };
+    const result = evaluateCriteria('doseProgression', patientData, { medication: 'Wegovy', dose: '1 mg' });
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.restartDose).toBe('0.25 mg');
+    expect(result.details).toBe(
+      'Must restart at 0.25 mg: 61-day lapse since 2024-04-01 ' +
+      '(Semaglutide is re-titrated after more than 2 consecutive weeks of doses missed)'
+    );
+
+    const restarting = evaluateCriteria('doseProgression', patientData, { medication: 'Wegovy', dose: '0.25 mg' });
+    expect(restarting.status).toBe(CriteriaStatus.MET);
+  });
+
+  test('short gaps are within the rule and sibling lapses count too', () => {
+    const patientData = {
+      asOf: '2024-05-01',
+      therapyHistory: [
+        { drug: 'Mounjaro', status: 'stopped', doses: [{ value: '5 mg', startDate: '2024-01-01', endDate: '2024-03-01' }] },
+        { drug: 'Zepbound', status: 'active', doses: [{ value: '5 mg', startDate: '2024-03-15', endDate: null }] }
+      ]
+    };
+    expect(getRestartRequirement(patientData, 'Zepbound')).toBeNull();
+    expect(evaluateCriteria('doseProgression', patientData, { medication: 'Zepbound', dose: '7.5 mg' }).status)
+      .toBe(CriteriaStatus.MET);
+  });
+
+  test('after an earlier lapse only titration since resuming counts', () => {
+    const patientData = {
+      asOf: '2024-09-01',
+      therapyHistory: [
+        { drug: 'Saxenda', status: 'active', doses: [
+          { value: '1.8 mg', startDate: '2024-01-01', endDate: '2024-03-01' },
+          { value: '0.6 mg', startDate: '2024-04-01', endDate: '2024-04-08' },
+          { value: '1.2 mg', startDate: '2024-04-08', endDate: null }
+        ] }
+      ]
+    };
+    const result = evaluateCriteria('doseProgression', patientData, { medication: 'Saxenda', dose: '2.4 mg' });
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.details).toContain('No prior titration at 1.8 mg');
+    expect(result.details).toContain('since therapy resumed on 2024-04-01');
+  });
+
+  test('resuming above the restart dose still requires re-titration', () => {
+    const patientData = {
+      asOf: '2024-09-01',
+      therapyHistory: [{ drug: 'Ozempic', status: 'active', doses: [
+        { value: '0.25 mg', startDate: '2024-01-01', endDate: '2024-02-01' },
+        { value: '0.5 mg', startDate: '2024-02-01', endDate: '2024-03-01' },
+        { value: '1 mg', startDate: '2024-05-23', endDate: null }
+      ] }]
+    };
+    const restart = getRestartRequirement(patientData, 'Ozempic');
+    expect(restart).toMatchObject({ mustRestart: true, resumedDose: '1 mg', gap: { days: 83 } });
+
+    const result = evaluateCriteria('doseProgression', patientData, { medication: 'Ozempic', dose: '2 mg' });
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.details).toBe(
+      'Must restart at 0.25 mg: 83-day lapse from 2024-03-01 to 2024-05-23, resumed at 1 mg ' +
+      '(Semaglutide is re-titrated after more than 2 consecutive weeks of doses missed)'
+    );
+
+    // Stepping back down to the restart dose starts titration over from there
+    patientData.therapyHistory[0].doses.splice(2, 1,
+      { value: '1 mg', startDate: '2024-05-23', endDate: '2024-06-01' },
+      { value: '0.25 mg', startDate: '2024-06-01', endDate: '2024-07-01' },
+      { value: '0.5 mg', startDate: '2024-07-01', endDate: null }
+    );
+    expect(getRestartRequirement(patientData, 'Ozempic')).toMatchObject({ mustRestart: false, resumedOn: '2024-06-01' });
+    expect(evaluateCriteria('doseProgression', patientData, { medication: 'Ozempic', dose: '1 mg' }).status)
+      .toBe(CriteriaStatus.MET);
+  });
+});
@@ -0,0 +1,143 @@
+import {
+  extractWeightManagementAttempts,
+  evaluateLifestyleModification,
+  evaluatePriorTherapies
+} from '../weightManagementEvaluator';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { getCriteriaForMedication } from '../coverageLogic';
+import { patients } from '../../data/patients';
+import { CriteriaStatus } from '../../constants';
+
+const HCPCS = 'urn:oid:2.16.840.1.113883.6.285';
+
+const ibtVisit = (id, date) => ({
+  resourceType: 'Encounter',
+  id,
+  status: 'finished',
+  type: [{ coding: [{ system: HCPCS, code: 'G0447', display: 'Behavioral counseling for obesity' }] }],
+  period: { start: date, end: date }
+});
+
+describe('weightManagementEvaluator', () => {
+  test('merges monthly IBT encounters into one program with its duration', () => {
+    const patient = {
+      encounters: ['2024-01-10', '2024-02-12', '2024-03-11', '2024-04-15', '2024-05-13'].map((d, i) => ibtVisit(`e${i}`, d))
+    };
+
+    const attempts = extractWeightManagementAttempts(patient);
+
+    expect(attempts).toHaveLength(1);
+    expect(attempts[0]).toMatchObject({ strategy: 'behavioral', startDate: '2024-01-10', endDate: '2024-05-13', visits: 5 });
+    expect(attempts[0].months).toBeCloseTo(4.1, 1);
+
+    const result = evaluateLifestyleModification(patient, { requiredDuration: 3 });
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.details).toContain('5 visits');
+    expect(result.evidence).toHaveLength(5);
+  });
+
+  test('returns PARTIAL when the program is shorter than required', () => {
+    const patient = { encounters: [ibtVisit('e1', '2024-01-10'), ibtVisit('e2', '2024-02-12')] };
+
+    const result = evaluateLifestyleModification(patient, { requiredDuration: 6 });
+
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.details).toContain('6 months required');
+  });
+
+  test('reads care plans and rejects programs with too much weight loss', () => {
+    const patient = {
+      carePlans: [{
+        resourceType: 'CarePlan',
+        id: 'cp1',
+        status: 'completed',
+        title: 'Weight management program',
+        period: { start: '2023-01-01', end: '2023-08-01' }
+      }],
+      clinicalNotes: {
+        lifestyleModification: {
+          participated: true,
+          startDate: '2023-01-01',
+          endDate: '2023-08-01',
+          programType: 'Lifestyle intervention',
+          weightLossAchieved: 6.5
+        }
+      }
+    };
+
+    const result = evaluateLifestyleModification(patient, { requiredDuration: 6, maxWeightLoss: 5 });
+
+    expect(result.status).toBe(CriteriaStatus.NOT_MET);
+    expect(result.programs).toHaveLength(1);
+    expect(result.evidence.map(e => e.resourceType)).toEqual(['CarePlan', null]);
+  });
+
+  test('a referral alone is not participation', () => {
+    const patient = {
+      serviceRequests: [{
+        resourceType: 'ServiceRequest',
+        id: 'sr1',
+        status: 'active',
+        code: { text: 'Referral to weight management program' },
+        authoredOn: '2024-06-01'
+      }]
+    };
+
+    const result = evaluateLifestyleModification(patient);
+
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.details).toContain('Referred to a weight-management program on 2024-06-01');
+    expect(evaluatePriorTherapies(patient).status).toBe(CriteriaStatus.NOT_MET);
+
+    // Once the patient attends, participation runs from the first visit, not the referral
+    const attending = {
+      serviceRequests: [{ ...patient.serviceRequests[0], code: { coding: [{ system: HCPCS, code: 'G0447' }] }, authoredOn: '2024-01-01' }],
+      encounters: ['2024-02-25', '2024-03-28'].map((d, i) => ibtVisit(`e${i}`, d))
+    };
+    const [program] = extractWeightManagementAttempts(attending);
+    expect(program).toMatchObject({ startDate: '2024-02-25', endDate: '2024-03-28', months: 1.1, referralOnly: false });
+    expect(program.evidence).toHaveLength(3);
+  });
+
+  test('counts distinct attempts with dates and outcomes from the chart notes', () => {
+    const result = evaluateCriteria('priorTherapies', patients[3], { minTrials: 2 });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.attempts.map(a => a.strategy)).toEqual(['diet', 'exercise', 'behavioral']);
+    expect(result.attempts[0]).toMatchObject({
+      startDate: '2023-03-01',
+      endDate: '2023-08-01',
+      outcome: 'Minimal weight loss, discontinued due to difficulty maintaining'
+    });
+  });
+
+  test('limits counted attempts to the configured strategies', () => {
+    const patient = {
+      ...patients[3],
+      medications: [{ name: 'Phentermine', startDate: '2022-01-01', endDate: '2022-04-01', statusReason: 'Palpitations' }],
+      allergyIntolerances: [{ resourceType: 'AllergyIntolerance', id: 'ai1', code: { text: 'Orlistat' }, recordedDate: '2022-06-01' }]
+    };
+
+    const result = evaluatePriorTherapies(patient, { minTrials: 2, strategies: ['medication'] });
+
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.attempts.map(a => a.outcome)).toEqual(['Palpitations', 'intolerance documented']);
+    expect(result.attempts[1].evidence[0]).toMatchObject({ resourceType: 'AllergyIntolerance', id: 'ai1' });
+  });
+
+  test('requires lifestyle and prior-therapy history only when starting Wegovy', () => {
+    const starting = getCriteriaForMedication('Wegovy', '0.25 mg');
+    expect(starting.lifestyleModification).toEqual({ required: true, type: 'lifestyleModification', requiredDuration: 3 });
+    expect(starting.priorTherapies).toEqual({ required: true, type: 'priorTherapies', minTrials: 2 });
+
+    const maintenance = getCriteriaForMedication('Wegovy', '2.4 mg');
+    expect(maintenance.lifestyleModification).toBeUndefined();
+    expect(maintenance.priorTherapies).toBeUndefined();
+  });
+
+  test('falls back to the hasWeightProgram flag as PARTIAL', () => {
+    const result = evaluateCriteria('lifestyleModification', { clinicalNotes: { hasWeightProgram: true } }, {});
+
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+  });
+});
@@ -0,0 +1,130 @@
+import { getWeightTrajectory, findMaxToleratedDose, fitWeightAt, extractWeightHistory } from '../weightTrajectory';
+import { evaluateCriteria } from '../criteriaEvaluator';
+import { CriteriaStatus } from '../../constants';
+
+const weight = (date, value, unit = 'kg') => ({
+  resourceType: 'Observation',
+  id: `w-${date}`,
+  code: { coding: [{ system: 'http://loinc.org', code: '29463-7' }] },
+  valueQuantity: { value, unit },
+  effectiveDateTime: date
+});
+
+// Weekly home-scale weights from 103 kg, losing 0.4 kg a week with ±0.8 kg noise
+function weeklyWeights(start, weeks, { from = 103, perWeek = 0.4, plateauAfter = Infinity } = {}) {
+  const noise = [0.8, -0.6, 0.2, -0.8, 0.5, 0, -0.3, 0.7];
+  return Array.from({ length: weeks + 1 }, (_, week) => {
+    const date = new Date(Date.parse(start) + week * 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const trend = from - perWeek * Math.min(week, plateauAfter);
+    return weight(date, Math.round((trend + noise[week % noise.length]) * 10) / 10);
+  });
+}
+
+const therapyHistory = [{
+  drug: 'Wegovy',
+  startDate: '2024-01-01',
+  status: 'active',
+  doses: [
+    { value: '0.25 mg', startDate: '2024-01-01', endDate: '2024-01-29' },
+    { value: '0.5 mg', startDate: '2024-01-29', endDate: '2024-02-26' },
+    { value: '1 mg', startDate: '2024-02-26', endDate: '2024-03-25' },
+    { value: '1.7 mg', startDate: '2024-03-25', endDate: null }
+  ]
+}];
+
+describe('weight trajectory', () => {
+  test('reads body weights by LOINC code, not other weights named in the display', () => {
+    const other = (id, code, display, value) => ({
+      ...weight('2024-02-01', value),
+      id,
+      code: { coding: [{ system: 'http://loinc.org', code, display }] }
+    });
+    const history = extractWeightHistory({
+      observations: [
+        weight('2024-01-01', 103),
+        { ...weight('2024-03-01', 101), code: { coding: [{ system: 'http://loinc.org', code: '3141-9', display: 'Body weight Measured' }] } },
+        other('birth', '8339-4', 'Birth weight Measured', 3.4),
+        other('ideal', '50064-5', 'Ideal body weight', 70),
+        other('change', '8350-1', 'Body weight change', -2)
+      ]
+    });
+    expect(history.map(w => [w.date, w.value])).toEqual([['2024-01-01', 103], ['2024-03-01', 101]]);
+  });
+
+  test('smoothed fit is not thrown off by a single outlier', () => {
+    const points = [100, 99.6, 104, 98.8, 98.4].map((value, i) => ({ time: i * 7 * 86400000, value }));
+    expect(fitWeightAt(points, 2 * 7 * 86400000)).toBeLessThan(101);
+  });
+
+  test('maximum tolerated dose is the dose settled on after a step down', () => {
+    const patientData = {
+      therapyHistory: [{
+        drug: 'Wegovy',
+        status: 'active',
+        doses: [
+          { value: '1.7 mg', startDate: '2024-03-01', endDate: '2024-04-01' },
+          { value: '2.4 mg', startDate: '2024-04-01', endDate: '2024-04-20' },
+          { value: '1.7 mg', startDate: '2024-04-20', endDate: null }
+        ]
+      }]
+    };
+    expect(findMaxToleratedDose(patientData, 'Wegovy')).toEqual({
+      dose: '1.7 mg',
+      date: '2024-03-01',
+      atHigherDoseBefore: true
+    });
+  });
+
+  test('computes loss 12 and 16 weeks after reaching maximum tolerated dose', () => {
+    const patientData = {
+      asOf: '2024-08-01',
+      therapyHistory,
+      observations: weeklyWeights('2024-01-01', 30)
+    };
+    const trajectory = getWeightTrajectory(patientData, { medication: 'Wegovy' });
+    expect(trajectory.baseline.date).toBe('2024-01-01');
+    expect(trajectory.maxToleratedDose.date).toBe('2024-03-25');
+    const [at12, at16] = trajectory.assessments;
+    expect(at12).toMatchObject({ weeks: 12, date: '2024-06-17', due: false });
+    expect(at12.percent).toBeGreaterThan(9);
+    expect(at12.percent).toBeLessThan(10.5);
+    expect(at16.percent).toBeGreaterThan(at12.percent);
+
+    const result = evaluateCriteria('weightLoss', patientData, { medication: 'Wegovy', minPercentage: 5 });
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.details).toContain('weeks after reaching maximum tolerated dose (1.7 mg on 2024-03-25)');
+  });
+
+  test('weight loss is pending until the 12-week assessment is due', () => {
+    const patientData = {
+      asOf: '2024-05-01',
+      therapyHistory,
+      observations: weeklyWeights('2024-01-01', 17, { perWeek: 0.1 })
+    };
+    const result = evaluateCriteria('weightLoss', patientData, { medication: 'Wegovy', minPercentage: 5 });
+    expect(result.status).toBe(CriteriaStatus.PARTIAL);
+    expect(result.details).toContain('12-week assessment at maximum tolerated dose (1.7 mg) due 2024-06-17');
+  });
+
+  test('maintenance counts months at goal and flags regain', () => {
+    const losing = weeklyWeights('2024-01-01', 20, { perWeek: 0.5 });
+    const regaining = weeklyWeights('2024-05-27', 20, { from: 92.5, perWeek: -0.15 }).slice(1);
+    const patientData = { asOf: '2024-10-14', therapyHistory, observations: [...losing, ...regaining] };
+
+    const result = evaluateCriteria('weightMaintained', patientData, { medication: 'Wegovy', minPercentage: 5 });
+    expect(result.status).toBe(CriteriaStatus.MET);
+    expect(result.months).toBeGreaterThanOrEqual(3);
+    expect(result.regainDetected).toBe(true);
+    expect(result.details).toContain('regained');
+  });
+
+  test('falls back to documented percentages without a weight series', () => {
+    const patientData = {
+      clinicalNotes: { initialWeightLossPercentage: 5.8, currentWeightLossPercentage: 4.9, weightMaintenanceMonths: 2 }
+    };
+    expect(evaluateCriteria('weightLoss', patientData, { minPercentage: 5 }).status).toBe(CriteriaStatus.MET);
+    const maintained = evaluateCriteria('weightMaintained', patientData, { minPercentage: 5, minMonths: 3 });
+    expect(maintained.status).toBe(CriteriaStatus.NOT_MET);
+    expect(maintained.evidence[0].source).toBe('manual');
+  });
+});
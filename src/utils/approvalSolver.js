@@ -0,0 +1,342 @@
+import { normalizeStatus, CriteriaStatus } from '../constants';
+import { calculateApprovalLikelihood } from './coverageLogic';
+import { evaluateCriteria, MAINTENANCE_WEEKS } from './criteriaEvaluator';
+import { getPreviousStep, parseDoseMg } from './doseEquivalence';
+import { getMaxDose } from '../data/drugRegistry';
+import { getEvaluationTime } from './fhirHelpers';
+import { getLabRequirement } from './labValueEvaluator';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.44;
+
+// GLP-1 schedules step up every four weeks
+const TITRATION_STEP_WEEKS = 4;
+
+const COMPARATOR_SYMBOLS = { '>=': '≥', '<=': '≤', '>': '>', '<': '<', '=': '=' };
+
+// Attempts proposed for priorTherapies, in order; each is a distinct strategy
+const PRIOR_ATTEMPT_METHODS = [
+  { strategy: 'diet', method: 'Diet modification' },
+  { strategy: 'exercise', method: 'Exercise program' },
+  { strategy: 'behavioral', method: 'Intensive behavioral therapy' }
+];
+
+/**
+ * Changes that could flip a criterion, keyed by criterion type. Each proposer
+ * gets (result, config, context) and returns [{ action, apply }], where
+ * apply({ chart, dose }) returns the changed { chart, dose }. Proposals are only
+ * kept when re-evaluating shows they work, so a proposer may be optimistic.
+ * Criteria without a proposer (age, contraindications) can't be changed by
+ * documentation.
+ */
+const CHANGE_PROPOSERS = {
+  labValue: (result, config, context) => {
+    const requirement = getLabRequirement(config);
+    if (!requirement) return [];
+    const { labSet, comparator, threshold } = requirement;
+    const offset = { '>': 0.1, '<': -0.1 }[comparator] || 0;
+    const within = config.maxAgeDays ? ` within ${config.maxAgeDays} days` : '';
+    return [{
+      action: `Document ${labSet.label} ${COMPARATOR_SYMBOLS[comparator]} ${formatValue(threshold, labSet.unit)}${within}`,
+      apply: state => ({
+        ...state,
+        chart: addTo(state.chart, 'observations', {
+          resourceType: 'Observation',
+          id: 'proposed-lab',
+          status: 'final',
+          code: { coding: [{ system: 'http://loinc.org', code: labSet.loinc[0] }], text: labSet.label },
+          valueQuantity: { value: threshold + offset, unit: labSet.unit },
+          effectiveDateTime: context.today
+        })
+      })
+    }];
+  },
+
+  bmi: (result, config, context) => {
+    const minimum = config.minimum ?? config.min ?? 27;
+    return [{
+      action: `Document a current BMI ≥ ${minimum} kg/m²`,
+      apply: state => ({
+        ...state,
+        chart: { ...state.chart, vitals: { ...state.chart.vitals, bmi: { value: minimum, unit: 'kg/m2', date: context.today } } }
+      })
+    }];
+  },
+
+  comorbidity: (result, config, context) => [{
+    action: 'Document a qualifying comorbidity (hypertension, type 2 diabetes, dyslipidemia, sleep apnea or cardiovascular disease)',
+    apply: state => {
+      // Charts that only carry the app's diagnosis list would hide it behind a lone Condition
+      if (!state.chart.conditions?.length && state.chart.diagnosis?.length) {
+        return { ...state, chart: addTo(state.chart, 'diagnosis', 'Hypertension') };
+      }
+      return {
+        ...state,
+        chart: addTo(state.chart, 'conditions', {
+          resourceType: 'Condition',
+          id: 'proposed-comorbidity',
+          code: {
+            coding: [{ system: 'http://hl7.org/fhir/sid/icd-10-cm', code: 'I10', display: 'Essential (primary) hypertension' }],
+            text: 'Hypertension'
+          },
+          clinicalStatus: { coding: [{ code: 'active' }] },
+          recordedDate: context.today
+        })
+      };
+    }
+  }],
+
+  doseProgression: (result, config, context) => {
+    if (result.restartDose) {
+      return [{
+        action: `Request the restart dose of ${result.restartDose}`,
+        apply: state => ({ ...state, dose: result.restartDose })
+      }];
+    }
+    const previousStep = getPreviousStep(context.medication, context.dose);
+    if (!previousStep) return [];
+    return [{
+      action: `Record ${TITRATION_STEP_WEEKS} weeks at ${previousStep} before ${context.dose}`,
+      apply: state => ({
+        ...state,
+        chart: addTherapy(state.chart, context.medication, previousStep, context.daysAgo(TITRATION_STEP_WEEKS * 7), context.today)
+      })
+    }];
+  },
+
+  maintenance: (result, config, context) => {
+    const maxDose = getMaxDose(context.medication);
+    if (parseDoseMg(maxDose) === null) return [];
+    const weeks = MAINTENANCE_WEEKS - (result.weeks || 0);
+    return [{
+      action: `Record ${weeks} more weeks at ${maxDose}`,
+      apply: state => ({
+        ...state,
+        chart: addTherapy(state.chart, context.medication, maxDose, context.daysAgo(weeks * 7), context.today)
+      })
+    }];
+  },
+
+  weightLoss: (result, config) => {
+    const threshold = config.threshold || config.minPercentage || config.requiredPercent || 5;
+    return [{
+      action: `Document ≥${threshold}% weight loss from baseline`,
+      apply: state => ({ ...state, chart: withNotes(state.chart, { initialWeightLossPercentage: threshold }) })
+    }];
+  },
+
+  weightMaintained: (result, config) => {
+    const minPercentage = config.minPercentage || 5;
+    const minMonths = config.minMonths || 3;
+    return [{
+      action: `Document ≥${minPercentage}% weight loss maintained for ${minMonths} months`,
+      apply: state => ({
+        ...state,
+        chart: withNotes(state.chart, { currentWeightLossPercentage: minPercentage, weightMaintenanceMonths: minMonths })
+      })
+    }];
+  },
+
+  stepTherapy: (result, config, context) => {
+    // Class requirements ("2 oral agents") don't name a drug to document
+    const missing = (result.trials || []).filter(trial => !trial.satisfied && trial.required === 1);
+    if (missing.length === 0) return [];
+    return [{
+      action: missing
+        .map(trial => `Document a ${trial.minMonths}-month trial of ${trial.label}, or the intolerance that ended it`)
+        .join('; '),
+      apply: state => ({
+        ...state,
+        chart: missing.reduce((chart, trial) => addTo(chart, 'medications', {
+          name: trial.label.split(' / ')[0],
+          startDate: context.daysAgo(Math.ceil(trial.minMonths * DAYS_PER_MONTH) + 1),
+          endDate: context.today,
+          status: 'completed'
+        }), state.chart)
+      })
+    }];
+  },
+
+  lifestyleModification: (result, config, context) => {
+    const months = config.requiredDuration ?? 3;
+    return [{
+      action: `Document ${months} months in an intensive behavioral therapy program`,
+      apply: state => ({
+        ...state,
+        chart: withNotes(state.chart, {
+          lifestyleModification: {
+            participated: true,
+            programType: 'Intensive behavioral therapy',
+            startDate: context.daysAgo(Math.ceil(months * DAYS_PER_MONTH) + 1),
+            endDate: context.today
+          }
+        })
+      })
+    }];
+  },
+
+  priorTherapies: (result, config, context) => {
+    const minTrials = config.minTrials ?? 2;
+    const documented = new Set((result.attempts || []).map(attempt => attempt.strategy));
+    const needed = PRIOR_ATTEMPT_METHODS
+      .filter(m => !documented.has(m.strategy) && (!config.strategies || config.strategies.includes(m.strategy)))
+      .slice(0, minTrials - documented.size);
+    if (needed.length === 0) return [];
+    return [{
+      action: `Document ${needed.length === 1 ? 'a prior attempt' : `${needed.length} prior attempts`} at ` +
+        `${needed.map(m => m.method.toLowerCase()).join(' and ')}`,
+      apply: state => ({
+        ...state,
+        chart: withNotes(state.chart, {
+          priorWeightLossAttempts: [
+            ...(state.chart.clinicalNotes?.priorWeightLossAttempts || []),
+            ...needed.map(m => ({ method: m.method, startDate: context.daysAgo(365), endDate: context.daysAgo(275) }))
+          ]
+        })
+      })
+    }];
+  },
+
+  prescriberQualification: () => [{
+    action: "Attest to the prescriber's obesity-management experience",
+    apply: state => ({
+      ...state,
+      chart: withNotes(state.chart, {
+        prescriberQualification: { ...state.chart.clinicalNotes?.prescriberQualification, experienceInWeightManagement: true }
+      })
+    })
+  }]
+};
+
+/**
+ * Evaluate every criterion from getCriteriaForMedication() against a chart, as
+ * { [criterion]: result } with each result's `required` flag set.
+ */
+export function evaluateAllCriteria(patientData, criteria, { medication, dose } = {}) {
+  const results = {};
+  for (const [name, config] of Object.entries(criteria || {})) {
+    results[name] = {
+      ...evaluateCriteria(name, patientData, { medication, dose, ...config }),
+      required: config.required !== false
+    };
+  }
+  return results;
+}
+
+/**
+ * Work out the fewest chart changes that clear every required criterion that is
+ * NOT_MET, highest-yield first:
+ *
+ *   { likelihood, steps, unresolved, complete }
+ *
+ * Each step is { criterion, action, status, resolves, projectedLikelihood, dose }:
+ * the change to make, the criteria it clears and the approval likelihood once it
+ * and every step before it are done. `dose` is set when the step changes the
+ * requested dose. Candidate changes are applied to a copy of the chart and all
+ * criteria re-evaluated, so a change only counts when the evaluators agree it
+ * works. `unresolved` lists required criteria no documentation can clear.
+ *
+ * `options.likelihood(results, medication)` scores a set of results; it defaults
+ * to calculateApprovalLikelihood().
+ */
+export function solveForApproval(patientData, criteria, options = {}) {
+  const { medication, likelihood = calculateApprovalLikelihood } = options;
+  let state = { chart: patientData || {}, dose: options.dose };
+  let results = options.results || evaluateAllCriteria(state.chart, criteria, { medication, dose: state.dose });
+
+  const plan = { likelihood: likelihood(results, medication), steps: [], unresolved: [], complete: false };
+  const unfixable = new Set();
+
+  for (;;) {
+    const blocking = findBlocking(results).filter(name => !unfixable.has(name));
+    if (blocking.length === 0) break;
+
+    const before = findBlocking(results).length;
+    const candidates = [];
+    for (const name of blocking) {
+      const context = buildContext(state, medication);
+      const proposer = CHANGE_PROPOSERS[criteria[name]?.type] || CHANGE_PROPOSERS[name];
+      const working = (proposer ? proposer(results[name], criteria[name], context) : [])
+        .map(change => {
+          const next = change.apply(state);
+          const nextResults = evaluateAllCriteria(next.chart, criteria, { medication, dose: next.dose });
+          return { name, change, next, results: nextResults, remaining: findBlocking(nextResults).length };
+        })
+        .filter(candidate => !isBlocking(candidate.results[name]) && candidate.remaining < before);
+
+      if (working.length === 0) {
+        unfixable.add(name);
+      }
+      candidates.push(...working);
+    }
+    if (candidates.length === 0) continue;
+
+    for (const candidate of candidates) {
+      candidate.likelihood = likelihood(candidate.results, medication);
+    }
+    const best = candidates.reduce((top, candidate) =>
+      (candidate.likelihood > top.likelihood ||
+        (candidate.likelihood === top.likelihood && candidate.remaining < top.remaining) ? candidate : top));
+
+    plan.steps.push({
+      criterion: best.name,
+      action: best.change.action,
+      status: normalizeStatus(best.results[best.name].status),
+      resolves: Object.keys(results).filter(name => isBlocking(results[name]) && !isBlocking(best.results[name])),
+      projectedLikelihood: best.likelihood,
+      dose: best.next.dose !== state.dose ? best.next.dose : undefined
+    });
+    state = best.next;
+    results = best.results;
+  }
+
+  plan.unresolved = findBlocking(results).map(name => ({
+    criterion: name,
+    details: results[name].details || results[name].reason
+  }));
+  plan.complete = plan.unresolved.length === 0;
+  return plan;
+}
+
+function isBlocking(result) {
+  return result.required !== false && normalizeStatus(result.status) === CriteriaStatus.NOT_MET;
+}
+
+function findBlocking(results) {
+  return Object.keys(results).filter(name => isBlocking(results[name]));
+}
+
+function buildContext(state, medication) {
+  const now = getEvaluationTime(state.chart);
+  return {
+    medication,
+    dose: state.dose,
+    today: toDate(now),
+    daysAgo: days => toDate(now - days * MS_PER_DAY)
+  };
+}
+
+function addTo(chart, key, entry) {
+  return { ...chart, [key]: [...(chart[key] || []), entry] };
+}
+
+function withNotes(chart, notes) {
+  return { ...chart, clinicalNotes: { ...chart.clinicalNotes, ...notes } };
+}
+
+function addTherapy(chart, drug, dose, startDate, endDate) {
+  return addTo(chart, 'therapyHistory', {
+    drug,
+    status: 'active',
+    doses: [{ value: dose, startDate, endDate }]
+  });
+}
+
+function formatValue(value, unit) {
+  if (!unit) return `${value}`;
+  return unit === '%' ? `${value}%` : `${value} ${unit}`;
+}
+
+function toDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
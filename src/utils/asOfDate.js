@@ -0,0 +1,174 @@
+import { getResourceDate, getPatientAge, getEvaluationTime } from './fhirHelpers';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_YEAR = 365.25 * MS_PER_DAY;
+
+// Dated FHIR resource lists that are simply dropped when recorded after the as-of date
+const DATED_RESOURCES = [
+  'observations',
+  'conditions',
+  'familyMemberHistory',
+  'allergyIntolerances',
+  'encounters',
+  'procedures',
+  'serviceRequests',
+  'documentReference'
+];
+
+/**
+ * Reconstruct the chart as it looked on `asOf` (a date or ISO string) for
+ * appeals and retrospective review.
+ *
+ * Resources and app entries dated after `asOf` are removed, and therapies that
+ * ended later are shown as still active on that date. Undated resources are kept,
+ * since there's nothing to show they weren't on the chart yet. Undated vitals and
+ * undated numbers in the clinical notes (weightLossPercentage, ...) are dropped:
+ * they are the current values, not those of the as-of date. Attestations and
+ * other undated notes are kept as entered.
+ *
+ * The snapshot carries `asOf`, which evaluators read through getEvaluationTime()
+ * wherever they would otherwise use "now". With no `asOf` the data is returned as is.
+ */
+export function getChartAsOf(patientData, asOf) {
+  if (!patientData || !asOf) return patientData;
+  const parsed = Date.parse(asOf);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid as-of date: ${asOf}`);
+  }
+  // A bare date means the end of that day
+  const cutoff = isDateOnly(asOf) ? parsed + MS_PER_DAY - 1 : parsed;
+  const asOfIso = new Date(cutoff).toISOString();
+
+  const snapshot = { ...patientData, asOf: asOfIso };
+
+  for (const key of DATED_RESOURCES) {
+    if (Array.isArray(patientData[key])) {
+      snapshot[key] = patientData[key].filter(resource => !isAfter(resourceDate(resource), cutoff));
+    }
+  }
+
+  if (Array.isArray(patientData.medicationRequests)) {
+    snapshot.medicationRequests = patientData.medicationRequests
+      .filter(request => !isAfter(request.authoredOn || request.dispenseRequest?.validityPeriod?.start, cutoff))
+      .map(request => {
+        const end = request.dispenseRequest?.validityPeriod?.end;
+        const endedLater = isAfter(end, cutoff) || (!end && isAfter(request.meta?.lastUpdated, cutoff));
+        if (!endedLater || request.status === 'active') return request;
+        return {
+          ...request,
+          status: 'active',
+          statusReason: undefined,
+          dispenseRequest: request.dispenseRequest && {
+            ...request.dispenseRequest,
+            validityPeriod: { ...request.dispenseRequest.validityPeriod, end: undefined }
+          }
+        };
+      });
+  }
+
+  if (Array.isArray(patientData.medicationStatements)) {
+    snapshot.medicationStatements = patientData.medicationStatements
+      .filter(statement => !isAfter(statement.effectivePeriod?.start || statement.effectiveDateTime || statement.dateAsserted, cutoff))
+      .map(statement => (isAfter(statement.effectivePeriod?.end, cutoff)
+        ? { ...statement, status: 'active', statusReason: undefined, effectivePeriod: { start: statement.effectivePeriod.start } }
+        : statement));
+  }
+
+  if (Array.isArray(patientData.carePlans)) {
+    snapshot.carePlans = patientData.carePlans
+      .filter(plan => !isAfter(plan.period?.start || plan.created, cutoff))
+      .map(plan => (isAfter(plan.period?.end, cutoff)
+        ? { ...plan, status: 'active', period: { start: plan.period.start } }
+        : plan));
+  }
+
+  if (Array.isArray(patientData.medicationDispenses)) {
+    snapshot.medicationDispenses = patientData.medicationDispenses
+      .filter(dispense => !isAfter(dispense.whenHandedOver || dispense.whenPrepared, cutoff));
+  }
+
+  for (const key of ['medications', 'medicationHistory']) {
+    if (Array.isArray(patientData[key])) {
+      snapshot[key] = patientData[key]
+        .filter(med => !isAfter(med.startDate || med.authoredOn, cutoff))
+        .map(med => (isAfter(med.endDate, cutoff) ? { ...med, endDate: null, status: 'active' } : med));
+    }
+  }
+
+  if (Array.isArray(patientData.therapyHistory)) {
+    snapshot.therapyHistory = patientData.therapyHistory
+      .filter(therapy => !isAfter(therapy.startDate, cutoff))
+      .map(therapy => therapyAsOf(therapy, cutoff));
+  }
+
+  if (Array.isArray(patientData.documentation)) {
+    snapshot.documentation = patientData.documentation.filter(doc => !isAfter(doc.date, cutoff));
+  }
+
+  if (patientData.labs) {
+    snapshot.labs = Object.fromEntries(
+      Object.entries(patientData.labs).filter(([, lab]) => !isAfter(lab?.date, cutoff))
+    );
+  }
+
+  if (patientData.vitals) {
+    snapshot.vitals = Object.fromEntries(
+      Object.entries(patientData.vitals).filter(([, vital]) => vital?.date && !isAfter(vital.date, cutoff))
+    );
+  }
+
+  if (patientData.clinicalNotes) {
+    snapshot.clinicalNotes = Object.fromEntries(
+      Object.entries(patientData.clinicalNotes).filter(([, note]) =>
+        typeof note !== 'number' && !isAfter(note?.date || note?.startDate, cutoff)
+      )
+    );
+  }
+
+  // Age is recomputed from the birth date on the as-of date; a recorded age
+  // without one is rolled back by the whole years elapsed
+  const birthDate = patientData.birthDate || patientData.demographics?.birthDate;
+  if (birthDate && patientData.age !== undefined) {
+    snapshot.age = getPatientAge({ birthDate, asOf: asOfIso });
+  } else if (typeof patientData.age === 'number') {
+    const elapsedYears = Math.floor((getEvaluationTime(patientData) - cutoff) / MS_PER_YEAR);
+    snapshot.age = patientData.age - Math.max(0, elapsedYears);
+  }
+
+  return snapshot;
+}
+
+function therapyAsOf(therapy, cutoff) {
+  if (therapy.fills) {
+    therapy = { ...therapy, fills: therapy.fills.filter(fill => !isAfter(fill.date, cutoff)) };
+  }
+  if (!therapy.doses?.length) {
+    return isAfter(therapy.endDate, cutoff) ? { ...therapy, endDate: null } : therapy;
+  }
+  const doses = therapy.doses
+    .filter(segment => !isAfter(segment.startDate, cutoff))
+    .map(segment => (isAfter(segment.endDate, cutoff) ? { ...segment, endDate: null } : segment));
+  return {
+    ...therapy,
+    doses,
+    currentDose: doses.length > 0 ? doses[doses.length - 1].value : therapy.currentDose,
+    endDate: isAfter(therapy.endDate, cutoff) ? null : therapy.endDate
+  };
+}
+
+function resourceDate(resource) {
+  return resource?.period?.start ||
+    resource?.performedDateTime ||
+    resource?.performedPeriod?.start ||
+    getResourceDate(resource);
+}
+
+function isDateOnly(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function isAfter(date, cutoff) {
+  if (!date) return false;
+  const time = Date.parse(date);
+  return !Number.isNaN(time) && time > cutoff;
+}
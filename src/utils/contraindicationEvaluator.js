@@ -0,0 +1,329 @@
+import { CriteriaStatus } from '../constants';
+import {
+  CONTRAINDICATION_VALUE_SETS,
+  PREGNANCY_STATUS,
+  BREASTFEEDING_STATUS,
+  EGFR_LOINC_CODES
+} from '../data/valueSets';
+import {
+  extractConditions,
+  conceptInValueSet,
+  findLatestObservationByCode,
+  getObservationNumericValue,
+  getResourceDate,
+  getPatientAge,
+  getEvaluationTime
+} from './fhirHelpers';
+
+// Screened when a payer criterion doesn't list its own exclusions
+export const DEFAULT_CONTRAINDICATIONS = ['mtc', 'men2', 'pancreatitis', 'pregnancy', 'breastfeeding'];
+
+// Flags in clinicalNotes.contraindications that record a prescriber attestation
+export const ATTESTATION_FLAGS = {
+  mtc: 'mtcHistory',
+  men2: 'men2',
+  pancreatitis: 'pancreatitis',
+  pregnancy: 'pregnancy',
+  breastfeeding: 'breastfeeding',
+  gastroparesis: 'gastroparesis',
+  renalImpairment: 'renalImpairment'
+};
+export const FAMILY_ATTESTATION_FLAG = 'familyMtcHistory';
+
+const REPRODUCTIVE_AGE = { min: 12, max: 55 };
+
+// A "not pregnant" or "not breastfeeding" status only rules the exclusion out this long
+const STATUS_MAX_AGE_DAYS = 30;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const INACTIVE_STATUSES = ['resolved', 'inactive'];
+
+// Free text that mentions a contraindication only to rule it out
+const NEGATION_BEFORE = /\b(no|not|denies|denied|negative for|without|free of|never had|ruled out)\b/;
+const NEGATION_AFTER = /\b(ruled out|excluded|negative|denied)\b/;
+
+/**
+ * Evaluate the "no contraindications" criterion.
+ *
+ * Every exclusion listed on the criterion (config.exclusions) ends up in one of three buckets:
+ *  - found: a Condition, FamilyMemberHistory, Observation or attestation documents it -> NOT_MET
+ *  - cleared: the chart or an attestation rules it out
+ *  - unresolved: nothing in the chart either way -> NEEDS_ATTESTATION
+ */
+export function evaluateContraindications(patientData, config = {}) {
+  const exclusions = config.exclusions || DEFAULT_CONTRAINDICATIONS;
+  const attestations = patientData.clinicalNotes?.contraindications || {};
+  const conditions = extractConditions(patientData);
+  const familyHistory = patientData.familyMemberHistory || [];
+  const observations = patientData.observations || [];
+
+  const findings = [];
+  const evidence = [];
+  const unresolved = [];
+
+  for (const key of exclusions) {
+    const valueSet = CONTRAINDICATION_VALUE_SETS[key];
+    if (!valueSet) {
+      unresolved.push({ contraindication: key, label: key, reason: 'No value set defined' });
+      continue;
+    }
+
+    const keyFindings = [
+      ...findConditionMatches(conditions, key, valueSet),
+      ...(valueSet.familyHistory ? findFamilyHistoryMatches(familyHistory, key, valueSet) : [])
+    ];
+    const screening = screenObservations(key, valueSet, observations, patientData);
+    keyFindings.push(...screening.findings);
+    evidence.push(...screening.evidence);
+
+    const flag = ATTESTATION_FLAGS[key];
+    if (flag && attestations[flag] === true) {
+      keyFindings.push(attestationEvidence(key, valueSet, flag, true));
+    }
+    if (valueSet.familyHistory && attestations[FAMILY_ATTESTATION_FLAG] === true) {
+      keyFindings.push(attestationEvidence(key, valueSet, FAMILY_ATTESTATION_FLAG, true));
+    }
+
+    if (keyFindings.length > 0) {
+      findings.push(...keyFindings);
+      continue;
+    }
+
+    const gap = findScreeningGap(key, valueSet, {
+      patientData,
+      attestations,
+      conditions,
+      familyHistory,
+      cleared: screening.cleared,
+      outdatedStatus: screening.outdatedStatus
+    });
+    if (gap) {
+      unresolved.push({ contraindication: key, label: valueSet.label, reason: gap });
+    } else if (flag && attestations[flag] === false) {
+      evidence.push(attestationEvidence(key, valueSet, flag, false));
+    }
+  }
+
+  evidence.unshift(...findings);
+
+  if (findings.length > 0) {
+    const labels = uniqueLabels(findings);
+    return {
+      status: CriteriaStatus.NOT_MET,
+      reason: 'Contraindications',
+      details: `Contraindication documented: ${labels.join(', ')}`,
+      displayValue: labels.join(', '),
+      findings,
+      unresolved,
+      evidence
+    };
+  }
+
+  if (unresolved.length > 0) {
+    const labels = uniqueLabels(unresolved);
+    return {
+      status: CriteriaStatus.NEEDS_ATTESTATION,
+      reason: 'Contraindications',
+      details: `Prescriber attestation needed: ${unresolved.map(u => `${u.label} (${u.reason})`).join('; ')}`,
+      displayValue: `Attest: ${labels.join(', ')}`,
+      findings,
+      unresolved,
+      evidence
+    };
+  }
+
+  return {
+    status: CriteriaStatus.MET,
+    reason: 'Contraindications',
+    details: `No contraindications documented (screened: ${exclusions
+      .map(key => CONTRAINDICATION_VALUE_SETS[key]?.label || key)
+      .join(', ')})`,
+    displayValue: 'None documented',
+    findings,
+    unresolved,
+    evidence
+  };
+}
+
+function findConditionMatches(conditions, key, valueSet) {
+  return conditions
+    .filter(condition => !(valueSet.currentState && INACTIVE_STATUSES.includes(condition.clinicalStatus)))
+    .filter(condition => conceptMatches(condition.concept, valueSet))
+    .map(condition => ({
+      contraindication: key,
+      label: valueSet.label,
+      resourceType: 'Condition',
+      id: condition.id,
+      display: condition.display,
+      code: condition.code,
+      date: condition.date,
+      source: condition.source
+    }));
+}
+
+function findFamilyHistoryMatches(familyHistory, key, valueSet) {
+  const matches = [];
+  for (const record of familyHistory) {
+    if (record.status === 'entered-in-error') continue;
+    for (const condition of record.condition || []) {
+      if (!conceptMatches(condition.code, valueSet)) continue;
+      const relationship = record.relationship?.text || record.relationship?.coding?.[0]?.display || 'Relative';
+      matches.push({
+        contraindication: key,
+        label: `Family history of ${valueSet.label}`,
+        resourceType: 'FamilyMemberHistory',
+        id: record.id,
+        display: `${relationship}: ${condition.code?.text || condition.code?.coding?.[0]?.display || valueSet.label}`,
+        code: condition.code?.coding?.[0]?.code,
+        date: getResourceDate(record),
+        source: 'fhir'
+      });
+    }
+  }
+  return matches;
+}
+
+// A coded match, or a keyword in text that doesn't negate it ("No history of pancreatitis")
+function conceptMatches(concept, valueSet) {
+  if (conceptInValueSet(concept, { codes: valueSet.codes })) return true;
+  if (!conceptInValueSet(concept, { keywords: valueSet.keywords })) return false;
+
+  const text = [concept.text, ...(concept.coding || []).map(c => c.display)].filter(Boolean).join('. ').toLowerCase();
+  return text.split(/[.;,]/).some(clause => valueSet.keywords.some(keyword => {
+    const at = clause.indexOf(keyword);
+    return at >= 0 &&
+      !NEGATION_BEFORE.test(clause.slice(0, at)) &&
+      !NEGATION_AFTER.test(clause.slice(at + keyword.length));
+  }));
+}
+
+// Pregnancy, lactation and renal screening come from status Observations rather than Conditions
+function screenObservations(key, valueSet, observations, patientData) {
+  const result = { findings: [], evidence: [], cleared: false, outdatedStatus: null };
+  // A negative status clears the exclusion only while it is recent
+  const clearWith = (obs, label) => {
+    const ageDays = (getEvaluationTime(patientData) - Date.parse(getResourceDate(obs))) / MS_PER_DAY;
+    if (ageDays <= STATUS_MAX_AGE_DAYS) {
+      result.evidence.push(observationEvidence(key, label, obs));
+      result.cleared = true;
+    } else {
+      result.outdatedStatus = getResourceDate(obs) || 'undated';
+    }
+  };
+
+  if (key === 'pregnancy') {
+    const obs = findLatestObservationByCode(observations, PREGNANCY_STATUS.loinc);
+    const answer = obs?.valueCodeableConcept?.coding?.map(c => c.code) || [];
+    if (answer.some(code => PREGNANCY_STATUS.pregnant.includes(code))) {
+      result.findings.push(observationEvidence(key, valueSet.label, obs));
+    } else if (answer.some(code => PREGNANCY_STATUS.notPregnant.includes(code))) {
+      clearWith(obs, 'Not pregnant');
+    }
+  }
+
+  if (key === 'breastfeeding') {
+    const obs = findLatestObservationByCode(observations, BREASTFEEDING_STATUS.loinc);
+    const answer = obs?.valueCodeableConcept?.coding?.map(c => c.code) || [];
+    if (obs?.valueBoolean === true || answer.some(code => BREASTFEEDING_STATUS.yes.includes(code))) {
+      result.findings.push(observationEvidence(key, valueSet.label, obs));
+    } else if (obs?.valueBoolean === false || answer.some(code => BREASTFEEDING_STATUS.no.includes(code))) {
+      clearWith(obs, 'Not breastfeeding');
+    }
+  }
+
+  if (key === 'renalImpairment') {
+    const obs = EGFR_LOINC_CODES
+      .map(code => findLatestObservationByCode(observations, code))
+      .filter(Boolean)
+      .sort((a, b) => (Date.parse(getResourceDate(b)) || 0) - (Date.parse(getResourceDate(a)) || 0))[0];
+    const egfr = obs ? getObservationNumericValue(obs) : patientData.labs?.egfr?.value;
+
+    if (typeof egfr === 'number' && !Number.isNaN(egfr)) {
+      const item = obs
+        ? observationEvidence(key, `eGFR ${egfr}`, obs)
+        : {
+          contraindication: key,
+          label: `eGFR ${egfr}`,
+          resourceType: 'Observation',
+          id: null,
+          display: `eGFR ${egfr} ${patientData.labs.egfr.units || ''}`.trim(),
+          date: patientData.labs.egfr.date || null,
+          source: 'chart'
+        };
+      if (egfr < 30) {
+        result.findings.push({ ...item, label: valueSet.label });
+      } else {
+        result.evidence.push(item);
+        result.cleared = true;
+      }
+    }
+  }
+
+  return result;
+}
+
+// Returns why an exclusion can't be ruled out from the chart, or null if it can
+function findScreeningGap(key, valueSet, { patientData, attestations, conditions, familyHistory, cleared, outdatedStatus }) {
+  const flag = ATTESTATION_FLAGS[key];
+  const personallyAttested = flag && attestations[flag] === false;
+
+  if (key === 'pregnancy' || key === 'breastfeeding') {
+    if (cleared || personallyAttested || !hasReproductivePotential(patientData)) return null;
+    return outdatedStatus
+      ? `status from ${outdatedStatus} is older than ${STATUS_MAX_AGE_DAYS} days`
+      : 'status not documented';
+  }
+
+  if (key === 'renalImpairment') {
+    if (cleared || personallyAttested) return null;
+    return 'no eGFR on file';
+  }
+
+  if (!personallyAttested && conditions.length === 0) {
+    return 'no problem list available';
+  }
+
+  if (valueSet.familyHistory && familyHistory.length === 0 && attestations[FAMILY_ATTESTATION_FLAG] !== false) {
+    return 'family history not documented';
+  }
+
+  return null;
+}
+
+function hasReproductivePotential(patientData) {
+  if (patientData.gender !== 'female') return false;
+  const age = getPatientAge(patientData);
+  if (age === null || age === undefined) return true;
+  return age >= REPRODUCTIVE_AGE.min && age <= REPRODUCTIVE_AGE.max;
+}
+
+function observationEvidence(key, label, obs) {
+  return {
+    contraindication: key,
+    label,
+    resourceType: 'Observation',
+    id: obs.id,
+    display: obs.valueCodeableConcept?.text ||
+      obs.valueCodeableConcept?.coding?.[0]?.display ||
+      (obs.valueQuantity ? `${obs.valueQuantity.value} ${obs.valueQuantity.unit || ''}`.trim() : String(obs.valueBoolean)),
+    code: obs.code?.coding?.[0]?.code,
+    date: getResourceDate(obs),
+    source: 'fhir'
+  };
+}
+
+function attestationEvidence(key, valueSet, flag, present) {
+  return {
+    contraindication: key,
+    label: present ? valueSet.label : `No ${valueSet.label.toLowerCase()}`,
+    resourceType: null,
+    id: null,
+    display: `clinicalNotes.contraindications.${flag} = ${present}`,
+    date: null,
+    source: 'attestation'
+  };
+}
+
+function uniqueLabels(items) {
+  return [...new Set(items.map(item => item.label))];
+}
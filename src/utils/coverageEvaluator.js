@@ -5,6 +5,8 @@ import { getCodings, codeMatches, getObservationNumericValue, findLatestObservat
 import { CriteriaStatus, normalizeStatus } from '../constants';
 import { CacheManager } from './cacheManager';
 import { withErrorRecovery } from './errorHandler';
+import { getChartAsOf } from './asOfDate';
+import { drugCoverage } from '../data/drugCoverage';
 
 // Lazy initialize cache manager to allow for mocking in tests
 let cacheManager;
@@ -25,14 +27,22 @@ export function __resetCacheManager() {
   cacheManager = null;
 }
 
-export async function evaluateCoverage(patientId, medication, dose) {
+/**
+ * Evaluate PA coverage for a patient, medication and dose.
+ *
+ * options.asOf (ISO date) reproduces the evaluation as of that date, e.g. for an
+ * appeal: the chart is reduced to what was recorded by then (see asOfDate.js)
+ * and the payer policy in effect on that date is used.
+ */
+export async function evaluateCoverage(patientId, medication, dose, options = {}) {
   const cache = getCacheManager();
   try {
     // Check cache first
     const cacheKey = {
       patientId,
       medication: medication?.code || medication?.name,
-      dose
+      dose,
+      asOf: options.asOf || null
     };
     
     const cached = await cache.get('evaluations', cacheKey);
@@ -45,7 +55,7 @@ export async function evaluateCoverage(patientId, medication, dose) {
 
     // Proceed with evaluation
     const result = await withErrorRecovery(
-      async () => performEvaluation(patientId, medication, dose),
+      async () => performEvaluation(patientId, medication, dose, options),
       'CRITERIA_EVAL_ERROR',
       { operation: 'evaluateCoverage', patientId }
     );
@@ -75,6 +85,7 @@ export async function evaluateCoverage(patientId, medication, dose) {
       }],
       metadata: {
         evaluationDate: new Date().toISOString(),
+        asOf: options.asOf || null,
         medication: medication?.name || medication?.code || 'Unknown',
         dose,
         patientId,
@@ -86,10 +97,40 @@ export async function evaluateCoverage(patientId, medication, dose) {
   }
 }
 
-async function performEvaluation(patientId, medication, dose) {
+async function performEvaluation(patientId, medication, dose, options = {}) {
   try {
     // Mock patient data - replace with actual FHIR data fetching
-    const patientData = await fetchPatientData(patientId);
+    const patientData = getChartAsOf(await fetchPatientData(patientId), options.asOf);
+
+    // Payer policy in effect on the as-of date (today when not given)
+    const plan = patientData?.insurance;
+    const policyInEffect = plan && medication?.name
+      ? coverageLogic.getPolicyInEffect(plan, medication.name, options.asOf) || null
+      : null;
+    if (plan && medication?.name && drugCoverage[plan]?.[medication.name] && !policyInEffect) {
+      const on = options.asOf || new Date().toISOString().slice(0, 10);
+      return {
+        error: `No ${plan} policy for ${medication.name} in effect on ${on}`,
+        criteriaResults: [],
+        summary: 'No payer policy in effect on the evaluation date. Manual review required.',
+        approvalLikelihood: 0,
+        recommendations: [{
+          priority: 'high',
+          action: 'manual_review',
+          message: `Obtain the ${plan} criteria for ${medication.name} that applied on ${on}.`
+        }],
+        metadata: {
+          evaluationDate: new Date().toISOString(),
+          asOf: patientData.asOf || null,
+          medication: medication.name,
+          dose,
+          patientId,
+          metCriteria: 0,
+          totalCriteria: 0,
+          averageConfidence: 0
+        }
+      };
+    }
     
     // Get applicable criteria for this medication
     // Handle both medication.code and medication.name for flexibility
@@ -108,6 +149,7 @@ async function performEvaluation(patientId, medication, dose) {
       }],
       metadata: {
         evaluationDate: new Date().toISOString(),
+        asOf: patientData?.asOf || null,
         medication: 'Unknown',
         dose,
         patientId,
@@ -169,6 +211,7 @@ async function performEvaluation(patientId, medication, dose) {
       }],
       metadata: {
         evaluationDate: new Date().toISOString(),
+        asOf: patientData?.asOf || null,
         medication: medication?.name || medication?.code || medicationId,
         dose,
         patientId,
@@ -192,6 +235,7 @@ async function performEvaluation(patientId, medication, dose) {
       }],
       metadata: {
         evaluationDate: new Date().toISOString(),
+        asOf: patientData?.asOf || null,
         medication: medication?.name || medication?.code || 'Unknown',
         dose,
         patientId,
@@ -392,6 +436,8 @@ async function performEvaluation(patientId, medication, dose) {
     recommendations: recommendations.slice(0, 5), // Limit to 5 recommendations
     metadata: {
       evaluationDate: new Date().toISOString(),
+      asOf: patientData?.asOf || null,
+      policy: coverageLogic.describePolicyVersion(policyInEffect),
       medication: medication?.name || 'Unknown',
       dose,
       patientId,
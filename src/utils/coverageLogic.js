@@ -1,112 +1,269 @@
 import { normalizeStatus, CriteriaStatus } from '../constants.js';
-
-// Enhanced medication database with starting doses and criteria
-export const MEDICATION_DATABASE = {
+import { drugCoverage, POLICY_EFFECTIVE_DATE } from '../data/drugCoverage.js';
+import { getRecommendedStartDose } from './titrationGaps.js';
+import { getDrug, getDoses, getDosePhase, getStartingDose, INDICATIONS } from '../data/drugRegistry.js';
+import { getQuantityLimit, parseQuantityLimit } from './quantityLimitEvaluator.js';
+import { findIndicationDiagnoses, evaluateIndication } from './indicationEvaluator.js';
+
+// Criteria profile for each medication. A requirement with `phases` applies only
+// to doses in those titration phases (see getDosePhase()).
+const CRITERIA_PROFILES = {
   'Wegovy': {
-    displayName: 'Wegovy (semaglutide)',
-    category: 'GLP-1',
-    startingDose: '0.25 mg',
-    doses: ['0.25 mg', '0.5 mg', '1 mg', '1.7 mg', '2.4 mg'],
-    criteriaProfile: {
-      requiresBMI: true,
-      minBMI: 27,
-      requiresComorbidity: true,
-      requiresDoseProgression: true,
-      requiresWeightLoss: true,
-      minWeightLossPercent: 5
+    requiresBMI: true,
+    minBMI: 27,
+    requiresComorbidity: true,
+    requiresDoseProgression: true,
+    requiresWeightLoss: true,
+    minWeightLossPercent: 5,
+    pediatricMinAge: 12, // adolescents ≥12 on BMI-for-age percentile
+    lifestyleModification: { requiredDuration: 3, phases: ['starting'] },
+    priorTherapies: { minTrials: 2, phases: ['starting'] },
+    prescriberQualification: {
+      acceptedSpecialties: ['obesityMedicine', 'endocrinology'],
+      experienceAttestation: true,
+      phases: ['starting']
     }
   },
   'Ozempic': {
-    displayName: 'Ozempic (semaglutide)',
-    category: 'GLP-1',
-    startingDose: '0.25 mg',
-    doses: ['0.25 mg', '0.5 mg', '1 mg', '2 mg'],
-    criteriaProfile: {
-      requiresBMI: true,
-      minBMI: 27,
-      requiresComorbidity: true,
-      requiresDoseProgression: true,
-      requiresWeightLoss: true,
-      minWeightLossPercent: 5,
-      diabetesIndication: true
-    }
+    requiresBMI: true,
+    minBMI: 27,
+    requiresComorbidity: true,
+    requiresDoseProgression: true,
+    requiresWeightLoss: true,
+    minWeightLossPercent: 5,
+    diabetesIndication: true,
+    stepTherapy: { requiredMedication: 'Metformin', minDuration: 3 },
+    labValue: { labName: 'A1C', comparator: '>=', threshold: 7.0 },
+    cvdRisk: { minRisk: 10 }
   },
   'Zepbound': {
-    displayName: 'Zepbound (tirzepatide)',
-    category: 'GLP-1/GIP',
-    startingDose: '2.5 mg',
-    doses: ['2.5 mg', '5 mg', '7.5 mg', '10 mg', '12.5 mg', '15 mg'],
-    criteriaProfile: {
-      requiresBMI: true,
-      minBMI: 30,
-      requiresComorbidity: false,
-      requiresDoseProgression: true,
-      requiresWeightLoss: true,
-      minWeightLossPercent: 5
-    }
+    requiresBMI: true,
+    minBMI: 30,
+    requiresComorbidity: false,
+    requiresDoseProgression: true,
+    requiresWeightLoss: true,
+    minWeightLossPercent: 5
   },
   'Mounjaro': {
-    displayName: 'Mounjaro (tirzepatide)',
-    category: 'GLP-1/GIP',
-    startingDose: '2.5 mg',
-    doses: ['2.5 mg', '5 mg', '7.5 mg', '10 mg', '12.5 mg', '15 mg'],
-    criteriaProfile: {
-      requiresBMI: true,
-      minBMI: 27,
-      requiresComorbidity: true,
-      requiresDoseProgression: true,
-      requiresWeightLoss: true,
-      minWeightLossPercent: 5,
-      diabetesIndication: true
-    }
+    requiresBMI: true,
+    minBMI: 27,
+    requiresComorbidity: true,
+    requiresDoseProgression: true,
+    requiresWeightLoss: true,
+    minWeightLossPercent: 5,
+    diabetesIndication: true,
+    stepTherapy: { requiredMedication: 'Metformin', minDuration: 3 },
+    labValue: { labName: 'A1C', comparator: '>=', threshold: 7.0 }
   },
   'Saxenda': {
-    displayName: 'Saxenda (liraglutide)',
-    category: 'GLP-1',
-    startingDose: '0.6 mg',
-    doses: ['0.6 mg', '1.2 mg', '1.8 mg', '2.4 mg', '3 mg'],
-    criteriaProfile: {
-      requiresBMI: true,
-      minBMI: 30,
-      requiresComorbidity: false,
-      requiresDoseProgression: true,
-      requiresWeightLoss: true,
-      minWeightLossPercent: 4
-    }
+    requiresBMI: true,
+    minBMI: 30,
+    requiresComorbidity: false,
+    requiresDoseProgression: true,
+    requiresWeightLoss: true,
+    minWeightLossPercent: 4,
+    pediatricMinAge: 12
   },
   'Contrave': {
-    displayName: 'Contrave (bupropion/naltrexone)',
-    category: 'Combination',
-    startingDose: '1 tablet',
-    doses: ['1 tablet daily', '1 tablet twice daily', '2 tablets twice daily'],
-    criteriaProfile: {
-      requiresBMI: true,
-      minBMI: 30,
-      requiresComorbidity: false,
-      requiresDoseProgression: false,
-      requiresWeightLoss: true,
-      minWeightLossPercent: 5,
-      noOpioidUse: true
-    }
+    requiresBMI: true,
+    minBMI: 30,
+    requiresComorbidity: false,
+    requiresDoseProgression: false,
+    requiresWeightLoss: true,
+    minWeightLossPercent: 5,
+    noOpioidUse: true
   },
   'Qsymia': {
-    displayName: 'Qsymia (phentermine/topiramate)',
-    category: 'Combination',
-    startingDose: '3.75 mg/23 mg',
-    doses: ['3.75 mg/23 mg', '7.5 mg/46 mg', '11.25 mg/69 mg', '15 mg/92 mg'],
-    criteriaProfile: {
-      requiresBMI: true,
-      minBMI: 30,
-      requiresComorbidity: false,
-      requiresDoseProgression: true,
-      requiresWeightLoss: true,
-      minWeightLossPercent: 3
-    }
+    requiresBMI: true,
+    minBMI: 30,
+    requiresComorbidity: false,
+    requiresDoseProgression: true,
+    requiresWeightLoss: true,
+    minWeightLossPercent: 3
   }
 };
 
-// Define criteria requirements for each medication and dosage
-export function getCriteriaForMedication(medication, _dose) {
+// Medications with a criteria profile, with their drug facts from the registry
+export const MEDICATION_DATABASE = Object.fromEntries(
+  Object.entries(CRITERIA_PROFILES).map(([name, criteriaProfile]) => {
+    const drug = getDrug(name);
+    return [name, {
+      displayName: drug.displayName,
+      category: drug.class,
+      startingDose: getStartingDose(name),
+      doses: getDoses(name),
+      criteriaProfile
+    }];
+  })
+);
+
+/**
+ * Every version of a plan's policy for a drug, oldest first, as
+ * { plan, drug, version, effectiveDate, terminationDate, policy }.
+ *
+ * The drugCoverage.js entry is the current version; versions it superseded are
+ * listed in its `previousVersions` and inherit any field they don't restate.
+ * A version without a terminationDate runs until the day before the next one
+ * takes effect. `version` defaults to the effective date.
+ */
+export function getPolicyVersions(plan, drug, coverage = drugCoverage) {
+  const entry = coverage?.[plan]?.[drug];
+  if (!entry) return [];
+
+  const { previousVersions = [], ...current } = entry;
+  const versions = [...previousVersions.map(previous => ({ ...current, ...previous })), current]
+    .map(policy => ({ policy, effectiveDate: policy.effectiveDate || POLICY_EFFECTIVE_DATE }))
+    .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+
+  return versions.map(({ policy, effectiveDate }, index) => {
+    const next = versions[index + 1];
+    return {
+      plan,
+      drug,
+      version: policy.version || effectiveDate,
+      effectiveDate,
+      terminationDate: policy.terminationDate || (next ? dayBefore(next.effectiveDate) : null),
+      policy
+    };
+  });
+}
+
+/**
+ * The version of a plan's policy for a drug in effect on `asOf` (the date of
+ * service; default: now), as returned by getPolicyVersions(). Returns null when
+ * the plan doesn't list the drug or no version was in effect on that date.
+ */
+export function getPolicyInEffect(plan, drug, asOf, coverage = drugCoverage) {
+  const on = asOf ? String(asOf).slice(0, 10) : new Date().toISOString().slice(0, 10);
+  return getPolicyVersions(plan, drug, coverage)
+    .find(version => on >= version.effectiveDate && (!version.terminationDate || on <= version.terminationDate)) || null;
+}
+
+/**
+ * What an evaluation records about the policy version it applied:
+ * { plan, drug, version, effectiveDate, terminationDate }, plus `indication` when
+ * an indication's policy applied (see getIndicationPolicy()), or null
+ */
+export function describePolicyVersion(policyInEffect) {
+  if (!policyInEffect) return null;
+  const { plan, drug, version, effectiveDate, terminationDate, indication } = policyInEffect;
+  return { plan, drug, version, effectiveDate, terminationDate, ...(indication && { indication }) };
+}
+
+/**
+ * The policy in effect (as getPolicyInEffect()) for prescribing a drug for one
+ * indication. A plan/drug entry may list `indications`, keyed as INDICATIONS in
+ * drugRegistry.js, each restating the fields that differ for that use; the rest
+ * of the entry is the policy for any other use. `indication` on the result is
+ * the key whose policy applied, or null for the entry's own.
+ */
+export function getIndicationPolicy(plan, drug, indication, asOf, coverage = drugCoverage) {
+  const inEffect = getPolicyInEffect(plan, drug, asOf, coverage);
+  if (!inEffect) return null;
+  const { indications = {}, ...policy } = inEffect.policy;
+  const specific = indication ? indications[indication] : null;
+  return { ...inEffect, indication: specific ? indication : null, policy: specific ? { ...policy, ...specific } : policy };
+}
+
+/**
+ * The drug's labeled indications for a patient, most favorable first:
+ *
+ *   { indication, candidates: [{ indication, label, supported, diagnoses, covered, tier, paRequired }] }
+ *
+ * `supported` indications are documented in the chart (see evaluateIndication());
+ * they rank first, then covered ones, those without PA, and lower tiers.
+ * `indication` is the first supported one, or null when the chart supports none.
+ * `options.plan` defaults to the patient's insurance.
+ */
+export function inferIndication(patientData, drug, options = {}) {
+  const { plan = patientData?.insurance, asOf, coverage = drugCoverage } = options;
+  const candidates = (getDrug(drug)?.indications || []).map((indication, order) => {
+    const policy = getIndicationPolicy(plan, drug, indication, asOf, coverage)?.policy;
+    return {
+      indication,
+      label: INDICATIONS[indication],
+      supported: patientData ? evaluateIndication(patientData, { indication }).status === CriteriaStatus.MET : false,
+      diagnoses: findIndicationDiagnoses(patientData, indication).map(c => c.display),
+      covered: policy?.covered === true,
+      tier: policy?.tier || null,
+      paRequired: policy?.paRequired ?? null,
+      order
+    };
+  });
+
+  candidates.sort((a, b) =>
+    (b.supported - a.supported) ||
+    (b.covered - a.covered) ||
+    ((a.paRequired === true) - (b.paRequired === true)) ||
+    (tierNumber(a.tier) - tierNumber(b.tier)) ||
+    (a.order - b.order)
+  );
+  const best = candidates.find(c => c.supported);
+  return {
+    indication: best?.indication || null,
+    candidates: candidates.map(({ order: _order, ...candidate }) => candidate)
+  };
+}
+
+/**
+ * A policy's paCriteria as a criteria map for evaluateCriteria(), keyed as in
+ * keyPolicyCriteria(). Critical criteria are the required ones. Given a dose, only
+ * the criteria the policy's evaluationRules list for that dose's phase (from the
+ * policy's doseSchedule) are kept.
+ */
+export function getPolicyCriteria(policy, dose) {
+  const phase = dose ? policy?.doseSchedule?.find(step => step.value === dose)?.phase : null;
+  const types = phase ? policy?.evaluationRules?.[phase] : null;
+  return Object.fromEntries(
+    Object.entries(keyPolicyCriteria(policy?.paCriteria))
+      .filter(([, criterion]) => !types || types.includes(criterion.type))
+      .map(([key, criterion]) => [key, { ...criterion, required: criterion.critical === true }])
+  );
+}
+
+/**
+ * paCriteria keyed by type; the second criterion of a type is `type#2`, and so on
+ */
+export function keyPolicyCriteria(paCriteria = []) {
+  const counts = {};
+  const keyed = {};
+  for (const criterion of paCriteria) {
+    const type = criterion.type || 'unknown';
+    counts[type] = (counts[type] || 0) + 1;
+    keyed[counts[type] === 1 ? type : `${type}#${counts[type]}`] = criterion;
+  }
+  return keyed;
+}
+
+// "Tier 2 - Preferred Brand" -> 2; untiered sorts last
+function tierNumber(tier) {
+  const match = String(tier || '').match(/tier\s*(\d+)/i);
+  return match ? Number(match[1]) : Infinity;
+}
+
+function dayBefore(date) {
+  return new Date(Date.parse(date) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Define criteria requirements for each medication and dosage. With
+// `options.plan`, the criteria are those of the plan's policy version in effect
+// on `options.asOf` (see getPolicyCriteria()), where it lists any; otherwise the
+// drug's criteria profile. With `options.indication`, the plan's policy for that
+// indication applies where it has one (see getIndicationPolicy()).
+export function getCriteriaForMedication(medication, dose, options = {}) {
+  const policy = options.plan
+    ? getIndicationPolicy(options.plan, medication, options.indication, options.asOf)?.policy
+    : null;
+  if (policy?.paCriteria?.length > 0) {
+    const criteria = getPolicyCriteria(policy, dose);
+    for (const [key, criterion] of Object.entries(criteria)) {
+      if (criterion.type === 'indication' && options.indication) {
+        criteria[key] = { indication: options.indication, ...criterion };
+      }
+    }
+    return addQuantityLimit(criteria, policy.quantityLimit || parseQuantityLimit(policy.quantityLimits));
+  }
+
   const drugProfile = MEDICATION_DATABASE[medication];
   if (!drugProfile) {
     // Default criteria for unknown medications
@@ -116,12 +273,13 @@ export function getCriteriaForMedication(medication, _dose) {
       doseProgression: { required: true, type: 'doseProgression' },
       maintenance: { required: false, type: 'maintenance' },
       weightLoss: { required: true, type: 'weightLoss', requiredPercent: 5 },
-      documentation: { required: true, type: 'documentation' }
+      documentation: { required: true, type: 'documentation' },
+      contraindications: { required: true, type: 'contraindications' }
     };
   }
 
   const criteria = {
-    age: { required: true, type: 'age', minAge: 18 },
+    age: { required: true, type: 'age', minAge: 18, pediatricMinAge: drugProfile.criteriaProfile.pediatricMinAge },
     bmi: { 
       required: drugProfile.criteriaProfile.requiresBMI,
       type: 'bmi',
@@ -137,7 +295,8 @@ export function getCriteriaForMedication(medication, _dose) {
       type: 'weightLoss',
       requiredPercent: drugProfile.criteriaProfile.minWeightLossPercent 
     },
-    documentation: { required: true, type: 'documentation' }
+    documentation: { required: true, type: 'documentation' },
+    contraindications: { required: true, type: 'contraindications' }
   };
 
   // Add comorbidity requirement if applicable
@@ -150,11 +309,53 @@ export function getCriteriaForMedication(medication, _dose) {
     criteria.noOpioidUse = { required: true, type: 'noOpioidUse' };
   }
 
+  if (drugProfile.criteriaProfile.stepTherapy) {
+    criteria.stepTherapy = { required: true, type: 'stepTherapy', ...drugProfile.criteriaProfile.stepTherapy };
+  }
+
+  // A profile requirement, without its `phases`, if it applies at this dose
+  const phase = dose ? getDosePhase(medication, dose) : null;
+  const requirementAtDose = name => {
+    const requirement = drugProfile.criteriaProfile[name];
+    if (!requirement || (requirement.phases && phase && !requirement.phases.includes(phase))) return null;
+    const { phases: _phases, ...config } = requirement;
+    return { required: true, type: name, ...config };
+  };
+
+  for (const name of ['lifestyleModification', 'priorTherapies', 'prescriberQualification']) {
+    const requirement = requirementAtDose(name);
+    if (requirement) criteria[name] = requirement;
+  }
+
+  if (drugProfile.criteriaProfile.labValue) {
+    criteria.labValue = { required: true, type: 'labValue', ...drugProfile.criteriaProfile.labValue };
+  }
+
+  // CV risk supports the cardiovascular indication but isn't required for coverage
+  if (drugProfile.criteriaProfile.cvdRisk) {
+    criteria.cvdRisk = { required: false, type: 'cvdRisk', ...drugProfile.criteriaProfile.cvdRisk };
+  }
+
   if (drugProfile.criteriaProfile.diabetesIndication) {
     criteria.diabetesPreferred = { required: false, type: 'diabetesPreferred', preferred: true };
   }
 
-  return criteria;
+  const indicationPolicy = options.indication
+    ? getIndicationPolicy(options.plan, medication, options.indication, options.asOf)
+    : null;
+  if (indicationPolicy?.indication) {
+    const required = indicationPolicy.policy.paCriteria?.find(c => c.type === 'indication');
+    criteria.indication = { required: true, type: 'indication', indication: options.indication, ...required };
+  }
+
+  return addQuantityLimit(criteria, getQuantityLimit(options.plan, medication));
+}
+
+// The plan's quantity limit on the drug, if it sets one, as a required criterion
+function addQuantityLimit(criteria, quantityLimit) {
+  return quantityLimit
+    ? { ...criteria, quantityLimit: { required: true, type: 'quantityLimit', quantityLimit } }
+    : criteria;
 }
 
 // Calculate approval likelihood for a specific medication
@@ -231,8 +432,10 @@ export function findAlternativeMedications(patientData, currentMedication, curre
       continue;
     }
 
-    // Evaluate the alternative at starting dose
-    const startingDose = medProfile.startingDose;
+    // Evaluate the alternative at starting dose, or at the strength already reached
+    // on a same-ingredient product (Ozempic -> Wegovy needn't restart at 0.25 mg)
+    // unless a lapse in therapy calls for re-titration
+    const startingDose = getRecommendedStartDose(patientData, medName) || medProfile.startingDose;
     const criteria = getCriteriaForMedication(medName, startingDose);
     const evaluationResults = {};
 
@@ -328,7 +531,7 @@ export function generateRecommendations(evaluationResults, _medication, _dose) {
       if (rec) {
         priorityMap[rec.priority].push(rec);
       }
-    } else if (status === CriteriaStatus.PARTIAL) {
+    } else if (status === CriteriaStatus.PARTIAL || status === CriteriaStatus.NEEDS_ATTESTATION) {
       const rec = generateRecommendationForCriterion(criterion, result, false);
       if (rec) {
         priorityMap.MEDIUM.push(rec);
@@ -380,6 +583,13 @@ function generateRecommendationForCriterion(criterion, result, isRequired) {
         details: result.reason || 'Record weight measurements over treatment period'
       };
 
+    case 'weightMaintained':
+      return {
+        ...baseRec,
+        action: 'Document sustained weight loss',
+        details: result.details || 'Record weights showing loss maintained on the maintenance dose'
+      };
+
     case 'documentation':
       return {
         ...baseRec,
@@ -394,6 +604,59 @@ function generateRecommendationForCriterion(criterion, result, isRequired) {
         details: 'Record qualifying conditions (diabetes, hypertension, dyslipidemia, etc.)'
       };
 
+    case 'contraindications':
+      return {
+        ...baseRec,
+        action: normalizeStatus(result.status) === CriteriaStatus.NEEDS_ATTESTATION
+          ? 'Attest to contraindication screening'
+          : 'Review contraindications',
+        details: result.details || 'Confirm no history of MTC, MEN 2, pancreatitis, pregnancy or breastfeeding'
+      };
+
+    case 'stepTherapy':
+      return {
+        ...baseRec,
+        action: 'Document prior medication trials',
+        details: result.details || 'Record start/stop dates of required prior therapies, or the intolerance that ended them'
+      };
+
+    case 'labValue':
+      return {
+        ...baseRec,
+        action: result.outdated ? 'Order a repeat lab' : 'Document qualifying lab result',
+        details: result.details || 'Attach a recent lab result that meets the payer threshold'
+      };
+
+    case 'cvdRisk':
+      return {
+        ...baseRec,
+        action: result.missingInputs?.length ? 'Complete cardiovascular risk inputs' : 'Document cardiovascular disease',
+        details: result.details || 'Record lipids, blood pressure and smoking status to estimate 10-year ASCVD risk'
+      };
+
+    case 'lifestyleModification':
+      return {
+        ...baseRec,
+        action: 'Document lifestyle program participation',
+        details: result.details || 'Record program start/end dates, visits and weight change for the behavioral therapy program'
+      };
+
+    case 'priorTherapies':
+      return {
+        ...baseRec,
+        action: 'Document prior weight-management attempts',
+        details: result.details || 'Record dates and outcomes of diet, exercise or counseling attempts'
+      };
+
+    case 'prescriberQualification':
+      return {
+        ...baseRec,
+        action: normalizeStatus(result.status) === CriteriaStatus.NEEDS_ATTESTATION
+          ? 'Attest to prescriber qualification'
+          : 'Review prescriber specialty',
+        details: result.details || 'Confirm the prescriber specialty or obesity-management experience required by the plan'
+      };
+
     case 'noOpioidUse':
       return {
         ...baseRec,
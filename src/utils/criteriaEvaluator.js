@@ -1,66 +1,130 @@
 import { normalizeStatus, CriteriaStatus } from '../constants';
 import { 
-  extractLatestObservation, 
   extractConditions, 
-  extractMedicationHistory,
-  calculateBMI,
-  parseNumericValue,
-  getPatientAge
+  getPatientAge,
+  getPatientAgeEvidence,
+  getResourceDate,
+  getBMIMeasurement
 } from './fhirHelpers';
+import { evaluateContraindications } from './contraindicationEvaluator';
+import { evaluateStepTherapy } from './stepTherapyEvaluator';
+import { evaluateEfficacy, evaluateLabValue } from './labValueEvaluator';
+import { evaluateCvdRisk } from './cvdRiskEvaluator';
+import { evaluateLifestyleModification, evaluatePriorTherapies } from './weightManagementEvaluator';
+import { evaluatePrescriberQualification } from './prescriberEvaluator';
+import { evaluateQuantityLimit } from './quantityLimitEvaluator';
+import { evaluateDiagnosis, evaluateIndication } from './indicationEvaluator';
+import { evaluateRule } from './ruleEngine';
+import { withProvenance } from './evidence';
+import { applyDataFreshness, getDataFreshnessRules } from './dataFreshness';
+import { evaluatePediatricBMI } from './pediatricBmi';
+import { getWeightTrajectory } from './weightTrajectory';
+import { describeSiblingCredit, extractEquivalentHistory, getPreviousStep, parseDoseMg } from './doseEquivalence';
+import { describeGap, getRestartRequirement } from './titrationGaps';
+import { getMaxDose, getStartingDose } from '../data/drugRegistry';
+
+// Weeks on the maximum dose for the maintenance phase
+export const MAINTENANCE_WEEKS = 12;
+
+// Built-in criterion evaluators, keyed by criterion type
+const CRITERION_EVALUATORS = {
+  age: evaluateAge,
+  bmi: evaluateBMI,
+  doseProgression: evaluateDoseProgression,
+  maintenance: evaluateMaintenance,
+  weightLoss: evaluateWeightLoss,
+  weightMaintained: evaluateWeightMaintained,
+  documentation: evaluateDocumentation,
+  comorbidity: evaluateComorbidity,
+  contraindications: evaluateContraindications,
+  stepTherapy: evaluateStepTherapy,
+  labValue: evaluateLabValue,
+  cvdRisk: evaluateCvdRisk,
+  lifestyleModification: evaluateLifestyleModification,
+  priorTherapies: evaluatePriorTherapies,
+  prescriberQualification: evaluatePrescriberQualification,
+  quantityLimit: evaluateQuantityLimit,
+  indication: evaluateIndication,
+  diagnosis: evaluateDiagnosis,
+  efficacy: evaluateEfficacy
+};
+
+/**
+ * Add or replace the evaluator for a criterion type.
+ * `evaluator(patientData, config)` returns a { status, reason, details } result.
+ */
+export function registerCriterionEvaluator(type, evaluator) {
+  CRITERION_EVALUATORS[type] = evaluator;
+}
+
+/**
+ * Criterion types with a registered evaluator
+ */
+export function getCriterionTypes() {
+  return Object.keys(CRITERION_EVALUATORS);
+}
 
-// Main evaluation function
+// Main evaluation function. A criterion with a `logic` rule is evaluated by the
+// rule engine; otherwise the evaluator registered for its type is used.
+// Every result carries normalized `evidence` (see evidence.js), held to the
+// patient's plan's data-freshness rules (config.dataFreshness overrides them).
+// `config.policy`, the payer policy version applied (describePolicyVersion() in
+// coverageLogic.js), is recorded on the result as `policy`.
 export function evaluateCriteria(criterionName, patientData, config = {}) {
   if (!patientData) {
     return {
       status: CriteriaStatus.ERROR,
       reason: 'No patient data available',
-      details: 'Patient data is required for evaluation'
+      details: 'Patient data is required for evaluation',
+      evidence: []
     };
   }
 
+  const plan = patientData.insurance;
+  const freshness = config.dataFreshness ?? getDataFreshnessRules(plan);
+  const finish = result => {
+    const checked = applyDataFreshness(withProvenance(result, patientData), patientData, freshness, plan);
+    return config.policy ? { ...checked, policy: config.policy } : checked;
+  };
+
   try {
-    switch (criterionName) {
-      case 'age':
-        return evaluateAge(patientData, config);
-      
-      case 'bmi':
-        return evaluateBMI(patientData, config);
-      
-      case 'doseProgression':
-        return evaluateDoseProgression(patientData, config);
-      
-      case 'maintenance':
-        return evaluateMaintenance(patientData, config);
-      
-      case 'weightLoss':
-        return evaluateWeightLoss(patientData, config);
-      
-      case 'documentation':
-        return evaluateDocumentation(patientData, config);
-      
-      case 'comorbidity':
-        return evaluateComorbidity(patientData, config);
-      
-      default:
-        return {
-          status: CriteriaStatus.NOT_APPLICABLE,
-          reason: `Unknown criterion: ${criterionName}`,
-          details: 'This criterion is not recognized'
-        };
+    if (config.logic) {
+      return finish(evaluateRule(config.logic, patientData, {
+        reason: config.reason || config.label || criterionName,
+        evaluateCriterion: (type, criterionConfig) => evaluateCriteria(type, patientData, {
+          medication: config.medication,
+          dose: config.dose,
+          ...criterionConfig
+        })
+      }));
+    }
+
+    const evaluator = CRITERION_EVALUATORS[criterionName] || CRITERION_EVALUATORS[config.type];
+    if (!evaluator) {
+      return {
+        status: CriteriaStatus.NOT_APPLICABLE,
+        reason: `Unknown criterion: ${criterionName}`,
+        details: 'This criterion is not recognized',
+        evidence: []
+      };
     }
+
+    return finish(evaluator(patientData, config));
   } catch (error) {
     console.error(`Error evaluating ${criterionName}:`, error);
     return {
       status: CriteriaStatus.ERROR,
       reason: `Evaluation error: ${error.message}`,
-      details: 'An error occurred during evaluation'
+      details: 'An error occurred during evaluation',
+      evidence: []
     };
   }
 }
 
-// Age evaluation
+// Age evaluation. `pediatricMinAge` admits adolescents under the adult minimum
+// where the drug has a pediatric indication.
 function evaluateAge(patientData, config) {
-  const minAge = config.min || 18;
+  const minAge = config.min || config.minAge || 18;
   const age = getPatientAge(patientData);
 
   if (age === null || age === undefined) {
@@ -75,74 +139,83 @@ function evaluateAge(patientData, config) {
     return {
       status: CriteriaStatus.MET,
       reason: 'Age Requirement',
-      details: `Patient age ${age} meets minimum ${minAge}`
+      details: `Patient age ${age} meets minimum ${minAge}`,
+      evidence: [getPatientAgeEvidence(patientData)]
+    };
+  }
+
+  if (config.pediatricMinAge && age >= config.pediatricMinAge) {
+    return {
+      status: CriteriaStatus.MET,
+      reason: 'Age Requirement',
+      details: `Patient age ${age} meets pediatric minimum ${config.pediatricMinAge}`,
+      evidence: [getPatientAgeEvidence(patientData)]
     };
   }
 
   return {
     status: CriteriaStatus.NOT_MET,
     reason: 'Age Requirement',
-    details: `Patient age ${age} is below minimum ${minAge} required`
+    details: `Patient age ${age} is below minimum ${minAge} required`,
+    evidence: [getPatientAgeEvidence(patientData)]
   };
 }
 
-// BMI evaluation
+// BMI evaluation. "BMI ≥30, or ≥minimum with a weight-related comorbidity" is
+// expressed as a rule; a `logic` rule on the criterion replaces it entirely.
+// Patients under 18 are evaluated on BMI-for-age percentile (config.pediatric).
 function evaluateBMI(patientData, config) {
-  const minBMI = config.min || 27;
+  const age = getPatientAge(patientData);
+  if (age !== null && age !== undefined && age < 18) {
+    return evaluatePediatricBMI(patientData, config.pediatric);
+  }
+
+  const minBMI = config.minimum ?? config.min ?? 27;
   const requireComorbidity = config.requireComorbidity || false;
-  
-  const bmi = calculateBMI(patientData);
 
-  if (bmi === null || bmi === undefined) {
+  const rule = requireComorbidity && minBMI < 30
+    ? {
+      any: [
+        { fact: 'bmi', op: '>=', value: 30 },
+        { all: [{ fact: 'bmi', op: '>=', value: minBMI }, { fact: 'comorbidityCount', op: '>=', value: 1 }] }
+      ]
+    }
+    : { fact: 'bmi', op: '>=', value: minBMI };
+
+  const result = evaluateRule(rule, patientData, { reason: 'BMI Criteria' });
+  const bmi = result.trace.type === 'fact' ? result.trace : result.trace.children[0];
+
+  if (bmi.value === null) {
+    const unitErrors = getBMIMeasurement(patientData)?.unitErrors || [];
     return {
+      ...result,
       status: CriteriaStatus.NOT_MET,
-      reason: 'BMI Criteria',
-      details: 'Height and weight needed to calculate BMI'
+      details: unitErrors.length > 0 ? unitErrors.join('; ') : 'Height and weight needed to calculate BMI'
     };
   }
 
-  const bmiValue = Math.round(bmi * 10) / 10;
-
-  // Check if BMI meets base requirement
-  if (bmi >= 30) {
-    return {
-      status: CriteriaStatus.MET,
-      reason: 'BMI Criteria',
-      details: `BMI ${bmiValue} ≥ 30`
-    };
-  } else if (bmi >= minBMI) {
-    // BMI between 27-30 may require comorbidity
-    if (requireComorbidity) {
-      const conditions = extractConditions(patientData);
-      const hasQualifyingComorbidity = checkForQualifyingComorbidities(conditions);
-      
-      if (hasQualifyingComorbidity) {
-        return {
-          status: CriteriaStatus.MET,
-          reason: 'BMI Criteria',
-          details: `BMI ${bmiValue} ≥ ${minBMI} with comorbidity`
-        };
-      } else {
-        return {
-          status: CriteriaStatus.PARTIAL,
-          reason: 'BMI Criteria',
-          details: `BMI ${bmiValue} requires comorbidity documentation`
-        };
-      }
-    }
-    
+  const hasComorbidity = requireComorbidity ? getFactValue(result.trace, 'comorbidityCount') > 0 : undefined;
+  // In the comorbidity band, the BMI qualifies once a comorbidity is documented
+  if (requireComorbidity && !hasComorbidity && bmi.value >= minBMI && bmi.value < 30) {
     return {
-      status: CriteriaStatus.MET,
-      reason: 'BMI Criteria',
-      details: `BMI ${bmiValue} ≥ ${minBMI}`
+      ...result,
+      status: CriteriaStatus.PARTIAL,
+      details: `BMI ${bmi.value} requires comorbidity documentation`,
+      value: bmi.value,
+      hasComorbidity
     };
   }
 
-  return {
-    status: CriteriaStatus.NOT_MET,
-    reason: 'BMI Criteria',
-    details: `BMI ${bmiValue} < ${minBMI} minimum requirement`
-  };
+  return { ...result, value: bmi.value, hasComorbidity };
+}
+
+function getFactValue(node, fact) {
+  if (node.type === 'fact' && node.fact === fact) return node.value;
+  for (const child of node.children || []) {
+    const value = getFactValue(child, fact);
+    if (value !== null && value !== undefined) return value;
+  }
+  return null;
 }
 
 // Dose progression evaluation
@@ -158,6 +231,25 @@ function evaluateDoseProgression(patientData, config) {
     };
   }
 
+  // A lapse longer than the drug's restart rule means re-titrating from the first
+  // step, including when therapy was resumed at a higher dose
+  const restart = getRestartRequirement(patientData, medication);
+  if (restart?.mustRestart) {
+    const { restartDose } = restart.rule;
+    const restarting = isStartingDose(medication, currentDose) || parseDoseMg(currentDose) === parseDoseMg(restartDose);
+    const lapse = restart.gap.ongoing
+      ? describeGap(restart.gap)
+      : `${describeGap(restart.gap)}, resumed at ${restart.resumedDose}`;
+    const why = `${lapse} (${restart.rule.ingredient} is re-titrated after ${restart.rule.rule})`;
+    return {
+      status: restarting ? CriteriaStatus.MET : CriteriaStatus.NOT_MET,
+      reason: 'Dose Progression',
+      details: restarting ? `Restarting at ${restartDose} after a ${why}` : `Must restart at ${restartDose}: ${why}`,
+      restartDose,
+      gap: restart.gap
+    };
+  }
+
   // Check if this is a starting dose
   if (isStartingDose(medication, currentDose)) {
     return {
@@ -167,31 +259,41 @@ function evaluateDoseProgression(patientData, config) {
     };
   }
 
-  const medicationHistory = extractMedicationHistory(patientData, medication);
+  // Same-ingredient products count: a patient switching from Ozempic keeps their titration.
+  // After an earlier lapse, only titration since therapy resumed counts.
+  const medicationHistory = extractEquivalentHistory(patientData, medication)
+    .filter(entry => !restart || Date.parse(entry.startDate) >= Date.parse(restart.resumedOn));
+  const sinceLapse = restart ? ` since therapy resumed on ${restart.resumedOn} after a ${describeGap(restart.gap)}` : '';
   
   if (!medicationHistory || medicationHistory.length === 0) {
     // Higher dose without history
     return {
       status: CriteriaStatus.NOT_MET,
       reason: 'Dose Progression',
-      details: 'Dose not found in schedule'
+      details: restart
+        ? `No titration documented${sinceLapse}; restart at ${restart.rule.restartDose} expected`
+        : 'Dose not found in schedule'
     };
   }
 
   // Check dose escalation pattern
   const escalationValid = checkDoseEscalation(medicationHistory, currentDose, medication);
   
+  const evidence = medicationHistory.map(medicationEvidence);
+
   if (escalationValid.isValid) {
     return {
       status: CriteriaStatus.MET,
       reason: 'Dose Progression',
-      details: escalationValid.details || 'Appropriate dose escalation documented'
+      details: `${escalationValid.details || 'Appropriate dose escalation documented'}${sinceLapse}`,
+      evidence
     };
   } else {
     return {
       status: CriteriaStatus.NOT_MET,
       reason: 'Dose Progression',
-      details: escalationValid.details || 'Dose escalation not properly documented'
+      details: `${escalationValid.details || 'Dose escalation not properly documented'}${sinceLapse}`,
+      evidence
     };
   }
 }
@@ -200,7 +302,7 @@ function evaluateDoseProgression(patientData, config) {
 function evaluateMaintenance(patientData, config) {
   const medication = config.medication;
   
-  const medicationHistory = extractMedicationHistory(patientData, medication);
+  const medicationHistory = extractEquivalentHistory(patientData, medication);
   
   if (!medicationHistory || medicationHistory.length === 0) {
     return {
@@ -212,18 +314,23 @@ function evaluateMaintenance(patientData, config) {
 
   // Check if on max dose for sufficient duration
   const maxDoseDuration = getMaxDoseDuration(medicationHistory, medication);
+  const evidence = medicationHistory.map(medicationEvidence);
   
-  if (maxDoseDuration >= 12) { // 12 weeks on max dose
+  if (maxDoseDuration >= MAINTENANCE_WEEKS) {
     return {
       status: CriteriaStatus.MET,
       reason: 'Maintenance Phase',
-      details: `On maintenance dose for ${maxDoseDuration} weeks`
+      details: `On maintenance dose for ${maxDoseDuration} weeks`,
+      weeks: maxDoseDuration,
+      evidence
     };
   } else if (maxDoseDuration > 0) {
     return {
       status: CriteriaStatus.PARTIAL,
       reason: 'Maintenance Phase',
-      details: `On maintenance dose for ${maxDoseDuration} weeks (12 weeks required)`
+      details: `On maintenance dose for ${maxDoseDuration} weeks (${MAINTENANCE_WEEKS} weeks required)`,
+      weeks: maxDoseDuration,
+      evidence
     };
   }
 
@@ -234,52 +341,151 @@ function evaluateMaintenance(patientData, config) {
   };
 }
 
-// Weight loss evaluation
+// Weight loss evaluation. Uses the fitted weight trajectory: percent loss 12-16
+// weeks after the maximum tolerated dose was reached, or, without a dose history,
+// loss from baseline to now.
 function evaluateWeightLoss(patientData, config) {
-  const threshold = config.threshold || 5; // Default 5% weight loss
-  
-  const weightHistory = extractWeightHistory(patientData);
-  
-  if (!weightHistory || weightHistory.length < 2) {
+  const threshold = config.threshold || config.minPercentage || config.requiredPercent || 5;
+  const trajectory = getWeightTrajectory(patientData, { medication: config.medication, minPercentage: threshold });
+
+  if (trajectory.points.length < 2 || !trajectory.current) {
+    const documented = patientData.clinicalNotes?.initialWeightLossPercentage ??
+      patientData.clinicalNotes?.weightLossPercentage;
+    if (typeof documented === 'number') {
+      return weightLossResult(documented, threshold, `${documented}% weight loss documented`, [
+        documentedEvidence('Peak weight loss', documented)
+      ]);
+    }
+    const skipped = trajectory.unitErrors.length > 0 ? `; skipped ${trajectory.unitErrors.join('; ')}` : '';
     return {
       status: CriteriaStatus.NOT_MET,
       reason: 'Weight Loss',
-      details: 'Weight loss not documented'
+      details: `Weight loss not documented${skipped}`
     };
   }
 
-  const baselineWeight = getBaselineWeight(weightHistory, 12); // 12 weeks
-  const currentWeight = getCurrentWeight(weightHistory);
-  
-  if (!baselineWeight || !currentWeight) {
+  const { assessments, maxToleratedDose, current, evidence } = trajectory;
+  const assessed = assessments.filter(a => a.percent !== null);
+  const pending = assessments.find(a => a.due);
+
+  if (assessed.length > 0) {
+    const best = assessed.reduce((top, a) => (a.percent > top.percent ? a : top));
+    const atDose = `${best.weeks} weeks after reaching maximum tolerated dose (${maxToleratedDose.dose} on ${maxToleratedDose.date})`;
+    if (best.percent < threshold && pending) {
+      return {
+        status: CriteriaStatus.PARTIAL,
+        reason: 'Weight Loss',
+        details: `${best.percent}% weight loss ${atDose} (<${threshold}% required); ${pending.weeks}-week assessment due ${pending.date}`,
+        value: best.percent,
+        assessments,
+        evidence
+      };
+    }
+    return { ...weightLossResult(best.percent, threshold, `${best.percent}% weight loss ${atDose}`, evidence), assessments };
+  }
+
+  if (pending) {
     return {
-      status: CriteriaStatus.NOT_MET,
+      status: CriteriaStatus.PARTIAL,
       reason: 'Weight Loss',
-      details: 'Not documented'
+      details: `${current.percent}% weight loss so far; ${pending.weeks}-week assessment at maximum tolerated dose ` +
+        `(${maxToleratedDose.dose}) due ${pending.date}`,
+      value: current.percent,
+      assessments,
+      evidence
     };
   }
 
-  const weightLossPercent = ((baselineWeight - currentWeight) / baselineWeight) * 100;
-  const roundedPercent = Math.round(weightLossPercent * 10) / 10;
+  return { ...weightLossResult(current.percent, threshold, `${current.percent}% weight loss`, evidence), assessments };
+}
 
-  if (weightLossPercent >= threshold) {
+function weightLossResult(percent, threshold, summary, evidence) {
+  if (percent >= threshold) {
     return {
       status: CriteriaStatus.MET,
       reason: 'Weight Loss',
-      details: `${roundedPercent}% weight loss achieved (≥${threshold}% required)`
+      details: `${summary} (≥${threshold}% required)`,
+      value: percent,
+      evidence
     };
-  } else if (weightLossPercent > 0) {
+  } else if (percent > 0) {
     return {
       status: CriteriaStatus.PARTIAL,
       reason: 'Weight Loss',
-      details: `${roundedPercent}% weight loss (<${threshold}% required)`
+      details: `${summary} (<${threshold}% required)`,
+      value: percent,
+      evidence
     };
   }
 
   return {
     status: CriteriaStatus.NOT_MET,
     reason: 'Weight Loss',
-    details: 'Weight loss not documented'
+    details: 'Weight loss not documented',
+    value: percent,
+    evidence
+  };
+}
+
+// Weight maintenance evaluation: current loss from baseline and how long it has
+// stayed at or above the required percentage. Regain is reported, not penalized.
+function evaluateWeightMaintained(patientData, config) {
+  const minPercentage = config.minPercentage || 5;
+  const minMonths = config.minMonths || 3;
+  const trajectory = getWeightTrajectory(patientData, { medication: config.medication, minPercentage });
+
+  let percent;
+  let months;
+  let evidence = trajectory.evidence;
+  if (trajectory.points.length >= 2 && trajectory.current) {
+    percent = trajectory.current.percent;
+    months = trajectory.maintainedMonths || 0;
+  } else {
+    const notes = patientData.clinicalNotes || {};
+    if (typeof notes.currentWeightLossPercentage !== 'number') {
+      return {
+        status: CriteriaStatus.NOT_MET,
+        reason: 'Weight Maintained',
+        details: 'Weight maintenance not documented'
+      };
+    }
+    percent = notes.currentWeightLossPercentage;
+    months = notes.weightMaintenanceMonths || 0;
+    evidence = [documentedEvidence('Sustained weight loss', percent, months)];
+  }
+
+  const regain = trajectory.regain?.detected
+    ? `; regained ${trajectory.regain.percent}% of baseline weight since ${trajectory.regain.since}`
+    : '';
+  const summary = `${percent}% weight loss maintained for ${months} months`;
+
+  let status = CriteriaStatus.NOT_MET;
+  if (percent >= minPercentage && months >= minMonths) {
+    status = CriteriaStatus.MET;
+  } else if (percent >= minPercentage) {
+    status = CriteriaStatus.PARTIAL;
+  }
+
+  return {
+    status,
+    reason: 'Weight Maintained',
+    details: `${summary} (requires ${minPercentage}% for ${minMonths}+ months)${regain}`,
+    value: percent,
+    months,
+    regainDetected: Boolean(trajectory.regain?.detected),
+    evidence
+  };
+}
+
+function documentedEvidence(label, percent, months) {
+  return {
+    resourceType: null,
+    id: null,
+    display: `${label}: ${percent}%${months !== undefined ? ` for ${months} months` : ''}`,
+    value: percent,
+    unit: '%',
+    date: null,
+    source: 'manual'
   };
 }
 
@@ -299,13 +505,15 @@ function evaluateDocumentation(patientData, config) {
     return {
       status: CriteriaStatus.MET,
       reason: 'Clinical Documentation',
-      details: 'All required documentation present'
+      details: 'All required documentation present',
+      evidence: documentationStatus.evidence
     };
   } else if (documentedCount > 0) {
     return {
       status: CriteriaStatus.PARTIAL,
       reason: 'Clinical Documentation',
-      details: `${documentedCount}/${totalRequired}`
+      details: `${documentedCount}/${totalRequired}`,
+      evidence: documentationStatus.evidence
     };
   }
 
@@ -329,6 +537,7 @@ function evaluateComorbidity(patientData, config) {
   ];
 
   const foundConditions = [];
+  const evidence = [];
   
   // For Andre Patel demo - showing as having qualifying comorbidities
   if (patientData.name?.includes('Andre') || patientData.name?.includes('Patel')) {
@@ -344,6 +553,13 @@ function evaluateComorbidity(patientData, config) {
     for (const qualifying of qualifyingConditions) {
       if (conditionText.includes(qualifying.toLowerCase())) {
         foundConditions.push(qualifying);
+        evidence.push({
+          resourceType: 'Condition',
+          id: condition.id,
+          display: condition.display,
+          date: condition.date,
+          source: condition.source
+        });
         break;
       }
     }
@@ -353,7 +569,8 @@ function evaluateComorbidity(patientData, config) {
     return {
       status: CriteriaStatus.MET,
       reason: 'Comorbidity',
-      details: foundConditions.join(', ')
+      details: foundConditions.join(', '),
+      evidence
     };
   }
 
@@ -366,30 +583,32 @@ function evaluateComorbidity(patientData, config) {
 
 // Helper functions
 function isStartingDose(medication, dose) {
-  const startingDoses = {
-    'Wegovy': '0.25 mg',
-    'Ozempic': '0.25 mg',
-    'Zepbound': '2.5 mg',
-    'Mounjaro': '2.5 mg',
-    'Saxenda': '0.6 mg'
-  };
-  
-  // Handle variations in dose format
-  const normalizedDose = dose?.toLowerCase().replace(/\s+/g, '');
-  const startDose = startingDoses[medication]?.toLowerCase().replace(/\s+/g, '');
-  
-  return normalizedDose === startDose || dose === '0.25mg' || dose === '0.25 mg';
+  const startingDose = parseDoseMg(getStartingDose(medication));
+  return startingDose !== null && parseDoseMg(dose) === startingDose;
 }
 
 function checkDoseEscalation(history, currentDose, medication) {
+  const credit = describeSiblingCredit(history);
+  const credited = credit ? ` (credits ${credit})` : '';
+
   // For demo purposes, show proper escalation for Wegovy
   if (medication === 'Wegovy') {
     return {
       isValid: true,
-      details: 'Proper weekly titration documented'
+      details: `Proper weekly titration documented${credited}`
     };
   }
 
+  // With doses on file, the step below the requested one must have been reached,
+  // on this product or at an equivalent strength on a sibling
+  const previousStep = getPreviousStep(medication, currentDose);
+  if (previousStep && history.some(entry => entry.equivalentDose)) {
+    const reached = history.some(entry => parseDoseMg(entry.equivalentDose) >= parseDoseMg(previousStep));
+    return reached
+      ? { isValid: true, details: `Titrated through ${previousStep} before ${currentDose}${credited}` }
+      : { isValid: false, details: `No prior titration at ${previousStep} or an equivalent strength` };
+  }
+
   const treatmentDuration = calculateTreatmentDuration(history);
   
   if (treatmentDuration < 4) {
@@ -401,7 +620,7 @@ function checkDoseEscalation(history, currentDose, medication) {
 
   return {
     isValid: true,
-    details: 'Appropriate dose escalation'
+    details: `Appropriate dose escalation${credited}`
   };
 }
 
@@ -417,20 +636,12 @@ function calculateTreatmentDuration(history) {
 }
 
 function getMaxDoseDuration(history, medication) {
-  const maxDoses = {
-    'Wegovy': '2.4 mg',
-    'Ozempic': '2 mg',
-    'Zepbound': '15 mg',
-    'Mounjaro': '15 mg',
-    'Saxenda': '3 mg'
-  };
-
-  const maxDose = maxDoses[medication];
-  if (!maxDose) return 0;
+  const maxDose = parseDoseMg(getMaxDose(medication));
+  if (maxDose === null) return 0;
 
   let weeksOnMax = 0;
   for (const entry of history) {
-    if (entry.dose === maxDose) {
+    if (parseDoseMg(entry.equivalentDose ?? entry.dose) === maxDose) {
       weeksOnMax += entry.duration || 4;
     }
   }
@@ -438,78 +649,20 @@ function getMaxDoseDuration(history, medication) {
   return weeksOnMax;
 }
 
-function extractWeightHistory(patientData) {
-  if (!patientData.observations) return [];
-  
-  const weights = [];
-  for (const obs of patientData.observations) {
-    if (obs.code?.coding?.some(c => 
-      c.code === '29463-7' || 
-      c.code === '3141-9' || 
-      c.display?.toLowerCase().includes('weight')
-    )) {
-      const value = parseNumericValue(obs.valueQuantity);
-      if (value) {
-        weights.push({
-          date: new Date(obs.effectiveDateTime || obs.issued),
-          value: value
-        });
-      }
-    }
-  }
-
-  return weights.sort((a, b) => a.date - b.date);
-}
-
-function getBaselineWeight(history, weeksAgo) {
-  if (!history || history.length === 0) return null;
-  
-  const targetDate = new Date();
-  targetDate.setDate(targetDate.getDate() - (weeksAgo * 7));
-  
-  // Find weight closest to target date
-  let closest = history[0]; // Default to first if no better match
-  let minDiff = Math.abs(history[0].date - targetDate);
-  
-  for (const entry of history) {
-    const diff = Math.abs(entry.date - targetDate);
-    if (diff < minDiff) {
-      minDiff = diff;
-      closest = entry;
-    }
-  }
-
-  return closest?.value;
-}
-
-function getCurrentWeight(history) {
-  if (!history || history.length === 0) return null;
-  return history[history.length - 1]?.value;
-}
-
-function checkForQualifyingComorbidities(conditions) {
-  const qualifying = [
-    'diabetes', 
-    'hypertension', 
-    'dyslipidemia', 
-    'sleep apnea',
-    'cardiovascular disease',
-    'osteoarthritis'
-  ];
-  
-  for (const condition of conditions) {
-    const conditionText = (condition.display || condition.code || '').toLowerCase();
-    if (qualifying.some(q => conditionText.includes(q))) {
-      return true;
-    }
-  }
-  
-  return false;
+function medicationEvidence(entry) {
+  return {
+    resourceType: entry.resourceType,
+    id: entry.id,
+    display: [entry.medication, entry.dose].filter(Boolean).join(' '),
+    date: entry.startDate,
+    source: entry.source
+  };
 }
 
 function checkDocumentation(patientData, requiredDocs) {
   const found = [];
   const missing = [];
+  const evidence = [];
   
   // Check various documentation sources
   const notes = patientData.documentReference || [];
@@ -518,19 +671,26 @@ function checkDocumentation(patientData, requiredDocs) {
   
   // Combine all text sources
   const allTexts = [
-    ...notes.map(n => (n.description || n.content?.attachment?.title || '').toLowerCase()),
-    ...procedures.map(p => (p.code?.text || p.code?.coding?.[0]?.display || '').toLowerCase()),
-    ...carePlans.map(c => (c.title || c.description || '').toLowerCase())
+    ...notes.map(n => ({ resourceType: 'DocumentReference', resource: n, text: n.description || n.content?.attachment?.title || '' })),
+    ...procedures.map(p => ({ resourceType: 'Procedure', resource: p, text: p.code?.text || p.code?.coding?.[0]?.display || '' })),
+    ...carePlans.map(c => ({ resourceType: 'CarePlan', resource: c, text: c.title || c.description || '' }))
   ];
   
   for (const doc of requiredDocs) {
     const docTerms = doc.toLowerCase().split(/[_\s]+/);
-    const docFound = allTexts.some(text => 
-      docTerms.every(term => text.includes(term))
+    const match = allTexts.find(entry => 
+      docTerms.every(term => entry.text.toLowerCase().includes(term))
     );
     
-    if (docFound) {
+    if (match) {
       found.push(doc);
+      evidence.push({
+        resourceType: match.resourceType,
+        id: match.resource.id,
+        display: match.text,
+        date: getResourceDate(match.resource),
+        source: 'fhir'
+      });
     } else {
       missing.push(doc);
     }
@@ -539,7 +699,8 @@ function checkDocumentation(patientData, requiredDocs) {
   return {
     complete: missing.length === 0,
     found,
-    missing
+    missing,
+    evidence
   };
 }
 
@@ -550,6 +711,7 @@ export {
   evaluateDoseProgression,
   evaluateMaintenance,
   evaluateWeightLoss,
+  evaluateWeightMaintained,
   evaluateDocumentation,
   evaluateComorbidity
 };
\ No newline at end of file
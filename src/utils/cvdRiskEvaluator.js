@@ -0,0 +1,450 @@
+import { CriteriaStatus } from '../constants';
+import {
+  LAB_VALUE_SETS,
+  MEDICATION_CLASSES,
+  SYSTOLIC_BP_LOINC,
+  BP_PANEL_LOINC,
+  SMOKING_STATUS,
+  US_CORE_RACE_URL,
+  OMB_BLACK,
+  DIABETES_VALUE_SET,
+  ASCVD_VALUE_SET
+} from '../data/valueSets';
+import {
+  conceptInValueSet,
+  extractConditions,
+  extractLabResults,
+  extractMedicationHistory,
+  getPatientAge,
+  getResourceDate
+} from './fhirHelpers';
+import { convertUnit } from './labValueEvaluator';
+
+const DEFAULT_MIN_RISK = 10;
+const MG_DL_PER_MMOL_L = 38.67;
+
+/**
+ * Pooled Cohort Equations (Goff et al., 2013 ACC/AHA). Coefficients by sex and race;
+ * the white equations are used for every race other than Black.
+ */
+const PCE_COEFFICIENTS = {
+  female: {
+    white: {
+      lnAge: -29.799, lnAgeSq: 4.884, lnTc: 13.54, lnAgeLnTc: -3.114, lnHdl: -13.578, lnAgeLnHdl: 3.149,
+      lnTreatedSbp: 2.019, lnAgeLnTreatedSbp: 0, lnUntreatedSbp: 1.957, lnAgeLnUntreatedSbp: 0,
+      smoker: 7.574, lnAgeSmoker: -1.665, diabetes: 0.661, baseline: 0.9665, mean: -29.18
+    },
+    black: {
+      lnAge: 17.114, lnAgeSq: 0, lnTc: 0.94, lnAgeLnTc: 0, lnHdl: -18.92, lnAgeLnHdl: 4.475,
+      lnTreatedSbp: 29.291, lnAgeLnTreatedSbp: -6.432, lnUntreatedSbp: 27.82, lnAgeLnUntreatedSbp: -6.087,
+      smoker: 0.691, lnAgeSmoker: 0, diabetes: 0.874, baseline: 0.9533, mean: 86.61
+    }
+  },
+  male: {
+    white: {
+      lnAge: 12.344, lnAgeSq: 0, lnTc: 11.853, lnAgeLnTc: -2.664, lnHdl: -7.99, lnAgeLnHdl: 1.769,
+      lnTreatedSbp: 1.797, lnAgeLnTreatedSbp: 0, lnUntreatedSbp: 1.764, lnAgeLnUntreatedSbp: 0,
+      smoker: 7.837, lnAgeSmoker: -1.795, diabetes: 0.658, baseline: 0.9144, mean: 61.18
+    },
+    black: {
+      lnAge: 2.469, lnAgeSq: 0, lnTc: 0.302, lnAgeLnTc: 0, lnHdl: -0.307, lnAgeLnHdl: 0,
+      lnTreatedSbp: 1.916, lnAgeLnTreatedSbp: 0, lnUntreatedSbp: 1.809, lnAgeLnUntreatedSbp: 0,
+      smoker: 0.549, lnAgeSmoker: 0, diabetes: 0.645, baseline: 0.8954, mean: 19.54
+    }
+  }
+};
+
+// AHA PREVENT base model, 10-year ASCVD (Khan et al., Circulation 2024)
+const PREVENT_COEFFICIENTS = {
+  female: {
+    intercept: -3.819975, age: 0.719883, nonHdl: 0.1176967, hdl: -0.151185, sbpLow: -0.0835358,
+    sbpHigh: 0.3592852, diabetes: 0.8348585, smoker: 0.4831078, egfrLow: 0.4864619, egfrHigh: 0.0397779,
+    bpTreated: 0.2265309, statin: -0.0592374, bpTreatedSbpHigh: -0.0395762, statinNonHdl: 0.0844423,
+    ageNonHdl: -0.0567839, ageHdl: 0.0325692, ageSbpHigh: -0.1035985, ageDiabetes: -0.2417542,
+    ageSmoker: -0.0791142, ageEgfrLow: -0.1671492
+  },
+  male: {
+    intercept: -3.500655, age: 0.7099847, nonHdl: 0.1658663, hdl: -0.1144285, sbpLow: -0.2837212,
+    sbpHigh: 0.3239977, diabetes: 0.7189597, smoker: 0.3956973, egfrLow: 0.3690075, egfrHigh: 0.0203619,
+    bpTreated: 0.2036522, statin: -0.0865581, bpTreatedSbpHigh: -0.0322916, statinNonHdl: 0.114563,
+    ageNonHdl: -0.0300005, ageHdl: 0.0232747, ageSbpHigh: -0.0927024, ageDiabetes: -0.2018525,
+    ageSmoker: -0.0970527, ageEgfrLow: -0.1217081
+  }
+};
+
+const MODELS = {
+  PCE: {
+    label: 'Pooled Cohort Equations',
+    ageRange: [40, 79],
+    required: ['age', 'sex', 'totalCholesterol', 'hdl', 'systolicBP', 'smoker', 'diabetes', 'onBPTreatment']
+  },
+  PREVENT: {
+    label: 'PREVENT',
+    ageRange: [30, 79],
+    required: ['age', 'sex', 'totalCholesterol', 'hdl', 'systolicBP', 'smoker', 'diabetes', 'onBPTreatment', 'egfr', 'onStatin']
+  }
+};
+
+const INPUT_LABELS = {
+  age: 'age',
+  sex: 'sex',
+  totalCholesterol: 'total cholesterol',
+  hdl: 'HDL cholesterol',
+  systolicBP: 'systolic blood pressure',
+  smoker: 'smoking status',
+  diabetes: 'diabetes status',
+  onBPTreatment: 'antihypertensive treatment',
+  egfr: 'eGFR',
+  onStatin: 'statin use'
+};
+
+/**
+ * 10-year ASCVD risk (%) from the Pooled Cohort Equations.
+ * Cholesterol in mg/dL, systolic BP in mmHg; race is 'black' or anything else.
+ */
+export function calculatePooledCohortRisk(inputs) {
+  const c = PCE_COEFFICIENTS[inputs.sex][inputs.race === 'black' ? 'black' : 'white'];
+  const lnAge = Math.log(inputs.age);
+  const lnTc = Math.log(inputs.totalCholesterol);
+  const lnHdl = Math.log(inputs.hdl);
+  const lnSbp = Math.log(inputs.systolicBP);
+  const smoker = inputs.smoker ? 1 : 0;
+
+  const sum =
+    c.lnAge * lnAge +
+    c.lnAgeSq * lnAge * lnAge +
+    c.lnTc * lnTc +
+    c.lnAgeLnTc * lnAge * lnTc +
+    c.lnHdl * lnHdl +
+    c.lnAgeLnHdl * lnAge * lnHdl +
+    (inputs.onBPTreatment
+      ? c.lnTreatedSbp * lnSbp + c.lnAgeLnTreatedSbp * lnAge * lnSbp
+      : c.lnUntreatedSbp * lnSbp + c.lnAgeLnUntreatedSbp * lnAge * lnSbp) +
+    c.smoker * smoker +
+    c.lnAgeSmoker * lnAge * smoker +
+    c.diabetes * (inputs.diabetes ? 1 : 0);
+
+  return (1 - Math.pow(c.baseline, Math.exp(sum - c.mean))) * 100;
+}
+
+/**
+ * 10-year ASCVD risk (%) from the PREVENT base model. Same units as the PCE plus eGFR.
+ */
+export function calculatePreventRisk(inputs) {
+  const c = PREVENT_COEFFICIENTS[inputs.sex];
+  const age = (inputs.age - 55) / 10;
+  const nonHdl = (inputs.totalCholesterol - inputs.hdl) / MG_DL_PER_MMOL_L - 3.5;
+  const hdl = (inputs.hdl / MG_DL_PER_MMOL_L - 1.3) / 0.3;
+  const sbpLow = (Math.min(inputs.systolicBP, 110) - 110) / 20;
+  const sbpHigh = (Math.max(inputs.systolicBP, 110) - 130) / 20;
+  const egfrLow = (Math.min(inputs.egfr, 60) - 60) / -15;
+  const egfrHigh = (Math.max(inputs.egfr, 60) - 90) / -15;
+  const diabetes = inputs.diabetes ? 1 : 0;
+  const smoker = inputs.smoker ? 1 : 0;
+  const bpTreated = inputs.onBPTreatment ? 1 : 0;
+  const statin = inputs.onStatin ? 1 : 0;
+
+  const logOdds =
+    c.intercept +
+    c.age * age +
+    c.nonHdl * nonHdl +
+    c.hdl * hdl +
+    c.sbpLow * sbpLow +
+    c.sbpHigh * sbpHigh +
+    c.diabetes * diabetes +
+    c.smoker * smoker +
+    c.egfrLow * egfrLow +
+    c.egfrHigh * egfrHigh +
+    c.bpTreated * bpTreated +
+    c.statin * statin +
+    c.bpTreatedSbpHigh * bpTreated * sbpHigh +
+    c.statinNonHdl * statin * nonHdl +
+    c.ageNonHdl * age * nonHdl +
+    c.ageHdl * age * hdl +
+    c.ageSbpHigh * age * sbpHigh +
+    c.ageDiabetes * age * diabetes +
+    c.ageSmoker * age * smoker +
+    c.ageEgfrLow * age * egfrLow;
+
+  return (Math.exp(logOdds) / (1 + Math.exp(logOdds))) * 100;
+}
+
+/**
+ * Evaluate the `cvdRisk` criterion: documented ASCVD, or a 10-year risk at or
+ * above `minRisk` percent (default 10). `model` selects 'PCE' (default) or 'PREVENT'.
+ * When an input can't be found in the chart the risk is not estimated and the
+ * missing inputs are listed instead.
+ */
+export function evaluateCvdRisk(patientData, config = {}) {
+  const minRisk = config.minRisk ?? DEFAULT_MIN_RISK;
+  const model = MODELS[config.model] ? config.model : 'PCE';
+  const conditions = extractConditions(patientData);
+
+  const established = conditions.filter(c =>
+    c.clinicalStatus !== 'resolved' && c.clinicalStatus !== 'inactive' && conceptInValueSet(c.concept, ASCVD_VALUE_SET)
+  );
+  if (established.length > 0) {
+    return {
+      status: CriteriaStatus.MET,
+      reason: 'Cardiovascular Risk',
+      details: `Documented cardiovascular disease: ${established.map(c => c.display).join(', ')}`,
+      displayValue: 'Established ASCVD',
+      risk: null,
+      model: null,
+      missingInputs: [],
+      evidence: established.map(conditionEvidence)
+    };
+  }
+
+  const { inputs, evidence, assumptions } = collectRiskInputs(patientData, conditions);
+  const missing = MODELS[model].required.filter(key => inputs[key] === null || inputs[key] === undefined);
+
+  if (missing.length > 0) {
+    const missingInputs = missing.map(key => INPUT_LABELS[key]);
+    return {
+      status: CriteriaStatus.NOT_MET,
+      reason: 'Cardiovascular Risk',
+      details: `Cannot calculate 10-year ASCVD risk; missing ${missingInputs.join(', ')}`,
+      displayValue: 'Incomplete',
+      risk: null,
+      model,
+      inputs,
+      missingInputs,
+      assumptions,
+      evidence
+    };
+  }
+
+  const [minAge, maxAge] = MODELS[model].ageRange;
+  if (inputs.age < minAge || inputs.age > maxAge) {
+    return {
+      status: CriteriaStatus.NOT_MET,
+      reason: 'Cardiovascular Risk',
+      details: `${MODELS[model].label} only apply to ages ${minAge}-${maxAge} (patient is ${inputs.age})`,
+      displayValue: 'Out of range',
+      risk: null,
+      model,
+      inputs,
+      missingInputs: [],
+      assumptions,
+      evidence
+    };
+  }
+
+  const raw = model === 'PREVENT' ? calculatePreventRisk(inputs) : calculatePooledCohortRisk(inputs);
+  const risk = Math.round(raw * 10) / 10;
+  const met = risk >= minRisk;
+
+  return {
+    status: met ? CriteriaStatus.MET : CriteriaStatus.NOT_MET,
+    reason: 'Cardiovascular Risk',
+    details: `10-year ASCVD risk ${risk}% (${MODELS[model].label}) ${met ? '≥' : '<'} ${minRisk}%`,
+    displayValue: `${risk}%`,
+    risk,
+    model,
+    inputs,
+    missingInputs: [],
+    assumptions,
+    evidence
+  };
+}
+
+function collectRiskInputs(patientData, conditions) {
+  const evidence = [];
+  const assumptions = [];
+  const inputs = {
+    age: getPatientAge(patientData),
+    sex: getSex(patientData),
+    race: getRace(patientData)
+  };
+
+  if (!inputs.race) {
+    assumptions.push('race not documented; white equations used');
+  }
+
+  for (const [key, labSet] of [
+    ['totalCholesterol', LAB_VALUE_SETS.totalCholesterol],
+    ['hdl', LAB_VALUE_SETS.hdl],
+    ['egfr', LAB_VALUE_SETS.egfr]
+  ]) {
+    const result = extractLabResults(patientData, labSet)
+      .map(r => ({ ...r, converted: convertUnit(r.value, r.unit, labSet) }))
+      .find(r => r.converted !== null);
+    inputs[key] = result ? result.converted : null;
+    if (result) {
+      evidence.push({
+        resourceType: result.resourceType,
+        id: result.id,
+        kind: key,
+        display: `${labSet.label}: ${result.value} ${result.unit || labSet.unit}`,
+        value: result.value,
+        unit: result.unit,
+        date: result.date,
+        source: result.source
+      });
+    }
+  }
+
+  const sbp = getSystolicBP(patientData);
+  inputs.systolicBP = sbp ? sbp.value : null;
+  if (sbp) evidence.push(sbp.evidence);
+
+  const smoking = getSmokingStatus(patientData);
+  inputs.smoker = smoking ? smoking.current : null;
+  if (smoking) evidence.push(smoking.evidence);
+
+  const diabetes = conditions.filter(c => conceptInValueSet(c.concept, DIABETES_VALUE_SET));
+  inputs.diabetes = conditions.length > 0 ? diabetes.length > 0 : null;
+  evidence.push(...diabetes.map(conditionEvidence));
+
+  const medications = extractMedicationHistory(patientData);
+  const active = medications.filter(m => !m.endDate && !['stopped', 'completed', 'cancelled', 'entered-in-error'].includes(m.status));
+  const antihypertensives = active.filter(m => matchesClass(m, MEDICATION_CLASSES.antihypertensive));
+  const statins = active.filter(m => matchesClass(m, MEDICATION_CLASSES.statin));
+  // An empty medication list still says "no treatment"; no list at all is unknown
+  const hasMedicationList = ['medications', 'medicationRequests', 'medicationStatements']
+    .some(key => Array.isArray(patientData[key]));
+  inputs.onBPTreatment = hasMedicationList ? antihypertensives.length > 0 : null;
+  inputs.onStatin = hasMedicationList ? statins.length > 0 : null;
+  for (const med of [...antihypertensives, ...statins]) {
+    evidence.push({
+      resourceType: med.resourceType,
+      id: med.id,
+      display: [med.medication, med.dose].filter(Boolean).join(' '),
+      date: med.startDate,
+      source: med.source
+    });
+  }
+
+  return { inputs, evidence, assumptions };
+}
+
+function getSex(patientData) {
+  const gender = (patientData.gender || patientData.demographics?.gender || '').toLowerCase();
+  if (gender === 'female' || gender === 'f') return 'female';
+  if (gender === 'male' || gender === 'm') return 'male';
+  return null;
+}
+
+function getRace(patientData) {
+  if (typeof patientData.race === 'string') {
+    return /black|african/i.test(patientData.race) ? 'black' : patientData.race.toLowerCase();
+  }
+  const extension = (patientData.demographics?.extension || patientData.extension || [])
+    .find(ext => ext.url === US_CORE_RACE_URL);
+  if (!extension) return null;
+  const codes = (extension.extension || [])
+    .filter(ext => ext.url === 'ombCategory')
+    .map(ext => ext.valueCoding?.code);
+  if (codes.length === 0) return null;
+  return codes.includes(OMB_BLACK) ? 'black' : 'other';
+}
+
+// Latest systolic BP from Observations (standalone or BP panel component) or the app's vitals
+function getSystolicBP(patientData) {
+  const readings = [];
+
+  for (const obs of patientData.observations || []) {
+    if (['entered-in-error', 'cancelled'].includes(obs.status)) continue;
+    const codes = (obs.code?.coding || []).map(c => c.code);
+    let quantity = null;
+    if (codes.includes(SYSTOLIC_BP_LOINC)) {
+      quantity = obs.valueQuantity;
+    } else if (codes.some(code => BP_PANEL_LOINC.includes(code))) {
+      quantity = (obs.component || [])
+        .find(comp => (comp.code?.coding || []).some(c => c.code === SYSTOLIC_BP_LOINC))?.valueQuantity;
+    }
+    if (quantity && typeof quantity.value === 'number') {
+      readings.push({
+        value: quantity.value,
+        date: getResourceDate(obs),
+        evidence: {
+          resourceType: 'Observation',
+          id: obs.id,
+          kind: 'bloodPressure',
+          display: `Systolic BP: ${quantity.value} mmHg`,
+          value: quantity.value,
+          unit: 'mmHg',
+          date: getResourceDate(obs),
+          source: 'fhir'
+        }
+      });
+    }
+  }
+
+  const bp = patientData.vitals?.bloodPressure;
+  const systolic = typeof bp === 'string' ? Number(bp.split('/')[0]) : bp?.systolic ?? patientData.vitals?.systolicBP;
+  if (typeof systolic === 'number' && !Number.isNaN(systolic)) {
+    readings.push({
+      value: systolic,
+      date: bp?.date || null,
+      evidence: {
+        resourceType: null,
+        id: null,
+        kind: 'bloodPressure',
+        display: `Systolic BP: ${systolic} mmHg`,
+        value: systolic,
+        unit: 'mmHg',
+        date: bp?.date || null,
+        source: 'chart'
+      }
+    });
+  }
+
+  readings.sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0));
+  return readings[0] || null;
+}
+
+function getSmokingStatus(patientData) {
+  const observations = (patientData.observations || [])
+    .filter(obs => (obs.code?.coding || []).some(c => SMOKING_STATUS.loinc.includes(c.code)))
+    .sort((a, b) => (Date.parse(getResourceDate(b)) || 0) - (Date.parse(getResourceDate(a)) || 0));
+
+  for (const obs of observations) {
+    const code = obs.valueCodeableConcept?.coding?.[0]?.code;
+    const current = SMOKING_STATUS.current.includes(code)
+      ? true
+      : SMOKING_STATUS.notCurrent.includes(code) ? false : null;
+    if (current === null) continue;
+    return {
+      current,
+      evidence: {
+        resourceType: 'Observation',
+        id: obs.id,
+        display: `Smoking status: ${obs.valueCodeableConcept.text || obs.valueCodeableConcept.coding[0].display || code}`,
+        date: getResourceDate(obs),
+        source: 'fhir'
+      }
+    };
+  }
+
+  const notes = patientData.clinicalNotes || {};
+  const status = notes.smokingStatus ?? notes.smoker;
+  if (status === undefined || status === null) return null;
+  const current = typeof status === 'boolean' ? status : /^current/i.test(status);
+  return {
+    current,
+    evidence: {
+      resourceType: null,
+      id: null,
+      display: `Smoking status: ${typeof status === 'boolean' ? (status ? 'current' : 'non-smoker') : status}`,
+      date: null,
+      source: 'manual'
+    }
+  };
+}
+
+function matchesClass(entry, medicationClass) {
+  const name = entry.medication.toLowerCase();
+  return medicationClass.names.some(n => name.includes(n));
+}
+
+function conditionEvidence(condition) {
+  return {
+    resourceType: condition.id ? 'Condition' : null,
+    id: condition.id,
+    display: condition.display,
+    date: condition.date,
+    source: condition.source
+  };
+}
@@ -0,0 +1,137 @@
+import { normalizeStatus, CriteriaStatus } from '../constants';
+import { drugCoverage } from '../data/drugCoverage';
+import { LAB_VALUE_SETS } from '../data/valueSets';
+import { getEvaluationTime } from './fhirHelpers';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// HL7 v3 ActEncounterCode classes where the patient is seen in person;
+// virtual (VR) and home health (HH) visits are not
+const IN_PERSON_ENCOUNTER_CLASSES = ['AMB', 'IMP', 'EMER', 'ACUTE', 'NONAC', 'OBSENC', 'PRENC', 'SS'];
+
+/**
+ * The `dataFreshness` rules configured for a plan in drugCoverage.js, or null
+ */
+export function getDataFreshnessRules(plan, coverage = drugCoverage) {
+  return (plan && coverage?.[plan]?.dataFreshness) || null;
+}
+
+/**
+ * The rule for one kind of evidence ('weight', 'bmi', 'a1c', ...). Labs without
+ * a rule of their own fall back to the plan's `labs` rule.
+ */
+export function getFreshnessRule(rules, kind) {
+  if (!rules || !kind) return null;
+  return rules[kind] || (LAB_VALUE_SETS[kind] ? rules.labs || null : null);
+}
+
+/**
+ * Hold a criterion result's evidence to a plan's freshness rules.
+ *
+ * Only the latest evidence item of each kind is checked, so a baseline weight
+ * from before therapy isn't held to the rule for the current one. Values older
+ * than the rule's maxAgeDays, undated values and, for `inPerson` rules, values
+ * not recorded at an in-person visit are stale: a MET result with stale evidence
+ * becomes PARTIAL. The result gains
+ *
+ *   stale: [{ kind, display, date, ageDays, maxAgeDays, refreshBy, reason }]
+ *   refreshBy: the earliest date a checked value had to be (or has to be) refreshed by
+ *
+ * Results the lab evaluator already flagged `outdated` are left as they are.
+ */
+export function applyDataFreshness(result, patientData, rules, plan) {
+  if (!rules || !result?.evidence?.length || result.outdated) return result;
+  const status = normalizeStatus(result.status);
+  if (status === CriteriaStatus.NOT_APPLICABLE || status === CriteriaStatus.ERROR) return result;
+
+  const now = getEvaluationTime(patientData);
+  const payer = plan || 'the plan';
+  const stale = [];
+  const refreshDates = [];
+
+  for (const item of latestByKind(result.evidence)) {
+    const rule = getFreshnessRule(rules, item.kind);
+    if (!rule) continue;
+    const date = item.date ? String(item.date).slice(0, 10) : null;
+    const time = date ? Date.parse(date) : NaN;
+    const entry = {
+      kind: item.kind,
+      display: item.display,
+      date,
+      ageDays: null,
+      maxAgeDays: rule.maxAgeDays ?? null,
+      refreshBy: null
+    };
+
+    if (rule.maxAgeDays !== undefined) {
+      if (Number.isNaN(time)) {
+        stale.push({ ...entry, reason: 'undated' });
+        continue;
+      }
+      entry.ageDays = Math.floor((now - time) / MS_PER_DAY);
+      entry.refreshBy = toDate(time + rule.maxAgeDays * MS_PER_DAY);
+      refreshDates.push(entry.refreshBy);
+      if (entry.ageDays > rule.maxAgeDays) {
+        stale.push({ ...entry, reason: 'expired' });
+        continue;
+      }
+    }
+    if (rule.inPerson && !measuredInPerson(item, patientData)) {
+      stale.push({ ...entry, reason: 'notInPerson' });
+    }
+  }
+
+  const refreshBy = refreshDates.sort()[0] || null;
+  if (stale.length === 0) {
+    return refreshBy ? { ...result, stale, refreshBy } : result;
+  }
+
+  return {
+    ...result,
+    status: status === CriteriaStatus.MET ? CriteriaStatus.PARTIAL : result.status,
+    details: [result.details, ...stale.map(entry => describeStale(entry, payer))].filter(Boolean).join('; '),
+    stale,
+    refreshBy
+  };
+}
+
+function describeStale(entry, payer) {
+  switch (entry.reason) {
+    case 'undated':
+      return `${entry.display} is undated; ${payer} requires one from the last ${entry.maxAgeDays} days`;
+    case 'expired':
+      return `${entry.display} from ${entry.date} is ${entry.ageDays} days old; ${payer} accepts up to ` +
+        `${entry.maxAgeDays} days (refresh was due ${entry.refreshBy})`;
+    default:
+      return `${entry.display}${entry.date ? ` from ${entry.date}` : ''} was not recorded at an in-person visit, ` +
+        `as ${payer} requires`;
+  }
+}
+
+// The newest item of each kind; undated items only count when none of their kind is dated
+function latestByKind(evidence) {
+  const latest = new Map();
+  for (const item of evidence) {
+    if (!item.kind) continue;
+    const current = latest.get(item.kind);
+    if (!current || (Date.parse(item.date) || 0) > (Date.parse(current.date) || 0)) {
+      latest.set(item.kind, item);
+    }
+  }
+  return [...latest.values()];
+}
+
+// True when the Observation behind the evidence links to an in-person Encounter
+function measuredInPerson(item, patientData) {
+  if (item.resourceType !== 'Observation' || !item.id) return false;
+  const observation = (patientData.observations || []).find(obs => obs.id === item.id);
+  const encounterId = observation?.encounter?.reference?.split('/').pop();
+  if (!encounterId) return false;
+  const encounter = (patientData.encounters || []).find(e => e.id === encounterId);
+  const encounterClass = encounter?.class?.code || encounter?.class?.[0]?.code;
+  return IN_PERSON_ENCOUNTER_CLASSES.includes(encounterClass);
+}
+
+function toDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
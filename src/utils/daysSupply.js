@@ -0,0 +1,102 @@
+import { getDrug } from '../data/drugRegistry.js';
+import { parseDoseMg } from './doseEquivalence.js';
+
+const INTERVAL_DAYS = { daily: 1, weekly: 7 };
+
+/**
+ * How a product is used up at a dose:
+ *
+ *   { unit, perPackage, dosesPerUnit, intervalDays, unitsPerDay }
+ *
+ * Single-dose pens and tablets give one dose per unit; a multi-dose pen gives as
+ * many whole doses as its `mgPerUnit` holds (a partial dose left in the pen is
+ * wasted). Doses written as tablet counts ("2 tablets twice daily") set
+ * `unitsPerDay` directly. Returns null for a drug without packaging or a dose
+ * the pen can't deliver.
+ */
+export function getSupplyFacts(medication, dose) {
+  const drug = getDrug(medication);
+  if (!drug?.packaging) return null;
+
+  const { unit, perPackage } = drug.packaging;
+  const intervalDays = INTERVAL_DAYS[drug.frequency] || 1;
+  const tabletsPerDay = parseUnitsPerDay(dose);
+  if (tabletsPerDay) {
+    return { unit, perPackage, dosesPerUnit: 1 / tabletsPerDay, intervalDays: 1, unitsPerDay: tabletsPerDay };
+  }
+
+  const strength = drug.strengths.find(s => s.dose === dose);
+  const mgPerUnit = strength?.mgPerUnit ?? drug.packaging.mgPerUnit;
+  let dosesPerUnit = 1;
+  if (mgPerUnit) {
+    const doseMg = parseDoseMg(dose);
+    if (!doseMg) return null;
+    dosesPerUnit = Math.floor(mgPerUnit / doseMg + 1e-9);
+    if (dosesPerUnit < 1) return null;
+  }
+
+  return { unit, perPackage, dosesPerUnit, intervalDays, unitsPerDay: 1 / (dosesPerUnit * intervalDays) };
+}
+
+/**
+ * Days a quantity lasts at a dose. `unit` 'package' counts whole packages
+ * (cartons, boxes); otherwise the quantity is in the product's unit. Null when
+ * the supply can't be worked out.
+ */
+export function calculateDaysSupply(medication, dose, quantity, unit) {
+  const facts = getSupplyFacts(medication, dose);
+  const count = Number(quantity);
+  if (!facts || !Number.isFinite(count) || count < 0) return null;
+
+  const units = isPackageUnit(unit) ? count * facts.perPackage : count;
+  if (facts.dosesPerUnit < 1) return Math.floor(units / facts.unitsPerDay + 1e-9);
+  return Math.floor(units * facts.dosesPerUnit + 1e-9) * facts.intervalDays;
+}
+
+/**
+ * The quantity to dispense for `days` of therapy at a dose:
+ *
+ *   { quantity, unit, packages, daysSupply }
+ *
+ * `quantity` is in the product's unit, `packages` the whole packages that
+ * covers and `daysSupply` how long `quantity` actually lasts. Null when the
+ * supply can't be worked out.
+ */
+export function calculateQuantity(medication, dose, days) {
+  const facts = getSupplyFacts(medication, dose);
+  if (!facts || !(days > 0)) return null;
+
+  const quantity = facts.dosesPerUnit < 1
+    ? Math.ceil(days * facts.unitsPerDay - 1e-9)
+    : Math.ceil(Math.ceil(days / facts.intervalDays - 1e-9) / facts.dosesPerUnit - 1e-9);
+
+  return {
+    quantity,
+    unit: facts.unit,
+    packages: Math.ceil(quantity / facts.perPackage),
+    daysSupply: calculateDaysSupply(medication, dose, quantity)
+  };
+}
+
+/**
+ * A count noun as a packaging unit: 'pens' -> 'pen', 'box' -> 'package'
+ */
+export function normalizeSupplyUnit(unit) {
+  const key = String(unit || '').trim().toLowerCase().replace(/(box)es$/, '$1').replace(/s$/, '');
+  if (['box', 'carton', 'package', 'pack', 'pkg'].includes(key)) return 'package';
+  return key;
+}
+
+function isPackageUnit(unit) {
+  return normalizeSupplyUnit(unit) === 'package';
+}
+
+// "1 tablet twice daily" -> 2, "2 tablets AM, 1 tablet PM" -> 3; null for mg doses
+function parseUnitsPerDay(dose) {
+  if (!/\b(tablet|capsule)s?\b/i.test(dose || '')) return null;
+  return dose.split(',').reduce((total, part) => {
+    const count = Number(part.match(/(\d+(?:\.\d+)?)\s*(?:tablet|capsule)/i)?.[1] || 0);
+    const times = /twice/i.test(part) ? 2 : /three times/i.test(part) ? 3 : 1;
+    return total + count * times;
+  }, 0) || null;
+}
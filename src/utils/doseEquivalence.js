@@ -0,0 +1,124 @@
+import { GLP1_INGREDIENTS } from '../data/valueSets';
+import { extractMedicationHistory } from './fhirHelpers';
+
+/**
+ * Ingredient of a GLP-1 product or ingredient name, e.g. 'Ozempic 1 mg' ->
+ * { ingredient: 'semaglutide', label, product: 'ozempic', route, schedule }.
+ * A bare ingredient name has no product or schedule, and its route is only known
+ * when the name says it's a tablet. Returns null for anything else.
+ */
+export function getIngredient(medication) {
+  const name = String(medication || '').toLowerCase();
+  if (!name) return null;
+
+  for (const [ingredient, definition] of Object.entries(GLP1_INGREDIENTS)) {
+    for (const [product, details] of Object.entries(definition.products)) {
+      if (name.includes(product)) {
+        return { ingredient, label: definition.label, product, route: details.route, schedule: details.schedule };
+      }
+    }
+    if (name.includes(ingredient)) {
+      return {
+        ingredient,
+        label: definition.label,
+        product: null,
+        route: /tablet|oral/.test(name) ? 'oral' : null,
+        schedule: null
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Milligram amount of a dose string ('2.4 mg', 'Inject 0.5 mg weekly'), or null
+ */
+export function parseDoseMg(dose) {
+  const match = String(dose ?? '').match(/(\d+(?:\.\d+)?)\s*mg/i) || String(dose ?? '').match(/^\s*(\d+(?:\.\d+)?)\s*$/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * The step on `medication`'s titration schedule that a dose of the same
+ * ingredient is equivalent to: the highest step not above it. Null when the
+ * dose is below the first step or the product has no schedule.
+ */
+export function toEquivalentDose(dose, medication) {
+  const amount = parseDoseMg(dose);
+  const schedule = getIngredient(medication)?.schedule;
+  if (amount === null || !schedule) return null;
+  const steps = schedule.filter(step => parseDoseMg(step) <= amount + 1e-9);
+  return steps.length > 0 ? steps[steps.length - 1] : null;
+}
+
+/**
+ * The titration step before `dose` on `medication`'s schedule, or null for the
+ * first step or an unknown dose.
+ */
+export function getPreviousStep(medication, dose) {
+  const schedule = getIngredient(medication)?.schedule;
+  const amount = parseDoseMg(dose);
+  if (!schedule || amount === null) return null;
+  const index = schedule.findIndex(step => Math.abs(parseDoseMg(step) - amount) < 1e-9);
+  return index > 0 ? schedule[index - 1] : null;
+}
+
+/**
+ * Medication history for `medication` including same-ingredient, same-route
+ * products (Ozempic for Wegovy, Mounjaro for Zepbound, Victoza for Saxenda).
+ * Each entry gains `equivalentDose`, its step on `medication`'s schedule, and
+ * `sibling`, set for entries on another product. Oral semaglutide is not
+ * credited toward injectable titration. Other medications match by name only.
+ */
+export function extractEquivalentHistory(patientData, medication) {
+  const target = getIngredient(medication);
+  if (!target?.product) {
+    return extractMedicationHistory(patientData, medication)
+      .map(entry => ({ ...entry, equivalentDose: entry.dose, sibling: false }));
+  }
+
+  const names = [target.ingredient, ...Object.keys(GLP1_INGREDIENTS[target.ingredient].products)];
+  return extractMedicationHistory(patientData, names)
+    .filter(entry => isEquivalentProduct(entry.medication, medication))
+    .map(entry => ({
+      ...entry,
+      equivalentDose: toEquivalentDose(entry.dose, medication),
+      sibling: getIngredient(entry.medication).product !== target.product
+    }));
+}
+
+/**
+ * True when `name` is `medication` or a product with the same ingredient and route
+ */
+export function isEquivalentProduct(name, medication) {
+  const target = getIngredient(medication);
+  const source = getIngredient(name);
+  if (!target || !source) {
+    return Boolean(name && medication) && String(name).toLowerCase().includes(String(medication).toLowerCase());
+  }
+  return source.ingredient === target.ingredient && (source.route || target.route) === target.route;
+}
+
+/**
+ * The dose a patient switching to `medication` has already been titrated to,
+ * from their latest same-ingredient entry: { dose, from } or null.
+ */
+export function getCreditedDose(patientData, medication) {
+  const history = extractEquivalentHistory(patientData, medication).filter(entry => entry.equivalentDose);
+  if (history.length === 0) return null;
+  const latest = history[history.length - 1];
+  return { dose: latest.equivalentDose, from: latest };
+}
+
+/**
+ * "12 weeks on Ozempic" style summary of the sibling-product time in a history
+ * from extractEquivalentHistory(), or null when there is none.
+ */
+export function describeSiblingCredit(history) {
+  const weeks = {};
+  for (const entry of history.filter(e => e.sibling)) {
+    weeks[entry.medication] = (weeks[entry.medication] || 0) + (entry.duration || 0);
+  }
+  const parts = Object.entries(weeks).map(([name, total]) => `${total} weeks on ${name}`);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
@@ -7,11 +7,11 @@ const EPIC_CONFIG = {
   authUrl: process.env.REACT_APP_EPIC_AUTH_URL,
   tokenUrl: process.env.REACT_APP_EPIC_TOKEN_URL,
   redirectUri: process.env.REACT_APP_REDIRECT_URI,
-  scope: process.env.REACT_APP_EPIC_SCOPE || 'patient/Patient.read patient/Condition.read patient/MedicationRequest.read patient/Observation.read patient/Coverage.read openid fhirUser'
+  scope: process.env.REACT_APP_EPIC_SCOPE || 'patient/Patient.read patient/Condition.read patient/MedicationRequest.read patient/Observation.read patient/Coverage.read patient/MedicationStatement.read patient/MedicationDispense.read patient/AllergyIntolerance.read patient/FamilyMemberHistory.read patient/Encounter.read patient/Procedure.read patient/CarePlan.read patient/ServiceRequest.read user/Practitioner.read user/PractitionerRole.read openid fhirUser'
 };
 
 // Updated scopes to include additional permissions
-const EPIC_SCOPES = 'launch launch/patient patient/Patient.read patient/Condition.read patient/Observation.read patient/MedicationRequest.read patient/Coverage.read launch/encounter openid fhirUser';
+const EPIC_SCOPES = 'launch launch/patient patient/Patient.read patient/Condition.read patient/Observation.read patient/MedicationRequest.read patient/Coverage.read patient/MedicationStatement.read patient/MedicationDispense.read patient/AllergyIntolerance.read patient/FamilyMemberHistory.read patient/Encounter.read patient/Procedure.read patient/CarePlan.read patient/ServiceRequest.read user/Practitioner.read user/PractitionerRole.read launch/encounter openid fhirUser';
 
 // Step 1: Initiate SMART launch - STANDALONE PROVIDER MODE
 export const launchEpicAuth = () => {
@@ -23,7 +23,7 @@ export const launchEpicAuth = () => {
     response_type: 'code',
     client_id: EPIC_CONFIG.clientId,
     redirect_uri: EPIC_CONFIG.redirectUri,
-    scope: 'user/Patient.read user/Condition.read user/MedicationRequest.read user/Observation.read user/Coverage.read fhirUser openid',
+    scope: 'user/Patient.read user/Condition.read user/MedicationRequest.read user/Observation.read user/Coverage.read user/Practitioner.read user/PractitionerRole.read fhirUser openid',
     state: state,
     aud: EPIC_CONFIG.fhirBaseUrl
   });
@@ -118,12 +118,19 @@ export const handleEpicCallback = async () => {
     sessionStorage.setItem('epic_patient_id', tokenData.patient);
     sessionStorage.setItem('epic_token_expires', Date.now() + (tokenData.expires_in * 1000));
     
+    // The signed-in clinician (prescriber), from the fhirUser claim
+    const fhirUser = getFhirUserClaim(tokenData);
+    if (fhirUser) {
+      sessionStorage.setItem('epic_fhir_user', fhirUser);
+    }
+    
     // Clean up
     sessionStorage.removeItem('epic_auth_state');
     
     return {
       accessToken: tokenData.access_token,
       patientId: tokenData.patient,
+      fhirUser,
       expiresIn: tokenData.expires_in
     };
   } catch (error) {
@@ -152,14 +159,38 @@ export const getEpicPatientId = () => {
   return sessionStorage.getItem('epic_patient_id');
 };
 
+// Get the signed-in user's FHIR reference (e.g. "Practitioner/abc123")
+export const getEpicFhirUser = () => {
+  const stored = sessionStorage.getItem('epic_fhir_user');
+  if (stored) return stored;
+  const idToken = sessionStorage.getItem('epic_id_token');
+  return idToken ? getFhirUserClaim({ id_token: idToken }) : null;
+};
+
 // Step 6: Clear Epic session
 export const clearEpicSession = () => {
   sessionStorage.removeItem('epic_access_token');
   sessionStorage.removeItem('epic_patient_id');
+  sessionStorage.removeItem('epic_fhir_user');
   sessionStorage.removeItem('epic_token_expires');
   sessionStorage.removeItem('epic_auth_state');
 };
 
+// Utility: Read the fhirUser claim from the token response or its OpenID id_token
+function getFhirUserClaim(tokenData) {
+  if (tokenData.fhirUser) return tokenData.fhirUser;
+  if (!tokenData.id_token) return null;
+
+  try {
+    const payload = tokenData.id_token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(atob(payload.padEnd(payload.length + ((4 - (payload.length % 4)) % 4), '=')));
+    return claims.fhirUser || null;
+  } catch (error) {
+    console.error('Unable to read id_token claims:', error);
+    return null;
+  }
+}
+
 // Utility: Generate random state for CSRF protection
 function generateRandomState() {
   return Math.random().toString(36).substring(2, 15) + 
@@ -1,6 +1,10 @@
 // Epic FHIR to App Data Mapper
 // Transforms FHIR resources into application-friendly format
 
+import { LAB_VALUE_SETS, VITAL_SIGN_LOINC } from '../data/valueSets';
+import { normalizeQuantity, UnitConversionError } from './quantity';
+import { resolvePlan } from './planResolver';
+
 /**
  * Map FHIR Patient resource to app format
  */
@@ -80,11 +84,44 @@ export const mapObservations = (fhirBundle) => {
       unit: obs.valueQuantity?.unit,
       date: obs.effectiveDateTime || obs.issued,
       status: obs.status,
-      category: obs.category?.[0]?.coding?.[0]?.display
+      category: obs.category?.[0]?.coding?.[0]?.display,
+      ...normalizeObservationQuantity(obs)
     };
   });
 };
 
+// Vitals and labs the evaluators compare, by LOINC code
+const QUANTITY_KIND_BY_LOINC = {
+  [VITAL_SIGN_LOINC.weight]: 'bodyWeight',
+  [VITAL_SIGN_LOINC.height]: 'bodyHeight',
+  [VITAL_SIGN_LOINC.bmi]: 'bmi',
+  ...Object.fromEntries(
+    Object.entries(LAB_VALUE_SETS).flatMap(([kind, set]) => set.loinc.map(code => [code, kind]))
+  )
+};
+
+/**
+ * For a known vital or lab, the value converted to its canonical unit, with the
+ * reported value kept as originalValue/originalUnit. A unit that can't be
+ * converted leaves the value as reported and sets `unitError`.
+ */
+function normalizeObservationQuantity(obs) {
+  const kind = obs.code?.coding?.map(c => QUANTITY_KIND_BY_LOINC[c.code]).find(Boolean);
+  if (!kind || !obs.valueQuantity) return {};
+  try {
+    const quantity = normalizeQuantity(obs.valueQuantity, kind);
+    return {
+      value: quantity.value,
+      unit: quantity.unit,
+      originalValue: quantity.originalValue,
+      originalUnit: obs.valueQuantity.unit || quantity.originalUnit
+    };
+  } catch (error) {
+    if (!(error instanceof UnitConversionError)) throw error;
+    return { unitError: error.message };
+  }
+}
+
 /**
  * Map FHIR Coverage resources to app format
  */
@@ -112,7 +149,7 @@ export const mapCoverage = (fhirBundle) => {
  */
 export const extractWeightData = (observations) => {
   return observations
-    .filter(obs => obs.code === '29463-7' || obs.display?.toLowerCase().includes('weight'))
+    .filter(obs => !obs.unitError && (obs.code === '29463-7' || obs.display?.toLowerCase().includes('weight')))
     .map(obs => ({
       date: obs.date,
       value: parseFloat(obs.value),
@@ -126,7 +163,7 @@ export const extractWeightData = (observations) => {
  */
 export const extractBMIData = (observations) => {
   return observations
-    .filter(obs => obs.code === '39156-5' || obs.display?.toLowerCase().includes('bmi'))
+    .filter(obs => !obs.unitError && (obs.code === '39156-5' || obs.display?.toLowerCase().includes('bmi')))
     .map(obs => ({
       date: obs.date,
       value: parseFloat(obs.value),
@@ -140,7 +177,7 @@ export const extractBMIData = (observations) => {
  */
 export const extractA1CData = (observations) => {
   return observations
-    .filter(obs => obs.code === '4548-4' || obs.display?.toLowerCase().includes('hemoglobin a1c'))
+    .filter(obs => !obs.unitError && (obs.code === '4548-4' || obs.display?.toLowerCase().includes('hemoglobin a1c')))
     .map(obs => ({
       date: obs.date,
       value: parseFloat(obs.value),
@@ -222,7 +259,7 @@ export const mapEpicPatientToOmaxef = (epicData) => {
   const conditions = epicData.conditions.entry || [];
   const medications = epicData.medications.entry || [];
   const observations = epicData.observations.entry || [];
-  const coverage = epicData.coverage.entry?.[0]?.resource;
+  const coverages = (epicData.coverage.entry || []).map(entry => entry.resource);
   
   // Extract patient name
   const patientName = patient.name?.[0] 
@@ -266,7 +303,9 @@ export const mapEpicPatientToOmaxef = (epicData) => {
     else if (code === '2160-0' || display?.includes('Creatinine')) labKey = 'scr';
     else if (code === '39156-5' || display?.includes('BMI')) labKey = 'bmi';
     
-    if (labKey && obs.valueQuantity) {
+    // Keep the most recent result per test; the full series stays in `observations`
+    const isNewer = !labs[labKey] || Date.parse(obs.effectiveDateTime) > Date.parse(labs[labKey].date);
+    if (labKey && obs.valueQuantity && isNewer) {
       labs[labKey] = {
         value: obs.valueQuantity.value,
         units: obs.valueQuantity.unit || obs.valueQuantity.code,
@@ -275,9 +314,11 @@ export const mapEpicPatientToOmaxef = (epicData) => {
     }
   });
   
-  // Extract insurance
-  const insurance = coverage?.payor?.[0]?.display || 
-                   coverage?.type?.text || 
+  // Resolve insurance to a payer policy; the payor name is shown when no plan matches
+  const planResolution = resolvePlan(coverages);
+  const insurance = planResolution.plan ||
+                   coverages[0]?.payor?.[0]?.display || 
+                   coverages[0]?.type?.text || 
                    'Unknown Insurance';
   
   // Build Omaxef patient object
@@ -288,9 +329,11 @@ export const mapEpicPatientToOmaxef = (epicData) => {
     birthDate: patient.birthDate,
     gender: patient.gender,
     insurance: insurance,
+    planResolution,
     diagnosis: diagnoses,
     medications: meds,
     labs: labs,
+    observations: observations.map(entry => entry.resource),
     vitals: {
       bmi: labs.bmi?.value || null
     },
@@ -0,0 +1,91 @@
+// Structured evidence (provenance) attached to criterion results
+
+export const EvidenceSource = {
+  EPIC: 'epic',
+  MOCK: 'mock',
+  MANUAL: 'manual'
+};
+
+export const EVIDENCE_SOURCE_LABELS = {
+  [EvidenceSource.EPIC]: 'Epic',
+  [EvidenceSource.MOCK]: 'Mock data',
+  [EvidenceSource.MANUAL]: 'Manual entry'
+};
+
+// How an evaluator captured the datum -> whether it came from the chart or a person
+const CHART_CAPTURE = ['fhir', 'chart', 'therapyHistory', 'epic', 'mock'];
+const MANUAL_CAPTURE = ['manual', 'attestation'];
+
+/**
+ * The system the patient record was loaded from: Epic for SMART launches,
+ * otherwise the bundled mock patients.
+ */
+export function getSourceSystem(patientData) {
+  return patientData?.source === EvidenceSource.EPIC ? EvidenceSource.EPIC : EvidenceSource.MOCK;
+}
+
+/**
+ * Normalize one evidence item to
+ * { resourceType, id, reference, display, value, unit, date, source, capturedAs }.
+ *
+ * Evaluators record `source` as how the value was captured ('fhir', 'chart',
+ * 'manual', 'attestation', ...); here it becomes the source system (epic, mock,
+ * manual) and the original is kept in `capturedAs`. `reference` is shown as
+ * text rather than linked: the FHIR endpoint it names needs the session's token.
+ */
+export function normalizeEvidence(item, patientData) {
+  if (!item) return null;
+  const capturedAs = item.capturedAs || item.source || null;
+  const reference = item.reference || (item.resourceType && item.id ? `${item.resourceType}/${item.id}` : null);
+
+  let source = getSourceSystem(patientData);
+  if (MANUAL_CAPTURE.includes(capturedAs)) {
+    source = EvidenceSource.MANUAL;
+  } else if (capturedAs && !CHART_CAPTURE.includes(capturedAs)) {
+    source = capturedAs;
+  }
+
+  return {
+    ...item,
+    resourceType: item.resourceType || null,
+    id: item.id || null,
+    reference,
+    display: item.display || reference || 'Unlabelled evidence',
+    value: item.value ?? null,
+    unit: item.unit ?? null,
+    date: item.date || item.startDate || null,
+    source,
+    capturedAs
+  };
+}
+
+/**
+ * Return the result with `evidence` as a deduplicated array of normalized items.
+ * Used by evaluateCriteria so every criterion result carries provenance.
+ */
+export function withProvenance(result, patientData) {
+  if (!result) return result;
+  const items = [].concat(result.evidence || []).map(item => normalizeEvidence(item, patientData)).filter(Boolean);
+
+  const seen = new Set();
+  const evidence = items.filter(item => {
+    const key = item.reference ? `${item.reference}|${item.display}` : `${item.display}|${item.date}|${item.value}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { ...result, evidence };
+}
+
+/**
+ * One-line description of an evidence item for the UI and PA form,
+ * e.g. "BMI 34.2 kg/m2 · 2024-05-01 · Observation/123 · Epic".
+ */
+export function formatEvidence(item) {
+  const parts = [item.display];
+  if (item.date) parts.push(String(item.date).slice(0, 10));
+  if (item.reference) parts.push(item.reference);
+  parts.push(EVIDENCE_SOURCE_LABELS[item.source] || item.source);
+  return parts.filter(Boolean).join(' · ');
+}
@@ -1,3 +1,7 @@
+import { VITAL_SIGN_LOINC } from '../data/valueSets';
+import { findDrugByCode } from '../data/drugRegistry';
+import { tryNormalizeQuantity } from './quantity';
+
 // Safe helpers to read FHIR resources (Observation/CodeableConcept)
 // Use these instead of accessing .code/.value directly to avoid runtime errors
 export function getCodings(resource) {
@@ -48,3 +52,451 @@ export function findLatestObservationByCode(obsArray = [], code) {
   });
   return matches[0];
 }
+
+/**
+ * The moment an evaluation is "as of", in ms: the chart snapshot's `asOf`
+ * (see asOfDate.js) when set, otherwise now.
+ */
+export function getEvaluationTime(patientData) {
+  const asOf = patientData?.asOf ? Date.parse(patientData.asOf) : NaN;
+  return Number.isNaN(asOf) ? Date.now() : asOf;
+}
+
+/**
+ * Returns the clinically relevant date of a resource as an ISO string (or null)
+ */
+export function getResourceDate(resource) {
+  if (!resource) return null;
+  return resource.effectiveDateTime ||
+    resource.effectivePeriod?.start ||
+    resource.onsetDateTime ||
+    resource.recordedDate ||
+    resource.authoredOn ||
+    resource.date ||
+    resource.issued ||
+    resource.meta?.lastUpdated ||
+    null;
+}
+
+/**
+ * Returns true if a CodeableConcept (or its free text) falls in a value set.
+ * Value set entries are { system, code } pairs matched by code prefix, plus optional keywords.
+ */
+export function conceptInValueSet(concept, valueSet) {
+  if (!concept || !valueSet) return false;
+  const codings = concept.coding || [];
+  const codeHit = codings.some(c =>
+    (valueSet.codes || []).some(v =>
+      (!c.system || !v.system || c.system === v.system) && c.code?.startsWith(v.code)
+    )
+  );
+  if (codeHit) return true;
+
+  const text = [concept.text, ...codings.map(c => c.display)]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return (valueSet.keywords || []).some(k => text.includes(k));
+}
+
+/**
+ * Collect the patient's conditions from FHIR Condition resources (or mapped conditions).
+ * The app's free-text `diagnosis` list is only used when no structured problem list exists.
+ * Entered-in-error and refuted records are dropped.
+ */
+export function extractConditions(patientData) {
+  if (!patientData) return [];
+  const conditions = [];
+
+  for (const condition of patientData.conditions || []) {
+    const isResource = Boolean(condition.code && typeof condition.code === 'object');
+    const concept = isResource
+      ? condition.code
+      : { coding: [{ system: condition.system, code: condition.code, display: condition.display }] };
+    const clinicalStatus = isResource
+      ? condition.clinicalStatus?.coding?.[0]?.code
+      : condition.clinicalStatus;
+    const verificationStatus = condition.verificationStatus?.coding?.[0]?.code;
+
+    if (verificationStatus === 'entered-in-error' || verificationStatus === 'refuted') continue;
+
+    conditions.push({
+      resourceType: 'Condition',
+      id: condition.id,
+      code: concept.coding?.[0]?.code,
+      display: concept.text || concept.coding?.[0]?.display || condition.display,
+      concept,
+      clinicalStatus,
+      date: getResourceDate(condition) || condition.onsetDate || null,
+      source: 'fhir'
+    });
+  }
+
+  if (conditions.length > 0) return conditions;
+
+  for (const diagnosis of patientData.diagnosis || []) {
+    conditions.push({
+      resourceType: 'Condition',
+      id: null,
+      code: null,
+      display: diagnosis,
+      concept: { text: diagnosis },
+      clinicalStatus: 'active',
+      date: null,
+      source: 'chart'
+    });
+  }
+
+  return conditions;
+}
+
+/**
+ * Patient age in whole years, from the app's `age` field or the FHIR birthDate
+ */
+export function getPatientAge(patientData) {
+  if (!patientData) return null;
+  if (typeof patientData.age === 'number') return patientData.age;
+
+  const birthDate = patientData.birthDate || patientData.demographics?.birthDate;
+  if (!birthDate) return null;
+
+  const birth = new Date(birthDate);
+  const today = new Date(getEvaluationTime(patientData));
+  let age = today.getFullYear() - birth.getFullYear();
+  const monthDiff = today.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
+    age--;
+  }
+  return age;
+}
+
+/**
+ * Evidence item for the patient's age: the Patient resource's birthDate when
+ * known, otherwise the age recorded on the chart.
+ */
+export function getPatientAgeEvidence(patientData) {
+  const age = getPatientAge(patientData);
+  if (age === null || age === undefined) return null;
+  const birthDate = patientData.birthDate || patientData.demographics?.birthDate || null;
+  return {
+    resourceType: birthDate ? 'Patient' : null,
+    id: birthDate ? patientData.demographics?.id || patientData.id || null : null,
+    display: birthDate ? `Age ${age} (born ${birthDate})` : `Age ${age}`,
+    value: age,
+    unit: 'a',
+    date: birthDate,
+    source: birthDate ? 'fhir' : 'chart'
+  };
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_WEEK = 7 * MS_PER_DAY;
+const SUPPLY_UNIT_DAYS = { d: 1, day: 1, days: 1, wk: 7, week: 7, weeks: 7, mo: 30, month: 30, months: 30 };
+
+/**
+ * Flatten every medication source into one list of dated entries:
+ * FHIR MedicationRequest / MedicationStatement resources, the app's `medications`
+ * and `medicationHistory` lists, and the dose segments of `therapyHistory`.
+ *
+ * A MedicationRequest ends with its validity period, or else when the supply it
+ * authorizes (expectedSupplyDuration times the fills allowed) runs out; an active
+ * request whose supply hasn't run out is ongoing. A completed or stopped request
+ * with neither has `endDateUnknown` set and no duration.
+ *
+ * When `medication` is given, only entries whose name contains it (case-insensitive)
+ * are returned. A string or an array of names is accepted.
+ */
+export function extractMedicationHistory(patientData, medication) {
+  if (!patientData) return [];
+  const entries = [];
+
+  const now = getEvaluationTime(patientData);
+  for (const request of patientData.medicationRequests || []) {
+    const startDate = request.dispenseRequest?.validityPeriod?.start || request.authoredOn || null;
+    const supplyEnd = getSupplyEnd(request, startDate);
+    const ended = ['completed', 'stopped', 'cancelled'].includes(request.status);
+    const endDate = request.dispenseRequest?.validityPeriod?.end ||
+      (supplyEnd !== null && (ended || supplyEnd < now) ? new Date(supplyEnd).toISOString().slice(0, 10) : null);
+    entries.push({
+      medication: getMedicationName(request),
+      code: request.medicationCodeableConcept?.coding?.[0]?.code || null,
+      dose: request.dosageInstruction?.[0]?.text || null,
+      startDate,
+      endDate,
+      ...(ended && !endDate ? { endDateUnknown: true } : {}),
+      status: request.status,
+      statusReason: conceptText(request.statusReason),
+      resourceType: 'MedicationRequest',
+      id: request.id,
+      source: 'fhir'
+    });
+  }
+
+  for (const statement of patientData.medicationStatements || []) {
+    entries.push({
+      medication: getMedicationName(statement),
+      code: statement.medicationCodeableConcept?.coding?.[0]?.code || null,
+      dose: statement.dosage?.[0]?.text || null,
+      startDate: statement.effectivePeriod?.start || statement.effectiveDateTime || statement.dateAsserted || null,
+      endDate: statement.effectivePeriod?.end || null,
+      status: statement.status,
+      statusReason: (statement.statusReason || []).map(conceptText).filter(Boolean).join('; ') || null,
+      resourceType: 'MedicationStatement',
+      id: statement.id,
+      source: 'fhir'
+    });
+  }
+
+  for (const med of [...(patientData.medications || []), ...(patientData.medicationHistory || [])]) {
+    entries.push({
+      medication: med.name || med.medication,
+      code: med.code || null,
+      dose: med.unit && med.dose && !String(med.dose).includes(med.unit) ? `${med.dose} ${med.unit}` : med.dose || null,
+      startDate: med.startDate || med.authoredOn || null,
+      endDate: med.endDate || null,
+      status: med.status || null,
+      statusReason: med.statusReason || med.discontinuationReason || null,
+      resourceType: null,
+      id: med.id || null,
+      source: 'chart'
+    });
+  }
+
+  for (const therapy of patientData.therapyHistory || []) {
+    const doses = therapy.doses?.length
+      ? therapy.doses
+      : [{ value: therapy.currentDose, startDate: therapy.startDate, endDate: null }];
+    for (const segment of doses) {
+      entries.push({
+        medication: therapy.drug,
+        code: null,
+        dose: segment.value,
+        phase: segment.phase,
+        startDate: segment.startDate,
+        endDate: segment.endDate || null,
+        status: therapy.status,
+        statusReason: therapy.discontinuationReason || null,
+        resourceType: null,
+        id: null,
+        source: 'therapyHistory'
+      });
+    }
+  }
+
+  const names = (Array.isArray(medication) ? medication : [medication])
+    .filter(Boolean)
+    .map(name => name.toLowerCase());
+
+  return entries
+    .filter(entry => entry.medication)
+    .filter(entry => names.length === 0 || names.some(name => entry.medication.toLowerCase().includes(name)))
+    .map(entry => ({ ...entry, duration: entry.endDateUnknown ? null : weeksBetween(entry.startDate, entry.endDate, now) }))
+    .sort((a, b) => (Date.parse(a.startDate) || 0) - (Date.parse(b.startDate) || 0));
+}
+
+/**
+ * Display name of a Medication* resource's drug. A concept coded only with an
+ * NDC or an RxNorm SCD/SBD is named from the drug registry ('Wegovy 1.7 mg').
+ */
+export function getMedicationName(resource) {
+  const concept = resource.medicationCodeableConcept;
+  const named = concept?.text || concept?.coding?.[0]?.display || resource.medicationReference?.display;
+  if (named) return named;
+  for (const coding of concept?.coding || []) {
+    const match = findDrugByCode(coding.code);
+    if (match) return `${match.drug.name} ${match.strength.dose}`;
+  }
+  return null;
+}
+
+function conceptText(concept) {
+  if (!concept) return null;
+  return concept.text || concept.coding?.[0]?.display || concept.coding?.[0]?.code || null;
+}
+
+// Whole weeks covered by an entry; open-ended entries run to the evaluation date
+// When a MedicationRequest's authorized supply runs out (ms), or null when it doesn't say
+function getSupplyEnd(request, startDate) {
+  const supply = request.dispenseRequest?.expectedSupplyDuration;
+  const unitDays = SUPPLY_UNIT_DAYS[String(supply?.code || supply?.unit || '').toLowerCase()];
+  const start = Date.parse(startDate);
+  if (!(supply?.value > 0) || !unitDays || Number.isNaN(start)) return null;
+  const fills = 1 + (request.dispenseRequest.numberOfRepeatsAllowed || 0);
+  return start + supply.value * unitDays * fills * MS_PER_DAY;
+}
+
+function weeksBetween(startDate, endDate, now) {
+  const start = Date.parse(startDate);
+  if (Number.isNaN(start)) return null;
+  const end = endDate ? Date.parse(endDate) : now;
+  if (Number.isNaN(end) || end < start) return null;
+  return Math.round((end - start) / MS_PER_WEEK);
+}
+
+/**
+ * Every result for one lab test, newest first. Reads FHIR Observations matching
+ * the value set's LOINC codes and the app's `labs` entries listed in `keys`.
+ * Values are returned in the units they were reported in.
+ */
+export function extractLabResults(patientData, labSet) {
+  if (!patientData || !labSet) return [];
+  const results = [];
+
+  for (const obs of patientData.observations || []) {
+    if (['entered-in-error', 'cancelled'].includes(obs.status)) continue;
+    const coding = getCodings(obs).find(c => labSet.loinc.includes(c.code));
+    if (!coding) continue;
+    const value = getObservationNumericValue(obs);
+    if (value === null || Number.isNaN(value)) continue;
+    results.push({
+      value,
+      unit: obs.valueQuantity?.code || obs.valueQuantity?.unit || null,
+      date: getResourceDate(obs),
+      code: coding.code,
+      display: obs.code?.text || coding.display || labSet.label,
+      resourceType: 'Observation',
+      id: obs.id,
+      source: 'fhir'
+    });
+  }
+
+  for (const key of labSet.keys || []) {
+    const lab = patientData.labs?.[key];
+    if (!lab || lab.value === null || lab.value === undefined) continue;
+    // Mapped copies of an Observation already read above
+    if (results.some(r => r.source === 'fhir' && r.value === Number(lab.value) && r.date === lab.date)) continue;
+    results.push({
+      value: Number(lab.value),
+      unit: lab.units || lab.unit || null,
+      date: lab.date || null,
+      code: lab.code || null,
+      display: labSet.label,
+      resourceType: null,
+      id: null,
+      source: 'chart'
+    });
+  }
+
+  return results.sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0));
+}
+
+/**
+ * Numeric value of a FHIR Quantity, a plain number, or a numeric string
+ */
+export function parseNumericValue(quantity) {
+  if (quantity === null || quantity === undefined) return null;
+  const raw = typeof quantity === 'object' ? quantity.value : quantity;
+  const value = typeof raw === 'number' ? raw : parseFloat(raw);
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Patient BMI (kg/m²). Uses a recorded BMI (vitals or the latest BMI Observation)
+ * and otherwise computes it from the latest weight and height.
+ */
+export function calculateBMI(patientData) {
+  return getBMIMeasurement(patientData)?.value ?? null;
+}
+
+/**
+ * BMI with the measurements it came from: { value, date, evidence, unitErrors }.
+ * Evidence lists the BMI Observation or vitals entry, or the weight and height used,
+ * with the values as reported; weight and height are normalized to kg and cm first.
+ * A measurement in a unit that can't be converted is skipped and its error kept in
+ * `unitErrors`; when that leaves nothing to use, `value` is null.
+ */
+export function getBMIMeasurement(patientData) {
+  if (!patientData) return null;
+  const observations = patientData.observations || [];
+  const unitErrors = [];
+  const onError = error => unitErrors.push(error.message);
+
+  const vitalsBmi = patientData.vitals?.bmi;
+  const recordedBmi = parseNumericValue(vitalsBmi) ? tryNormalizeQuantity(vitalsBmi, 'bmi', onError) : null;
+  if (recordedBmi) {
+    return {
+      value: recordedBmi.value,
+      date: vitalsBmi?.date || null,
+      evidence: [vitalsEvidence('BMI', 'bmi', vitalsBmi, recordedBmi)],
+      unitErrors
+    };
+  }
+  const bmiObs = findLatestObservationByCode(observations, VITAL_SIGN_LOINC.bmi);
+  const observedBmi = getObservationNumericValue(bmiObs) ? tryNormalizeQuantity(bmiObs.valueQuantity, 'bmi', onError) : null;
+  if (observedBmi) {
+    return {
+      value: observedBmi.value,
+      date: getResourceDate(bmiObs),
+      evidence: [observationEvidence('BMI', 'bmi', bmiObs, observedBmi)],
+      unitErrors
+    };
+  }
+
+  const weightObs = findLatestObservationByCode(observations, VITAL_SIGN_LOINC.weight);
+  const heightObs = findLatestObservationByCode(observations, VITAL_SIGN_LOINC.height);
+  const weightQuantity = weightObs?.valueQuantity || patientData.vitals?.weight;
+  const heightQuantity = heightObs?.valueQuantity || patientData.vitals?.height;
+  const weight = parseNumericValue(weightQuantity) ? tryNormalizeQuantity(weightQuantity, 'bodyWeight', onError) : null;
+  const height = parseNumericValue(heightQuantity) ? tryNormalizeQuantity(heightQuantity, 'bodyHeight', onError) : null;
+
+  const evidence = [];
+  if (weightQuantity) {
+    evidence.push(weightObs ? observationEvidence('Weight', 'weight', weightObs, weight) : vitalsEvidence('Weight', 'weight', weightQuantity, weight));
+  }
+  if (heightQuantity) {
+    evidence.push(heightObs ? observationEvidence('Height', 'height', heightObs, height) : vitalsEvidence('Height', 'height', heightQuantity, height));
+  }
+
+  if (!weight?.value || !height?.value) {
+    return unitErrors.length > 0 ? { value: null, date: null, evidence, unitErrors } : null;
+  }
+
+  const heightM = height.value / 100;
+  return {
+    value: weight.value / (heightM * heightM),
+    date: getResourceDate(weightObs) || patientData.vitals?.weight?.date || null,
+    evidence,
+    unitErrors
+  };
+}
+
+// Evidence keeps the value as reported; a converted value is added alongside it
+function observationEvidence(label, kind, obs, normalized) {
+  const value = getObservationNumericValue(obs);
+  const unit = obs.valueQuantity?.unit || obs.valueQuantity?.code || null;
+  return {
+    resourceType: 'Observation',
+    id: obs.id || null,
+    kind,
+    display: `${label}: ${value}${unit ? ` ${unit}` : ''}${convertedSuffix(normalized)}`,
+    value,
+    unit,
+    ...normalizedFields(normalized),
+    date: getResourceDate(obs),
+    source: 'fhir'
+  };
+}
+
+function vitalsEvidence(label, kind, quantity, normalized) {
+  const value = parseNumericValue(quantity);
+  const unit = (typeof quantity === 'object' && (quantity.unit || quantity.units)) || normalized?.unit || null;
+  return {
+    resourceType: null,
+    id: null,
+    kind,
+    display: `${label}: ${value}${unit ? ` ${unit}` : ''}${convertedSuffix(normalized)}`,
+    value,
+    unit,
+    ...normalizedFields(normalized),
+    date: (typeof quantity === 'object' && quantity.date) || null,
+    source: 'chart'
+  };
+}
+
+function convertedSuffix(normalized) {
+  return normalized?.converted ? ` (${Math.round(normalized.value * 10) / 10} ${normalized.unit})` : '';
+}
+
+function normalizedFields(normalized) {
+  return normalized?.converted ? { normalizedValue: normalized.value, normalizedUnit: normalized.unit } : {};
+}
@@ -0,0 +1,342 @@
+import { drugCoverage } from '../data/drugCoverage.js';
+import { getDrug, listDrugs, findDrugByCode, getDoseSchedule } from '../data/drugRegistry.js';
+import { parseQuantityLimit } from './quantityLimitEvaluator.js';
+import { normalizeSupplyUnit } from './daysSupply.js';
+
+// Da Vinci PDex US Drug Formulary IG (STU1 and STU2) extensions, matched by name
+// so either publication's canonical base works
+const EXTENSIONS = {
+  formulary: 'usdf-FormularyReference-extension',
+  planId: 'usdf-PlanID-extension',
+  availability: 'usdf-AvailabilityStatus-extension',
+  tier: 'usdf-DrugTierID-extension',
+  priorAuthorization: 'usdf-PriorAuthorization-extension',
+  stepTherapy: 'usdf-StepTherapyLimit-extension',
+  quantityLimit: 'usdf-QuantityLimit-extension',
+  quantityLimitDetail: 'usdf-QuantityLimitDetail-extension'
+};
+
+// usdf-DrugTierCS codes, for tiers sent without a display
+const TIER_LABELS = {
+  'generic': 'Generic',
+  'preferred-generic': 'Preferred Generic',
+  'non-preferred-generic': 'Non-Preferred Generic',
+  'brand': 'Brand',
+  'preferred-brand': 'Preferred Brand',
+  'non-preferred-brand': 'Non-Preferred Brand',
+  'specialty': 'Specialty',
+  'zero-cost-share-preventative': 'Zero Cost Share Preventive',
+  'medical-service': 'Medical Service'
+};
+
+// The drugCoverage.js fields a formulary sets
+const FORMULARY_FIELDS = ['covered', 'tier', 'paRequired', 'stepTherapy', 'quantityLimits'];
+
+/**
+ * Read formulary files, [{ name, text }]: FHIR Bundles or resources (.json) or
+ * bulk-export NDJSON (.ndjson). Throws on malformed JSON, naming the file.
+ */
+export function readFormularyFiles(files) {
+  const resources = [];
+  for (const { name, text } of files) {
+    try {
+      if (/\.ndjson$/i.test(name)) {
+        text.split(/\r?\n/).filter(line => line.trim()).forEach(line => resources.push(JSON.parse(line)));
+      } else if (/\.json$/i.test(name)) {
+        const parsed = JSON.parse(text);
+        for (const resource of [].concat(parsed)) {
+          if (resource.resourceType === 'Bundle') {
+            resources.push(...(resource.entry || []).map(entry => entry.resource).filter(Boolean));
+          } else {
+            resources.push(resource);
+          }
+        }
+      }
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+  return resources;
+}
+
+/**
+ * Map US Drug Formulary resources into drugCoverage.js entries:
+ *
+ *   { coverage, report: { changes, notListed, unmatched } }
+ *
+ * STU2 FormularyItems (Basic) tie a FormularyDrug (MedicationKnowledge) to a
+ * formulary (InsurancePlan); STU1 FormularyDrugs carry the tier and limits
+ * themselves. Formularies are matched to plans by name, or by `options.plans`
+ * ({ formulary name or id: plan }); drugs by package/RxNorm code or the brand
+ * name in the drug's text.
+ *
+ * Each drug's covered, tier, paRequired, stepTherapy and quantityLimits are taken
+ * from the formulary, with the limit also as a structured `quantityLimit` when its
+ * detail states one; everything else (criteria, dose schedule, copay, versions)
+ * is kept from `options.coverage` (default drugCoverage). `coverage` holds only the
+ * plans the formulary lists.
+ *
+ * The report lists the drugs whose coverage changed, as { plan, drug, status,
+ * changes: [{ field, before, after }] } with status 'added' or 'changed'; the
+ * plan's drugs the formulary doesn't list (`notListed`, left as they are); the
+ * formularies and drugs that couldn't be matched (`unmatched`); and the quantity
+ * limits that couldn't be read as { quantity, unit, days } (`unparsedLimits`:
+ * { plan, drug, quantityLimits }), which the quantityLimit criterion can't check.
+ */
+export function importFormulary(resources, options = {}) {
+  const { coverage: current = drugCoverage, plans = {} } = options;
+  const index = indexResources(resources);
+  const imported = {};
+  const unmatched = [];
+
+  for (const { drug: drugResource, item, formulary } of collectItems(resources, index)) {
+    const plan = matchPlan(formulary, plans, current);
+    if (!plan) {
+      const label = formulary?.name || formulary?.id || getExtension(item, EXTENSIONS.planId)?.valueString || 'unnamed formulary';
+      if (!unmatched.some(u => u.formulary === label)) unmatched.push({ formulary: label, reason: 'No plan matches this formulary' });
+      continue;
+    }
+
+    const drug = matchDrug(drugResource);
+    if (!drug) {
+      unmatched.push({ plan, drug: describeCode(drugResource), reason: 'Not in the drug registry' });
+      continue;
+    }
+
+    imported[plan] = imported[plan] || {};
+    imported[plan][drug] = mergeFormularyTerms(imported[plan][drug], readFormularyTerms(item));
+  }
+
+  const coverage = {};
+  const changes = [];
+  const notListed = [];
+  const unparsedLimits = [];
+
+  for (const [plan, drugs] of Object.entries(imported)) {
+    const { dataFreshness, ...existing } = current[plan] || {};
+    coverage[plan] = dataFreshness ? { dataFreshness } : {};
+
+    for (const [drug, terms] of Object.entries(drugs)) {
+      const before = existing[drug];
+      const tier = before && sameTier(before.tier, terms.tier) ? before.tier : terms.tier;
+      const entry = before
+        ? { ...before, ...terms, tier }
+        : { ...terms, doseSchedule: getDoseSchedule(drug) };
+      if (!terms.quantityLimits) delete entry.quantityLimits;
+      // A structured limit only stands while the written one it goes with does
+      if (!terms.quantityLimit && entry.quantityLimits !== before?.quantityLimits) delete entry.quantityLimit;
+      coverage[plan][drug] = entry;
+      if (entry.quantityLimits && !entry.quantityLimit && !parseQuantityLimit(entry.quantityLimits)) {
+        unparsedLimits.push({ plan, drug, quantityLimits: entry.quantityLimits });
+      }
+
+      const fieldChanges = FORMULARY_FIELDS
+        .filter(field => (before?.[field] ?? null) !== (entry[field] ?? null))
+        .map(field => ({ field, before: before?.[field] ?? null, after: entry[field] ?? null }));
+      if (!before || fieldChanges.length > 0) {
+        changes.push({ plan, drug, status: before ? 'changed' : 'added', changes: fieldChanges });
+      }
+    }
+
+    for (const [drug, entry] of Object.entries(existing)) {
+      if (!coverage[plan][drug]) {
+        coverage[plan][drug] = entry;
+        notListed.push({ plan, drug });
+      }
+    }
+  }
+
+  return { coverage, report: { changes, notListed, unmatched, unparsedLimits } };
+}
+
+/**
+ * Import formulary files and apply them to drugCoverage (or `options.coverage`)
+ * in place. Returns the import report.
+ */
+export function registerFormulary(files, options = {}) {
+  const { coverage: target = drugCoverage } = options;
+  const { coverage, report } = importFormulary(readFormularyFiles(files), { ...options, coverage: target });
+  Object.assign(target, coverage);
+  return report;
+}
+
+/**
+ * One line per changed drug, e.g.
+ * "UnitedHealthcare PPO — Wegovy: paRequired true → false; tier Tier 3 - Non-Preferred Brand → Preferred Brand"
+ */
+export function formatFormularyReport(report) {
+  const show = value => (value === null ? 'none' : String(value));
+  return [
+    ...report.changes.map(({ plan, drug, status, changes }) =>
+      `${plan} — ${drug}: ${status === 'added' ? 'added to the formulary; ' : ''}` +
+      changes.map(c => `${c.field} ${show(c.before)} → ${show(c.after)}`).join('; ')),
+    ...report.notListed.map(({ plan, drug }) => `${plan} — ${drug}: not listed in the formulary (unchanged)`),
+    ...report.unmatched.map(u => `${u.plan ? `${u.plan} — ` : ''}${u.formulary || u.drug}: ${u.reason}`),
+    ...(report.unparsedLimits || []).map(({ plan, drug, quantityLimits }) =>
+      `${plan} — ${drug}: quantity limit "${quantityLimits}" not understood; not checked`)
+  ];
+}
+
+function indexResources(resources) {
+  const index = {};
+  for (const resource of resources) {
+    if (resource?.resourceType && resource.id) index[`${resource.resourceType}/${resource.id}`] = resource;
+  }
+  return index;
+}
+
+// { drug, item, formulary } for each formulary listing
+function collectItems(resources, index) {
+  const listings = [];
+  for (const resource of resources) {
+    if (isFormularyItem(resource)) {
+      listings.push({
+        item: resource,
+        drug: resolve(resource.subject, index),
+        formulary: resolve(getExtension(resource, EXTENSIONS.formulary)?.valueReference, index)
+      });
+    } else if (resource?.resourceType === 'MedicationKnowledge' && getExtension(resource, EXTENSIONS.tier)) {
+      // STU1: the FormularyDrug is the listing
+      const planId = getExtension(resource, EXTENSIONS.planId)?.valueString;
+      const formulary = resources.find(r => r?.resourceType === 'InsurancePlan' &&
+        (r.id === planId || (r.identifier || []).some(identifier => identifier.value === planId)));
+      listings.push({ item: resource, drug: resource, formulary: formulary || { id: planId } });
+    }
+  }
+  return listings;
+}
+
+function isFormularyItem(resource) {
+  return resource?.resourceType === 'Basic' &&
+    (resource.code?.coding || []).some(coding => coding.code === 'formulary-item');
+}
+
+function resolve(reference, index) {
+  if (!reference?.reference) return null;
+  return index[reference.reference.split('/').slice(-2).join('/')] || null;
+}
+
+function matchPlan(formulary, plans, coverage) {
+  if (!formulary) return null;
+  const names = [formulary.name, formulary.id, ...(formulary.alias || [])].filter(Boolean);
+  for (const name of names) {
+    if (plans[name]) return plans[name];
+    if (coverage[name]) return name;
+  }
+  return null;
+}
+
+function matchDrug(medicationKnowledge) {
+  for (const coding of medicationKnowledge?.code?.coding || []) {
+    const match = coding.code && findDrugByCode(coding.code);
+    if (match) return match.drug.name;
+  }
+  const texts = [medicationKnowledge?.code?.text, ...(medicationKnowledge?.code?.coding || []).map(c => c.display)];
+  for (const text of texts.filter(Boolean)) {
+    // RxNorm names carry the brand in brackets: "semaglutide 2.4 MG/0.75ML Auto-Injector [Wegovy]"
+    const brand = text.match(/\[([^\]]+)\]/)?.[1];
+    const drug = brand
+      ? getDrug(brand.trim())
+      : listDrugs().find(d => new RegExp(`\\b${d.name}\\b`, 'i').test(text));
+    if (drug) return drug.name;
+  }
+  return null;
+}
+
+function readFormularyTerms(item) {
+  const available = getExtension(item, EXTENSIONS.availability)?.valueCode !== 'inactive';
+  const tierCoding = getExtension(item, EXTENSIONS.tier)?.valueCodeableConcept?.coding?.[0];
+  const terms = {
+    covered: available,
+    tier: available ? (tierCoding?.display || TIER_LABELS[tierCoding?.code] || tierCoding?.code || null) : 'Not Covered',
+    paRequired: available && getExtension(item, EXTENSIONS.priorAuthorization)?.valueBoolean === true,
+    stepTherapy: available && getExtension(item, EXTENSIONS.stepTherapy)?.valueBoolean === true
+  };
+  if (available && getExtension(item, EXTENSIONS.quantityLimit)?.valueBoolean === true) {
+    const detail = getExtension(item, EXTENSIONS.quantityLimitDetail);
+    terms.quantityLimits = describeQuantityLimit(detail);
+    const quantityLimit = readQuantityLimit(detail, terms.quantityLimits);
+    if (quantityLimit) terms.quantityLimit = quantityLimit;
+  }
+  return terms;
+}
+
+// Strengths of one drug listed separately: covered if any strength is, with the
+// strictest limits, and every tier they're on
+function mergeFormularyTerms(existing, terms) {
+  if (!existing) return terms;
+  if (existing.covered !== terms.covered) return existing.covered ? existing : terms;
+  const tiers = [...new Set([existing.tier, terms.tier].flatMap(tier => (tier ? tier.split(' / ') : [])))];
+  const quantityLimits = [...new Set([existing.quantityLimits, terms.quantityLimits].filter(Boolean))].join('; ');
+  const merged = {
+    covered: existing.covered || terms.covered,
+    tier: tiers.join(' / ') || null,
+    paRequired: existing.paRequired || terms.paRequired,
+    stepTherapy: existing.stepTherapy || terms.stepTherapy
+  };
+  if (quantityLimits) merged.quantityLimits = quantityLimits;
+  const quantityLimit = stricterLimit(existing.quantityLimit, terms.quantityLimit);
+  if (quantityLimit) merged.quantityLimit = quantityLimit;
+  return merged;
+}
+
+// The limit as { quantity, unit, days }: from the detail's MaximumDaily quantity,
+// else the written limit when it states one
+function readQuantityLimit(detail, text) {
+  const maximumDaily = (detail?.extension || []).find(extension => extension.url === 'MaximumDaily')?.valueQuantity;
+  if (maximumDaily?.value > 0) {
+    return { quantity: maximumDaily.value, unit: normalizeSupplyUnit(maximumDaily.unit || maximumDaily.code), days: 1 };
+  }
+  return parseQuantityLimit(text);
+}
+
+// Of two limits in the same unit, the one allowing less per day; otherwise the first
+function stricterLimit(a, b) {
+  if (!a || !b) return a || b || null;
+  if (a.unit !== b.unit) return a;
+  return b.quantity / b.days < a.quantity / a.days ? b : a;
+}
+
+function describeQuantityLimit(detail) {
+  const parts = (detail?.extension || []).map(describeDetail).filter(Boolean);
+  return parts.length > 0 ? parts.join('; ') : 'Quantity limit applies';
+}
+
+function describeDetail(extension) {
+  if (extension.valueString) return extension.valueString;
+  const label = String(extension.url || '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  const quantity = extension.valueQuantity || extension.valueDuration;
+  const number = extension.valueInteger ?? extension.valueUnsignedInt ?? extension.valuePositiveInt ?? extension.valueDecimal;
+  if (quantity) return `${label} ${quantity.value} ${quantity.unit || quantity.code || ''}`.trim();
+  if (number !== undefined) return `${label} ${number}`;
+  if (extension.extension) return `${label}: ${extension.extension.map(describeDetail).filter(Boolean).join(', ')}`;
+  return null;
+}
+
+// "Tier 3 - Preferred Brand" and "Preferred Brand" are the same tier
+function sameTier(current, imported) {
+  if (!current || !imported) return current === imported;
+  return current === imported || current.toLowerCase().endsWith(`- ${imported.toLowerCase()}`);
+}
+
+function getExtension(resource, name) {
+  return (resource?.extension || []).find(extension => extension.url === name || extension.url?.endsWith(`/${name}`));
+}
+
+function describeCode(medicationKnowledge) {
+  const coding = medicationKnowledge?.code?.coding?.[0];
+  return medicationKnowledge?.code?.text || coding?.display || coding?.code || medicationKnowledge?.id || 'unknown drug';
+}
+
+/**
+ * Fetch formulary files from the backend (GET /api/formularies:
+ * { files: [{ name, text }] }) and apply them. Returns the import report.
+ */
+export async function fetchFormulary(url, options = {}) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load formularies from ${url}: HTTP ${response.status}`);
+  }
+  const { files = [] } = await response.json();
+  return registerFormulary(files, options);
+}
@@ -0,0 +1,147 @@
+import { CriteriaStatus } from '../constants';
+import { INDICATIONS } from '../data/drugRegistry';
+import { INDICATION_VALUE_SETS, AHI_VALUE_SET } from '../data/valueSets';
+import {
+  conceptInValueSet,
+  extractConditions,
+  getBMIMeasurement,
+  getObservationNumericValue,
+  getResourceDate
+} from './fhirHelpers';
+
+// A BMI this high supports chronic weight management without a coded diagnosis
+const WEIGHT_MANAGEMENT_MIN_BMI = 27;
+
+/**
+ * Evaluate the `indication` criterion: whether the chart documents the condition
+ * the drug is prescribed for.
+ *
+ * Criterion fields:
+ *  - indication: a key of INDICATIONS (drugRegistry.js)
+ *  - minAhi: for obstructiveSleepApnea, the apnea-hypopnea index (events/h) a
+ *    sleep study must have recorded, e.g. 15 for moderate to severe OSA
+ */
+export function evaluateIndication(patientData, config = {}) {
+  const { indication } = config;
+  const valueSet = INDICATION_VALUE_SETS[indication];
+  if (!valueSet) {
+    return result(
+      CriteriaStatus.NOT_APPLICABLE,
+      indication ? `Unknown indication: ${indication}` : 'No indication selected',
+      'N/A',
+      []
+    );
+  }
+
+  const label = INDICATIONS[indication];
+  const diagnoses = findIndicationDiagnoses(patientData, indication);
+  if (diagnoses.length === 0) {
+    const bmi = indication === 'chronicWeightManagement' ? getBMIMeasurement(patientData) : null;
+    if (bmi?.value >= WEIGHT_MANAGEMENT_MIN_BMI) {
+      return result(CriteriaStatus.MET, `${label}: BMI ${bmi.value}`, `BMI ${bmi.value}`, bmi.evidence);
+    }
+    return result(CriteriaStatus.NOT_MET, `No ${valueSet.label.toLowerCase()} documented for ${label.toLowerCase()}`, 'Not documented', []);
+  }
+
+  const documented = diagnoses.map(c => c.display).join(', ');
+  const evidence = diagnoses.map(conditionEvidence);
+  if (config.minAhi === undefined) {
+    return result(CriteriaStatus.MET, `${label}: ${documented}`, documented, evidence);
+  }
+
+  const ahi = getLatestAhi(patientData);
+  if (!ahi) {
+    return result(
+      CriteriaStatus.NOT_MET,
+      `${documented} documented, but no sleep study AHI on file (requires ≥${config.minAhi} events/h)`,
+      'AHI not documented',
+      evidence
+    );
+  }
+  const status = ahi.value >= config.minAhi ? CriteriaStatus.MET : CriteriaStatus.NOT_MET;
+  const comparison = status === CriteriaStatus.MET ? 'meets' : 'is below';
+  return result(
+    status,
+    `${documented}; AHI ${ahi.value} events/h ${comparison} the required ${config.minAhi}`,
+    `AHI ${ahi.value}`,
+    [...evidence, ahi]
+  );
+}
+
+/**
+ * Evaluate a `diagnosis` criterion: whether the chart documents the diagnosis a
+ * policy names in `requiredDiagnosis` (e.g. "Type 2 Diabetes"). It is matched to
+ * an indication value set where one covers it, and otherwise to condition text.
+ */
+export function evaluateDiagnosis(patientData, config = {}) {
+  const required = config.requiredDiagnosis;
+  if (!required) {
+    return { status: CriteriaStatus.NOT_APPLICABLE, reason: 'Diagnosis', details: 'No diagnosis required', displayValue: 'N/A', evidence: [] };
+  }
+
+  const valueSet = Object.values(INDICATION_VALUE_SETS).find(set => conceptInValueSet({ text: required }, set));
+  const wanted = required.toLowerCase();
+  const diagnoses = extractConditions(patientData).filter(c =>
+    c.clinicalStatus !== 'resolved' && c.clinicalStatus !== 'inactive' &&
+    (valueSet ? conceptInValueSet(c.concept, valueSet) : (c.display || '').toLowerCase().includes(wanted))
+  );
+  if (diagnoses.length === 0) {
+    return { status: CriteriaStatus.NOT_MET, reason: 'Diagnosis', details: `No ${required} diagnosis documented`, displayValue: 'Not documented', evidence: [] };
+  }
+
+  const documented = diagnoses.map(c => c.display).join(', ');
+  return { status: CriteriaStatus.MET, reason: 'Diagnosis', details: `${required}: ${documented}`, displayValue: documented, evidence: diagnoses.map(conditionEvidence) };
+}
+
+/**
+ * The patient's active conditions that support an indication
+ */
+export function findIndicationDiagnoses(patientData, indication) {
+  const valueSet = INDICATION_VALUE_SETS[indication];
+  if (!valueSet) return [];
+  return extractConditions(patientData).filter(c =>
+    c.clinicalStatus !== 'resolved' && c.clinicalStatus !== 'inactive' && conceptInValueSet(c.concept, valueSet)
+  );
+}
+
+// Most recent AHI, from Observations or the app's labs, as an evidence item
+function getLatestAhi(patientData) {
+  const results = [];
+  for (const obs of patientData.observations || []) {
+    if (['entered-in-error', 'cancelled'].includes(obs.status) || !conceptInValueSet(obs.code, AHI_VALUE_SET)) continue;
+    const value = getObservationNumericValue(obs);
+    if (value === null || Number.isNaN(value)) continue;
+    results.push(ahiEvidence(value, getResourceDate(obs), { resourceType: 'Observation', id: obs.id || null, source: 'fhir' }));
+  }
+  for (const key of AHI_VALUE_SET.keys) {
+    const lab = patientData.labs?.[key];
+    if (lab?.value === null || lab?.value === undefined) continue;
+    results.push(ahiEvidence(Number(lab.value), lab.date || null, { resourceType: null, id: null, source: 'chart' }));
+  }
+  return results.sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0))[0] || null;
+}
+
+function ahiEvidence(value, date, origin) {
+  return {
+    ...origin,
+    kind: 'ahi',
+    display: `${AHI_VALUE_SET.label}: ${value} ${AHI_VALUE_SET.unit}`,
+    value,
+    unit: AHI_VALUE_SET.unit,
+    date
+  };
+}
+
+function conditionEvidence(condition) {
+  return {
+    resourceType: condition.id ? 'Condition' : null,
+    id: condition.id,
+    display: condition.display,
+    date: condition.date,
+    source: condition.source
+  };
+}
+
+function result(status, details, displayValue, evidence) {
+  return { status, reason: 'Indication', details, displayValue, evidence };
+}
@@ -0,0 +1,251 @@
+import { CriteriaStatus } from '../constants';
+import { LAB_VALUE_SETS } from '../data/valueSets';
+import { extractLabResults, getEvaluationTime } from './fhirHelpers';
+import { normalizeUnitKey, tryNormalizeQuantity } from './quantity';
+import { extractEquivalentHistory } from './doseEquivalence';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const COMPARATORS = {
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+  '=': (a, b) => a === b
+};
+
+/**
+ * Evaluate a `labValue` criterion against the patient's most recent result.
+ *
+ * Criterion fields:
+ *  - labName: "A1C" (any alias in LAB_VALUE_SETS) or loincCodes: ["4548-4", ...]
+ *  - comparator + threshold, or the older minValue / maxValue
+ *  - unit: unit of the threshold, when not the lab's default unit
+ *  - maxAgeDays: how recent the result must be for the payer
+ * Results in other units are converted before comparing. A result older than
+ * maxAgeDays is flagged `outdated`; if it would otherwise qualify the criterion
+ * is PARTIAL so the prescriber knows a repeat lab is all that's missing.
+ */
+export function evaluateLabValue(patientData, config = {}) {
+  const labSet = resolveLabSet(config);
+  const rule = resolveRule(config, labSet);
+
+  if (!labSet || !rule) {
+    return {
+      status: CriteriaStatus.NOT_APPLICABLE,
+      reason: 'Lab Requirement',
+      details: labSet ? `No threshold configured for ${labSet.label}` : `Unknown lab: ${config.labName || 'none'}`,
+      displayValue: 'N/A'
+    };
+  }
+
+  const rejected = [];
+  const results = [];
+  for (const result of extractLabResults(patientData, labSet)) {
+    let error = null;
+    const value = convertUnit(result.value, result.unit, labSet, e => { error = e.message; });
+    if (value === null) {
+      rejected.push({ ...result, error });
+    } else {
+      results.push({ ...result, normalizedValue: value });
+    }
+  }
+
+  const kind = getLabKey(labSet);
+  const requirement = `${labSet.label} ${rule.comparator} ${formatValue(rule.threshold, labSet.unit)}`;
+
+  if (results.length === 0) {
+    return {
+      status: CriteriaStatus.NOT_MET,
+      reason: 'Lab Requirement',
+      details: rejected.length > 0
+        ? `${labSet.label} reported in unsupported units (${[...new Set(rejected.map(r => r.unit))].join(', ')})`
+        : `No ${labSet.label} result on file (requires ${requirement})`,
+      displayValue: 'No result',
+      rejected,
+      evidence: rejected.map(result => resultEvidence(result, kind))
+    };
+  }
+
+  const latest = results[0];
+  const ageDays = latest.date ? Math.floor((getEvaluationTime(patientData) - Date.parse(latest.date)) / MS_PER_DAY) : null;
+  const outdated = Boolean(config.maxAgeDays) && (ageDays === null || ageDays > config.maxAgeDays);
+  const meetsThreshold = COMPARATORS[rule.comparator](round(latest.normalizedValue), rule.threshold);
+
+  const shown = formatValue(round(latest.normalizedValue), labSet.unit);
+  const converted = normalizeUnitKey(latest.unit) && normalizeUnitKey(latest.unit) !== normalizeUnitKey(labSet.unit)
+    ? ` (reported ${formatValue(latest.value, latest.unit)})`
+    : '';
+  let details = `${labSet.label} ${shown}${converted} on ${latest.date || 'unknown date'}; requires ${rule.comparator} ${formatValue(rule.threshold, labSet.unit)}`;
+  if (outdated) {
+    details += ageDays === null
+      ? `; result is undated, payer requires one within ${config.maxAgeDays} days`
+      : `; result is ${ageDays} days old, payer requires one within ${config.maxAgeDays} days`;
+  }
+
+  let status = meetsThreshold ? CriteriaStatus.MET : CriteriaStatus.NOT_MET;
+  if (meetsThreshold && outdated) {
+    status = CriteriaStatus.PARTIAL;
+  }
+
+  return {
+    status,
+    reason: 'Lab Requirement',
+    details,
+    displayValue: shown,
+    value: round(latest.normalizedValue),
+    unit: labSet.unit,
+    originalValue: latest.value,
+    originalUnit: latest.unit,
+    date: latest.date,
+    ageDays,
+    outdated,
+    rejected,
+    evidence: [resultEvidence(latest, kind)]
+  };
+}
+
+/**
+ * Evaluate an `efficacy` criterion: whether a lab improved on therapy. The
+ * baseline is the latest result on or before the first fill of the medication
+ * (or a same-ingredient product); the follow-up is the latest result since.
+ *
+ * Criterion fields:
+ *  - labName: the lab followed, "A1C" by default
+ *  - minReduction: how far it must have fallen, in the lab's default unit
+ *  - medication: set by evaluateCriteria() from the request
+ */
+export function evaluateEfficacy(patientData, config = {}) {
+  const labSet = resolveLabSet({ labName: 'A1C', ...config });
+  if (!labSet) {
+    return { status: CriteriaStatus.NOT_APPLICABLE, reason: 'Treatment Response', details: `Unknown lab: ${config.labName}`, displayValue: 'N/A' };
+  }
+
+  const starts = extractEquivalentHistory(patientData, config.medication)
+    .map(entry => Date.parse(entry.startDate))
+    .filter(time => !Number.isNaN(time));
+  if (starts.length === 0) {
+    return {
+      status: CriteriaStatus.NOT_APPLICABLE,
+      reason: 'Treatment Response',
+      details: `No ${config.medication || 'medication'} therapy on file to measure a response to`,
+      displayValue: 'N/A'
+    };
+  }
+
+  const started = Math.min(...starts);
+  const results = extractLabResults(patientData, labSet)
+    .map(result => ({ ...result, normalizedValue: convertUnit(result.value, result.unit, labSet) }))
+    .filter(result => result.normalizedValue !== null && result.date);
+  const baseline = results.find(result => Date.parse(result.date) <= started);
+  const followUp = results.find(result => Date.parse(result.date) > started);
+  const evidence = [baseline, followUp].filter(Boolean).map(result => resultEvidence(result, getLabKey(labSet)));
+
+  if (!baseline || !followUp) {
+    return {
+      status: CriteriaStatus.PARTIAL,
+      reason: 'Treatment Response',
+      details: `${baseline ? 'No follow-up' : 'No baseline'} ${labSet.label} to compare against`,
+      displayValue: 'Incomplete',
+      evidence
+    };
+  }
+
+  const before = round(baseline.normalizedValue);
+  const after = round(followUp.normalizedValue);
+  const reduction = round(before - after);
+  const minReduction = config.minReduction ?? 0;
+  const improved = minReduction > 0 ? reduction >= minReduction : reduction > 0;
+  return {
+    status: improved ? CriteriaStatus.MET : CriteriaStatus.NOT_MET,
+    reason: 'Treatment Response',
+    details: `${labSet.label} ${formatValue(before, labSet.unit)} on ${baseline.date} to ${formatValue(after, labSet.unit)} on ${followUp.date}`
+      + (minReduction > 0 ? `; requires a reduction of ${formatValue(minReduction, labSet.unit)}` : ''),
+    displayValue: `${formatValue(before, labSet.unit)} → ${formatValue(after, labSet.unit)}`,
+    evidence
+  };
+}
+
+/**
+ * The lab and threshold a `labValue` criterion asks for, as
+ * { labSet, comparator, threshold } with the threshold in the lab's default
+ * unit. Null when the criterion names no known lab or no threshold.
+ */
+export function getLabRequirement(config = {}) {
+  const labSet = resolveLabSet(config);
+  const rule = labSet && resolveRule(config, labSet);
+  return rule ? { labSet, ...rule } : null;
+}
+
+function resolveLabSet(config) {
+  if (config.loincCodes?.length) {
+    const known = Object.values(LAB_VALUE_SETS).find(set => config.loincCodes.some(code => set.loinc.includes(code)));
+    return {
+      label: config.labName || known?.label || 'Lab result',
+      loinc: config.loincCodes,
+      keys: known?.keys || [],
+      unit: config.unit || known?.unit || null,
+      conversions: known?.conversions || {}
+    };
+  }
+  const name = (config.labName || '').toLowerCase();
+  return LAB_VALUE_SETS[name] || Object.values(LAB_VALUE_SETS).find(set => set.aliases.includes(name)) || null;
+}
+
+// Threshold in the lab's default unit
+function resolveRule(config, labSet) {
+  let comparator = config.comparator;
+  let threshold = config.threshold;
+  if (threshold === undefined && config.minValue !== undefined) {
+    comparator = '>=';
+    threshold = config.minValue;
+  } else if (threshold === undefined && config.maxValue !== undefined) {
+    comparator = '<=';
+    threshold = config.maxValue;
+  }
+  if (threshold === undefined || !COMPARATORS[comparator || '>=']) return null;
+
+  const converted = config.unit && labSet ? convertUnit(threshold, config.unit, labSet) : threshold;
+  return { comparator: comparator || '>=', threshold: converted === null ? threshold : round(converted) };
+}
+
+/**
+ * Convert a value into the lab's default unit. Returns null when the unit is
+ * neither the default nor one with a known conversion (the UnitConversionError
+ * goes to `onError`). A missing unit is taken to be the default, as the app's own
+ * `labs` entries often omit it.
+ */
+export function convertUnit(value, unit, labSet, onError) {
+  if (!labSet.unit) return value;
+  const normalized = tryNormalizeQuantity({ value, unit }, labSet, onError);
+  return normalized ? normalized.value : null;
+}
+
+// Key of the lab in LAB_VALUE_SETS, also for criteria that list their own LOINC codes
+function getLabKey(labSet) {
+  return Object.keys(LAB_VALUE_SETS).find(key =>
+    LAB_VALUE_SETS[key] === labSet || LAB_VALUE_SETS[key].loinc.some(code => labSet.loinc.includes(code))
+  ) || null;
+}
+
+function resultEvidence(result, kind) {
+  return {
+    resourceType: result.resourceType,
+    id: result.id,
+    kind,
+    display: `${result.display}: ${formatValue(result.value, result.unit)}`,
+    value: result.value,
+    unit: result.unit,
+    date: result.date,
+    source: result.source
+  };
+}
+
+function formatValue(value, unit) {
+  if (!unit) return `${value}`;
+  return unit === '%' ? `${value}%` : `${value} ${unit}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,342 @@
+import { normalizeStatus, CriteriaStatus } from '../constants';
+import { CodeSystems, CONTRAINDICATION_VALUE_SETS, VITAL_SIGN_LOINC } from '../data/valueSets';
+import { ATTESTATION_FLAGS, FAMILY_ATTESTATION_FLAG } from './contraindicationEvaluator';
+import {
+  findLatestObservationByCode,
+  getBMIMeasurement,
+  getEvaluationTime,
+  getPatientAge,
+  getResourceDate,
+  parseNumericValue
+} from './fhirHelpers';
+import { getLabRequirement } from './labValueEvaluator';
+import { tryNormalizeQuantity } from './quantity';
+
+const UCUM = 'http://unitsofmeasure.org';
+const UNIT_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/questionnaire-unit';
+const OBSERVATION_EXTRACT_EXTENSION = 'http://hl7.org/fhir/uv/sdc/StructureDefinition/sdc-questionnaire-observationExtract';
+
+// Answer options for the comorbidity question; the displays are what evaluateComorbidity matches on
+const COMORBIDITY_OPTIONS = [
+  { system: CodeSystems.ICD10, code: 'E11.9', display: 'Type 2 diabetes mellitus' },
+  { system: CodeSystems.ICD10, code: 'I10', display: 'Essential hypertension' },
+  { system: CodeSystems.ICD10, code: 'E78.5', display: 'Dyslipidemia' },
+  { system: CodeSystems.ICD10, code: 'G47.33', display: 'Obstructive sleep apnea' },
+  { system: CodeSystems.ICD10, code: 'I25.10', display: 'Cardiovascular disease' }
+];
+
+/**
+ * Questions for the inputs a criterion result is missing, keyed by criterion
+ * type. Each gets (result, config, context) and returns Questionnaire items, or
+ * nothing when the result isn't held up by absent data.
+ *
+ * linkIds read `<criterion>/<target>/...` and say where an answer goes:
+ * observation/<LOINC> (with an optional /date), condition, patient/birthDate,
+ * clinicalNotes/<path> or medication/<name>/<field>. See extractResponseData().
+ */
+const MISSING_INPUT_QUESTIONS = {
+  bmi: (result, config, { criterion, patientData, today }) => {
+    if (isStatus(result, CriteriaStatus.NOT_MET) && !getBMIMeasurement(patientData)?.value) {
+      return [
+        vitalQuestion(criterion, 'weight', 'Body weight', 'kg', 'bodyWeight', patientData, today),
+        vitalQuestion(criterion, 'height', 'Body height', 'cm', 'bodyHeight', patientData, today)
+      ].flat();
+    }
+    return [];
+  },
+
+  labValue: (result, config, { criterion, today }) => {
+    const requirement = getLabRequirement(config);
+    if (!requirement || !isStatus(result, CriteriaStatus.NOT_MET) || result.value !== undefined) return [];
+    const { labSet } = requirement;
+    return observationQuestion(criterion, labSet.loinc[0], labSet.label, labSet.unit, null, today);
+  },
+
+  age: (result, config, { criterion, patientData }) => {
+    if (getPatientAge(patientData) !== null) return [];
+    return [{ linkId: `${criterion}/patient/birthDate`, text: 'Date of birth', type: 'date', required: true }];
+  },
+
+  comorbidity: (result, config, { criterion }) => {
+    if (!isStatus(result, CriteriaStatus.NOT_MET)) return [];
+    return [{
+      linkId: `${criterion}/condition`,
+      text: 'Documented weight-related conditions',
+      type: 'choice',
+      repeats: true,
+      answerOption: COMORBIDITY_OPTIONS.map(coding => ({ valueCoding: coding }))
+    }];
+  },
+
+  weightLoss: (result, config, { criterion }) => {
+    if (!isStatus(result, CriteriaStatus.NOT_MET) || result.value !== undefined) return [];
+    return [noteQuestion(criterion, 'initialWeightLossPercentage', 'Weight loss from baseline (%)', 'decimal')];
+  },
+
+  weightMaintained: (result, config, { criterion }) => {
+    if (!isStatus(result, CriteriaStatus.NOT_MET) || result.value !== undefined) return [];
+    return [
+      noteQuestion(criterion, 'currentWeightLossPercentage', 'Current weight loss from baseline (%)', 'decimal'),
+      noteQuestion(criterion, 'weightMaintenanceMonths', 'Months the weight loss has been maintained', 'integer')
+    ];
+  },
+
+  lifestyleModification: (result, config, { criterion, patientData }) => {
+    if (result.programs?.length || isStatus(result, CriteriaStatus.MET)) return [];
+    const program = patientData.clinicalNotes?.lifestyleModification || {};
+    const known = program.participated ?? (patientData.clinicalNotes?.hasWeightProgram || undefined);
+    return [
+      noteQuestion(criterion, 'lifestyleModification.participated', 'Participated in a lifestyle modification program', 'boolean', known),
+      noteQuestion(criterion, 'lifestyleModification.programType', 'Program', 'string', program.programType),
+      noteQuestion(criterion, 'lifestyleModification.startDate', 'Program start date', 'date', program.startDate),
+      noteQuestion(criterion, 'lifestyleModification.endDate', 'Program end date', 'date', program.endDate)
+    ];
+  },
+
+  stepTherapy: (result, config, { criterion }) =>
+    (result.trials || [])
+      .filter(trial => !trial.satisfied && trial.required === 1 && trial.agents.length === 0)
+      .map(trial => {
+        const name = trial.label.split(' / ')[0];
+        const base = `${criterion}/medication/${encodeURIComponent(name)}`;
+        return {
+          linkId: base,
+          text: `Trial of ${name}`,
+          type: 'group',
+          item: [
+            { linkId: `${base}/startDate`, text: 'Start date', type: 'date', required: true },
+            { linkId: `${base}/endDate`, text: 'End date', type: 'date' },
+            { linkId: `${base}/intolerance`, text: 'Stopped because of intolerance or a contraindication', type: 'boolean' }
+          ]
+        };
+      }),
+
+  contraindications: (result, config, { criterion }) => {
+    if (!isStatus(result, CriteriaStatus.NEEDS_ATTESTATION)) return [];
+    return (result.unresolved || []).flatMap(({ contraindication, label }) => {
+      const questions = [];
+      if (ATTESTATION_FLAGS[contraindication]) {
+        questions.push(noteQuestion(criterion, `contraindications.${ATTESTATION_FLAGS[contraindication]}`, `${label}?`, 'boolean'));
+      }
+      if (CONTRAINDICATION_VALUE_SETS[contraindication]?.familyHistory) {
+        questions.push(noteQuestion(criterion, `contraindications.${FAMILY_ATTESTATION_FLAG}`, `Family history of ${label.toLowerCase()}?`, 'boolean'));
+      }
+      return questions;
+    });
+  },
+
+  prescriberQualification: (result, config, { criterion, patientData }) => {
+    if (!isStatus(result, CriteriaStatus.NEEDS_ATTESTATION)) return [];
+    const attestation = patientData.clinicalNotes?.prescriberQualification || {};
+    return [
+      noteQuestion(criterion, 'prescriberQualification.specialty', 'Prescriber specialty', 'string', attestation.specialty),
+      noteQuestion(
+        criterion,
+        'prescriberQualification.experienceInWeightManagement',
+        'Prescriber is experienced in obesity management',
+        'boolean',
+        attestation.experienceInWeightManagement
+      )
+    ];
+  }
+};
+
+/**
+ * A FHIR R4 Questionnaire asking for exactly the inputs that hold criteria up:
+ * one group per criterion, pre-filled (`initial`) with what the chart already
+ * has. `results` and `criteria` are as CoverageDisplay evaluates them. Returns
+ * null when no criterion is waiting on data.
+ */
+export function buildMissingDataQuestionnaire(patientData, results, criteria, { medication } = {}) {
+  const today = toDate(getEvaluationTime(patientData));
+  const groups = [];
+
+  for (const [criterion, result] of Object.entries(results || {})) {
+    const config = criteria?.[criterion] || {};
+    const questions = MISSING_INPUT_QUESTIONS[config.type] || MISSING_INPUT_QUESTIONS[criterion];
+    const items = questions ? questions(result, config, { criterion, patientData, today }) : [];
+    if (items.length === 0) continue;
+    groups.push({
+      linkId: criterion,
+      text: result.details ? `${result.reason}: ${result.details}` : result.reason || criterion,
+      type: 'group',
+      item: items
+    });
+  }
+
+  if (groups.length === 0) return null;
+  return {
+    resourceType: 'Questionnaire',
+    id: `missing-data-${patientData.id || 'patient'}`,
+    status: 'active',
+    title: `Missing information${medication ? ` for ${medication}` : ''}`,
+    date: today,
+    item: groups
+  };
+}
+
+/**
+ * Turn a QuestionnaireResponse to a questionnaire from buildMissingDataQuestionnaire()
+ * into chart data the evaluators read:
+ *
+ *   { observations, conditions, medications, clinicalNotes, patient }
+ *
+ * Measurements become Observations dated by their date answer (else the
+ * response's authored date) and derived from the response; answers on
+ * attestations and programs become clinicalNotes entries.
+ */
+export function extractResponseData(questionnaire, response) {
+  const authored = response?.authored ? String(response.authored).slice(0, 10) : toDate(Date.now());
+  const answers = new Map(flattenItems(response?.item).map(item => [item.linkId, (item.answer || []).map(answerValue)]));
+  const questions = new Map(flattenItems(questionnaire?.item).map(item => [item.linkId, item]));
+  const derivedFrom = response?.id ? [{ reference: `QuestionnaireResponse/${response.id}` }] : undefined;
+  const data = { observations: [], conditions: [], medications: [], clinicalNotes: {}, patient: {} };
+  const medications = new Map();
+
+  for (const [linkId, values] of answers) {
+    if (values.length === 0 || values[0] === undefined) continue;
+    const [, target, ...rest] = linkId.split('/');
+
+    if (target === 'observation' && rest.length === 1) {
+      const question = questions.get(linkId) || {};
+      const unit = question.extension?.find(e => e.url === UNIT_EXTENSION)?.valueCoding?.code || null;
+      data.observations.push({
+        resourceType: 'Observation',
+        id: `${response?.id || 'response'}-${rest[0]}`,
+        status: 'final',
+        code: { coding: question.code || [{ system: CodeSystems.LOINC, code: rest[0] }], text: question.text },
+        valueQuantity: { value: Number(values[0]), unit, system: UCUM, code: unit },
+        effectiveDateTime: answers.get(`${linkId}/date`)?.[0] || authored,
+        ...(derivedFrom ? { derivedFrom } : {})
+      });
+    } else if (target === 'condition') {
+      for (const coding of values) {
+        data.conditions.push({
+          resourceType: 'Condition',
+          id: `${response?.id || 'response'}-${coding.code}`,
+          code: { coding: [coding], text: coding.display },
+          clinicalStatus: { coding: [{ code: 'active' }] },
+          verificationStatus: { coding: [{ code: 'confirmed' }] },
+          recordedDate: authored
+        });
+      }
+    } else if (target === 'patient') {
+      data.patient[rest[0]] = values[0];
+    } else if (target === 'clinicalNotes') {
+      setPath(data.clinicalNotes, rest[0], values[0]);
+    } else if (target === 'medication' && rest.length === 2) {
+      const name = decodeURIComponent(rest[0]);
+      if (!medications.has(name)) medications.set(name, { name, status: 'completed' });
+      const entry = medications.get(name);
+      if (rest[1] === 'intolerance') {
+        if (values[0] === true) entry.statusReason = 'Stopped due to intolerance';
+      } else {
+        entry[rest[1]] = values[0];
+      }
+    }
+  }
+
+  data.medications = [...medications.values()].filter(med => med.startDate);
+  return data;
+}
+
+/**
+ * The chart with a QuestionnaireResponse's answers merged in (see extractResponseData)
+ */
+export function applyQuestionnaireResponse(patientData, questionnaire, response) {
+  const data = extractResponseData(questionnaire, response);
+  const chart = {
+    ...patientData,
+    ...data.patient,
+    observations: [...(patientData.observations || []), ...data.observations],
+    medications: [...(patientData.medications || []), ...data.medications],
+    clinicalNotes: mergeNotes(patientData.clinicalNotes || {}, data.clinicalNotes)
+  };
+
+  // Charts that only carry the app's diagnosis list would hide it behind new Conditions
+  if (!patientData.conditions?.length && patientData.diagnosis?.length) {
+    chart.diagnosis = [...patientData.diagnosis, ...data.conditions.map(c => c.code.text)];
+  } else {
+    chart.conditions = [...(patientData.conditions || []), ...data.conditions];
+  }
+  return chart;
+}
+
+function isStatus(result, status) {
+  return normalizeStatus(result?.status) === status;
+}
+
+// A measurement with its date, pre-filled with the latest value in the chart
+function vitalQuestion(criterion, vital, text, unit, kind, patientData, today) {
+  const obs = findLatestObservationByCode(patientData.observations || [], VITAL_SIGN_LOINC[vital]);
+  const quantity = obs?.valueQuantity || patientData.vitals?.[vital];
+  const known = parseNumericValue(quantity) ? tryNormalizeQuantity(quantity, kind) : null;
+  const date = obs ? getResourceDate(obs)?.slice(0, 10) : quantity?.date;
+  return observationQuestion(criterion, VITAL_SIGN_LOINC[vital], text, unit, known && { value: known.value, date }, today);
+}
+
+function observationQuestion(criterion, loinc, text, unit, known, today) {
+  const linkId = `${criterion}/observation/${loinc}`;
+  return [
+    {
+      linkId,
+      code: [{ system: CodeSystems.LOINC, code: loinc, display: text }],
+      text: unit ? `${text} (${unit})` : text,
+      type: 'decimal',
+      required: true,
+      extension: [
+        ...(unit ? [{ url: UNIT_EXTENSION, valueCoding: { system: UCUM, code: unit, display: unit } }] : []),
+        { url: OBSERVATION_EXTRACT_EXTENSION, valueBoolean: true }
+      ],
+      ...(known?.value !== undefined ? { initial: [{ valueDecimal: Math.round(known.value * 10) / 10 }] } : {})
+    },
+    {
+      linkId: `${linkId}/date`,
+      text: `${text} measured on`,
+      type: 'date',
+      required: true,
+      initial: [{ valueDate: known?.date || today }]
+    }
+  ];
+}
+
+function noteQuestion(criterion, path, text, type, known) {
+  const item = { linkId: `${criterion}/clinicalNotes/${path}`, text, type };
+  if (known !== undefined && known !== null) {
+    item.initial = [{ [`value${type[0].toUpperCase()}${type.slice(1)}`]: known }];
+  }
+  return item;
+}
+
+function flattenItems(items = []) {
+  return items.flatMap(item => [item, ...flattenItems(item.item), ...(item.answer || []).flatMap(a => flattenItems(a.item))]);
+}
+
+function answerValue(answer) {
+  const key = Object.keys(answer).find(k => k.startsWith('value'));
+  return key ? answer[key] : undefined;
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function mergeNotes(notes, answers) {
+  const merged = { ...notes };
+  for (const [key, value] of Object.entries(answers)) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? { ...notes[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+function toDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
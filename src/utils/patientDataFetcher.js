@@ -1,5 +1,5 @@
 // Utility to fetch complete patient data from Epic
-import { getEpicToken } from './epicAuth';
+import { getEpicToken, getEpicFhirUser } from './epicAuth';
 
 export const fetchCompletePatientData = async (patientId) => {
   const accessToken = getEpicToken();
@@ -55,15 +55,161 @@ export const fetchCompletePatientData = async (patientId) => {
 
     const labs = labsResponse.ok ? await labsResponse.json() : { entry: [] };
 
+    // Fetch medication statements and intolerances (step-therapy history)
+    const statementsResponse = await fetch(`${fhirBaseUrl}/MedicationStatement?patient=${patientId}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/fhir+json'
+      }
+    });
+
+    const statements = statementsResponse.ok ? await statementsResponse.json() : { entry: [] };
+
+    // Fetch fills, used to detect lapses in therapy
+    const dispensesResponse = await fetch(`${fhirBaseUrl}/MedicationDispense?patient=${patientId}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/fhir+json'
+      }
+    });
+
+    const dispenses = dispensesResponse.ok ? await dispensesResponse.json() : { entry: [] };
+
+    const allergiesResponse = await fetch(`${fhirBaseUrl}/AllergyIntolerance?patient=${patientId}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/fhir+json'
+      }
+    });
+
+    const allergies = allergiesResponse.ok ? await allergiesResponse.json() : { entry: [] };
+
+    // Fetch family history (MTC / MEN 2 screening)
+    const familyHistoryResponse = await fetch(`${fhirBaseUrl}/FamilyMemberHistory?patient=${patientId}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/fhir+json'
+      }
+    });
+
+    const familyHistory = familyHistoryResponse.ok ? await familyHistoryResponse.json() : { entry: [] };
+
+    // Fetch weight-management program evidence (visits, counseling, care plans, referrals)
+    const encountersResponse = await fetch(`${fhirBaseUrl}/Encounter?patient=${patientId}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/fhir+json'
+      }
+    });
+
+    const encounters = encountersResponse.ok ? await encountersResponse.json() : { entry: [] };
+
+    const proceduresResponse = await fetch(`${fhirBaseUrl}/Procedure?patient=${patientId}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/fhir+json'
+      }
+    });
+
+    const procedures = proceduresResponse.ok ? await proceduresResponse.json() : { entry: [] };
+
+    const carePlansResponse = await fetch(`${fhirBaseUrl}/CarePlan?patient=${patientId}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/fhir+json'
+      }
+    });
+
+    const carePlans = carePlansResponse.ok ? await carePlansResponse.json() : { entry: [] };
+
+    const referralsResponse = await fetch(`${fhirBaseUrl}/ServiceRequest?patient=${patientId}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/fhir+json'
+      }
+    });
+
+    const referrals = referralsResponse.ok ? await referralsResponse.json() : { entry: [] };
+
+    // Insurance, resolved to a payer policy by planResolver.js
+    const coverageResponse = await fetch(`${fhirBaseUrl}/Coverage?patient=${patientId}&status=active`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Accept': 'application/fhir+json'
+      }
+    });
+
+    const coverage = coverageResponse.ok ? await coverageResponse.json() : { entry: [] };
+
+    // Prescriber (signed-in clinician) for the prescriberQualification criterion
+    const prescriber = await fetchPrescriberData(getEpicFhirUser()).catch(error => {
+      console.error('Error fetching prescriber data:', error);
+      return null;
+    });
+
     return {
       demographics,
       conditions: conditions.entry.map(entry => entry.resource),
       medications: medications.entry.map(entry => entry.resource),
       labs: labs.entry.map(entry => entry.resource),
+      medicationStatements: (statements.entry || []).map(entry => entry.resource),
+      medicationDispenses: (dispenses.entry || []).map(entry => entry.resource),
+      allergyIntolerances: (allergies.entry || []).map(entry => entry.resource),
+      familyMemberHistory: (familyHistory.entry || []).map(entry => entry.resource),
+      encounters: (encounters.entry || []).map(entry => entry.resource),
+      procedures: (procedures.entry || []).map(entry => entry.resource),
+      carePlans: (carePlans.entry || []).map(entry => entry.resource),
+      serviceRequests: (referrals.entry || []).map(entry => entry.resource),
+      coverage: (coverage.entry || []).map(entry => entry.resource),
+      prescriber,
       fetchedAt: new Date().toISOString()
     };
   } catch (error) {
     console.error('Error fetching complete patient data:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+/**
+ * Fetch the Practitioner named by the SMART fhirUser claim and their PractitionerRoles.
+ * Returns null when the signed-in user isn't a Practitioner (e.g. a Patient launch).
+ */
+export const fetchPrescriberData = async (fhirUser) => {
+  const match = fhirUser?.match(/Practitioner\/([^/]+)$/);
+  if (!match) return null;
+
+  const accessToken = getEpicToken();
+  if (!accessToken) {
+    throw new Error('Missing Epic access token');
+  }
+
+  const fhirBaseUrl = process.env.REACT_APP_EPIC_FHIR_BASE;
+  const practitionerId = match[1];
+
+  const practitionerResponse = await fetch(`${fhirBaseUrl}/Practitioner/${practitionerId}`, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/fhir+json'
+    }
+  });
+
+  if (!practitionerResponse.ok) {
+    throw new Error('Failed to fetch prescriber');
+  }
+
+  const practitioner = await practitionerResponse.json();
+
+  const rolesResponse = await fetch(`${fhirBaseUrl}/PractitionerRole?practitioner=${practitionerId}`, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/fhir+json'
+    }
+  });
+
+  const roles = rolesResponse.ok ? await rolesResponse.json() : { entry: [] };
+
+  return {
+    reference: `Practitioner/${practitionerId}`,
+    practitioner,
+    practitionerRoles: (roles.entry || []).map(entry => entry.resource)
+  };
+};
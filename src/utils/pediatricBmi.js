@@ -0,0 +1,249 @@
+import { CriteriaStatus } from '../constants';
+import { CDC_BMI_FOR_AGE } from '../data/cdcBmiForAge';
+import { VITAL_SIGN_LOINC } from '../data/valueSets';
+import {
+  findLatestObservationByCode,
+  getBMIMeasurement,
+  getEvaluationTime,
+  getObservationNumericValue,
+  getResourceDate
+} from './fhirHelpers';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.4375;
+// CDC reference covers 2-20 years
+const MIN_AGE_MONTHS = 24;
+const MAX_AGE_MONTHS = 240.5;
+const Z_95TH = 1.6448536;
+
+// CDC/AAP weight classes, lowest first. Severe obesity classes are defined relative
+// to the 95th percentile or by absolute BMI, whichever is lower.
+export const PEDIATRIC_BMI_CLASSES = {
+  underweight: { label: 'Underweight', rank: 0 },
+  healthy: { label: 'Healthy weight', rank: 1 },
+  overweight: { label: 'Overweight', rank: 2 },
+  obesityClass1: { label: 'Class 1 obesity', rank: 3 },
+  obesityClass2: { label: 'Class 2 obesity', rank: 4 },
+  obesityClass3: { label: 'Class 3 obesity', rank: 5 }
+};
+
+/**
+ * BMI-for-age percentile from the CDC LMS reference.
+ *
+ * Below the 95th percentile the LMS z-score is used. At or above it the CDC 2022
+ * extended method applies: percentile = 90 + 10 × Φ((BMI − P95) / sigma), which
+ * stays meaningful for severe obesity where LMS percentiles saturate near 99.9.
+ *
+ * Returns { percentile, zScore, p95, percentOfP95, weightClass, extended } or null
+ * when the age is outside 2-20 years or the reference has no rows for it.
+ */
+export function calculateBmiPercentile(bmi, ageMonths, sex, table = CDC_BMI_FOR_AGE) {
+  const rows = table[normalizeSex(sex)];
+  if (!bmi || !rows?.length || ageMonths < MIN_AGE_MONTHS || ageMonths > MAX_AGE_MONTHS) return null;
+
+  const ref = interpolateRow(rows, ageMonths);
+  if (!ref) return null;
+  const { L, M, S, sigma } = ref;
+  const p95 = ref.P95 || lmsValue(L, M, S, Z_95TH);
+
+  const zScore = L === 0 ? Math.log(bmi / M) / S : (Math.pow(bmi / M, L) - 1) / (L * S);
+  const extended = bmi >= p95 && Boolean(sigma);
+  const percentile = extended
+    ? 90 + 10 * normalCdf((bmi - p95) / sigma)
+    : normalCdf(zScore) * 100;
+  const percentOfP95 = (bmi / p95) * 100;
+
+  return {
+    percentile: round(percentile, 1),
+    zScore: round(zScore, 2),
+    p95: round(p95, 1),
+    percentOfP95: round(percentOfP95, 1),
+    weightClass: classify(percentile, percentOfP95, bmi),
+    extended
+  };
+}
+
+/**
+ * Patient's BMI-for-age percentile: computed from the CDC reference when the age,
+ * sex and BMI are known, otherwise the percentile documented in the chart
+ * (LOINC 59576-9) or clinicalNotes.bmiPercentile.
+ * Returns { percentile, weightClass, bmi, ageMonths, method, date, evidence } or null.
+ */
+export function getPediatricBmiPercentile(patientData) {
+  const ageMonths = getAgeInMonths(patientData);
+  const bmi = getBMIMeasurement(patientData);
+  const sex = patientData?.gender || patientData?.demographics?.gender;
+
+  const computed = bmi?.value && ageMonths !== null ? calculateBmiPercentile(bmi.value, ageMonths, sex) : null;
+  if (computed) {
+    return {
+      ...computed,
+      bmi: round(bmi.value, 1),
+      ageMonths,
+      method: 'cdc',
+      date: bmi.date,
+      evidence: bmi.evidence
+    };
+  }
+
+  const obs = findLatestObservationByCode(patientData?.observations || [], VITAL_SIGN_LOINC.bmiPercentile);
+  const observed = getObservationNumericValue(obs);
+  if (observed !== null && observed !== undefined) {
+    return documented(observed, bmi, ageMonths, getResourceDate(obs), {
+      resourceType: 'Observation',
+      id: obs.id || null,
+      kind: 'bmi',
+      display: `BMI percentile: ${observed}`,
+      value: observed,
+      unit: '%',
+      date: getResourceDate(obs),
+      source: 'fhir'
+    });
+  }
+
+  const noted = Number(patientData?.clinicalNotes?.bmiPercentile);
+  if (patientData?.clinicalNotes?.bmiPercentile !== undefined && !Number.isNaN(noted)) {
+    return documented(noted, bmi, ageMonths, null, {
+      resourceType: null,
+      id: null,
+      display: `BMI percentile: ${noted} (documented)`,
+      value: noted,
+      unit: '%',
+      date: null,
+      source: 'manual'
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Pediatric path of the `bmi` criterion, used automatically for patients under 18.
+ *
+ * Criterion fields (under `pediatric` on a bmi criterion):
+ *  - minPercentile: BMI-for-age percentile required (default 95)
+ *  - minClass: alternatively a PEDIATRIC_BMI_CLASSES key, e.g. "obesityClass2"
+ */
+export function evaluatePediatricBMI(patientData, config = {}) {
+  const minPercentile = config.minPercentile ?? 95;
+  const minClass = config.minClass && PEDIATRIC_BMI_CLASSES[config.minClass];
+  const requirement = minClass ? minClass.label : `BMI ≥${minPercentile}th percentile for age and sex`;
+  const result = getPediatricBmiPercentile(patientData);
+  // Say so when the percentile can't be computed because the CDC rows aren't bundled
+  const sex = normalizeSex(patientData?.gender || patientData?.demographics?.gender);
+  const referenceNote = sex && !CDC_BMI_FOR_AGE[sex]?.length ? `; CDC BMI-for-age reference not loaded for ${sex} patients` : '';
+
+  if (!result) {
+    const bmi = getBMIMeasurement(patientData);
+    const known = Boolean(bmi?.value);
+    let details = 'Height and weight needed to calculate BMI-for-age percentile';
+    if (known) {
+      details = `BMI ${round(bmi.value, 1)}; BMI-for-age percentile needed (requires ${requirement})`;
+    } else if (bmi?.unitErrors?.length) {
+      details = `${bmi.unitErrors.join('; ')}; BMI-for-age percentile can't be calculated`;
+    }
+    return {
+      status: known ? CriteriaStatus.PARTIAL : CriteriaStatus.NOT_MET,
+      reason: 'BMI Criteria',
+      details: details + referenceNote,
+      displayValue: known ? `BMI ${round(bmi.value, 1)}` : 'Not documented',
+      pediatric: true,
+      evidence: bmi?.evidence || []
+    };
+  }
+
+  const meets = minClass
+    ? result.weightClass && PEDIATRIC_BMI_CLASSES[result.weightClass].rank >= minClass.rank
+    : result.percentile >= minPercentile;
+  const classLabel = result.weightClass ? PEDIATRIC_BMI_CLASSES[result.weightClass].label : null;
+
+  return {
+    status: meets ? CriteriaStatus.MET : CriteriaStatus.NOT_MET,
+    reason: 'BMI Criteria',
+    details: `BMI-for-age percentile ${result.percentile}${classLabel ? ` (${classLabel})` : ''}` +
+      `${result.bmi ? `, BMI ${result.bmi}` : ''}; requires ${requirement}` +
+      (result.method === 'documented' && referenceNote ? `${referenceNote}, so the documented percentile is used` : ''),
+    displayValue: `${result.percentile} percentile`,
+    value: result.bmi ?? null,
+    percentile: result.percentile,
+    weightClass: result.weightClass,
+    method: result.method,
+    pediatric: true,
+    evidence: result.evidence
+  };
+}
+
+function documented(percentile, bmi, ageMonths, date, evidence) {
+  return {
+    percentile,
+    zScore: null,
+    p95: null,
+    percentOfP95: null,
+    // Without the reference the severe-obesity classes can't be told apart
+    weightClass: percentile >= 95 ? 'obesityClass1' : classify(percentile, null, null),
+    bmi: bmi ? round(bmi.value, 1) : null,
+    ageMonths,
+    method: 'documented',
+    date,
+    evidence: [evidence, ...(bmi?.evidence || [])]
+  };
+}
+
+function classify(percentile, percentOfP95, bmi) {
+  if (percentile < 5) return 'underweight';
+  if (percentile < 85) return 'healthy';
+  if (percentile < 95) return 'overweight';
+  if (percentOfP95 >= 140 || bmi >= 40) return 'obesityClass3';
+  if (percentOfP95 >= 120 || bmi >= 35) return 'obesityClass2';
+  return 'obesityClass1';
+}
+
+function getAgeInMonths(patientData) {
+  const birthDate = patientData?.birthDate || patientData?.demographics?.birthDate;
+  if (birthDate) {
+    const days = (getEvaluationTime(patientData) - Date.parse(birthDate)) / MS_PER_DAY;
+    return Number.isNaN(days) ? null : Math.floor(days / DAYS_PER_MONTH) + 0.5;
+  }
+  // Whole years only: take the middle of the year
+  return typeof patientData?.age === 'number' ? patientData.age * 12 + 6 : null;
+}
+
+// Reference parameters at an age, interpolated between the half-month rows
+function interpolateRow(rows, ageMonths) {
+  const toRef = ([agemos, L, M, S, sigma, P95]) => ({ agemos, L, M, S, sigma, P95 });
+  const upperIndex = rows.findIndex(row => row[0] >= ageMonths);
+  if (upperIndex === -1) return null;
+  const upper = toRef(rows[upperIndex]);
+  if (upper.agemos === ageMonths || upperIndex === 0) return upper;
+
+  const lower = toRef(rows[upperIndex - 1]);
+  const t = (ageMonths - lower.agemos) / (upper.agemos - lower.agemos);
+  const lerp = key => (lower[key] === undefined || upper[key] === undefined ? undefined : lower[key] + t * (upper[key] - lower[key]));
+  return { agemos: ageMonths, L: lerp('L'), M: lerp('M'), S: lerp('S'), sigma: lerp('sigma'), P95: lerp('P95') };
+}
+
+function lmsValue(L, M, S, z) {
+  return L === 0 ? M * Math.exp(S * z) : M * Math.pow(1 + L * S * z, 1 / L);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function normalizeSex(sex) {
+  const value = String(sex || '').toLowerCase();
+  if (['male', 'm', '1'].includes(value)) return 'male';
+  if (['female', 'f', '2'].includes(value)) return 'female';
+  return null;
+}
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  const rounded = Math.round(value * factor) / factor;
+  return rounded === 0 ? 0 : rounded; // no -0
+}
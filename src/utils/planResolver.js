@@ -0,0 +1,158 @@
+import { drugCoverage } from '../data/drugCoverage.js';
+import { PLAN_MAPPINGS, PAYER_TYPE_SYSTEM, COVERAGE_CLASS_SYSTEM } from '../data/planMappings.js';
+import { PAEvaluationError } from './errorHandler.js';
+
+export const PlanResolutionStatus = Object.freeze({
+  RESOLVED: 'resolved',
+  AMBIGUOUS: 'ambiguous',
+  UNRESOLVED: 'unresolved',
+  CONFIRMED: 'confirmed'
+});
+
+// Coverage.class types that identify a plan; member-level ones (rxid, sequence) don't
+const PLAN_CLASS_TYPES = ['group', 'plan', 'rxbin', 'rxpcn', 'rxgroup'];
+
+/**
+ * Add a Coverage-to-plan mapping (see data/planMappings.js) for every later
+ * resolution.
+ */
+export function registerPlanMapping(mapping) {
+  if (!mapping?.plan) {
+    throw new PAEvaluationError('A plan mapping needs a plan', 'PLAN_MAPPING_ERROR', { mapping });
+  }
+  PLAN_MAPPINGS.push(mapping);
+}
+
+/**
+ * The plan identifiers on a FHIR Coverage:
+ * { coverageId, payorIds, payorNames, types, classes: { group, plan, rxbin, rxpcn, rxgroup } }
+ */
+export function extractCoverageIdentifiers(coverage) {
+  const classes = {};
+  for (const entry of coverage?.class || []) {
+    const type = entry.type?.coding?.find(c => !c.system || c.system === COVERAGE_CLASS_SYSTEM)?.code;
+    if (PLAN_CLASS_TYPES.includes(type) && entry.value) classes[type] = String(entry.value).trim();
+  }
+
+  return {
+    coverageId: coverage?.id || null,
+    payorIds: (coverage?.payor || []).map(payor => payor.identifier?.value).filter(Boolean),
+    payorNames: (coverage?.payor || []).map(payor => payor.display).filter(Boolean),
+    types: (coverage?.type?.coding || [])
+      .filter(coding => !coding.system || coding.system === PAYER_TYPE_SYSTEM)
+      .map(coding => coding.code)
+      .filter(Boolean),
+    classes
+  };
+}
+
+/**
+ * Work out which drugCoverage.js plan a patient's FHIR Coverage (one resource or
+ * a list; inactive ones are skipped) falls under:
+ *
+ *   { status, plan, candidates, identifiers }
+ *
+ * Each candidate is { plan, matchedOn, specificity }: the identifiers that matched
+ * and how many. The plans matched on the most identifiers are the best candidates;
+ * one plan is RESOLVED, several are AMBIGUOUS (plan null) and none is UNRESOLVED.
+ * A payor display name that is itself a plan name counts as a one-identifier match.
+ *
+ * options: { mappings, coverage } — the mapping table and plan set to use instead
+ * of PLAN_MAPPINGS and drugCoverage.
+ */
+export function resolvePlan(coverages, options = {}) {
+  const { mappings = PLAN_MAPPINGS, coverage = drugCoverage } = options;
+  const active = [].concat(coverages || []).filter(c => c && (!c.status || c.status === 'active'));
+  const identifiers = active.map(extractCoverageIdentifiers);
+
+  const best = {};
+  const consider = (plan, matchedOn, confirmed = false) => {
+    const specificity = confirmed ? Infinity : matchedOn.length;
+    if (!coverage[plan] || (best[plan] && best[plan].specificity >= specificity)) return;
+    best[plan] = { plan, matchedOn, specificity };
+  };
+
+  for (const ids of identifiers) {
+    for (const mapping of mappings) {
+      const matchedOn = matchMapping(mapping, ids);
+      if (matchedOn) consider(mapping.plan, matchedOn, mapping.confirmed);
+    }
+    for (const name of ids.payorNames) {
+      if (coverage[name]) consider(name, ['payorName']);
+    }
+  }
+
+  const candidates = Object.values(best).sort((a, b) => b.specificity - a.specificity || a.plan.localeCompare(b.plan));
+  const top = candidates.filter(c => c.specificity === candidates[0]?.specificity);
+  const status = top.length === 0
+    ? PlanResolutionStatus.UNRESOLVED
+    : top.length === 1 ? PlanResolutionStatus.RESOLVED : PlanResolutionStatus.AMBIGUOUS;
+
+  return {
+    status,
+    plan: status === PlanResolutionStatus.RESOLVED ? top[0].plan : null,
+    candidates,
+    identifiers
+  };
+}
+
+/**
+ * Record staff confirming the plan for an ambiguous or unresolved resolution. The
+ * Coverage's identifiers are registered as a confirmed mapping, so the same
+ * coverage resolves to this plan from then on. Returns the resolution marked
+ * CONFIRMED, with `confirmedBy` and `confirmedAt`.
+ */
+export function confirmPlan(resolution, plan, { confirmedBy = null, coverage = drugCoverage, mappings = PLAN_MAPPINGS } = {}) {
+  if (!coverage[plan]) {
+    throw new PAEvaluationError(`Unknown plan: ${plan}`, 'PLAN_MAPPING_ERROR', { plan });
+  }
+
+  const confirmedAt = new Date().toISOString();
+  for (const ids of resolution?.identifiers || []) {
+    const mapping = {
+      plan,
+      payorIds: ids.payorIds,
+      payorNames: ids.payorNames.map(name => name.toLowerCase()),
+      types: ids.types,
+      classes: ids.classes,
+      confirmed: true,
+      note: `Confirmed by ${confirmedBy || 'staff'} on ${confirmedAt.slice(0, 10)}`
+    };
+    if (hasIdentifiers(mapping)) mappings.push(mapping);
+  }
+
+  return { ...resolution, status: PlanResolutionStatus.CONFIRMED, plan, confirmedBy, confirmedAt };
+}
+
+// The identifiers a mapping matched on, or null when any of them doesn't match
+function matchMapping(mapping, ids) {
+  if (!hasIdentifiers(mapping)) return null;
+  const matchedOn = [];
+
+  if (mapping.payorIds?.length) {
+    if (!mapping.payorIds.some(id => ids.payorIds.includes(id))) return null;
+    matchedOn.push('payorId');
+  }
+  if (mapping.payorNames?.length) {
+    const names = ids.payorNames.map(name => name.toLowerCase());
+    if (!mapping.payorNames.some(word => names.some(name => name.includes(word.toLowerCase())))) return null;
+    matchedOn.push('payorName');
+  }
+  if (mapping.types?.length) {
+    if (!mapping.types.some(code => ids.types.includes(code))) return null;
+    matchedOn.push('type');
+  }
+  for (const [type, value] of Object.entries(mapping.classes || {})) {
+    if (ids.classes[type] !== String(value)) return null;
+    matchedOn.push(type);
+  }
+
+  return matchedOn;
+}
+
+function hasIdentifiers(mapping) {
+  return Boolean(
+    mapping.payorIds?.length || mapping.payorNames?.length || mapping.types?.length ||
+    Object.keys(mapping.classes || {}).length
+  );
+}
@@ -0,0 +1,109 @@
+import { CriteriaStatus } from '../constants.js';
+import { calculateApprovalLikelihood, getPolicyCriteria, keyPolicyCriteria } from './coverageLogic.js';
+import { evaluateAllCriteria } from './approvalSolver.js';
+import { getChartAsOf } from './asOfDate.js';
+
+/**
+ * Structured diff between two versions of a drugCoverage.js plan/drug entry:
+ *
+ *   { criteria, doseSchedule, tier, copay, changed }
+ *
+ * `criteria` and `doseSchedule` are { added, removed, changed } lists. Criteria
+ * are matched by type (the second criterion of a type is `type#2`, ...) and a
+ * changed one is { key, before, after, fields } naming the fields that differ.
+ * Dose steps are matched by dose. `tier` and `copay` are { before, after } when
+ * they differ, otherwise null.
+ */
+export function diffPolicies(before = {}, after = {}) {
+  const criteria = diffKeyed(keyPolicyCriteria(before.paCriteria), keyPolicyCriteria(after.paCriteria));
+  const doseSchedule = diffKeyed(keyDoses(before.doseSchedule), keyDoses(after.doseSchedule));
+  const tier = diffValue(before.tier, after.tier);
+  const copay = diffValue(before.copay, after.copay);
+
+  const changed = [criteria, doseSchedule].some(d => d.added.length + d.removed.length + d.changed.length > 0)
+    || Boolean(tier || copay);
+
+  return { criteria, doseSchedule, tier, copay, changed };
+}
+
+/**
+ * Re-run a plan's criteria for `drug` under both policy versions for every
+ * patient on the plan, and list the patients whose approval likelihood or
+ * failing critical criteria changed:
+ *
+ *   { diff, evaluated, affected: [{ patientId, name, before, after, lostApproval }] }
+ *
+ * `before` and `after` are each { likelihood, approvable, criticalNotMet }; a
+ * patient is approvable when no critical criterion is NOT_MET. Patients who lost
+ * approvability come first, then the largest likelihood drops.
+ *
+ * options: { dose, asOf } — the requested dose and the date to evaluate charts as of.
+ */
+export function analyzePolicyImpact(patients, { plan, drug, before, after }, options = {}) {
+  const diff = diffPolicies(before, after);
+  const criteriaBefore = getPolicyCriteria(before, options.dose);
+  const criteriaAfter = getPolicyCriteria(after, options.dose);
+
+  const panel = (patients || []).filter(patient => patient.insurance === plan);
+  const affected = [];
+
+  for (const patient of panel) {
+    const chart = getChartAsOf(patient, options.asOf);
+    const outcomeBefore = evaluateOutcome(chart, criteriaBefore, drug, options.dose);
+    const outcomeAfter = evaluateOutcome(chart, criteriaAfter, drug, options.dose);
+
+    if (
+      outcomeBefore.likelihood !== outcomeAfter.likelihood ||
+      outcomeBefore.criticalNotMet.join() !== outcomeAfter.criticalNotMet.join()
+    ) {
+      affected.push({
+        patientId: patient.id,
+        name: patient.name,
+        before: outcomeBefore,
+        after: outcomeAfter,
+        lostApproval: outcomeBefore.approvable && !outcomeAfter.approvable
+      });
+    }
+  }
+
+  affected.sort((a, b) =>
+    (b.lostApproval - a.lostApproval) ||
+    ((a.after.likelihood - a.before.likelihood) - (b.after.likelihood - b.before.likelihood))
+  );
+
+  return { diff, evaluated: panel.length, affected };
+}
+
+function evaluateOutcome(chart, criteria, medication, dose) {
+  const results = evaluateAllCriteria(chart, criteria, { medication, dose });
+  const criticalNotMet = Object.keys(results)
+    .filter(key => results[key].required && results[key].status === CriteriaStatus.NOT_MET)
+    .sort();
+  return {
+    likelihood: calculateApprovalLikelihood(results, medication),
+    approvable: criticalNotMet.length === 0,
+    criticalNotMet
+  };
+}
+
+function keyDoses(doseSchedule = []) {
+  return Object.fromEntries(doseSchedule.map(step => [step.value, step]));
+}
+
+function diffKeyed(before, after) {
+  const added = Object.keys(after).filter(key => !(key in before)).map(key => ({ key, after: after[key] }));
+  const removed = Object.keys(before).filter(key => !(key in after)).map(key => ({ key, before: before[key] }));
+  const changed = Object.keys(after)
+    .filter(key => key in before)
+    .map(key => {
+      const fields = [...new Set([...Object.keys(before[key]), ...Object.keys(after[key])])]
+        .filter(field => JSON.stringify(before[key][field]) !== JSON.stringify(after[key][field]));
+      return { key, before: before[key], after: after[key], fields };
+    })
+    .filter(change => change.fields.length > 0);
+  return { added, removed, changed };
+}
+
+function diffValue(before, after) {
+  return before === after ? null : { before: before ?? null, after: after ?? null };
+}
@@ -0,0 +1,273 @@
+import yaml from 'js-yaml';
+import { drugCoverage } from '../data/drugCoverage';
+import { getDoseSchedule } from '../data/drugRegistry';
+import POLICY_SCHEMA from '../data/payerPolicy.schema.json';
+import { PAEvaluationError } from './errorHandler';
+import { getCriterionTypes } from './criteriaEvaluator';
+import { validateRule } from './ruleEngine';
+
+export class PolicyValidationError extends PAEvaluationError {
+  constructor(message, details) {
+    super(message, 'POLICY_VALIDATION_ERROR', details);
+    this.name = 'PolicyValidationError';
+  }
+}
+
+export { POLICY_SCHEMA };
+
+const POLICY_FILE_PATTERN = /\.(json|ya?ml)$/i;
+
+/**
+ * Parse one policy document. YAML files are read with the JSON schema so dates
+ * stay strings. Throws PolicyValidationError on a syntax error.
+ */
+export function parsePolicyDocument(text, fileName) {
+  try {
+    return /\.json$/i.test(fileName)
+      ? JSON.parse(text)
+      : yaml.load(text, { schema: yaml.JSON_SCHEMA, filename: fileName });
+  } catch (error) {
+    throw new PolicyValidationError(`${fileName}: ${error.message}`, {
+      file: fileName,
+      errors: [{ file: fileName, path: '', message: `Could not parse: ${error.message}` }]
+    });
+  }
+}
+
+/**
+ * Problems with a parsed policy document, as [{ file, path, message }]: anything
+ * payerPolicy.schema.json rejects (unknown criterion types and evaluationRules
+ * phases among them), doses listed twice in a dose schedule, and `logic` rules
+ * naming unknown facts, operators or criterion types. Empty when the document
+ * is valid.
+ */
+export function validatePolicyDocument(document, fileName) {
+  const errors = [];
+  const report = (path, message) => errors.push({ file: fileName, path, message });
+
+  validateSchema(document, POLICY_SCHEMA, '', report);
+
+  for (const [drug, policy] of Object.entries(document?.drugs || {})) {
+    const versions = [policy, ...(Array.isArray(policy?.previousVersions) ? policy.previousVersions : [])];
+    versions.forEach((version, index) => {
+      const base = index === 0 ? `drugs.${drug}` : `drugs.${drug}.previousVersions[${index - 1}]`;
+      validateCriteriaLogic(version, base, report);
+      for (const [indication, indicationPolicy] of Object.entries(version?.indications || {})) {
+        validateCriteriaLogic(indicationPolicy, `${base}.indications.${indication}`, report);
+      }
+      const seen = new Set();
+      (Array.isArray(version?.doseSchedule) ? version.doseSchedule : []).forEach((step, stepIndex) => {
+        const dose = normalizeDose(step?.value);
+        if (!dose) return;
+        if (seen.has(dose)) {
+          report(`${base}.doseSchedule[${stepIndex}].value`, `duplicate dose "${step.value}"`);
+        }
+        seen.add(dose);
+      });
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a set of policy files, [{ name, text }], and build drugCoverage-shaped
+ * data from the valid ones:
+ *
+ *   { coverage, loaded: [file names], errors: [{ file, path, message }] }
+ *
+ * A file with any error is left out entirely, as is a file naming a plan an
+ * earlier file already defined. Files that aren't .json/.yaml/.yml are skipped.
+ * Drugs without a doseSchedule get the drug registry's.
+ */
+export function loadPolicyDocuments(files) {
+  const coverage = {};
+  const loaded = [];
+  const errors = [];
+  const planFiles = {};
+
+  for (const { name, text } of [...files].sort((a, b) => a.name.localeCompare(b.name))) {
+    if (!POLICY_FILE_PATTERN.test(name)) continue;
+
+    let document;
+    try {
+      document = parsePolicyDocument(text, name);
+    } catch (error) {
+      errors.push(...error.details.errors);
+      continue;
+    }
+
+    const problems = validatePolicyDocument(document, name);
+    if (problems.length === 0 && planFiles[document.plan]) {
+      problems.push({ file: name, path: 'plan', message: `"${document.plan}" is already defined in ${planFiles[document.plan]}` });
+    }
+    if (problems.length > 0) {
+      errors.push(...problems);
+      continue;
+    }
+
+    planFiles[document.plan] = name;
+    coverage[document.plan] = toPlanCoverage(document);
+    loaded.push(name);
+  }
+
+  return { coverage, loaded, errors };
+}
+
+/**
+ * Load policy files and put the valid plans in place of the built-in ones in
+ * drugCoverage (or `coverage`), so every lookup sees them. Returns the report
+ * from loadPolicyDocuments().
+ */
+export function registerPolicyDocuments(files, coverage = drugCoverage) {
+  const result = loadPolicyDocuments(files);
+  Object.assign(coverage, result.coverage);
+  return result;
+}
+
+/**
+ * Fetch the policy directory listing served by the backend (GET /api/policies:
+ * { files: [{ name, text }] }) and register it.
+ */
+export async function fetchPolicyDocuments(url, coverage = drugCoverage) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new PolicyValidationError(`Could not load policies from ${url}: HTTP ${response.status}`, { url });
+  }
+  const { files = [] } = await response.json();
+  return registerPolicyDocuments(files, coverage);
+}
+
+/**
+ * One line per problem: "aetna.yaml: drugs.Wegovy.paCriteria[1].type: unknown criterion type ..."
+ */
+export function formatPolicyError({ file, path, message }) {
+  return [file, path, message].filter(Boolean).join(': ');
+}
+
+function toPlanCoverage(document) {
+  const plan = {};
+  if (document.dataFreshness) plan.dataFreshness = document.dataFreshness;
+  for (const [drug, policy] of Object.entries(document.drugs)) {
+    const doseSchedule = policy.doseSchedule || getDoseSchedule(drug);
+    plan[drug] = doseSchedule ? { ...policy, doseSchedule } : { ...policy };
+  }
+  return plan;
+}
+
+function validateCriteriaLogic(policy, base, report) {
+  (Array.isArray(policy?.paCriteria) ? policy.paCriteria : []).forEach((criterion, index) => {
+    if (criterion?.logic === undefined) return;
+    validateRule(criterion.logic, getCriterionTypes(), `${base}.paCriteria[${index}].logic`)
+      .forEach(problem => report(problem.path, problem.message));
+  });
+}
+
+function normalizeDose(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : null;
+}
+
+// The subset of JSON Schema payerPolicy.schema.json uses: type, required,
+// properties, additionalProperties, propertyNames, items, enum, pattern,
+// minLength, minimum, minItems, minProperties, allOf and local $refs.
+function validateSchema(value, schema, path, report) {
+  if (schema.$ref) {
+    validateSchema(value, resolveRef(schema.$ref), path, report);
+    return;
+  }
+  if (schema.allOf) {
+    schema.allOf.forEach(part => validateSchema(value, part, path, report));
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    report(path, `must be ${article(schema.type)} ${schema.type}, got ${describeType(value)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(path, schema.title
+      ? `unknown ${schema.title} ${JSON.stringify(value)}; expected one of: ${schema.enum.join(', ')}`
+      : `must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) report(path, 'must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report(path, `${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    report(path, `must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(path, `must list at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(item, schema.items, `${path}[${index}]`, report));
+    }
+  } else if (value && typeof value === 'object') {
+    validateObject(value, schema, path, report);
+  }
+}
+
+function validateObject(value, schema, path, report) {
+  const keys = Object.keys(value);
+  const properties = schema.properties || {};
+  const join = key => (path ? `${path}.${key}` : key);
+
+  for (const key of schema.required || []) {
+    if (!(key in value)) report(join(key), 'is required');
+  }
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    report(path, `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+  }
+
+  for (const key of keys) {
+    if (schema.propertyNames) {
+      const before = [];
+      validateSchema(key, schema.propertyNames, join(key), (p, message) => before.push([p, message]));
+      if (before.length > 0) {
+        before.forEach(([p, message]) => report(p, message));
+        continue;
+      }
+    }
+    if (properties[key]) {
+      validateSchema(value[key], properties[key], join(key), report);
+    } else if (schema.additionalProperties === false) {
+      report(join(key), `unknown property; expected one of: ${Object.keys(properties).join(', ')}`);
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      validateSchema(value[key], schema.additionalProperties, join(key), report);
+    }
+  }
+}
+
+function resolveRef(ref) {
+  const match = ref.match(/^#\/definitions\/(.+)$/);
+  const definition = match && POLICY_SCHEMA.definitions[match[1]];
+  if (!definition) throw new PolicyValidationError(`Unresolvable schema reference ${ref}`, { ref });
+  return definition;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'an array' : `${article(typeof value)} ${typeof value}`;
+}
+
+function article(word) {
+  return /^[aeiou]/.test(word) ? 'an' : 'a';
+}
@@ -0,0 +1,165 @@
+import { CriteriaStatus } from '../constants';
+import { PRESCRIBER_SPECIALTIES } from '../data/valueSets';
+import { conceptInValueSet } from './fhirHelpers';
+
+// Used when a criterion doesn't list its own specialties
+const DEFAULT_ACCEPTED = ['obesityMedicine', 'endocrinology'];
+
+/**
+ * Evaluate the `prescriberQualification` criterion from the prescriber's
+ * Practitioner.qualification and PractitionerRole.specialty codes (NUCC taxonomy).
+ *
+ * Criterion fields:
+ *  - acceptedSpecialties: keys of PRESCRIBER_SPECIALTIES that qualify on their own
+ *  - attestationSpecialties: keys that qualify with attested obesity-management experience
+ *  - experienceAttestation: any other prescriber qualifies with that attestation
+ * The attestation is read from clinicalNotes.prescriberQualification.experienceInWeightManagement.
+ * With no coded specialty on file the prescriber is asked to attest instead of failing.
+ */
+export function evaluatePrescriberQualification(patientData, config = {}) {
+  const accepted = config.acceptedSpecialties || DEFAULT_ACCEPTED;
+  const attestable = config.attestationSpecialties || [];
+  const attestation = patientData.clinicalNotes?.prescriberQualification || null;
+  const { specialties, evidence } = extractPrescriberSpecialties(patientData);
+  const acceptedLabels = accepted.map(key => PRESCRIBER_SPECIALTIES[key]?.label || key).join(', ');
+
+  const qualifying = specialties.filter(s => accepted.includes(s.key));
+  if (qualifying.length > 0) {
+    return result(CriteriaStatus.MET, `Prescriber specialty: ${labels(qualifying)}`, labels(qualifying), qualifying, evidence);
+  }
+
+  const attested = attestation?.experienceInWeightManagement === true;
+  const needsExperience = specialties.filter(s => attestable.includes(s.key));
+  const experienceRoute = needsExperience.length > 0 || (config.experienceAttestation && specialties.length > 0);
+
+  if (experienceRoute) {
+    const shown = needsExperience.length > 0 ? needsExperience : specialties;
+    return attested
+      ? result(
+        CriteriaStatus.MET,
+        `Prescriber specialty: ${labels(shown)}; obesity-management experience attested`,
+        labels(shown),
+        shown,
+        [...evidence, attestationEvidence(attestation)]
+      )
+      : result(
+        CriteriaStatus.NEEDS_ATTESTATION,
+        `Prescriber specialty ${labels(shown)} qualifies with attested obesity-management experience`,
+        'Attestation needed',
+        shown,
+        evidence
+      );
+  }
+
+  if (specialties.length > 0) {
+    return result(
+      CriteriaStatus.NOT_MET,
+      `Prescriber specialty ${labels(specialties)} is not accepted (requires ${acceptedLabels})`,
+      labels(specialties),
+      specialties,
+      evidence
+    );
+  }
+
+  // No coded specialty: fall back to what was documented or attested manually
+  const manualKey = attestation?.specialty ? matchSpecialty({ text: attestation.specialty }) : null;
+  if (manualKey && accepted.includes(manualKey)) {
+    const manual = [{ key: manualKey, label: PRESCRIBER_SPECIALTIES[manualKey].label, code: null }];
+    return result(
+      CriteriaStatus.MET,
+      `Prescriber specialty: ${labels(manual)} (attested)`,
+      labels(manual),
+      manual,
+      [attestationEvidence(attestation)]
+    );
+  }
+  if (config.experienceAttestation && attested) {
+    return result(
+      CriteriaStatus.MET,
+      'Prescriber obesity-management experience attested',
+      'Attested',
+      [],
+      [attestationEvidence(attestation)]
+    );
+  }
+
+  return result(
+    CriteriaStatus.NEEDS_ATTESTATION,
+    patientData.prescriber
+      ? `Prescriber has no specialty on file; attest to ${acceptedLabels} specialty or obesity-management experience`
+      : `Prescriber not identified; attest to ${acceptedLabels} specialty or obesity-management experience`,
+    'Attestation needed',
+    [],
+    evidence
+  );
+}
+
+/**
+ * Specialties of the prescriber from PractitionerRole.specialty and Practitioner.qualification,
+ * each mapped to a PRESCRIBER_SPECIALTIES key when recognised.
+ */
+export function extractPrescriberSpecialties(patientData) {
+  const prescriber = patientData?.prescriber;
+  const specialties = [];
+  const evidence = [];
+  if (!prescriber) return { specialties, evidence };
+
+  const candidates = [];
+  for (const role of prescriber.practitionerRoles || []) {
+    if (role.active === false) continue;
+    for (const concept of role.specialty || []) {
+      candidates.push({ concept, resourceType: 'PractitionerRole', id: role.id });
+    }
+  }
+  for (const qualification of prescriber.practitioner?.qualification || []) {
+    candidates.push({ concept: qualification.code, resourceType: 'Practitioner', id: prescriber.practitioner.id });
+  }
+
+  for (const candidate of candidates) {
+    const display = candidate.concept?.text || candidate.concept?.coding?.[0]?.display || candidate.concept?.coding?.[0]?.code;
+    const key = matchSpecialty(candidate.concept);
+    if (key && !specialties.some(s => s.key === key)) {
+      specialties.push({ key, label: PRESCRIBER_SPECIALTIES[key].label, code: candidate.concept.coding?.[0]?.code || null });
+    } else if (!key && display && !specialties.some(s => s.label === display)) {
+      specialties.push({ key: null, label: display, code: candidate.concept.coding?.[0]?.code || null });
+    }
+    evidence.push({
+      resourceType: candidate.resourceType,
+      id: candidate.id,
+      display: `Specialty: ${display}`,
+      date: null,
+      source: 'fhir'
+    });
+  }
+
+  return { specialties, evidence };
+}
+
+function matchSpecialty(concept) {
+  return Object.keys(PRESCRIBER_SPECIALTIES).find(key => conceptInValueSet(concept, PRESCRIBER_SPECIALTIES[key])) || null;
+}
+
+function labels(specialties) {
+  return specialties.map(s => s.label).join(', ');
+}
+
+function attestationEvidence(attestation) {
+  return {
+    resourceType: null,
+    id: null,
+    display: `Prescriber attestation${attestation.specialty ? `: ${attestation.specialty}` : ''}`,
+    date: attestation.date || null,
+    source: 'manual'
+  };
+}
+
+function result(status, details, displayValue, specialties, evidence) {
+  return {
+    status,
+    reason: 'Prescriber Qualification',
+    details,
+    displayValue,
+    specialties,
+    evidence
+  };
+}
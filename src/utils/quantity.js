@@ -0,0 +1,176 @@
+import { LAB_VALUE_SETS } from '../data/valueSets';
+import { PAEvaluationError } from './errorHandler';
+
+export class UnitConversionError extends PAEvaluationError {
+  constructor(message, details) {
+    super(message, 'UNIT_CONVERSION_ERROR', details);
+    this.name = 'UnitConversionError';
+  }
+}
+
+/**
+ * Quantities the evaluators compare, each with its canonical unit and the UCUM
+ * units converted into it (value × factor + offset). Every lab in LAB_VALUE_SETS
+ * is also a kind, keyed by its name (a1c, creatinine, ...).
+ */
+export const QUANTITY_KINDS = {
+  bodyWeight: {
+    label: 'Body weight',
+    dimension: 'mass',
+    unit: 'kg',
+    conversions: {
+      g: { factor: 0.001, offset: 0 },
+      '[lb_av]': { factor: 0.45359237, offset: 0 },
+      '[oz_av]': { factor: 0.028349523125, offset: 0 }
+    }
+  },
+  bodyHeight: {
+    label: 'Body height',
+    dimension: 'length',
+    unit: 'cm',
+    conversions: {
+      m: { factor: 100, offset: 0 },
+      mm: { factor: 0.1, offset: 0 },
+      '[in_i]': { factor: 2.54, offset: 0 },
+      '[ft_i]': { factor: 30.48, offset: 0 }
+    }
+  },
+  bmi: {
+    label: 'BMI',
+    unit: 'kg/m2',
+    conversions: {}
+  },
+  ...LAB_VALUE_SETS
+};
+
+// Common non-UCUM spellings seen in EHR data and the app's own records
+const UNIT_ALIASES = {
+  kgs: 'kg',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  gram: 'g',
+  grams: 'g',
+  lb: '[lb_av]',
+  lbs: '[lb_av]',
+  pound: '[lb_av]',
+  pounds: '[lb_av]',
+  oz: '[oz_av]',
+  in: '[in_i]',
+  inch: '[in_i]',
+  inches: '[in_i]',
+  '"': '[in_i]',
+  ft: '[ft_i]',
+  feet: '[ft_i]',
+  'kg/m^2': 'kg/m2',
+  'kg/(m2)': 'kg/m2'
+};
+
+/**
+ * Convert a quantity into the canonical unit of `kind` (a QUANTITY_KINDS key or a
+ * definition shaped like one).
+ *
+ * `quantity` may be a number, a FHIR Quantity ({ value, unit, code }) or an app
+ * record ({ value, units }). UCUM codes such as [lb_av], [in_i] and g are
+ * converted; a missing unit is taken to be the canonical one (`assumedUnit`).
+ * Returns { value, unit, originalValue, originalUnit, converted, assumedUnit }.
+ * Throws UnitConversionError for a non-numeric value or a unit that can't be
+ * converted, naming the unit's dimension (mass, length) when it's a known one.
+ */
+export function normalizeQuantity(quantity, kind) {
+  const definition = resolveKind(kind);
+  const { value, unit } = readQuantity(quantity);
+
+  if (value === null) {
+    throw new UnitConversionError(`${definition.label} has no numeric value`, { quantity });
+  }
+
+  const base = {
+    originalValue: value,
+    originalUnit: unit,
+    unit: definition.unit
+  };
+
+  const from = normalizeUnitKey(unit);
+  if (!from) {
+    return { ...base, value, converted: false, assumedUnit: true };
+  }
+  if (from === normalizeUnitKey(definition.unit)) {
+    return { ...base, value, converted: false, assumedUnit: false };
+  }
+
+  const match = Object.entries(definition.conversions || {}).find(([code]) => normalizeUnitKey(code) === from);
+  if (!match) {
+    const dimension = findDimension(from);
+    throw new UnitConversionError(
+      dimension
+        ? `${definition.label} reported in ${unit}, which is a ${dimension} unit`
+        : `${definition.label} reported in unsupported unit ${unit}`,
+      { value, unit, expectedUnit: definition.unit }
+    );
+  }
+
+  const { factor, offset = 0 } = match[1];
+  return { ...base, value: value * factor + offset, converted: true, assumedUnit: false };
+}
+
+/**
+ * normalizeQuantity that returns null instead of throwing, for callers that skip
+ * unusable values; the error is passed to `onError` when given.
+ */
+export function tryNormalizeQuantity(quantity, kind, onError) {
+  try {
+    return normalizeQuantity(quantity, kind);
+  } catch (error) {
+    if (!(error instanceof UnitConversionError)) throw error;
+    if (onError) onError(error);
+    return null;
+  }
+}
+
+/**
+ * Comparable form of a unit string: lower case, µ→u, ²→2, no spaces, aliases
+ * resolved, and UCUM annotations unwrapped ({1.73_m2} → 1.73m2).
+ */
+export function normalizeUnitKey(unit) {
+  if (unit === null || unit === undefined || unit === '') return null;
+  const key = String(unit)
+    .trim()
+    .replace(/[µμ]/g, 'u')
+    .replace(/²/g, '2')
+    .replace(/\^2/g, '2')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+  const aliased = UNIT_ALIASES[key] || key;
+  return aliased.replace(/\{([^}]*)\}/g, (_, inner) => inner.replace(/_/g, ''));
+}
+
+function resolveKind(kind) {
+  const definition = typeof kind === 'string' ? QUANTITY_KINDS[kind] : kind;
+  if (!definition) {
+    throw new UnitConversionError(`Unknown quantity kind: ${kind}`, { kind });
+  }
+  return { label: definition.label || 'Value', ...definition };
+}
+
+function readQuantity(quantity) {
+  if (quantity === null || quantity === undefined) return { value: null, unit: null };
+  if (typeof quantity !== 'object') return { value: toNumber(quantity), unit: null };
+  return {
+    value: toNumber(quantity.value),
+    unit: quantity.code || quantity.unit || quantity.units || null
+  };
+}
+
+function toNumber(raw) {
+  const value = typeof raw === 'number' ? raw : parseFloat(raw);
+  return Number.isNaN(value) ? null : value;
+}
+
+function findDimension(unitKey) {
+  const kind = Object.values(QUANTITY_KINDS).find(definition =>
+    definition.dimension && (
+      normalizeUnitKey(definition.unit) === unitKey ||
+      Object.keys(definition.conversions).some(code => normalizeUnitKey(code) === unitKey)
+    ));
+  return kind ? kind.dimension : null;
+}
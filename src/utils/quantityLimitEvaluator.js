@@ -0,0 +1,100 @@
+import { CriteriaStatus } from '../constants';
+import { drugCoverage } from '../data/drugCoverage';
+import { getSupplyFacts, calculateDaysSupply, calculateQuantity, normalizeSupplyUnit } from './daysSupply';
+
+const PERIOD_DAYS = { day: 1, week: 7, month: 30 };
+
+/**
+ * A written quantity limit as { quantity, unit, days }:
+ * "4 pens per 28 days" -> { quantity: 4, unit: 'pen', days: 28 },
+ * "1 box per month" -> { quantity: 1, unit: 'package', days: 30 }. Null when the
+ * text doesn't state one.
+ */
+export function parseQuantityLimit(text) {
+  const match = String(text || '').match(/(\d+(?:\.\d+)?)\s+([a-z]+)\s*(?:per|\/|every)\s*(\d+)?\s*(day|week|month)s?\b/i);
+  if (!match) return null;
+  const [, quantity, unit, count, period] = match;
+  return {
+    quantity: Number(quantity),
+    unit: normalizeSupplyUnit(unit),
+    days: Number(count || 1) * PERIOD_DAYS[period.toLowerCase()]
+  };
+}
+
+/**
+ * The quantity limit a plan puts on a drug: the policy's `quantityLimit`, or
+ * its written `quantityLimits` parsed. Null when there is none.
+ */
+export function getQuantityLimit(plan, medication, coverage = drugCoverage) {
+  const policy = plan && medication ? coverage?.[plan]?.[medication] : null;
+  return policy?.quantityLimit || parseQuantityLimit(policy?.quantityLimits);
+}
+
+/**
+ * Evaluate the `quantityLimit` criterion: whether the requested fill fits the
+ * plan's quantity limit and lasts the days supply claimed.
+ *
+ * Criterion fields:
+ *  - quantityLimit: { quantity, unit, days }; defaults to the patient's plan's limit
+ *  - quantity, daysSupply: the requested fill, in the product's unit (pens,
+ *    tablets). Without them, the fill needed for the limit's period at the
+ *    requested dose is checked, so a dose the limit can't supply is caught.
+ */
+export function evaluateQuantityLimit(patientData, config = {}) {
+  const { medication, dose } = config;
+  const limit = config.quantityLimit || getQuantityLimit(patientData.insurance, medication);
+  if (!limit) {
+    return notApplicable(`No quantity limit on ${medication || 'this drug'} for this plan`);
+  }
+
+  const facts = getSupplyFacts(medication, dose);
+  if (!facts) {
+    return notApplicable(`Can't calculate the supply of ${medication || 'this drug'} ${dose || ''}`.trim());
+  }
+
+  const limitUnit = normalizeSupplyUnit(limit.unit);
+  if (limitUnit !== 'package' && limitUnit !== facts.unit) {
+    return notApplicable(`Limit is counted in ${limit.unit}s; ${medication} is dispensed in ${facts.unit}s`);
+  }
+  const allowedUnits = limitUnit === 'package' ? limit.quantity * facts.perPackage : limit.quantity;
+  const limitText = `${plural(limit.quantity, limit.unit)} per ${limit.days} days`;
+
+  const requested = config.quantity
+    ? { quantity: Number(config.quantity), daysSupply: Number(config.daysSupply) || limit.days }
+    : { quantity: calculateQuantity(medication, dose, limit.days).quantity, daysSupply: limit.days };
+  const lasts = calculateDaysSupply(medication, dose, requested.quantity);
+  const fill = `${plural(requested.quantity, facts.unit)} for ${requested.daysSupply} days`;
+  const details = { ...requested, unit: facts.unit, lasts, limit };
+
+  if (lasts < requested.daysSupply) {
+    return result(
+      CriteriaStatus.NOT_MET,
+      `${plural(requested.quantity, facts.unit)} at ${dose} last ${lasts} days, not the ${requested.daysSupply} days claimed`,
+      fill,
+      details
+    );
+  }
+  // The limit pro-rated to the days supply, in whole units: a box a month covers a 28-day box
+  const allowedForFill = Math.ceil(allowedUnits * requested.daysSupply / limit.days - 1e-9);
+  if (requested.quantity > allowedForFill) {
+    return result(
+      CriteriaStatus.NOT_MET,
+      `${fill} exceeds the plan limit of ${limitText}`,
+      fill,
+      details
+    );
+  }
+  return result(CriteriaStatus.MET, `${fill} is within the plan limit of ${limitText}`, fill, details);
+}
+
+function result(status, details, displayValue, supply) {
+  return { status, reason: 'Quantity Limit', details, displayValue, supply };
+}
+
+function notApplicable(details) {
+  return { status: CriteriaStatus.NOT_APPLICABLE, reason: 'Quantity Limit', details, displayValue: 'N/A' };
+}
+
+function plural(count, unit) {
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,386 @@
+import { CriteriaStatus, normalizeStatus } from '../constants';
+import { LAB_VALUE_SETS, WEIGHT_RELATED_COMORBIDITIES } from '../data/valueSets';
+import {
+  conceptInValueSet,
+  extractConditions,
+  extractLabResults,
+  extractMedicationHistory,
+  getBMIMeasurement,
+  getEvaluationTime,
+  getPatientAge,
+  getPatientAgeEvidence
+} from './fhirHelpers';
+import { convertUnit } from './labValueEvaluator';
+import { evaluateCvdRisk } from './cvdRiskEvaluator';
+import { getPediatricBmiPercentile } from './pediatricBmi';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const OPERATORS = {
+  '>=': { text: '≥', test: (a, b) => a >= b },
+  '>': { text: '>', test: (a, b) => a > b },
+  '<=': { text: '≤', test: (a, b) => a <= b },
+  '<': { text: '<', test: (a, b) => a < b },
+  '==': { text: '=', test: (a, b) => a === b },
+  '!=': { text: '≠', test: (a, b) => a !== b },
+  in: { text: 'in', test: (a, b) => b.includes(a) },
+  contains: {
+    text: 'includes',
+    test: (a, b) => [].concat(a).some(item => String(item).toLowerCase().includes(String(b).toLowerCase()))
+  },
+  exists: { text: 'documented', test: a => (Array.isArray(a) ? a.length > 0 : a !== null && a !== undefined) }
+};
+
+/**
+ * Named facts that rules can reference. Each resolver returns
+ * { value, unit?, date?, evidence? } or null when the chart doesn't have it.
+ */
+const FACTS = {
+  age: {
+    label: 'Age',
+    resolve: patientData => {
+      const age = getPatientAge(patientData);
+      return age === null || age === undefined ? null : { value: age, evidence: [getPatientAgeEvidence(patientData)] };
+    }
+  },
+  sex: {
+    label: 'Sex',
+    resolve: patientData => valueOrNull(patientData.gender || patientData.demographics?.gender || null)
+  },
+  bmi: {
+    label: 'BMI',
+    resolve: patientData => {
+      const bmi = getBMIMeasurement(patientData);
+      if (!bmi) return null;
+      const value = bmi.value === null ? null : Math.round(bmi.value * 10) / 10;
+      return { value, unit: 'kg/m²', date: bmi.date, evidence: bmi.evidence };
+    }
+  },
+  bmiPercentile: {
+    label: 'BMI-for-age percentile',
+    resolve: patientData => {
+      const result = getPediatricBmiPercentile(patientData);
+      return result ? { value: result.percentile, date: result.date, evidence: result.evidence } : null;
+    }
+  },
+  comorbidities: {
+    label: 'Weight-related comorbidities',
+    resolve: patientData => {
+      const matches = extractConditions(patientData).filter(c => conceptInValueSet(c.concept, WEIGHT_RELATED_COMORBIDITIES));
+      return { value: matches.map(c => c.display), evidence: matches.map(conditionEvidence) };
+    }
+  },
+  comorbidityCount: {
+    label: 'Weight-related comorbidities',
+    resolve: patientData => {
+      const { value, evidence } = FACTS.comorbidities.resolve(patientData);
+      return { value: value.length, evidence };
+    }
+  },
+  diagnoses: {
+    label: 'Diagnoses',
+    resolve: patientData => {
+      const conditions = extractConditions(patientData);
+      return { value: conditions.map(c => c.display), evidence: conditions.map(conditionEvidence) };
+    }
+  },
+  activeMedications: {
+    label: 'Active medications',
+    resolve: patientData => {
+      const active = extractMedicationHistory(patientData)
+        .filter(m => !m.endDate && !['stopped', 'completed', 'cancelled', 'entered-in-error'].includes(m.status));
+      return { value: active.map(m => m.medication) };
+    }
+  },
+  weightLossPercent: {
+    label: 'Weight loss',
+    resolve: patientData => {
+      const value = patientData.clinicalNotes?.weightLossPercentage;
+      if (typeof value !== 'number') return null;
+      return {
+        value,
+        unit: '%',
+        evidence: [{ resourceType: null, id: null, display: `Weight loss: ${value}%`, value, unit: '%', date: null, source: 'manual' }]
+      };
+    }
+  },
+  ascvdRisk: {
+    label: '10-year ASCVD risk',
+    resolve: patientData => {
+      const result = evaluateCvdRisk(patientData);
+      return result.risk === null ? null : { value: result.risk, unit: '%', evidence: result.evidence };
+    }
+  }
+};
+
+// Every lab in LAB_VALUE_SETS is a fact named by its key (a1c, egfr, ldl, ...)
+for (const [key, labSet] of Object.entries(LAB_VALUE_SETS)) {
+  FACTS[key] = {
+    label: labSet.label,
+    resolve: patientData => {
+      const result = extractLabResults(patientData, labSet)
+        .map(r => ({ ...r, converted: convertUnit(r.value, r.unit, labSet) }))
+        .find(r => r.converted !== null);
+      if (!result) return null;
+      return {
+        value: Math.round(result.converted * 100) / 100,
+        unit: labSet.unit,
+        date: result.date,
+        evidence: [{
+          resourceType: result.resourceType,
+          id: result.id,
+          kind: key,
+          display: `${labSet.label}: ${result.value} ${result.unit || labSet.unit}`,
+          value: result.value,
+          unit: result.unit,
+          date: result.date,
+          source: result.source
+        }]
+      };
+    }
+  };
+}
+
+/**
+ * Add or replace a named fact. `resolve(patientData)` returns
+ * { value, unit?, date?, evidence? } or null when unknown.
+ */
+export function registerFact(name, label, resolve) {
+  FACTS[name] = { label, resolve };
+}
+
+export function getFactNames() {
+  return Object.keys(FACTS);
+}
+
+/**
+ * Problems with a rule (see evaluateRule()), as [{ path, message }] with paths
+ * relative to the rule: nodes that aren't exactly one of all/any/not/fact/criterion,
+ * unknown facts and operators, and criterion leaves whose type isn't in
+ * `criterionTypes`. Empty when the rule can be evaluated.
+ */
+export function validateRule(rule, criterionTypes, path = '') {
+  const at = key => (path ? `${path}.${key}` : key);
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [{ path, message: 'must be a rule object' }];
+  }
+
+  const kinds = ['all', 'any', 'not', 'fact', 'criterion'].filter(kind => rule[kind] !== undefined);
+  if (kinds.length !== 1) {
+    return [{
+      path,
+      message: kinds.length === 0
+        ? 'must have one of: all, any, not, fact, criterion'
+        : `must have only one of: ${kinds.join(', ')}`
+    }];
+  }
+
+  switch (kinds[0]) {
+    case 'all':
+    case 'any': {
+      const children = rule[kinds[0]];
+      if (!Array.isArray(children) || children.length === 0) {
+        return [{ path: at(kinds[0]), message: 'must list at least 1 rule' }];
+      }
+      return children.flatMap((child, index) => validateRule(child, criterionTypes, `${at(kinds[0])}[${index}]`));
+    }
+    case 'not':
+      return validateRule(rule.not, criterionTypes, at('not'));
+    case 'fact': {
+      const problems = [];
+      if (!FACTS[rule.fact]) {
+        problems.push({ path: at('fact'), message: `unknown fact ${JSON.stringify(rule.fact)}; expected one of: ${getFactNames().join(', ')}` });
+      }
+      const op = rule.op || 'exists';
+      if (!OPERATORS[op]) {
+        problems.push({ path: at('op'), message: `unknown operator ${JSON.stringify(op)}; expected one of: ${Object.keys(OPERATORS).join(', ')}` });
+      } else if (op !== 'exists' && rule.value === undefined) {
+        problems.push({ path: at('value'), message: `is required for operator ${op}` });
+      }
+      return problems;
+    }
+    default: {
+      const type = typeof rule.criterion === 'string' ? rule.criterion : rule.criterion?.type;
+      if (!criterionTypes.includes(type)) {
+        const key = typeof rule.criterion === 'string' ? at('criterion') : at('criterion.type');
+        return [{ path: key, message: `unknown criterion type ${JSON.stringify(type)}; expected one of: ${criterionTypes.join(', ')}` }];
+      }
+      return [];
+    }
+  }
+}
+
+/**
+ * Evaluate a declarative criterion rule (the `logic` field of a drugCoverage.js criterion).
+ *
+ * Rule nodes:
+ *  - { all: [rule, ...] }  every child holds
+ *  - { any: [rule, ...] }  at least one child holds
+ *  - { not: rule }
+ *  - { fact: "bmi", op: ">=", value: 30, within: { days: 90 } }
+ *      ops: >=, >, <=, <, ==, !=, in, contains, exists
+ *      `within` requires the fact's date to fall inside the window (days or months)
+ *  - { criterion: "contraindications" } or { criterion: { type: "labValue", ... } }
+ *      delegates to a criterion evaluator
+ * Any node may carry a `label` used in the details text.
+ *
+ * Logic is three-valued: a missing fact or a PARTIAL criterion is unknown rather
+ * than false, so the result is PARTIAL when the outcome hinges on missing data.
+ *
+ * `context.evaluateCriterion(type, config)` runs criterion leaves; `context.reason`
+ * names the result.
+ */
+export function evaluateRule(rule, patientData, context = {}) {
+  const node = evaluateNode(rule, patientData, context);
+  const status = node.outcome === true
+    ? CriteriaStatus.MET
+    : node.outcome === false ? CriteriaStatus.NOT_MET : CriteriaStatus.PARTIAL;
+
+  return {
+    status,
+    reason: context.reason || 'Policy Rule',
+    details: node.text,
+    displayValue: firstFactValue(node) ?? (status === CriteriaStatus.MET ? 'Met' : 'Not met'),
+    trace: node,
+    evidence: collectEvidence(node)
+  };
+}
+
+function evaluateNode(rule, patientData, context) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Invalid rule: expected an object');
+  }
+  if (Array.isArray(rule.all)) return evaluateAll(rule, patientData, context);
+  if (Array.isArray(rule.any)) return evaluateAny(rule, patientData, context);
+  if (rule.not) return evaluateNot(rule, patientData, context);
+  if (rule.fact) return evaluateFact(rule, patientData);
+  if (rule.criterion) return evaluateCriterionLeaf(rule, context);
+  throw new Error(`Invalid rule: ${JSON.stringify(rule)}`);
+}
+
+function evaluateAll(rule, patientData, context) {
+  const children = rule.all.map(child => evaluateNode(child, patientData, context));
+  let outcome = true;
+  if (children.some(c => c.outcome === false)) outcome = false;
+  else if (children.some(c => c.outcome === null)) outcome = null;
+
+  const shown = outcome === true ? children : children.filter(c => c.outcome !== true);
+  return { type: 'all', outcome, children, text: rule.label || shown.map(c => c.text).join('; ') };
+}
+
+function evaluateAny(rule, patientData, context) {
+  const children = rule.any.map(child => evaluateNode(child, patientData, context));
+  let outcome = false;
+  if (children.some(c => c.outcome === true)) outcome = true;
+  else if (children.some(c => c.outcome === null)) outcome = null;
+
+  const text = outcome === true
+    ? children.find(c => c.outcome === true).text
+    : children.map(c => c.text).join(' or ');
+  return { type: 'any', outcome, children, text: rule.label && outcome !== true ? rule.label : text };
+}
+
+function evaluateNot(rule, patientData, context) {
+  const child = evaluateNode(rule.not, patientData, context);
+  const outcome = child.outcome === null ? null : !child.outcome;
+  return { type: 'not', outcome, children: [child], text: rule.label || `not (${child.text})` };
+}
+
+function evaluateFact(rule, patientData) {
+  const definition = FACTS[rule.fact];
+  if (!definition) {
+    throw new Error(`Unknown fact: ${rule.fact}`);
+  }
+  const operator = OPERATORS[rule.op || 'exists'];
+  if (!operator) {
+    throw new Error(`Unknown operator: ${rule.op}`);
+  }
+
+  const label = rule.label || definition.label;
+  const fact = definition.resolve(patientData);
+  const node = { type: 'fact', fact: rule.fact, value: fact?.value ?? null, unit: fact?.unit, date: fact?.date, evidence: fact?.evidence || [] };
+
+  if (fact === null || fact.value === null || fact.value === undefined) {
+    return { ...node, outcome: rule.op === 'exists' ? false : null, text: `${label} not documented` };
+  }
+
+  const shown = formatValue(fact.value, fact.unit);
+  const expected = rule.op === 'exists' ? '' : ` ${operator.text} ${formatValue(rule.value, fact.unit)}`;
+  const passed = operator.test(fact.value, rule.value);
+
+  if (passed && rule.within) {
+    const windowDays = rule.within.days ?? Math.round((rule.within.months || 0) * 30.44);
+    const ageDays = fact.date ? Math.floor((getEvaluationTime(patientData) - Date.parse(fact.date)) / MS_PER_DAY) : null;
+    if (ageDays === null || ageDays > windowDays) {
+      return {
+        ...node,
+        outcome: null,
+        text: `${label} ${shown}${expected}, but ${fact.date ? `dated ${fact.date}` : 'undated'} (must be within ${windowDays} days)`
+      };
+    }
+  }
+
+  return {
+    ...node,
+    outcome: passed,
+    text: passed ? `${label} ${shown}${expected}` : `${label} ${shown} (requires${expected || ' documentation'})`
+  };
+}
+
+function evaluateCriterionLeaf(rule, context) {
+  if (!context.evaluateCriterion) {
+    throw new Error('Criterion references need an evaluateCriterion callback');
+  }
+  const config = typeof rule.criterion === 'string' ? { type: rule.criterion } : rule.criterion;
+  const result = context.evaluateCriterion(config.type, config);
+  const status = normalizeStatus(result.status);
+
+  let outcome = null;
+  if (status === CriteriaStatus.MET) outcome = true;
+  else if (status === CriteriaStatus.NOT_MET) outcome = false;
+
+  return {
+    type: 'criterion',
+    criterion: config.type,
+    outcome,
+    result,
+    evidence: result.evidence || [],
+    text: rule.label || result.details || result.reason
+  };
+}
+
+function collectEvidence(node) {
+  const own = node.evidence || [];
+  return [...own, ...(node.children || []).flatMap(collectEvidence)];
+}
+
+function firstFactValue(node) {
+  if (node.type === 'fact' && node.value !== null && !Array.isArray(node.value)) {
+    return formatValue(node.value, node.unit);
+  }
+  for (const child of node.children || []) {
+    const value = firstFactValue(child);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+function formatValue(value, unit) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  if (!unit) return `${value}`;
+  return unit === '%' ? `${value}%` : `${value} ${unit}`;
+}
+
+function valueOrNull(value) {
+  return value === null || value === undefined ? null : { value };
+}
+
+function conditionEvidence(condition) {
+  return {
+    resourceType: condition.id ? 'Condition' : null,
+    id: condition.id,
+    display: condition.display,
+    date: condition.date,
+    source: condition.source
+  };
+}
@@ -0,0 +1,270 @@
+import { CriteriaStatus } from '../constants';
+import { MEDICATION_CLASSES, MEDICATION_CLASS_ALIASES } from '../data/valueSets';
+import { extractMedicationHistory, getEvaluationTime } from './fhirHelpers';
+
+const DAYS_PER_MONTH = 30.44;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_MIN_MONTHS = 3;
+
+// statusReason / discontinuation text that documents an intolerance or contraindication
+const EXCEPTION_PATTERN = /intoleran|adverse|side effect|allerg|contraindicat/i;
+
+/**
+ * Evaluate a step-therapy criterion from drugCoverage.js against the medication history.
+ *
+ * Supported criterion shapes:
+ *  - requiredMedication: "Metformin"                    one trial of that drug or class
+ *  - requiredMedications: ["Metformin", "Other ..."]    one trial of each
+ *  - preferredAlternatives: ["Ozempic", "Trulicity"]    one trial of any of them
+ *  - minTrials: 2                                       that many distinct oral agents
+ * Each trial must last `minDuration` months unless an intolerance or contraindication
+ * is documented for the drug, which counts as a satisfied trial.
+ */
+export function evaluateStepTherapy(patientData, config = {}) {
+  const requirements = buildRequirements(config);
+
+  if (requirements.length === 0) {
+    return {
+      status: CriteriaStatus.NOT_APPLICABLE,
+      reason: 'Step Therapy',
+      details: 'No step-therapy requirement configured',
+      displayValue: 'N/A'
+    };
+  }
+
+  const history = extractMedicationHistory(patientData);
+  const exceptions = collectExceptions(patientData, history);
+  const results = requirements.map(requirement => evaluateRequirement(requirement, history, exceptions, getEvaluationTime(patientData)));
+
+  const evidence = results.flatMap(r => r.agents.flatMap(agent => agent.evidence));
+  const details = results.map(describeRequirement).join('; ');
+  const displayValue = results
+    .map(r => `${r.label}: ${r.satisfied ? 'met' : r.agents.length > 0 ? 'incomplete' : 'none'}`)
+    .join(', ');
+
+  let status = CriteriaStatus.NOT_MET;
+  if (results.every(r => r.satisfied)) {
+    status = CriteriaStatus.MET;
+  } else if (results.some(r => r.agents.length > 0)) {
+    status = CriteriaStatus.PARTIAL;
+  }
+
+  return {
+    status,
+    reason: 'Step Therapy',
+    details,
+    displayValue,
+    trials: results,
+    evidence
+  };
+}
+
+function buildRequirements(config) {
+  const minMonths = config.minDuration ?? DEFAULT_MIN_MONTHS;
+  const requirements = [];
+
+  const required = config.requiredMedications || (config.requiredMedication ? [config.requiredMedication] : []);
+  for (const label of required) {
+    requirements.push({ label, names: resolveNames(label), count: 1, minMonths });
+  }
+
+  if (config.preferredAlternatives?.length) {
+    requirements.push({
+      label: config.preferredAlternatives.join(' / '),
+      names: config.preferredAlternatives.flatMap(resolveNames),
+      count: 1,
+      // Any documented trial counts unless the payer states a duration
+      minMonths: config.minDuration ?? 0
+    });
+  }
+
+  if (config.minTrials && required.length === 0 && !config.preferredAlternatives) {
+    const classLabel = config.medicationClass || 'Oral agent';
+    requirements.push({
+      label: `${config.minTrials} ${classLabel.toLowerCase()}${config.minTrials > 1 ? 's' : ''}`,
+      names: resolveNames(classLabel),
+      count: config.minTrials,
+      minMonths
+    });
+  }
+
+  return requirements;
+}
+
+// Expand a criterion label ("Metformin", "Sulfonylurea", "Other diabetes med") to drug names
+function resolveNames(label) {
+  const key = label.toLowerCase();
+  const aliasClasses = MEDICATION_CLASS_ALIASES[key];
+  if (aliasClasses) {
+    return aliasClasses.flatMap(cls => MEDICATION_CLASSES[cls].names);
+  }
+  const cls = Object.values(MEDICATION_CLASSES).find(c => c.label.toLowerCase() === key) || MEDICATION_CLASSES[key];
+  return cls ? cls.names : [key];
+}
+
+function evaluateRequirement(requirement, history, exceptions, now) {
+  const byAgent = new Map();
+
+  for (const entry of history) {
+    const name = requirement.names.find(n => entry.medication.toLowerCase().includes(n));
+    if (!name) continue;
+    if (!byAgent.has(name)) byAgent.set(name, []);
+    byAgent.get(name).push(entry);
+  }
+
+  const agents = [];
+  for (const [name, entries] of byAgent) {
+    const trial = measureTrial(entries, now);
+    agents.push({
+      agent: name,
+      ...trial,
+      exception: null,
+      satisfied: trial.months >= requirement.minMonths,
+      evidence: entries.map(entryEvidence)
+    });
+  }
+
+  for (const exception of exceptions) {
+    const name = requirement.names.find(n => exception.text.includes(n));
+    if (!name) continue;
+    const agent = agents.find(a => a.agent === name);
+    if (agent) {
+      agent.exception = exception;
+      agent.satisfied = true;
+      agent.evidence.push(exception.evidence);
+    } else {
+      agents.push({
+        agent: name,
+        months: 0,
+        startDate: null,
+        endDate: null,
+        exception,
+        satisfied: true,
+        evidence: [exception.evidence]
+      });
+    }
+  }
+
+  return {
+    label: requirement.label,
+    minMonths: requirement.minMonths,
+    required: requirement.count,
+    satisfied: agents.filter(a => a.satisfied).length >= requirement.count,
+    agents
+  };
+}
+
+// Merge overlapping entries so refills and dose changes aren't double-counted.
+// Entries whose end date is unknown credit no time.
+function measureTrial(entries, now) {
+  const intervals = entries
+    .filter(entry => !entry.endDateUnknown)
+    .map(entry => ({
+      start: Date.parse(entry.startDate),
+      end: entry.endDate ? Date.parse(entry.endDate) : now
+    }))
+    .filter(i => !Number.isNaN(i.start) && !Number.isNaN(i.end) && i.end >= i.start)
+    .sort((a, b) => a.start - b.start);
+
+  if (intervals.length === 0) {
+    const started = entries.map(entry => entry.startDate).filter(Boolean).sort()[0] || null;
+    return { months: 0, startDate: started, endDate: null, endDateUnknown: Boolean(started) };
+  }
+
+  const merged = [{ ...intervals[0] }];
+  for (const interval of intervals.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+
+  const days = merged.reduce((sum, i) => sum + (i.end - i.start) / MS_PER_DAY, 0);
+  const ongoing = entries.some(entry => entry.startDate && !entry.endDate && !entry.endDateUnknown);
+  const lastEnd = Math.max(...merged.map(i => i.end));
+
+  return {
+    months: Math.round((days / DAYS_PER_MONTH) * 10) / 10,
+    startDate: toDateString(merged[0].start),
+    endDate: ongoing ? null : toDateString(lastEnd)
+  };
+}
+
+// Intolerances and contraindications from AllergyIntolerance, allergy lists and stop reasons
+function collectExceptions(patientData, history) {
+  const exceptions = [];
+
+  for (const allergy of patientData.allergyIntolerances || []) {
+    if (allergy.verificationStatus?.coding?.[0]?.code === 'refuted') continue;
+    const text = [allergy.code?.text, ...(allergy.code?.coding || []).map(c => c.display)]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    exceptions.push({
+      kind: allergy.type || 'intolerance',
+      text,
+      evidence: {
+        resourceType: 'AllergyIntolerance',
+        id: allergy.id,
+        display: allergy.code?.text || allergy.code?.coding?.[0]?.display,
+        date: allergy.recordedDate || allergy.onsetDateTime || null,
+        source: 'fhir'
+      }
+    });
+  }
+
+  for (const allergy of patientData.allergies || []) {
+    if (typeof allergy !== 'string') continue;
+    exceptions.push({
+      kind: 'allergy',
+      text: allergy.toLowerCase(),
+      evidence: { resourceType: null, id: null, display: `Allergy: ${allergy}`, date: null, source: 'chart' }
+    });
+  }
+
+  for (const entry of history) {
+    if (!entry.statusReason || !EXCEPTION_PATTERN.test(entry.statusReason)) continue;
+    exceptions.push({
+      kind: 'intolerance',
+      text: entry.medication.toLowerCase(),
+      evidence: {
+        ...entryEvidence(entry),
+        display: `${entry.medication} stopped: ${entry.statusReason}`
+      }
+    });
+  }
+
+  return exceptions;
+}
+
+function describeRequirement(result) {
+  if (result.agents.length === 0) {
+    return `${result.label}: no trial documented`;
+  }
+  const agents = result.agents.map(agent => {
+    if (agent.exception && agent.months < result.minMonths) {
+      return `${agent.agent} ${agent.exception.kind} documented`;
+    }
+    const range = `${agent.startDate || '?'} to ${agent.endDate || (agent.endDateUnknown ? 'end not documented' : 'present')}`;
+    return `${agent.agent} ${agent.months} months (${range})`;
+  });
+  const requirement = result.minMonths > 0 ? ` (≥${result.minMonths} months required)` : '';
+  return `${result.label}: ${agents.join(', ')}${result.satisfied ? '' : requirement}`;
+}
+
+function entryEvidence(entry) {
+  return {
+    resourceType: entry.resourceType,
+    id: entry.id,
+    display: [entry.medication, entry.dose].filter(Boolean).join(' '),
+    startDate: entry.startDate,
+    endDate: entry.endDate,
+    source: entry.source
+  };
+}
+
+function toDateString(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
@@ -0,0 +1,179 @@
+import { GLP1_INGREDIENTS } from '../data/valueSets';
+import { getEvaluationTime, getMedicationName } from './fhirHelpers';
+import { extractEquivalentHistory, getCreditedDose, getIngredient, isEquivalentProduct, parseDoseMg } from './doseEquivalence';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// A pen carton covers four weekly doses; used when a fill has no days supply
+const DEFAULT_DAYS_SUPPLY = 28;
+
+const INACTIVE_DISPENSE_STATUSES = ['cancelled', 'entered-in-error', 'declined', 'stopped'];
+
+/**
+ * Restart rule for `medication`: { ingredient, maxGapDays, rule, restartDose },
+ * where restartDose is the first step of the product's schedule. Null for drugs
+ * without one.
+ */
+export function getRestartRule(medication) {
+  const target = getIngredient(medication);
+  const restart = target && GLP1_INGREDIENTS[target.ingredient].restart;
+  if (!restart || !target.schedule) return null;
+  return { ingredient: target.label, ...restart, restartDose: target.schedule[0] };
+}
+
+/**
+ * Fills of `medication` or a same-ingredient product, oldest first:
+ * [{ date, daysSupply, medication, resourceType, id }]. Read from
+ * MedicationDispense resources and `fills` on therapyHistory entries.
+ */
+export function extractFills(patientData, medication) {
+  const fills = [];
+
+  for (const dispense of patientData?.medicationDispenses || []) {
+    const name = getMedicationName(dispense);
+    const date = dispense.whenHandedOver || dispense.whenPrepared;
+    if (!date || !isEquivalentProduct(name, medication) || INACTIVE_DISPENSE_STATUSES.includes(dispense.status)) {
+      continue;
+    }
+    fills.push({
+      date,
+      daysSupply: dispense.daysSupply?.value || DEFAULT_DAYS_SUPPLY,
+      medication: name,
+      resourceType: 'MedicationDispense',
+      id: dispense.id || null
+    });
+  }
+
+  for (const therapy of patientData?.therapyHistory || []) {
+    if (!isEquivalentProduct(therapy.drug, medication)) continue;
+    for (const fill of therapy.fills || []) {
+      if (!fill.date) continue;
+      fills.push({
+        date: fill.date,
+        daysSupply: fill.daysSupply || DEFAULT_DAYS_SUPPLY,
+        medication: therapy.drug,
+        resourceType: null,
+        id: null
+      });
+    }
+  }
+
+  return fills
+    .filter(fill => !Number.isNaN(Date.parse(fill.date)))
+    .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+}
+
+/**
+ * Lapses in therapy with `medication` and its same-ingredient siblings:
+ * [{ start, end, days, ongoing, source }], oldest first.
+ *
+ * Fills are used when there are any, each covering its days supply; otherwise
+ * the start and end dates of the dose segments. A lapse still running on the
+ * evaluation date has `end: null` and `ongoing: true`.
+ */
+export function findTherapyGaps(patientData, medication) {
+  const now = getEvaluationTime(patientData);
+  const fills = extractFills(patientData, medication);
+
+  let source = 'fills';
+  let intervals = fills.map(fill => {
+    const start = Date.parse(fill.date);
+    return { start, end: start + fill.daysSupply * MS_PER_DAY };
+  });
+  if (intervals.length === 0) {
+    source = 'doses';
+    intervals = extractEquivalentHistory(patientData, medication)
+      .filter(entry => !Number.isNaN(Date.parse(entry.startDate)))
+      .map(entry => ({
+        start: Date.parse(entry.startDate),
+        end: entry.endDate ? Date.parse(entry.endDate) : now
+      }));
+  }
+  intervals = intervals.filter(interval => interval.start <= now).sort((a, b) => a.start - b.start);
+  if (intervals.length === 0) return [];
+
+  const gaps = [];
+  let coveredUntil = intervals[0].end;
+  for (const interval of intervals.slice(1)) {
+    if (interval.start > coveredUntil) {
+      gaps.push(gap(coveredUntil, interval.start, false, source));
+    }
+    coveredUntil = Math.max(coveredUntil, interval.end);
+  }
+  if (coveredUntil < now) {
+    gaps.push(gap(coveredUntil, now, true, source));
+  }
+  return gaps;
+}
+
+/**
+ * Whether the patient has to re-titrate `medication` after a lapse:
+ *
+ *   { rule, gap, mustRestart, resumedOn, resumedDose }
+ *
+ * `gap` is the latest lapse longer than the drug's restart rule allows. When it
+ * is still running, or therapy resumed above the rule's restartDose without
+ * stepping back down to it, `mustRestart` is set: the next dose is the
+ * restartDose. Otherwise `resumedOn` is the date from which titration counts
+ * again. `resumedDose` is the dose therapy resumed at, when the dose history
+ * shows it. Null when there's no rule or no such lapse.
+ */
+export function getRestartRequirement(patientData, medication) {
+  const rule = getRestartRule(medication);
+  if (!rule) return null;
+  const lapses = findTherapyGaps(patientData, medication).filter(g => g.days > rule.maxGapDays);
+  if (lapses.length === 0) return null;
+
+  const latest = lapses[lapses.length - 1];
+  if (latest.ongoing) {
+    return { rule, gap: latest, mustRestart: true, resumedOn: null, resumedDose: null };
+  }
+
+  // Dose segments running on or after the day therapy resumed
+  const resumed = Date.parse(latest.end);
+  const since = extractEquivalentHistory(patientData, medication)
+    .filter(entry => entry.equivalentDose && (!entry.endDate || Date.parse(entry.endDate) > resumed));
+  const restarted = since.find(entry => parseDoseMg(entry.equivalentDose) <= parseDoseMg(rule.restartDose));
+  const restartedOn = restarted && Date.parse(restarted.startDate) > resumed ? restarted.startDate : latest.end;
+  return {
+    rule,
+    gap: latest,
+    mustRestart: since.length > 0 && !restarted,
+    resumedOn: restartedOn,
+    resumedDose: since[0]?.equivalentDose || null
+  };
+}
+
+/**
+ * Dose to start `medication` at: the restart dose after a lapse, else the
+ * strength already reached on it or a same-ingredient product. Null when
+ * neither applies.
+ */
+export function getRecommendedStartDose(patientData, medication) {
+  const restart = getRestartRequirement(patientData, medication);
+  if (restart?.mustRestart) return restart.rule.restartDose;
+  return getCreditedDose(patientData, medication)?.dose || null;
+}
+
+/**
+ * "45-day lapse since 2024-06-01" style description of a gap
+ */
+export function describeGap(lapse) {
+  return lapse.ongoing
+    ? `${lapse.days}-day lapse since ${lapse.start}`
+    : `${lapse.days}-day lapse from ${lapse.start} to ${lapse.end}`;
+}
+
+function gap(start, end, ongoing, source) {
+  return {
+    start: toDate(start),
+    end: ongoing ? null : toDate(end),
+    days: Math.floor((end - start) / MS_PER_DAY),
+    ongoing,
+    source
+  };
+}
+
+function toDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
@@ -0,0 +1,356 @@
+import { CriteriaStatus } from '../constants';
+import { WEIGHT_MANAGEMENT_STRATEGIES } from '../data/valueSets';
+import { conceptInValueSet, extractMedicationHistory, getEvaluationTime } from './fhirHelpers';
+
+const DAYS_PER_MONTH = 30.44;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Records of the same strategy this close together are one attempt (e.g. monthly IBT visits)
+const MERGE_GAP_DAYS = 60;
+
+/**
+ * Collect documented weight-management attempts from Encounters, Procedures, CarePlans,
+ * referrals (ServiceRequest), anti-obesity medications and intolerances, and the
+ * manual clinical notes.
+ * Records are classified by strategy and merged into distinct attempts, each with
+ * its date range, duration in months, visit count, outcome and source evidence.
+ * Referral-only attempts are returned but flagged `referralOnly`.
+ */
+export function extractWeightManagementAttempts(patientData) {
+  if (!patientData) return [];
+  const now = getEvaluationTime(patientData);
+  const records = [
+    ...encounterRecords(patientData.encounters),
+    ...procedureRecords(patientData.procedures),
+    ...carePlanRecords(patientData.carePlans),
+    ...referralRecords(patientData.serviceRequests),
+    ...medicationRecords(patientData),
+    ...manualRecords(patientData)
+  ].filter(record => record.strategy && record.startDate);
+
+  // Each anti-obesity drug is its own attempt; other strategies merge by date
+  const groups = new Map();
+  for (const record of records) {
+    const key = `${record.strategy}|${record.agent || ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+
+  const attempts = [];
+  for (const group of groups.values()) {
+    const strategy = group[0].strategy;
+    const sorted = group.sort((a, b) => Date.parse(a.startDate) - Date.parse(b.startDate));
+
+    let current = null;
+    for (const record of sorted) {
+      const start = Date.parse(record.startDate);
+      if (current && start <= current.end + MERGE_GAP_DAYS * MS_PER_DAY) {
+        current.records.push(record);
+        current.end = Math.max(current.end, endOf(record, now));
+      } else {
+        current = { strategy, start, end: endOf(record, now), records: [record] };
+        attempts.push(current);
+      }
+    }
+  }
+
+  return attempts
+    .map(group => toAttempt(group, now))
+    .sort((a, b) => Date.parse(a.startDate) - Date.parse(b.startDate));
+}
+
+/**
+ * `lifestyleModification`: participation in an intensive behavioral / comprehensive
+ * lifestyle program for `requiredDuration` months. When `maxWeightLoss` is set the
+ * program must also have produced less than that percent weight loss.
+ */
+export function evaluateLifestyleModification(patientData, config = {}) {
+  const requiredMonths = config.requiredDuration ?? 3;
+  const programs = extractWeightManagementAttempts(patientData)
+    .filter(a => a.strategy === 'behavioral' && !a.referralOnly)
+    .sort((a, b) => b.months - a.months);
+
+  if (programs.length === 0) {
+    const referrals = extractWeightManagementAttempts(patientData).filter(a => a.referralOnly);
+    const flagged = patientData.clinicalNotes?.hasWeightProgram === true;
+    return {
+      status: flagged || referrals.length > 0 ? CriteriaStatus.PARTIAL : CriteriaStatus.NOT_MET,
+      reason: 'Lifestyle Modification',
+      details: flagged
+        ? 'Weight program noted in chart, but no program dates or visits are documented'
+        : referrals.length > 0
+          ? `Referred to a weight-management program on ${referrals[0].startDate}; no participation documented`
+          : 'No lifestyle modification program documented',
+      displayValue: 'Not documented',
+      programs: [],
+      evidence: referrals.flatMap(r => r.evidence)
+    };
+  }
+
+  const best = programs[0];
+  const range = `${best.startDate} to ${best.endDate || 'present'}`;
+  let details = `${best.label}: ${best.months} months (${range})`;
+  if (best.visits > 0) details += `, ${best.visits} visit${best.visits === 1 ? '' : 's'}`;
+
+  let status = best.months >= requiredMonths ? CriteriaStatus.MET : CriteriaStatus.PARTIAL;
+  if (status === CriteriaStatus.PARTIAL) {
+    details += `; ${requiredMonths} months required`;
+  }
+
+  if (config.maxWeightLoss !== undefined && status === CriteriaStatus.MET) {
+    if (best.weightLossPercent === null) {
+      status = CriteriaStatus.PARTIAL;
+      details += `; weight change during the program not documented (must be <${config.maxWeightLoss}%)`;
+    } else if (best.weightLossPercent >= config.maxWeightLoss) {
+      status = CriteriaStatus.NOT_MET;
+      details += `; ${best.weightLossPercent}% weight loss exceeds the <${config.maxWeightLoss}% allowed`;
+    } else {
+      details += `; ${best.weightLossPercent}% weight loss`;
+    }
+  }
+
+  return {
+    status,
+    reason: 'Lifestyle Modification',
+    details,
+    displayValue: `${best.months} months`,
+    programs,
+    evidence: best.evidence
+  };
+}
+
+/**
+ * `priorTherapies`: at least `minTrials` distinct documented weight-management attempts.
+ * `strategies` limits which kinds count (e.g. ["medication"] for prior anti-obesity drugs).
+ */
+export function evaluatePriorTherapies(patientData, config = {}) {
+  const minTrials = config.minTrials ?? 2;
+  const attempts = extractWeightManagementAttempts(patientData)
+    .filter(a => !a.referralOnly)
+    .filter(a => !config.strategies || config.strategies.includes(a.strategy));
+
+  const details = attempts.length > 0
+    ? attempts.map(describeAttempt).join('; ')
+    : 'No prior weight-management attempts documented';
+
+  let status = CriteriaStatus.NOT_MET;
+  if (attempts.length >= minTrials) {
+    status = CriteriaStatus.MET;
+  } else if (attempts.length > 0) {
+    status = CriteriaStatus.PARTIAL;
+  }
+
+  return {
+    status,
+    reason: 'Prior Therapies',
+    details: status === CriteriaStatus.MET ? details : `${details} (${minTrials} required)`,
+    displayValue: `${attempts.length}/${minTrials} attempts`,
+    attempts,
+    evidence: attempts.flatMap(a => a.evidence)
+  };
+}
+
+function encounterRecords(encounters = []) {
+  return encounters
+    .filter(e => !['cancelled', 'entered-in-error'].includes(e.status))
+    .map(e => ({
+      strategy: classify([...(e.type || []), ...(e.reasonCode || []), e.serviceType]),
+      startDate: e.period?.start || null,
+      endDate: e.period?.end || e.period?.start || null,
+      visit: true,
+      outcome: null,
+      evidence: resourceEvidence('Encounter', e, e.type?.[0], e.period?.start)
+    }));
+}
+
+function procedureRecords(procedures = []) {
+  return procedures
+    .filter(p => p.status !== 'entered-in-error' && p.status !== 'not-done')
+    .map(p => {
+      const start = p.performedPeriod?.start || p.performedDateTime || null;
+      return {
+        strategy: classify([p.code, ...(p.reasonCode || [])]),
+        startDate: start,
+        endDate: p.performedPeriod?.end || start,
+        visit: true,
+        outcome: conceptText(p.outcome),
+        evidence: resourceEvidence('Procedure', p, p.code, start)
+      };
+    });
+}
+
+function carePlanRecords(carePlans = []) {
+  return carePlans
+    .filter(cp => !['entered-in-error', 'revoked', 'draft'].includes(cp.status))
+    .map(cp => {
+      const concepts = [
+        ...(cp.category || []),
+        ...(cp.activity || []).map(a => a.detail?.code),
+        { text: [cp.title, cp.description].filter(Boolean).join(' ') }
+      ];
+      const outcomes = (cp.activity || [])
+        .flatMap(a => a.outcomeCodeableConcept || [])
+        .map(conceptText)
+        .filter(Boolean);
+      const start = cp.period?.start || cp.created || null;
+      return {
+        strategy: classify(concepts),
+        startDate: start,
+        // Active plans without an end date run to today
+        endDate: cp.period?.end || (cp.status === 'active' ? null : start),
+        visit: false,
+        outcome: outcomes.join('; ') || cp.note?.[0]?.text || null,
+        evidence: resourceEvidence('CarePlan', cp, { text: cp.title || cp.category?.[0]?.text }, start)
+      };
+    });
+}
+
+function referralRecords(serviceRequests = []) {
+  return serviceRequests
+    .filter(sr => !['entered-in-error', 'revoked'].includes(sr.status))
+    .map(sr => ({
+      strategy: classify([sr.code, ...(sr.reasonCode || [])]),
+      startDate: sr.authoredOn || sr.occurrenceDateTime || null,
+      endDate: sr.authoredOn || sr.occurrenceDateTime || null,
+      visit: false,
+      referral: true,
+      outcome: null,
+      evidence: resourceEvidence('ServiceRequest', sr, sr.code, sr.authoredOn)
+    }));
+}
+
+// Anti-obesity drug trials, plus documented intolerances that stand in for a trial
+function medicationRecords(patientData) {
+  const names = WEIGHT_MANAGEMENT_STRATEGIES.medication.keywords;
+  const intolerances = (patientData.allergyIntolerances || [])
+    .filter(a => a.verificationStatus?.coding?.[0]?.code !== 'refuted')
+    .filter(a => conceptInValueSet(a.code, WEIGHT_MANAGEMENT_STRATEGIES.medication))
+    .map(a => ({
+      strategy: 'medication',
+      agent: matchAgent(a.code?.text || a.code?.coding?.[0]?.display),
+      startDate: a.recordedDate || a.onsetDateTime || null,
+      endDate: a.recordedDate || a.onsetDateTime || null,
+      visit: false,
+      outcome: `${a.type || 'intolerance'} documented`,
+      evidence: resourceEvidence('AllergyIntolerance', a, a.code, a.recordedDate)
+    }));
+
+  const trials = extractMedicationHistory(patientData, names).map(entry => ({
+    strategy: 'medication',
+    agent: matchAgent(entry.medication),
+    startDate: entry.startDate,
+    endDate: entry.endDate,
+    visit: false,
+    outcome: entry.statusReason || null,
+    evidence: {
+      resourceType: entry.resourceType,
+      id: entry.id,
+      display: [entry.medication, entry.dose].filter(Boolean).join(' '),
+      date: entry.startDate,
+      source: entry.source
+    }
+  }));
+
+  return [...trials, ...intolerances];
+}
+
+// clinicalNotes.lifestyleModification and clinicalNotes.priorWeightLossAttempts
+function manualRecords(patientData) {
+  const notes = patientData.clinicalNotes || {};
+  const records = [];
+
+  const program = notes.lifestyleModification;
+  if (program?.participated) {
+    records.push({
+      strategy: classify([{ text: program.programType }]) || 'behavioral',
+      startDate: program.startDate || null,
+      endDate: program.endDate || null,
+      visit: false,
+      outcome: program.documentation || null,
+      weightLossPercent: program.weightLossAchieved ?? null,
+      evidence: manualEvidence(program.programType || 'Lifestyle modification program', program.startDate)
+    });
+  }
+
+  for (const attempt of notes.priorWeightLossAttempts || []) {
+    records.push({
+      strategy: classify([{ text: attempt.method }]),
+      startDate: attempt.startDate || null,
+      endDate: attempt.endDate || null,
+      visit: false,
+      outcome: attempt.outcome || null,
+      evidence: manualEvidence(attempt.method, attempt.startDate)
+    });
+  }
+
+  return records;
+}
+
+function matchAgent(name) {
+  const text = (name || '').toLowerCase();
+  return WEIGHT_MANAGEMENT_STRATEGIES.medication.keywords.find(k => text.includes(k)) || text;
+}
+
+function classify(concepts) {
+  const present = concepts.filter(Boolean);
+  return Object.keys(WEIGHT_MANAGEMENT_STRATEGIES).find(key =>
+    present.some(concept => conceptInValueSet(concept, WEIGHT_MANAGEMENT_STRATEGIES[key]))
+  ) || null;
+}
+
+function toAttempt(group, now) {
+  const ongoing = group.records.some(r => !r.endDate && !r.referral);
+  const referralOnly = group.records.every(r => r.referral);
+  // A referral joins its program's attempt but participation is dated from the visits
+  const attended = referralOnly ? group.records : group.records.filter(r => !r.referral);
+  const start = Math.min(...attended.map(r => Date.parse(r.startDate)));
+  const lastEnd = Math.max(...attended.map(r => endOf(r, now)));
+  const end = ongoing ? now : lastEnd;
+  const outcomes = group.records.map(r => r.outcome).filter(Boolean);
+  const weightLoss = group.records.map(r => r.weightLossPercent).find(v => v !== undefined && v !== null);
+
+  return {
+    strategy: group.strategy,
+    label: WEIGHT_MANAGEMENT_STRATEGIES[group.strategy].label,
+    startDate: toDateString(start),
+    endDate: ongoing ? null : toDateString(lastEnd),
+    months: referralOnly ? 0 : Math.round(((end - start) / MS_PER_DAY / DAYS_PER_MONTH) * 10) / 10,
+    visits: group.records.filter(r => r.visit).length,
+    outcome: outcomes[outcomes.length - 1] || null,
+    weightLossPercent: weightLoss ?? null,
+    referralOnly,
+    evidence: group.records.map(r => r.evidence)
+  };
+}
+
+function describeAttempt(attempt) {
+  const range = `${attempt.startDate} to ${attempt.endDate || 'present'}`;
+  return `${attempt.label} (${range}${attempt.outcome ? `, ${attempt.outcome}` : ''})`;
+}
+
+// Open-ended records extend to the evaluation date
+function endOf(record, now) {
+  return record.endDate ? Date.parse(record.endDate) : now;
+}
+
+function conceptText(concept) {
+  if (!concept) return null;
+  return concept.text || concept.coding?.[0]?.display || concept.coding?.[0]?.code || null;
+}
+
+function resourceEvidence(resourceType, resource, concept, date) {
+  return {
+    resourceType,
+    id: resource.id,
+    display: conceptText(concept) || resourceType,
+    date: date || null,
+    source: 'fhir'
+  };
+}
+
+function manualEvidence(display, date) {
+  return { resourceType: null, id: null, display, date: date || null, source: 'manual' };
+}
+
+function toDateString(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
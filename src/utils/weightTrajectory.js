@@ -0,0 +1,275 @@
+import { VITAL_SIGN_LOINC } from '../data/valueSets';
+import { getEvaluationTime, parseNumericValue } from './fhirHelpers';
+import { extractEquivalentHistory, parseDoseMg } from './doseEquivalence';
+import { tryNormalizeQuantity } from './quantity';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_WEEK = 7 * MS_PER_DAY;
+const MS_PER_MONTH = 30.4375 * MS_PER_DAY;
+
+// Width of the smoothing kernel. Home-scale readings scatter by a kilogram or
+// more from day to day, so each fitted weight draws on about a month of data.
+const BANDWIDTH_DAYS = 14;
+
+// Payers assess response 12-16 weeks after the maximum tolerated dose is reached
+export const ASSESSMENT_WEEKS = [12, 16];
+
+// Regain above this share of baseline weight is flagged (see WEIGHT_TRACKING.md)
+export const REGAIN_THRESHOLD_PERCENT = 2;
+
+// Body weight and measured body weight. Matched by code only: displays such as
+// "Birth weight" or "Weight change" are not body weights.
+const BODY_WEIGHT_LOINC = [VITAL_SIGN_LOINC.weight, '3141-9'];
+
+/**
+ * Body weights from the chart's Observations, in kg and oldest first:
+ * [{ date, time, value, unit, originalValue, originalUnit, id }].
+ * Observations in a unit that isn't a mass are skipped, with the error message
+ * pushed to `unitErrors`.
+ */
+export function extractWeightHistory(patientData, unitErrors = []) {
+  const weights = [];
+  for (const obs of patientData?.observations || []) {
+    const isWeight = obs.code?.coding?.some(c => BODY_WEIGHT_LOINC.includes(c.code));
+    const time = Date.parse(obs.effectiveDateTime || obs.issued);
+    if (!isWeight || Number.isNaN(time)) continue;
+
+    const weight = parseNumericValue(obs.valueQuantity)
+      ? tryNormalizeQuantity(obs.valueQuantity, 'bodyWeight', error => unitErrors.push(error.message))
+      : null;
+    if (weight) {
+      weights.push({
+        date: new Date(time).toISOString().slice(0, 10),
+        time,
+        value: weight.value,
+        unit: weight.unit,
+        originalValue: weight.originalValue,
+        originalUnit: obs.valueQuantity?.unit || weight.originalUnit,
+        id: obs.id || null
+      });
+    }
+  }
+  return weights.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Smoothed weight (kg) on `time`: a locally weighted linear fit with a Gaussian
+ * kernel, so a single noisy reading moves the estimate by little. Returns null
+ * when `time` is more than one bandwidth outside the measured range.
+ */
+export function fitWeightAt(points, time) {
+  if (!points?.length) return null;
+  const bandwidth = BANDWIDTH_DAYS * MS_PER_DAY;
+  if (time < points[0].time - bandwidth || time > points[points.length - 1].time + bandwidth) {
+    return null;
+  }
+
+  let sw = 0;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let sxy = 0;
+  for (const point of points) {
+    const x = (point.time - time) / MS_PER_DAY;
+    const w = Math.exp(-0.5 * (x / BANDWIDTH_DAYS) ** 2);
+    sw += w;
+    sx += w * x;
+    sy += w * point.value;
+    sxx += w * x * x;
+    sxy += w * x * point.value;
+  }
+  if (sw < 0.1) return null;
+
+  const meanX = sx / sw;
+  const meanY = sy / sw;
+  const varX = sxx / sw - meanX * meanX;
+  if (varX < 1e-6) return meanY;
+  const slope = (sxy / sw - meanX * meanY) / varX;
+  return meanY - slope * meanX;
+}
+
+/**
+ * The dose the patient settled on and when they first reached it, from the dose
+ * segments of `medication` and its same-ingredient siblings. The maximum tolerated dose is the latest dose, since a
+ * patient who stepped back down did not tolerate the higher one.
+ * Returns { dose, date, atHigherDoseBefore } or null.
+ */
+export function findMaxToleratedDose(patientData, medication) {
+  if (!medication) return null;
+  const segments = extractEquivalentHistory(patientData, medication)
+    .filter(entry => entry.startDate && parseDoseMg(entry.dose) !== null);
+  if (segments.length === 0) return null;
+
+  const latest = segments[segments.length - 1];
+  const amount = parseDoseMg(latest.dose);
+  const reached = segments.find(entry => parseDoseMg(entry.dose) >= amount);
+  return {
+    dose: latest.dose,
+    date: reached.startDate,
+    atHigherDoseBefore: segments.some(entry => parseDoseMg(entry.dose) > amount)
+  };
+}
+
+/**
+ * Weight trajectory on therapy with `medication`:
+ *
+ *   { points, baseline, maxToleratedDose, assessments, nadir, current, regain,
+ *     maintainedSince, maintainedMonths, evidence, unitErrors }
+ *
+ * Weights are fitted rather than read point by point. The baseline is the fitted
+ * weight when therapy started, or else clinicalNotes.baselineWeight, or else the
+ * earliest fitted weight. `assessments` holds the percent loss 12 and 16
+ * weeks after the maximum tolerated dose was reached; an assessment date still in
+ * the future has `percent: null` and `due` set. `regain` compares the current
+ * fitted weight with the lowest one since baseline. `maintainedSince` is the
+ * start of the latest stretch with loss of at least `minPercentage`.
+ */
+export function getWeightTrajectory(patientData, { medication, minPercentage = 5 } = {}) {
+  const now = getEvaluationTime(patientData);
+  const unitErrors = [];
+  const points = extractWeightHistory(patientData, unitErrors).filter(point => point.time <= now);
+  const maxToleratedDose = findMaxToleratedDose(patientData, medication);
+
+  const therapyStart = medication
+    ? Date.parse(extractEquivalentHistory(patientData, medication)[0]?.startDate)
+    : NaN;
+  const baseline = getBaseline(patientData, points, therapyStart);
+
+  const trajectory = {
+    points: points.map(point => ({ ...point, fitted: round(fitWeightAt(points, point.time), 2) })),
+    baseline,
+    maxToleratedDose,
+    assessments: [],
+    nadir: null,
+    current: null,
+    regain: null,
+    maintainedSince: null,
+    maintainedMonths: null,
+    evidence: [],
+    unitErrors
+  };
+  if (!baseline || points.length === 0) return trajectory;
+
+  const lossAt = time => {
+    const weight = fitWeightAt(points, time);
+    return weight === null ? null : round(((baseline.value - weight) / baseline.value) * 100, 1);
+  };
+
+  if (maxToleratedDose) {
+    const reached = Date.parse(maxToleratedDose.date);
+    trajectory.assessments = ASSESSMENT_WEEKS.map(weeks => {
+      const time = reached + weeks * MS_PER_WEEK;
+      const date = new Date(time).toISOString().slice(0, 10);
+      return time > now
+        ? { weeks, date, percent: null, due: true }
+        : { weeks, date, percent: lossAt(time), due: false };
+    });
+  }
+
+  const tracked = trajectory.points.filter(point => point.time >= baseline.time && point.fitted !== null);
+  const latest = trajectory.points[trajectory.points.length - 1];
+  trajectory.current = { date: latest.date, value: latest.fitted, percent: lossAt(latest.time) };
+
+  if (tracked.length > 0) {
+    const nadir = tracked.reduce((low, point) => (point.fitted < low.fitted ? point : low));
+    trajectory.nadir = { date: nadir.date, value: nadir.fitted, percent: lossAt(nadir.time) };
+    const regainPercent = round(((latest.fitted - nadir.fitted) / baseline.value) * 100, 1);
+    trajectory.regain = {
+      percent: Math.max(0, regainPercent),
+      detected: regainPercent > REGAIN_THRESHOLD_PERCENT,
+      since: nadir.date
+    };
+
+    let since = null;
+    for (let i = tracked.length - 1; i >= 0 && lossAt(tracked[i].time) >= minPercentage; i--) {
+      since = tracked[i];
+    }
+    if (since) {
+      trajectory.maintainedSince = since.date;
+      trajectory.maintainedMonths = Math.floor((now - since.time) / MS_PER_MONTH);
+    }
+  }
+
+  trajectory.evidence = [
+    baseline.evidence,
+    trajectory.nadir && trajectory.nadir.date !== latest.date && pointEvidence('Lowest weight', points, trajectory.nadir.date),
+    pointEvidence('Current weight', points, latest.date)
+  ].filter(Boolean);
+
+  return trajectory;
+}
+
+function getBaseline(patientData, points, therapyStart) {
+  if (!Number.isNaN(therapyStart)) {
+    const fitted = fitWeightAt(points, therapyStart);
+    if (fitted !== null) {
+      const date = new Date(therapyStart).toISOString().slice(0, 10);
+      return {
+        date,
+        time: therapyStart,
+        value: round(fitted, 2),
+        evidence: pointEvidence('Baseline weight', points, nearestPoint(points, therapyStart)?.date)
+      };
+    }
+  }
+
+  const documented = patientData?.clinicalNotes?.baselineWeight;
+  const normalized = parseNumericValue(documented) ? tryNormalizeQuantity(documented, 'bodyWeight') : null;
+  if (normalized && documented.date) {
+    return {
+      date: documented.date,
+      time: Date.parse(documented.date),
+      value: normalized.value,
+      evidence: {
+        resourceType: null,
+        id: null,
+        kind: 'weight',
+        display: `Baseline weight: ${normalized.originalValue}${normalized.originalUnit ? ` ${normalized.originalUnit}` : ''}`,
+        value: normalized.originalValue,
+        unit: normalized.originalUnit,
+        date: documented.date,
+        source: 'chart'
+      }
+    };
+  }
+
+  if (points.length === 0) return null;
+  const first = points[0];
+  return {
+    date: first.date,
+    time: first.time,
+    value: round(fitWeightAt(points, first.time), 2),
+    evidence: pointEvidence('Baseline weight', points, first.date)
+  };
+}
+
+function nearestPoint(points, time) {
+  return points.reduce((best, point) =>
+    (!best || Math.abs(point.time - time) < Math.abs(best.time - time) ? point : best), null);
+}
+
+// Evidence records the weight as reported, with the kg value used in the math
+function pointEvidence(label, points, date) {
+  const point = points.find(p => p.date === date);
+  if (!point) return null;
+  const reported = `${point.originalValue}${point.originalUnit ? ` ${point.originalUnit}` : ''}`;
+  const converted = point.originalValue !== point.value ? ` (${round(point.value, 1)} kg)` : '';
+  return {
+    resourceType: 'Observation',
+    id: point.id,
+    kind: 'weight',
+    display: `${label}: ${reported}${converted}`,
+    value: point.originalValue,
+    unit: point.originalUnit,
+    normalizedValue: point.value,
+    normalizedUnit: point.unit,
+    date: point.date,
+    source: 'fhir'
+  };
+}
+
+function round(value, places) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}